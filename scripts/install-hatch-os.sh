@@ -360,6 +360,12 @@ EOF
 chmod +x /home/hatch/Desktop/emergency-terminal.desktop
 chown hatch:hatch /home/hatch/Desktop/emergency-terminal.desktop
 
+# Record the file integrity baseline last, once every watched file is in
+# place; as root, so root-only files such as /etc/shadow are hashed too
+mkdir -p /etc/hatch
+sudo -u "$HATCH_USER" mkdir -p "$HATCH_HOME/data"
+node "$HATCH_HOME/scripts/integrity-baseline.js"
+
 # Step 17: Installation summary
 log "Installation completed successfully!"
 echo ""
@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+
+/**
+ * Hatch OS file integrity baseline
+ * Records the SHA-256 hash, permissions and owner of every file on the watch
+ * list (config/integrity.json) in data/integrity-manifest.json. The backend
+ * compares the disk against it on every security check. Run as root at
+ * install and after every update, so root-only files are hashed too.
+ *
+ * Usage: node scripts/integrity-baseline.js [--check]
+ * --check compares instead of writing, and exits with 1 on any difference.
+ */
+
+const integrity = require('../src/backend/integrity');
+
+async function generate() {
+  const result = await integrity.generateBaseline();
+  console.log(`✅ Integrity baseline of ${result.files} entries written to ${result.path}`);
+  return 0;
+}
+
+async function check() {
+  const result = await integrity.verify();
+  if (!result.baseline) {
+    console.log(`No integrity baseline at ${integrity.MANIFEST_PATH}`);
+    return 1;
+  }
+
+  console.log(`Baseline from ${result.baseline.generatedAt} (${result.baseline.files} entries)`);
+  result.added.forEach(file => console.log(`+ ${file}`));
+  result.removed.forEach(file => console.log(`- ${file}`));
+  result.changed.forEach(change => console.log(`~ ${change.path} (${change.fields.join(', ')})`));
+
+  if (result.clean) {
+    console.log('✅ No changes');
+    return 0;
+  }
+  return 1;
+}
+
+(process.argv.includes('--check') ? check() : generate())
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
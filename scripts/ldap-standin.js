@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+
+/**
+ * Hatch OS LDAP stand-in
+ * A small in-memory directory for trying the LDAP identity provider without a
+ * real school directory. It serves the tree that config/identity.json points
+ * at: people with passwords, group memberships and an institution attribute.
+ *
+ * Usage: node scripts/ldap-standin.js [--port 3389]
+ * Then start the backend with HATCH_IDENTITY_PROVIDERS=ldap,local and
+ * LDAP_BIND_PASSWORD=standin-service.
+ */
+
+const ldap = require('ldapjs');
+
+const SUFFIX = 'dc=school,dc=test';
+const portArg = process.argv.indexOf('--port');
+const PORT = portArg > -1 ? parseInt(process.argv[portArg + 1], 10) : 3389;
+
+const GROUPS = {
+  'it-admins': ['carol'],
+  teachers: ['alice'],
+  students: ['bob', 'dave', 'erin']
+};
+
+const groupDn = (name) => `cn=${name},ou=groups,${SUFFIX}`;
+const personDn = (uid) => `uid=${uid},ou=people,${SUFFIX}`;
+
+// erin belongs to an institution Hatch does not know, to show the refusal
+const PEOPLE = [
+  { uid: 'alice', cn: 'Alice Teacher', o: 'Lakeside', password: 'Lakeside#Teach1', entryUUID: '4f1c2a7e-1b5d-4a0e-9c1f-2d8e6b3a9001' },
+  { uid: 'bob', cn: 'Bob Student', o: 'Lakeside', password: 'Lakeside#Learn1', entryUUID: '4f1c2a7e-1b5d-4a0e-9c1f-2d8e6b3a9002' },
+  { uid: 'carol', cn: 'Carol Admin', o: 'Lakeside', password: 'Lakeside#Admin1', entryUUID: '4f1c2a7e-1b5d-4a0e-9c1f-2d8e6b3a9003' },
+  { uid: 'dave', cn: 'Dave Student', o: 'Lakeside', password: 'Lakeside#Learn2', entryUUID: '4f1c2a7e-1b5d-4a0e-9c1f-2d8e6b3a9004' },
+  { uid: 'erin', cn: 'Erin Student', o: 'Hillcrest', password: 'Hillcrest#Learn1', entryUUID: '4f1c2a7e-1b5d-4a0e-9c1f-2d8e6b3a9005' }
+];
+
+const SERVICE_ACCOUNT = { dn: `cn=hatch,ou=services,${SUFFIX}`, password: 'standin-service' };
+
+// DNs compare case-insensitively and ignore spaces after commas
+const normalizeDn = (dn) => String(dn).toLowerCase().replace(/,\s+/g, ',');
+
+const entries = [
+  ...PEOPLE.map(person => ({
+    dn: personDn(person.uid),
+    password: person.password,
+    attributes: {
+      objectclass: ['inetOrgPerson'],
+      uid: [person.uid],
+      cn: [person.cn],
+      o: [person.o],
+      entryuuid: [person.entryUUID],
+      memberof: Object.keys(GROUPS).filter(group => GROUPS[group].includes(person.uid)).map(groupDn)
+    }
+  })),
+  ...Object.entries(GROUPS).map(([name, members]) => ({
+    dn: groupDn(name),
+    attributes: {
+      objectclass: ['groupOfNames'],
+      cn: [name],
+      member: members.map(personDn)
+    }
+  }))
+];
+
+const credentials = new Map([
+  [normalizeDn(SERVICE_ACCOUNT.dn), SERVICE_ACCOUNT.password],
+  ...entries.filter(entry => entry.password).map(entry => [normalizeDn(entry.dn), entry.password])
+]);
+
+function inScope(dn, base, scope) {
+  const entry = normalizeDn(dn);
+  const root = normalizeDn(base);
+
+  if (scope === 'base') return entry === root;
+  if (!entry.endsWith(`,${root}`)) return false;
+  return scope === 'one' ? entry.split(',').length === root.split(',').length + 1 : true;
+}
+
+const server = ldap.createServer();
+
+server.bind(SUFFIX, (req, res, next) => {
+  const expected = credentials.get(normalizeDn(req.dn.toString()));
+
+  if (!expected || req.credentials !== expected) {
+    return next(new ldap.InvalidCredentialsError());
+  }
+
+  res.end();
+  return next();
+});
+
+server.search(SUFFIX, (req, res, next) => {
+  // Like most school directories, no anonymous reads
+  const boundAs = normalizeDn(req.connection.ldap.bindDN.toString());
+  if (!credentials.has(boundAs)) {
+    return next(new ldap.InsufficientAccessRightsError());
+  }
+
+  const matches = entries.filter(entry =>
+    inScope(entry.dn, req.dn.toString(), req.scope) &&
+    req.filter.matches({ dn: [entry.dn], ...entry.attributes }, false)
+  );
+
+  if (req.sizeLimit && matches.length > req.sizeLimit) {
+    matches.slice(0, req.sizeLimit).forEach(entry => res.send({ dn: entry.dn, attributes: entry.attributes }));
+    return next(new ldap.SizeLimitExceededError());
+  }
+
+  matches.forEach(entry => res.send({ dn: entry.dn, attributes: entry.attributes }));
+  res.end();
+  return next();
+});
+
+server.listen(PORT, '127.0.0.1', () => {
+  console.log(`LDAP stand-in for ${SUFFIX} listening at ${server.url}`);
+  console.log(`Service account: ${SERVICE_ACCOUNT.dn} / ${SERVICE_ACCOUNT.password}`);
+  PEOPLE.forEach(person => console.log(`  ${person.uid.padEnd(6)} ${person.password.padEnd(18)} ${person.o}`));
+});
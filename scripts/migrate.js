@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+
+/**
+ * Hatch OS database migrations
+ * Brings hatch.db, security.db and sync.db to the latest schema version,
+ * backing each one up first. The backend does the same on every start; this
+ * lets update-manager.js migrate (and fail) before restarting services.
+ *
+ * Usage: node scripts/migrate.js [--status]
+ */
+
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { wrap, db, dataDir } = require('../src/backend/database');
+const migrator = require('../src/backend/migrator');
+
+const DATABASES = ['hatch', 'security', 'sync'];
+
+// Reports versions without changing anything (or creating missing files)
+async function status() {
+  for (const name of DATABASES) {
+    const latest = migrator.loadMigrations(name).length;
+    const connection = new sqlite3.Database(path.join(dataDir, `${name}.db`), sqlite3.OPEN_READONLY, () => {});
+    const version = await migrator.getSchemaVersion(wrap(connection)).catch(() => null);
+    connection.close();
+
+    const state = version === null ? 'not versioned yet' : `v${version}`;
+    console.log(`${name}.db: ${state} (latest v${latest})${version === latest ? '' : ' - migration pending'}`);
+  }
+}
+
+async function migrateAll() {
+  // Loaded here: both open their databases as soon as they are required
+  const security = require('../src/backend/security');
+  const cloudSync = require('../src/backend/cloudSync');
+
+  const results = [
+    await migrator.migrate('hatch', db),
+    await security.initialize(),
+    await cloudSync.initialize()
+  ];
+
+  results.forEach(result => {
+    const change = result.from === result.to ? 'up to date' : `v${result.from} → v${result.to}`;
+    console.log(`${result.name}.db: ${change}${result.backup ? ` (backup: ${result.backup})` : ''}`);
+  });
+}
+
+(process.argv.includes('--status') ? status() : migrateAll())
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
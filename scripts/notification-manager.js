@@ -9,6 +9,9 @@ const https = require('https');
 const fs = require('fs-extra');
 const path = require('path');
 
+// Lowest first; filters.min_priority drops anything below it
+const PRIORITIES = ['low', 'normal', 'high', 'critical'];
+
 class NotificationManager {
   constructor() {
     this.config = this.loadConfig();
@@ -63,8 +66,17 @@ class NotificationManager {
         },
         systemError: {
           title: '⚠️ Hatch OS System Error',
-          color: '#FF6600'
+          color: '#FF6600',
+          priority: 'high'
+        },
+        securityAlert: {
+          title: '🔒 Hatch OS Security Alert',
+          color: '#8B0000',
+          priority: 'critical'
         }
+      },
+      filters: {
+        min_priority: 'normal'
       }
     };
 
@@ -80,34 +92,67 @@ class NotificationManager {
     return defaultConfig;
   }
 
-  async sendNotification(type, message, details = {}) {
+  meetsMinPriority(priority) {
+    const filters = this.config.filters || {};
+    const minimum = PRIORITIES.indexOf(filters.min_priority);
+    return PRIORITIES.indexOf(priority) >= Math.max(minimum, 0);
+  }
+
+  // options.priority overrides the template's. Returns { sent, reason, channels }
+  // where channels lists { channel, status: 'sent' | 'failed', error } for each
+  // channel that was tried; reason says why none was.
+  async sendNotification(type, message, details = {}, options = {}) {
     if (!this.config.enabled) {
-      return;
+      return { sent: false, reason: 'Notifications are disabled', channels: [] };
     }
 
     const template = this.config.templates[type] || this.config.templates.systemError;
+    const priority = options.priority || template.priority || 'normal';
+
+    if (!this.meetsMinPriority(priority)) {
+      return { sent: false, reason: `Priority ${priority} is below min_priority`, channels: [] };
+    }
     
     const notification = {
       type,
       title: template.title,
       message,
+      priority,
       timestamp: new Date().toISOString(),
       hostname: require('os').hostname(),
       version: this.getSystemVersion(),
       ...details
     };
 
-    const results = await Promise.allSettled([
-      this.sendSlackNotification(notification, template),
-      this.sendDiscordNotification(notification, template),
-      this.sendEmailNotification(notification, template),
-      this.sendWebhookNotification(notification, template)
-    ]);
+    // A sender returns undefined when its channel is off or not configured
+    const senders = {
+      slack: this.sendSlackNotification(notification, template),
+      discord: this.sendDiscordNotification(notification, template),
+      email: this.sendEmailNotification(notification, template),
+      webhook: this.sendWebhookNotification(notification, template)
+    };
+    const results = await Promise.allSettled(Object.values(senders));
+
+    const channels = Object.keys(senders)
+      .map((channel, index) => {
+        const result = results[index];
+        if (result.status === 'rejected') {
+          return { channel, status: 'failed', error: (result.reason && result.reason.message) || String(result.reason) };
+        }
+        return result.value === undefined ? null : { channel, status: 'sent', error: null };
+      })
+      .filter(Boolean);
 
-    const successful = results.filter(r => r.status === 'fulfilled').length;
-    const failed = results.filter(r => r.status === 'rejected').length;
+    const successful = channels.filter(c => c.status === 'sent').length;
+    const failed = channels.filter(c => c.status === 'failed').length;
     
     console.log(`📨 Sent notifications: ${successful} successful, ${failed} failed`);
+
+    return {
+      sent: successful > 0,
+      reason: channels.length === 0 ? 'No notification channel is configured' : null,
+      channels
+    };
   }
 
   async sendSlackNotification(notification, template) {
@@ -283,7 +328,7 @@ if (require.main === module) {
       console.log('Commands:');
       console.log('  test           - Test all notification channels');
       console.log('  send <type>    - Send a notification');
-      console.log('  Types: updateStart, updateSuccess, updateFailed, systemError');
+      console.log('  Types: updateStart, updateSuccess, updateFailed, systemError, securityAlert');
       break;
   }
 }
@@ -0,0 +1,188 @@
+#!/usr/bin/env node
+
+/**
+ * Hatch OS mock OpenID Connect issuer
+ * Just enough of an identity provider to develop single sign-on against:
+ * discovery, a sign-in page, authorization codes with PKCE (S256 only),
+ * the token endpoint and a JWKS with a key generated at start.
+ *
+ * Usage: node scripts/oidc-mock-issuer.js [--port 4011]
+ * Then set up single sign-on in the AdminPanel Security tab with issuer
+ * http://127.0.0.1:4011, client ID hatch-os and the default redirect URI.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const portArg = process.argv.indexOf('--port');
+const PORT = portArg > -1 ? parseInt(process.argv[portArg + 1], 10) : 4011;
+const ISSUER = `http://127.0.0.1:${PORT}`;
+
+const CLIENTS = {
+  'hatch-os': { redirectUris: ['http://127.0.0.1/oidc/callback'] }
+};
+
+const USERS = [
+  { sub: 'mock-0001', preferred_username: 'ms.rivera', name: 'Ana Rivera', email: 'ms.rivera@school.test', groups: ['teachers'], password: 'teach' },
+  { sub: 'mock-0002', preferred_username: 'mr.okafor', name: 'Chidi Okafor', email: 'mr.okafor@school.test', groups: ['it-staff', 'teachers'], password: 'admin' },
+  { sub: 'mock-0003', preferred_username: 'sam.lee', name: 'Sam Lee', email: 'sam.lee@school.test', groups: ['students'], password: 'learn' }
+];
+
+const CODE_TTL = 60 * 1000;
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+
+const codes = new Map();
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+const base64url = (buffer) => buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    scopes_supported: ['openid', 'profile', 'email'],
+    token_endpoint_auth_methods_supported: ['none', 'client_secret_post']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, alg: 'RS256', use: 'sig' }] });
+});
+
+// Checks shared by the sign-in page and its submission
+function authorizationError(params) {
+  const client = CLIENTS[params.client_id];
+  if (!client) return 'Unknown client_id';
+  if (!client.redirectUris.includes(params.redirect_uri)) return 'redirect_uri is not registered for this client';
+  if (params.response_type !== 'code') return 'Only response_type=code is supported';
+  if (!params.code_challenge || params.code_challenge_method !== 'S256') return 'PKCE with S256 is required';
+  return null;
+}
+
+function signInPage(params, message = '') {
+  const hidden = ['client_id', 'redirect_uri', 'response_type', 'scope', 'state', 'nonce', 'code_challenge', 'code_challenge_method']
+    .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(params[name] || '')}">`)
+    .join('');
+  const options = USERS
+    .map(user => `<option value="${user.preferred_username}">${user.name} (${user.groups.join(', ')})</option>`)
+    .join('');
+
+  return `<!doctype html>
+<html><head><title>Mock School Sign-in</title></head>
+<body style="font-family: sans-serif; max-width: 360px; margin: 3rem auto;">
+  <h2>Mock School Sign-in</h2>
+  ${message ? `<p style="color: #c0392b;">${escapeHtml(message)}</p>` : ''}
+  <form method="post" action="/authorize">
+    ${hidden}
+    <p><label>User<br><select name="username">${options}</select></label></p>
+    <p><label>Password<br><input type="password" name="password" autofocus></label></p>
+    <p><button type="submit">Sign in</button> <button type="submit" name="deny" value="1">Cancel</button></p>
+  </form>
+  <p><small>Passwords: ${USERS.map(user => `${user.preferred_username} / ${user.password}`).join(', ')}</small></p>
+</body></html>`;
+}
+
+app.get('/authorize', (req, res) => {
+  const problem = authorizationError(req.query);
+  if (problem) {
+    return res.status(400).send(escapeHtml(problem));
+  }
+  res.send(signInPage(req.query));
+});
+
+app.post('/authorize', (req, res) => {
+  const params = req.body;
+  const problem = authorizationError(params);
+  if (problem) {
+    return res.status(400).send(escapeHtml(problem));
+  }
+
+  const redirect = new URL(params.redirect_uri);
+  redirect.searchParams.set('state', params.state || '');
+
+  if (params.deny) {
+    redirect.searchParams.set('error', 'access_denied');
+    return res.redirect(redirect.toString());
+  }
+
+  const user = USERS.find(candidate => candidate.preferred_username === params.username);
+  if (!user || user.password !== params.password) {
+    return res.send(signInPage(params, 'Wrong password'));
+  }
+
+  const code = base64url(crypto.randomBytes(24));
+  codes.set(code, {
+    clientId: params.client_id,
+    redirectUri: params.redirect_uri,
+    codeChallenge: params.code_challenge,
+    nonce: params.nonce,
+    scope: params.scope || 'openid',
+    user,
+    expiresAt: Date.now() + CODE_TTL
+  });
+
+  redirect.searchParams.set('code', code);
+  res.redirect(redirect.toString());
+});
+
+app.post('/token', (req, res) => {
+  const { grant_type: grantType, code, redirect_uri: redirectUri, client_id: clientId, code_verifier: verifier } = req.body;
+  const grant = codes.get(code);
+  // Codes are single use, whatever the outcome
+  codes.delete(code);
+
+  if (grantType !== 'authorization_code' || !grant || grant.expiresAt < Date.now()) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+
+  if (grant.clientId !== clientId || grant.redirectUri !== redirectUri) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'client or redirect_uri mismatch' });
+  }
+
+  const challenge = base64url(crypto.createHash('sha256').update(verifier || '').digest());
+  if (challenge !== grant.codeChallenge) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+  }
+
+  const { user } = grant;
+  const scopes = grant.scope.split(' ');
+  const claims = {
+    nonce: grant.nonce,
+    groups: user.groups,
+    ...(scopes.includes('profile') ? { preferred_username: user.preferred_username, name: user.name } : {}),
+    ...(scopes.includes('email') ? { email: user.email, email_verified: true } : {})
+  };
+
+  const idToken = jwt.sign(claims, privateKey, {
+    algorithm: 'RS256',
+    keyid: KEY_ID,
+    issuer: ISSUER,
+    audience: clientId,
+    subject: user.sub,
+    expiresIn: '5m'
+  });
+
+  res.json({
+    access_token: base64url(crypto.randomBytes(24)),
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken
+  });
+});
+
+app.listen(PORT, '127.0.0.1', () => {
+  console.log(`Mock OIDC issuer listening at ${ISSUER}`);
+  console.log('Client ID: hatch-os (public, PKCE), redirect URI: http://127.0.0.1/oidc/callback');
+  USERS.forEach(user => console.log(`  ${user.preferred_username.padEnd(10)} ${user.password.padEnd(6)} ${user.groups.join(', ')}`));
+});
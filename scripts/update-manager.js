@@ -108,6 +108,57 @@ class HatchOSUpdater {
     });
   }
 
+  // Malware signatures are published in the repository like the code, but
+  // are installed between releases as soon as a newer version appears
+  async updateSignatures() {
+    const malware = require('../src/backend/malware');
+
+    try {
+      const source = await this.fetchText(
+        'raw.githubusercontent.com',
+        `/${this.config.repo}/${this.config.branch}/signatures/hatch.rules`
+      );
+      // Throws on a malformed file, which is then never installed
+      const latest = malware.parseSignatures(source);
+      const current = await malware.loadSignatures().catch(() => null);
+
+      if (current && latest.version <= current.version) {
+        this.log('info', `Malware signatures up to date (version ${current.version})`);
+        return false;
+      }
+
+      const temporary = `${malware.UPDATED_SIGNATURES}.tmp`;
+      await fs.ensureDir(path.dirname(malware.UPDATED_SIGNATURES));
+      await fs.writeFile(temporary, source);
+      await fs.move(temporary, malware.UPDATED_SIGNATURES, { overwrite: true });
+
+      this.log('info', `Malware signatures updated to version ${latest.version}`);
+      return true;
+    } catch (error) {
+      this.log('error', `Failed to update malware signatures: ${error.message}`);
+      return false;
+    }
+  }
+
+  fetchText(hostname, requestPath) {
+    return new Promise((resolve, reject) => {
+      const req = https.get({ hostname, path: requestPath, headers: { 'User-Agent': 'Hatch-OS-Updater/1.0.0' } }, (res) => {
+        if (res.statusCode !== 200) {
+          res.resume();
+          reject(new Error(`${hostname}${requestPath} returned ${res.statusCode}`));
+          return;
+        }
+
+        let data = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => data += chunk);
+        res.on('end', () => resolve(data));
+      });
+
+      req.on('error', reject);
+    });
+  }
+
   async getCurrentCommit() {
     return new Promise((resolve, reject) => {
       exec('git rev-parse HEAD', (error, stdout) => {
@@ -143,9 +194,15 @@ class HatchOSUpdater {
       // Install dependencies
       await this.installDependencies();
       
+      // Migrate database schemas; a failure here rolls back before restart
+      await this.migrateDatabases();
+      
       // Build application
       await this.buildApplication();
       
+      // The updated files become the new integrity baseline
+      await this.updateIntegrityBaseline();
+      
       // Start services
       await this.startServices();
       
@@ -267,6 +324,12 @@ class HatchOSUpdater {
     await this.execCommand('npm install --production');
   }
 
+  async migrateDatabases() {
+    this.log('info', 'Migrating databases...');
+    const output = await this.execCommand('node scripts/migrate.js');
+    output.trim().split('\n').forEach(line => this.log('info', line));
+  }
+
   async buildApplication() {
     this.log('info', 'Building application...');
     
@@ -277,6 +340,12 @@ class HatchOSUpdater {
     }
   }
 
+  async updateIntegrityBaseline() {
+    this.log('info', 'Updating file integrity baseline...');
+    const output = await this.execCommand('node scripts/integrity-baseline.js');
+    this.log('info', output.trim());
+  }
+
   async verifyUpdate() {
     this.log('info', 'Verifying update...');
     
@@ -333,6 +402,9 @@ class HatchOSUpdater {
       // Install dependencies
       await this.installDependencies();
       
+      // The restored files no longer match the baseline taken for the update
+      await this.updateIntegrityBaseline();
+      
       // Start services
       await this.startServices();
       
@@ -384,6 +456,8 @@ class HatchOSUpdater {
           this.log('info', 'Update available, starting automatic update');
           await this.performUpdate(updateInfo);
         }
+
+        await this.updateSignatures();
       } catch (error) {
         this.log('error', `Auto-update check failed: ${error.message}`);
       }
@@ -428,6 +502,10 @@ if (require.main === module) {
       });
       break;
       
+    case 'signatures':
+      updater.updateSignatures().then(() => process.exit(0));
+      break;
+      
     case 'auto':
       updater.startAutoUpdater();
       break;
@@ -437,6 +515,7 @@ if (require.main === module) {
       console.log('Commands:');
       console.log('  check  - Check for updates');
       console.log('  update - Download and install updates');  
+      console.log('  signatures - Download newer malware signatures');
       console.log('  auto   - Start auto-updater daemon');
       process.exit(1);
   }
@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+
+/**
+ * Hatch OS audit log verification
+ * Walks the hash chain of the audit log in hatch.db and reports every entry
+ * that was edited, removed or reordered since it was written. Opens the
+ * database read-only, so it can run next to the backend or against a copy.
+ *
+ * Usage: node scripts/verify-audit.js [--db path/to/hatch.db]
+ * Exits with 1 when the chain is broken.
+ */
+
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { wrap } = require('../src/backend/database');
+const audit = require('../src/backend/audit');
+
+const dbArg = process.argv.indexOf('--db');
+const DB_PATH = dbArg > -1 ? path.resolve(process.argv[dbArg + 1]) : path.join(__dirname, '../data/hatch.db');
+
+async function main() {
+  const connection = await new Promise((resolve, reject) => {
+    const opened = new sqlite3.Database(DB_PATH, sqlite3.OPEN_READONLY, (err) => (err ? reject(err) : resolve(opened)));
+  });
+
+  try {
+    const result = await audit.verify(wrap(connection));
+
+    console.log(`${DB_PATH}: ${result.entries} audit entries`);
+    if (result.head) {
+      console.log(`Head: #${result.head.seq} ${result.head.hash}`);
+    }
+
+    if (result.valid) {
+      console.log('✅ Audit chain intact');
+      return 0;
+    }
+
+    result.problems.forEach(problem => console.log(`❌ #${problem.seq}: ${problem.problem}`));
+    console.log(`Audit chain broken: ${result.problems.length} problem(s)`);
+    return 1;
+  } finally {
+    connection.close();
+  }
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
@@ -5,6 +5,17 @@ import Dashboard from './components/Dashboard';
 import AppLauncher from './components/AppLauncher';
 import Settings from './components/Settings';
 import AdminPanel from './components/AdminPanel';
+import TwoFactorSetup from './components/TwoFactorSetup';
+import SetupWizard from './components/SetupWizard';
+import ImpersonationBanner from './components/ImpersonationBanner';
+import {
+  apiFetch,
+  setAuthTokens,
+  clearAuthTokens,
+  onSessionExpired,
+  beginImpersonation,
+  endImpersonation
+} from './api';
 import './App.css';
 
 function App() {
@@ -12,15 +23,30 @@ function App() {
   const [user, setUser] = useState(null);
   const [systemInfo, setSystemInfo] = useState(null);
   const [isDistractionFree, setIsDistractionFree] = useState(false);
+  const [needsTwoFactorSetup, setNeedsTwoFactorSetup] = useState(false);
+  const [setupStatus, setSetupStatus] = useState(null);
+  // While viewing as another user: the signed-in user and their focus mode
+  const [impersonator, setImpersonator] = useState(null);
 
   useEffect(() => {
     // Initialize system
     initializeSystem();
+    loadSetupStatus();
     
     // Set up cloud sync interval (every 2 seconds as per PRD)
     const syncInterval = setInterval(syncCloudData, 2000);
+
+    // Refresh token rejected or revoked: back to the login screen
+    onSessionExpired(() => {
+      setIsAuthenticated(false);
+      setUser(null);
+      setImpersonator(null);
+    });
     
-    return () => clearInterval(syncInterval);
+    return () => {
+      clearInterval(syncInterval);
+      onSessionExpired(null);
+    };
   }, []);
 
   const initializeSystem = async () => {
@@ -34,6 +60,17 @@ function App() {
     }
   };
 
+  // A fresh install has no accounts until the first-boot wizard has run
+  const loadSetupStatus = async () => {
+    try {
+      const response = await fetch('/api/setup/status');
+      setSetupStatus(await response.json());
+    } catch (error) {
+      console.error('Failed to load setup status:', error);
+      setSetupStatus({ provisioned: true });
+    }
+  };
+
   const syncCloudData = async () => {
     if (isAuthenticated && user) {
       try {
@@ -53,33 +90,101 @@ function App() {
     }
   };
 
-  const handleLogin = (userData) => {
+  const handleLogin = (userData, tokens, twoFactorEnrollmentRequired = false) => {
+    setAuthTokens(tokens);
     setIsAuthenticated(true);
     setUser(userData);
+    setNeedsTwoFactorSetup(twoFactorEnrollmentRequired);
     
     // Log successful authentication
     console.log('User authenticated:', userData.username);
   };
 
-  const handleLogout = () => {
+  // Focus mode starts off in the view; toggling it there only previews the launcher
+  const startImpersonation = (result) => {
+    beginImpersonation(result);
+    setImpersonator({ user, isDistractionFree });
+    setUser(result.user);
+    setIsDistractionFree(false);
+  };
+
+  const stopImpersonation = async () => {
+    if (!impersonator) return;
+
+    try {
+      await apiFetch('/api/auth/impersonation/end', { method: 'POST' });
+    } catch (error) {
+      console.error('Failed to end view:', error);
+    }
+
+    const renewed = await endImpersonation();
+    setImpersonator(null);
+    if (renewed) {
+      setUser(impersonator.user);
+      setIsDistractionFree(impersonator.isDistractionFree);
+    }
+  };
+
+  const handleLogout = async () => {
+    if (impersonator) {
+      await stopImpersonation();
+    }
+
+    try {
+      await apiFetch('/api/auth/logout', { method: 'POST' });
+    } catch (error) {
+      console.error('Logout failed:', error);
+    }
+
+    clearAuthTokens();
     setIsAuthenticated(false);
     setUser(null);
+    setNeedsTwoFactorSetup(false);
   };
 
   const toggleDistractionFree = () => {
     setIsDistractionFree(!isDistractionFree);
-    if (window.hatchAPI) {
+    if (window.hatchAPI && !impersonator) {
       window.hatchAPI.setDistractionFree(!isDistractionFree);
     }
   };
 
+  if (setupStatus && !setupStatus.provisioned) {
+    return (
+      <SetupWizard
+        passwordPolicy={setupStatus.passwordPolicy}
+        onComplete={() => setSetupStatus({ ...setupStatus, provisioned: true })}
+      />
+    );
+  }
+
   if (!isAuthenticated) {
     return <LoginScreen onLogin={handleLogin} />;
   }
 
+  if (needsTwoFactorSetup) {
+    return (
+      <div className="login-screen">
+        <div className="login-container">
+          <TwoFactorSetup
+            required
+            onComplete={() => {
+              setNeedsTwoFactorSetup(false);
+              setUser({ ...user, twoFactorEnabled: true });
+            }}
+            onCancel={handleLogout}
+          />
+        </div>
+      </div>
+    );
+  }
+
   return (
     <Router>
       <div className="hatch-os">
+        {impersonator && user.impersonation && (
+          <ImpersonationBanner user={user} onEnd={stopImpersonation} />
+        )}
         <Routes>
           <Route 
             path="/" 
@@ -116,6 +221,7 @@ function App() {
             element={
               <AdminPanel 
                 user={user}
+                onImpersonate={impersonator ? null : startImpersonation}
               />
             } 
           />
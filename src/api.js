@@ -0,0 +1,111 @@
+// Thin wrapper around fetch that attaches the session token to backend calls
+// and silently renews it with the rotating refresh token when it expires.
+
+let authToken = null;
+let refreshToken = null;
+let refreshTimer = null;
+let pendingRefresh = null;
+let sessionExpiredHandler = null;
+let ownTokens = null;
+
+// Renew a little before the access token actually expires
+const REFRESH_MARGIN_SECONDS = 60;
+
+const scheduleRefresh = (expiresIn) => {
+  clearTimeout(refreshTimer);
+  if (!expiresIn) return;
+
+  const delay = Math.max(expiresIn - REFRESH_MARGIN_SECONDS, 5) * 1000;
+  refreshTimer = setTimeout(() => {
+    refreshSession().catch(() => {});
+  }, delay);
+};
+
+export const setAuthTokens = ({ token = null, refreshToken: nextRefreshToken = null, expiresIn = null } = {}) => {
+  authToken = token;
+  refreshToken = nextRefreshToken;
+  scheduleRefresh(token ? expiresIn : null);
+};
+
+export const clearAuthTokens = () => {
+  ownTokens = null;
+  setAuthTokens();
+};
+
+export const getAuthToken = () => authToken;
+
+// "View as" swaps in a read-only token that is never refreshed; the signed-in
+// user's own tokens are put aside until it ends
+export const beginImpersonation = ({ token }) => {
+  if (!ownTokens) {
+    ownTokens = { token: authToken, refreshToken };
+  }
+  setAuthTokens({ token });
+};
+
+// The own access token may have expired meanwhile, so renew it straight away
+export const endImpersonation = () => {
+  if (!ownTokens) {
+    return Promise.resolve(!!authToken);
+  }
+
+  setAuthTokens(ownTokens);
+  ownTokens = null;
+  return refreshSession();
+};
+
+export const onSessionExpired = (handler) => {
+  sessionExpiredHandler = handler;
+};
+
+// Concurrent callers share one in-flight refresh so the token is only rotated once
+export const refreshSession = () => {
+  if (!refreshToken) {
+    return Promise.resolve(false);
+  }
+
+  if (!pendingRefresh) {
+    pendingRefresh = fetch('/api/auth/refresh', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken })
+    })
+      .then(response => response.json())
+      .then(result => {
+        if (!result.success) {
+          clearAuthTokens();
+          if (sessionExpiredHandler) sessionExpiredHandler(result.message);
+          return false;
+        }
+
+        setAuthTokens(result);
+        return true;
+      })
+      .finally(() => {
+        pendingRefresh = null;
+      });
+  }
+
+  return pendingRefresh;
+};
+
+const withAuthHeader = (options) => {
+  const headers = { ...(options.headers || {}) };
+
+  if (authToken) {
+    headers.Authorization = `Bearer ${authToken}`;
+  }
+
+  return { ...options, headers };
+};
+
+export const apiFetch = async (url, options = {}) => {
+  const response = await fetch(url, withAuthHeader(options));
+
+  if (response.status !== 401 || !refreshToken) {
+    return response;
+  }
+
+  const renewed = await refreshSession();
+  return renewed ? fetch(url, withAuthHeader(options)) : response;
+};
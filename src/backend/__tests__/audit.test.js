@@ -0,0 +1,81 @@
+const { isolateDataDir, migrateDatabases } = require('./helpers/testDatabase');
+
+const dataDir = isolateDataDir();
+
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const database = require('../database');
+const audit = require('../audit');
+
+// Each case tampers with its own copy of the log, as someone with access to
+// the file would: the append-only triggers go first
+async function tamperedCopy(name, tamper) {
+  const file = path.join(dataDir, `${name}.db`);
+  await database.run('VACUUM INTO ?', [file]);
+
+  const connection = new sqlite3.Database(file);
+  const db = database.wrap(connection);
+  await db.run('DROP TRIGGER audit_log_no_update');
+  await db.run('DROP TRIGGER audit_log_no_delete');
+  await tamper(db);
+  return { db, close: () => new Promise(resolve => connection.close(resolve)) };
+}
+
+async function verifyTampered(name, tamper) {
+  const { db, close } = await tamperedCopy(name, tamper);
+  try {
+    return await audit.verify(db);
+  } finally {
+    await close();
+  }
+}
+
+describe('audit log chain', () => {
+  beforeAll(async () => {
+    await migrateDatabases();
+
+    for (let i = 1; i <= 5; i++) {
+      await audit.record({
+        category: 'admin',
+        action: 'user_updated',
+        actor: { id: null, username: 'auditor' },
+        target: { type: 'user', id: i },
+        before: { role: 'student' },
+        after: { role: 'teacher' }
+      });
+    }
+  });
+
+  test('an untouched log verifies', async () => {
+    const result = await audit.verify();
+    expect(result.valid).toBe(true);
+    expect(result.entries).toBe(5);
+    expect(result.head.seq).toBe(5);
+    expect(result.problems).toEqual([]);
+  });
+
+  test('the backend connection cannot change or remove entries', async () => {
+    await expect(database.run("UPDATE audit_log SET actor_name = 'someone-else' WHERE seq = 1")).rejects.toThrow('append-only');
+    await expect(database.run('DELETE FROM audit_log WHERE seq = 1')).rejects.toThrow('append-only');
+  });
+
+  test('detects an edited entry', async () => {
+    const result = await verifyTampered('edited', db => (
+      db.run(`UPDATE audit_log SET after_value = '{"role":"admin"}' WHERE seq = 3`)
+    ));
+    expect(result.valid).toBe(false);
+    expect(result.problems).toEqual([{ seq: 3, problem: 'contents do not match its hash (edited)' }]);
+  });
+
+  test('detects an entry removed from the middle', async () => {
+    const result = await verifyTampered('removed', db => db.run('DELETE FROM audit_log WHERE seq = 2'));
+    expect(result.valid).toBe(false);
+    expect(result.problems).toEqual([{ seq: 3, problem: 'entries 2-2 are missing' }]);
+  });
+
+  test('detects entries cut off the end', async () => {
+    const result = await verifyTampered('truncated', db => db.run('DELETE FROM audit_log WHERE seq >= 4'));
+    expect(result.valid).toBe(false);
+    expect(result.problems).toEqual([{ seq: 4, problem: 'entries 4-5 at the end are missing' }]);
+  });
+});
@@ -0,0 +1,62 @@
+const { isolateDataDir, migrateDatabases } = require('./helpers/testDatabase');
+
+isolateDataDir();
+
+const { run } = require('../database');
+const auth = require('../auth');
+const badges = require('../badges');
+const security = require('../security');
+
+const PASSWORD = 'Badge-Pass-42';
+const PIN = '4821';
+
+describe('badge sign-in', () => {
+  beforeAll(async () => {
+    await migrateDatabases();
+
+    const withPin = await auth.createUser({ username: 'badge.student', password: PASSWORD, pin: PIN });
+    await badges.enrollBadge({ userId: withPin.id, cardUid: '04A1B2C3' });
+
+    // Directory accounts start out like this, until the user sets a PIN
+    const withoutPin = await auth.createUser({ username: 'badge.nopin', password: PASSWORD, pin: PIN });
+    await run("UPDATE users SET pin_hash = '' WHERE id = ?", [withoutPin.id]);
+    await badges.enrollBadge({ userId: withoutPin.id, cardUid: '04D4E5F6' });
+  });
+
+  describe.each([true, false])('with require_pin %s', (requirePin) => {
+    beforeAll(async () => {
+      await security.updateSecurityPolicy('require_pin', requirePin);
+    });
+
+    test('asks for the PIN after the badge', async () => {
+      const result = await auth.startBadgeLogin({ cardUid: '04a1b2c3' });
+      expect(result.stage).toBe('challenge');
+      expect(result.requiredFactors).toEqual(['pin']);
+    });
+
+    test('does not sign in without the right PIN', async () => {
+      expect((await auth.authenticateWithBadge({ cardUid: '04A1B2C3' })).success).toBe(false);
+      expect((await auth.authenticateWithBadge({ cardUid: '04A1B2C3', pin: '0000' })).success).toBe(false);
+      await security.resetLoginAttempts('badge.student');
+
+      const result = await auth.authenticateWithBadge({ cardUid: '04A1B2C3', pin: PIN });
+      expect(result.success).toBe(true);
+      expect(result.stage).toBe('complete');
+    });
+
+    test('refuses a badge whose account has no PIN', async () => {
+      const result = await auth.startBadgeLogin({ cardUid: '04D4E5F6' });
+      expect(result).toEqual({ success: false, message: 'Set a PIN before signing in with a badge' });
+    });
+  });
+
+  test('require_pin decides only whether password sign-ins ask for the PIN', async () => {
+    await security.updateSecurityPolicy('require_pin', true);
+    const withPolicy = await auth.startLogin({ username: 'badge.student', password: PASSWORD });
+    expect(withPolicy.requiredFactors).toEqual(['pin']);
+
+    await security.updateSecurityPolicy('require_pin', false);
+    const withoutPolicy = await auth.startLogin({ username: 'badge.student', password: PASSWORD });
+    expect(withoutPolicy.stage).toBe('complete');
+  });
+});
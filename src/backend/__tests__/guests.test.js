@@ -0,0 +1,74 @@
+const { isolateDataDir, migrateDatabases } = require('./helpers/testDatabase');
+
+isolateDataDir();
+
+const { get } = require('../database');
+const auth = require('../auth');
+const guests = require('../guests');
+const permissions = require('../permissions');
+const users = require('../users');
+const { PERMISSIONS } = require('../../shared/permissions');
+
+describe('guest permission ceiling', () => {
+  let actor;
+  let batch;
+
+  beforeAll(async () => {
+    await migrateDatabases();
+    await permissions.syncLockedRoles();
+
+    const created = await auth.createUser({ username: 'guest.admin', password: 'Guest-Pass-42', pin: '4821', role: 'admin' });
+    actor = await get('SELECT * FROM users WHERE id = ?', [created.id]);
+
+    await permissions.createRole({ name: 'exam', permissions: [PERMISSIONS.APPS_LAUNCH] });
+    batch = await guests.createBatch({ count: 2, prefix: 'exam', role: 'exam', durationMinutes: 60 }, actor, null);
+    expect(batch.success).toBe(true);
+  });
+
+  const guestId = async (username) => (await get('SELECT id FROM users WHERE username = ?', [username])).id;
+
+  test('checking a code does not spend it', async () => {
+    const [account] = batch.accounts;
+    const result = await guests.authenticateGuest(account.username, account.code);
+    expect(result.user.username).toBe(account.username);
+
+    const again = await guests.authenticateGuest(account.username, account.code);
+    expect(again.user).toBeDefined();
+  });
+
+  test('a guest account cannot be moved to a role that grants more', async () => {
+    const id = await guestId(batch.accounts[0].username);
+
+    const result = await users.updateUser(id, { role: 'teacher' }, actor, null);
+    expect(result).toEqual({ success: false, message: 'The teacher role grants more than guests may have' });
+    expect((await get('SELECT role FROM users WHERE id = ?', [id])).role).toBe('exam');
+
+    expect((await users.updateUser(id, { role: 'student' }, actor, null)).success).toBe(true);
+  });
+
+  test('a role a live batch hands out cannot be widened', async () => {
+    const result = await permissions.updateRole('exam', { permissions: [PERMISSIONS.APPS_LAUNCH, PERMISSIONS.ADMIN_PANEL] }, null);
+    expect(result.success).toBe(false);
+    expect(await permissions.getPermissionsForRole('exam')).toEqual([PERMISSIONS.APPS_LAUNCH]);
+  });
+
+  test('nor can the role guests hold', async () => {
+    const result = await permissions.updateRole('guest', { permissions: [PERMISSIONS.APPS_LAUNCH, PERMISSIONS.USERS_VIEW] }, null);
+    expect(result.success).toBe(true);
+
+    // Unused so far; once a guest holds it, it is held to the ceiling
+    const id = await guestId(batch.accounts[1].username);
+    await permissions.updateRole('guest', { permissions: [PERMISSIONS.APPS_LAUNCH] }, null);
+    expect((await users.updateUser(id, { role: 'guest' }, actor, null)).success).toBe(true);
+
+    const widened = await permissions.updateRole('guest', { permissions: [PERMISSIONS.APPS_LAUNCH, PERMISSIONS.USERS_VIEW] }, null);
+    expect(widened.success).toBe(false);
+  });
+
+  test('once the batch is wiped the role is free again', async () => {
+    await guests.wipeBatch(batch.batch.id);
+
+    const result = await permissions.updateRole('exam', { permissions: [PERMISSIONS.APPS_LAUNCH, PERMISSIONS.ADMIN_PANEL] }, null);
+    expect(result.success).toBe(true);
+  });
+});
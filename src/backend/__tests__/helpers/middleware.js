@@ -0,0 +1,37 @@
+const { EventEmitter } = require('events');
+
+// Runs a request through Express-style middleware in order, the way the app
+// mounts them, and reports the status it was refused with, if any
+async function runMiddleware(middlewares, { method = 'GET', url = '/', token = null, body = {} } = {}) {
+  const req = {
+    method,
+    originalUrl: url,
+    headers: token ? { authorization: `Bearer ${token}` } : {},
+    ip: '127.0.0.1',
+    body
+  };
+  const res = new EventEmitter();
+  res.statusCode = 200;
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (payload) => {
+    res.body = payload;
+    res.emit('finish');
+  };
+
+  for (const middleware of middlewares) {
+    let passed = false;
+    await middleware(req, res, () => {
+      passed = true;
+    });
+    if (!passed) {
+      return { reached: false, status: res.statusCode, body: res.body, req };
+    }
+  }
+
+  return { reached: true, status: res.statusCode, req };
+}
+
+module.exports = { runMiddleware };
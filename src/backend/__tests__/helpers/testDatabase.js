@@ -0,0 +1,37 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+
+// Backend modules open their databases as soon as they are required, so a
+// test file calls isolateDataDir() before requiring any of them. Each file
+// gets its own directory and therefore fresh, empty databases.
+function isolateDataDir() {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'hatch-test-'));
+  process.env.HATCH_DATA_DIR = directory;
+  return directory;
+}
+
+// Schema for all three databases. security.db and sync.db are migrated over
+// their own connections: security.initialize() would also start the periodic
+// checks.
+async function migrateDatabases() {
+  const database = require('../../database');
+  const migrator = require('../../migrator');
+
+  await migrator.migrate('hatch', database.db);
+
+  for (const name of ['security', 'sync']) {
+    const connection = new sqlite3.Database(path.join(database.dataDir, `${name}.db`));
+    try {
+      await migrator.migrate(name, connection);
+    } finally {
+      await new Promise(resolve => connection.close(resolve));
+    }
+  }
+}
+
+module.exports = {
+  isolateDataDir,
+  migrateDatabases
+};
@@ -0,0 +1,112 @@
+const { isolateDataDir, migrateDatabases } = require('./helpers/testDatabase');
+
+isolateDataDir();
+
+const { EventEmitter } = require('events');
+const audit = require('../audit');
+const auth = require('../auth');
+const permissions = require('../permissions');
+const impersonation = require('../impersonation');
+const { requireAuth } = require('../authMiddleware');
+
+describe('isAllowedRequest', () => {
+  test.each([
+    ['GET', '/api/apps'],
+    ['HEAD', '/api/admin/users'],
+    ['GET', '/api/admin/users?institutionId=2'],
+    ['POST', '/api/auth/impersonation/end'],
+    ['POST', '/API/Auth/Impersonation/End']
+  ])('allows %s %s', (method, url) => {
+    expect(impersonation.isAllowedRequest(method, url)).toBe(true);
+  });
+
+  test.each([
+    ['POST', '/api/admin/users'],
+    ['PUT', '/api/auth/change-password'],
+    ['DELETE', '/api/admin/sessions/1'],
+    ['PATCH', '/api/admin/security/alerts/1'],
+    ['GET', '/api/admin/users/export'],
+    ['GET', '/api/admin/users/export?format=csv'],
+    ['GET', '/API/Admin/Users/Export'],
+    ['GET', '/api/admin/audit/verify'],
+    ['HEAD', '/api/ADMIN/audit/VERIFY']
+  ])('blocks %s %s', (method, url) => {
+    expect(impersonation.isAllowedRequest(method, url)).toBe(false);
+  });
+});
+
+describe('requests made while viewing as a user', () => {
+  let token;
+  let student;
+
+  beforeAll(async () => {
+    await migrateDatabases();
+
+    await auth.createUser({ username: 'view.teacher', password: 'Teacher-Pass-42', pin: '4821', role: 'teacher' });
+    student = await auth.createUser({ username: 'view.student', password: 'Student-Pass-42', pin: '4821' });
+
+    const login = await auth.authenticateUser({ username: 'view.teacher', password: 'Teacher-Pass-42', pin: '4821' });
+    const actor = await auth.verifyToken(login.token);
+    actor.permissions = await permissions.getPermissionsForRole(actor.role);
+
+    const started = await auth.startImpersonation(actor, student.id, actor.institution_id);
+    expect(started.success).toBe(true);
+    token = started.token;
+  });
+
+  // Runs requireAuth and reports whether the request reached the route
+  async function send(method, url) {
+    const req = { method, originalUrl: url, headers: { authorization: `Bearer ${token}` }, ip: '127.0.0.1' };
+    const res = new EventEmitter();
+    res.statusCode = 200;
+    res.status = (code) => {
+      res.statusCode = code;
+      return res;
+    };
+    res.json = () => res.emit('finish');
+
+    let reached = false;
+    await requireAuth(req, res, () => {
+      reached = true;
+      res.emit('finish');
+    });
+    return { reached, status: res.statusCode, user: req.user };
+  }
+
+  // Entries are written once the response is sent, behind the audit queue
+  async function auditedRequest(path) {
+    for (let attempt = 0; attempt < 50; attempt++) {
+      const entries = await audit.listEntries({ category: 'impersonation', action: 'impersonated_request' });
+      const entry = entries.find(candidate => candidate.details.path === path);
+      if (entry) return entry;
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    return undefined;
+  }
+
+  test('reads go through as the viewed user', async () => {
+    const result = await send('GET', '/api/apps');
+    expect(result.reached).toBe(true);
+    expect(result.user.username).toBe('view.student');
+  });
+
+  test.each([
+    ['POST', '/api/auth/change-password'],
+    ['DELETE', '/API/Auth/Sessions'],
+    ['GET', '/api/Admin/Users/Export?format=csv']
+  ])('refuses %s %s', async (method, url) => {
+    const result = await send(method, url);
+    expect(result.reached).toBe(false);
+    expect(result.status).toBe(403);
+  });
+
+  test('every request is audited with its outcome', async () => {
+    await send('POST', '/api/admin/users');
+
+    const entry = await auditedRequest('/api/admin/users');
+    expect(entry).toBeDefined();
+    expect(entry.actor_name).toBe('view.teacher');
+    expect(entry.target_id).toBe(String(student.id));
+    expect(entry.details).toMatchObject({ method: 'POST', path: '/api/admin/users', status: 403 });
+  });
+});
@@ -0,0 +1,77 @@
+const { isolateDataDir, migrateDatabases } = require('./helpers/testDatabase');
+
+isolateDataDir();
+
+const audit = require('../audit');
+const auth = require('../auth');
+const security = require('../security');
+
+const PASSWORD = 'Lockout-Pass-42';
+const MAX_ATTEMPTS = 5; // max_login_attempts default
+
+describe('failed-login lockout', () => {
+  let user;
+
+  beforeAll(async () => {
+    await migrateDatabases();
+    user = await auth.createUser({ username: 'lockout.student', password: PASSWORD, pin: '4821' });
+    await auth.createUser({ username: 'lockout.teacher', password: PASSWORD, pin: '4821', role: 'teacher' });
+  });
+
+  test('locks the account after too many wrong passwords until it is reset', async () => {
+    for (let attempt = 1; attempt < MAX_ATTEMPTS; attempt++) {
+      const result = await auth.startLogin({ username: 'lockout.student', password: 'wrong' });
+      expect(result.locked).toBeUndefined();
+    }
+
+    const last = await auth.startLogin({ username: 'lockout.student', password: 'wrong' });
+    expect(last.locked).toBe(true);
+
+    // The right password no longer helps
+    const locked = await auth.startLogin({ username: 'lockout.student', password: PASSWORD });
+    expect(locked.locked).toBe(true);
+
+    // Lockout events name the account by id, with the username in the details
+    const events = await audit.listEntries({ category: 'security', action: 'login_blocked' });
+    expect(events.length).toBeGreaterThan(0);
+    for (const event of events) {
+      expect(event.actor_id).toBe(user.id);
+      expect(event.details.username).toBe('lockout.student');
+    }
+
+    await security.resetLoginAttempts('lockout.student');
+    const unlocked = await auth.startLogin({ username: 'lockout.student', password: PASSWORD });
+    expect(unlocked.success).toBe(true);
+  });
+
+  test('locks a remote address that keeps failing, whatever the username', async () => {
+    const context = { ipAddress: '::ffff:203.0.113.7' };
+
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+      await auth.startLogin({ username: `nobody${attempt}`, password: 'wrong' }, context);
+    }
+
+    const otherAccount = await auth.startLogin({ username: 'lockout.teacher', password: PASSWORD }, context);
+    expect(otherAccount.locked).toBe(true);
+
+    const lockouts = await security.getIPLockouts();
+    expect(lockouts.map(lockout => lockout.ip_address)).toEqual(['203.0.113.7']);
+
+    // Other addresses are unaffected
+    const elsewhere = await auth.startLogin({ username: 'lockout.teacher', password: PASSWORD }, { ipAddress: '203.0.113.8' });
+    expect(elsewhere.success).toBe(true);
+
+    expect(await security.resetIPLockout('203.0.113.7')).toBe(1);
+    const unlocked = await auth.startLogin({ username: 'lockout.teacher', password: PASSWORD }, context);
+    expect(unlocked.success).toBe(true);
+  });
+
+  test.each(['127.0.0.1', '::1', '::ffff:127.0.0.1'])('never locks the kiosk itself (%s)', async (ipAddress) => {
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+      await security.recordFailedLogin(ipAddress, `kiosk${attempt}`);
+    }
+
+    const lockout = await security.getLoginLockout(ipAddress, 'lockout.teacher');
+    expect(lockout.locked).toBe(false);
+  });
+});
@@ -0,0 +1,87 @@
+const { isolateDataDir, migrateDatabases } = require('./helpers/testDatabase');
+
+const dataDir = isolateDataDir();
+
+const fs = require('fs-extra');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+
+const home = path.join(dataDir, 'home');
+const outside = path.join(dataDir, 'etc');
+process.env.HATCH_MALWARE_CONFIG = path.join(dataDir, 'malware.json');
+fs.writeJsonSync(process.env.HATCH_MALWARE_CONFIG, {
+  scanPaths: [home],
+  quarantineDir: path.join(dataDir, 'quarantine')
+});
+
+const { wrap } = require('../database');
+const malware = require('../malware');
+
+const EICAR = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+describe('restoring quarantined files', () => {
+  let connection;
+  let db;
+
+  beforeAll(async () => {
+    await migrateDatabases();
+    connection = new sqlite3.Database(path.join(dataDir, 'security.db'));
+    db = wrap(connection);
+  });
+
+  afterAll(() => new Promise(resolve => connection.close(resolve)));
+
+  // Places a test file in a student's folder and lets a scan quarantine it.
+  // Each one differs, since a restored file's hash is not quarantined again.
+  async function quarantine(relativePath) {
+    const file = path.join(home, relativePath);
+    await fs.outputFile(file, `${EICAR}\n${relativePath}`);
+
+    const result = await malware.scan(db, { full: true });
+    const detection = result.detections.find(candidate => candidate.path === file);
+    expect(detection.quarantineId).toBeTruthy();
+    expect(await fs.pathExists(file)).toBe(false);
+    return { file, id: detection.quarantineId };
+  }
+
+  test('puts a false positive back where it was', async () => {
+    const { file, id } = await quarantine('student/docs/report.txt');
+    await fs.remove(path.join(home, 'student/docs'));
+
+    const result = await malware.restore(db, id, null);
+    expect(result.success).toBe(true);
+    expect(await fs.readFile(file, 'utf8')).toBe(`${EICAR}\nstudent/docs/report.txt`);
+  });
+
+  test('refuses when a parent directory was replaced with a symlink', async () => {
+    const { id } = await quarantine('student/notes/essay.txt');
+    await fs.ensureDir(outside);
+    await fs.remove(path.join(home, 'student/notes'));
+    await fs.symlink(outside, path.join(home, 'student/notes'));
+
+    const result = await malware.restore(db, id, null);
+    expect(result.success).toBe(false);
+    expect(await fs.readdir(outside)).toEqual([]);
+
+    const record = await db.get('SELECT status FROM quarantine WHERE id = ?', [id]);
+    expect(record.status).toBe('quarantined');
+  });
+
+  test('refuses when the file itself was replaced with a symlink', async () => {
+    const { file, id } = await quarantine('student/essay2.txt');
+    await fs.symlink(path.join(outside, 'passwd'), file);
+
+    const result = await malware.restore(db, id, null);
+    expect(result.success).toBe(false);
+    expect(await fs.pathExists(path.join(outside, 'passwd'))).toBe(false);
+  });
+
+  test('refuses a path that is not under a scan path', async () => {
+    const { id } = await quarantine('student/essay3.txt');
+    await db.run('UPDATE quarantine SET original_path = ? WHERE id = ?', [path.join(outside, 'essay3.txt'), id]);
+
+    const result = await malware.restore(db, id, null);
+    expect(result.success).toBe(false);
+    expect(await fs.pathExists(path.join(outside, 'essay3.txt'))).toBe(false);
+  });
+});
@@ -0,0 +1,81 @@
+const { isolateDataDir } = require('./helpers/testDatabase');
+
+const dataDir = isolateDataDir();
+
+const fs = require('fs-extra');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const database = require('../database');
+const migrator = require('../migrator');
+const permissions = require('../permissions');
+const { BUILTIN_ROLES } = require('../../shared/permissions');
+
+const LATEST = migrator.loadMigrations('hatch').length;
+
+function openDatabase(file) {
+  return new sqlite3.Database(path.join(dataDir, file));
+}
+
+function closeDatabase(connection) {
+  return new Promise(resolve => connection.close(resolve));
+}
+
+describe('hatch.db migrations', () => {
+  test('a fresh database gets every migration and the built-in roles, without a backup', async () => {
+    const result = await migrator.migrate('hatch', database.db);
+    expect(result).toEqual({ name: 'hatch', from: 0, to: LATEST, backup: null });
+
+    await permissions.syncLockedRoles();
+    for (const [role, definition] of Object.entries(BUILTIN_ROLES)) {
+      const granted = await permissions.getPermissionsForRole(role);
+      expect([...granted].sort()).toEqual([...definition.permissions].sort());
+    }
+
+    // Nothing left to do the second time
+    expect(await migrator.migrate('hatch', database.db)).toEqual({ name: 'hatch', from: LATEST, to: LATEST, backup: null });
+  });
+
+  test('a database from before versioning is backed up and brought up to date, keeping its data', async () => {
+    const connection = openDatabase('legacy-hatch.db');
+    const db = database.wrap(connection);
+
+    try {
+      // An earlier release created the same tables without schema_version
+      await require('../migrations/hatch/001_baseline').up(db);
+      await db.run("INSERT INTO users (username, password_hash, pin_hash, role) VALUES ('legacy.student', 'x', 'y', 'student')");
+      // An admin's change to a built-in role must survive the upgrade
+      await db.run("INSERT INTO role_permissions (role, permission) VALUES ('student', 'reports.export')");
+
+      const result = await migrator.migrate('hatch', connection);
+      expect(result.from).toBe(0);
+      expect(result.to).toBe(LATEST);
+      expect(await fs.pathExists(result.backup)).toBe(true);
+
+      const user = await db.get("SELECT * FROM users WHERE username = 'legacy.student'");
+      expect(user.role).toBe('student');
+      expect(user).toHaveProperty('otp_last_step', null);
+
+      const grants = async (role) => (await db.all('SELECT permission FROM role_permissions WHERE role = ?', [role]))
+        .map(row => row.permission).sort();
+      expect(await grants('student')).toEqual(['apps.launch', 'reports.export']);
+      expect(await grants('teacher')).toEqual([...BUILTIN_ROLES.teacher.permissions].sort());
+      expect(await grants('guest')).toEqual(BUILTIN_ROLES.guest.permissions);
+    } finally {
+      await closeDatabase(connection);
+    }
+  });
+
+  test('refuses a database newer than this build', async () => {
+    const connection = openDatabase('future-hatch.db');
+    const db = database.wrap(connection);
+
+    try {
+      await migrator.migrate('hatch', connection);
+      await db.run("INSERT INTO schema_version (version, name) VALUES (?, 'from_the_future')", [LATEST + 1]);
+
+      await expect(migrator.migrate('hatch', connection)).rejects.toThrow('newer than this build supports');
+    } finally {
+      await closeDatabase(connection);
+    }
+  });
+});
@@ -0,0 +1,59 @@
+const { isolateDataDir, migrateDatabases } = require('./helpers/testDatabase');
+
+isolateDataDir();
+
+const jwt = require('jsonwebtoken');
+const { get } = require('../database');
+const auth = require('../auth');
+
+describe('refresh token rotation', () => {
+  beforeAll(async () => {
+    await migrateDatabases();
+    await auth.createUser({ username: 'rotation.student', password: 'Rotation-Pass-42', pin: '4821' });
+  });
+
+  async function signIn() {
+    const login = await auth.authenticateUser({ username: 'rotation.student', password: 'Rotation-Pass-42', pin: '4821' });
+    expect(login.success).toBe(true);
+
+    const { sid } = jwt.decode(login.token);
+    return { sessionId: sid, refreshToken: login.refreshToken };
+  }
+
+  test('each refresh issues a new token and spends the old one', async () => {
+    const { refreshToken } = await signIn();
+
+    const first = await auth.refreshSession(refreshToken);
+    expect(first.success).toBe(true);
+    expect(first.refreshToken).not.toBe(refreshToken);
+
+    const second = await auth.refreshSession(first.refreshToken);
+    expect(second.success).toBe(true);
+  });
+
+  test('presenting a spent token revokes the session and the whole family', async () => {
+    const { sessionId, refreshToken } = await signIn();
+
+    const rotated = await auth.refreshSession(refreshToken);
+    expect(rotated.success).toBe(true);
+
+    const replay = await auth.refreshSession(refreshToken);
+    expect(replay).toEqual({ success: false, message: 'Session has been revoked' });
+
+    const session = await get('SELECT revoked_at, revoked_reason FROM sessions WHERE id = ?', [sessionId]);
+    expect(session.revoked_at).not.toBeNull();
+    expect(session.revoked_reason).toBe('refresh_token_reuse');
+
+    // The successor the legitimate client still holds is dead as well
+    const successor = await auth.refreshSession(rotated.refreshToken);
+    expect(successor.success).toBe(false);
+
+    const live = await get('SELECT COUNT(*) AS count FROM refresh_tokens WHERE session_id = ? AND used_at IS NULL', [sessionId]);
+    expect(live.count).toBe(0);
+  });
+
+  test('an unknown token is rejected without touching any session', async () => {
+    const result = await auth.refreshSession('not-a-real-token');
+    expect(result).toEqual({ success: false, message: 'Invalid or expired refresh token' });
+  });
+});
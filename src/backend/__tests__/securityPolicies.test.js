@@ -0,0 +1,89 @@
+const { isolateDataDir, migrateDatabases } = require('./helpers/testDatabase');
+
+isolateDataDir();
+
+const audit = require('../audit');
+const security = require('../security');
+const securityPolicies = require('../securityPolicies');
+
+describe('validatePolicy', () => {
+  test.each([
+    ['no_such_policy', 5, 'Unknown security policy: no_such_policy'],
+    ['max_login_attempts', 'fivee', 'max_login_attempts must be a whole number'],
+    ['max_login_attempts', '4.5', 'max_login_attempts must be a whole number'],
+    ['max_login_attempts', 0, 'max_login_attempts must be between 1 and 100'],
+    ['lockout_duration', 86401, 'lockout_duration must be between 30 and 86400'],
+    ['require_pin', 'yes', 'require_pin must be true or false'],
+    ['2fa_required_roles', 'admin,Teacher!', '2fa_required_roles contains an invalid entry: Teacher!']
+  ])('rejects %s = %p', (name, value, message) => {
+    expect(securityPolicies.validatePolicy(name, value)).toEqual({ success: false, message });
+  });
+
+  test.each([
+    ['max_login_attempts', ' 7 ', 7, '7'],
+    ['require_pin', 'false', false, '0'],
+    ['2fa_required_roles', ['admin', ' teacher', 'admin'], ['admin', 'teacher'], 'admin,teacher']
+  ])('accepts %s = %p', (name, value, parsed, stored) => {
+    expect(securityPolicies.validatePolicy(name, value)).toEqual({ success: true, value: parsed, stored });
+  });
+});
+
+describe('parsePolicy', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('reads stored strings as their type', () => {
+    expect(securityPolicies.parsePolicy('session_timeout', '900')).toBe(900);
+    expect(securityPolicies.parsePolicy('enable_2fa', '1')).toBe(true);
+  });
+
+  test.each([
+    ['max_login_attempts', 'fivee', 5],
+    ['max_login_attempts', '1000', 5],
+    ['block_suspicious_ips', 'maybe', true],
+    ['session_timeout', null, 28800]
+  ])('falls back to the default for %s = %p', (name, stored, fallback) => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    expect(securityPolicies.parsePolicy(name, stored)).toEqual(fallback);
+  });
+
+  test('throws for an unknown policy', () => {
+    expect(() => securityPolicies.parsePolicy('no_such_policy', '1')).toThrow('Unknown security policy');
+  });
+});
+
+describe('updateSecurityPolicy', () => {
+  const actor = { id: null, username: 'policy.editor' };
+
+  beforeAll(async () => {
+    await migrateDatabases();
+  });
+
+  const policyEntries = () => audit.listEntries({ category: 'policy', action: 'security_policy_changed' });
+
+  test('a change takes effect at once and is written to the audit log', async () => {
+    const result = await security.updateSecurityPolicy('max_login_attempts', '8', actor);
+    expect(result).toEqual({ success: true, changed: true, value: 8 });
+    expect(await security.getPolicyValue('max_login_attempts')).toBe(8);
+
+    const [entry] = await policyEntries();
+    expect(entry.actor_name).toBe('policy.editor');
+    expect(entry.target_type).toBe('security_policy');
+    expect(entry.target_id).toBe('max_login_attempts');
+    expect(entry.before_value).toEqual({ value: null });
+    expect(entry.after_value).toEqual({ value: '8' });
+  });
+
+  test('saving the same value writes nothing', async () => {
+    const before = (await policyEntries()).length;
+
+    const result = await security.updateSecurityPolicy('max_login_attempts', 8, actor);
+    expect(result.changed).toBe(false);
+    expect(await policyEntries()).toHaveLength(before);
+  });
+
+  test('an invalid value is refused and leaves the policy as it was', async () => {
+    const result = await security.updateSecurityPolicy('max_login_attempts', 'fivee', actor);
+    expect(result.success).toBe(false);
+    expect(await security.getPolicyValue('max_login_attempts')).toBe(8);
+  });
+});
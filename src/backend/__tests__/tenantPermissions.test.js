@@ -0,0 +1,102 @@
+const { isolateDataDir, migrateDatabases } = require('./helpers/testDatabase');
+const { runMiddleware } = require('./helpers/middleware');
+
+isolateDataDir();
+
+const auth = require('../auth');
+const permissions = require('../permissions');
+const { requireAuth, requirePermission, requireAllInstitutions } = require('../authMiddleware');
+const { PERMISSIONS } = require('../../shared/permissions');
+
+async function signIn(username) {
+  const login = await auth.authenticateUser({ username, password: 'Tenant-Pass-42', pin: '4821' });
+  expect(login.success).toBe(true);
+  return login.token;
+}
+
+describe('installation-wide settings', () => {
+  const tokens = {};
+
+  beforeAll(async () => {
+    await migrateDatabases();
+    await permissions.syncLockedRoles();
+
+    await auth.createUser({ username: 'school.admin', password: 'Tenant-Pass-42', pin: '4821', role: 'admin', institution: 'North School' });
+    await auth.createUser({ username: 'install.super', password: 'Tenant-Pass-42', pin: '4821', role: 'superadmin', institution: 'North School' });
+    tokens.admin = await signIn('school.admin');
+    tokens.superadmin = await signIn('install.super');
+  });
+
+  test('institution admins no longer hold the shared role and IP permissions', async () => {
+    const granted = await permissions.getPermissionsForRole('admin');
+    expect(granted).not.toContain(PERMISSIONS.ROLES_MANAGE);
+    expect(granted).not.toContain(PERMISSIONS.SECURITY_IPS_MANAGE);
+    // Their own institution's single sign-on settings stay theirs
+    expect(granted).toContain(PERMISSIONS.SECURITY_POLICIES_EDIT);
+  });
+
+  test('custom roles cannot be given them either', async () => {
+    const result = await permissions.createRole({ name: 'deputy', permissions: [PERMISSIONS.ROLES_MANAGE] });
+    expect(result.success).toBe(false);
+  });
+
+  test.each([
+    ['roles', PERMISSIONS.ROLES_MANAGE],
+    ['IP blocks', PERMISSIONS.SECURITY_IPS_MANAGE],
+    ['security policies', PERMISSIONS.SECURITY_POLICIES_EDIT]
+  ])('a scoped admin gets a 403 for %s', async (setting, permission) => {
+    const result = await runMiddleware(
+      [requireAuth, requirePermission(permission), requireAllInstitutions],
+      { method: 'PUT', token: tokens.admin }
+    );
+    expect(result.reached).toBe(false);
+    expect(result.status).toBe(403);
+  });
+
+  test.each([PERMISSIONS.ROLES_MANAGE, PERMISSIONS.SECURITY_IPS_MANAGE, PERMISSIONS.SECURITY_POLICIES_EDIT])(
+    'a superadmin may change %s',
+    async (permission) => {
+      const result = await runMiddleware(
+        [requireAuth, requirePermission(permission), requireAllInstitutions],
+        { method: 'PUT', token: tokens.superadmin }
+      );
+      expect(result.reached).toBe(true);
+    }
+  );
+
+  test('grants from before the change are removed on upgrade', async () => {
+    const migration = require('../migrations/hatch/009_cross_tenant_grants');
+    const database = require('../database');
+
+    await database.run("INSERT INTO role_permissions (role, permission) VALUES ('teacher', 'roles.manage')");
+    await migration.up(database);
+
+    expect(await permissions.getPermissionsForRole('teacher')).not.toContain(PERMISSIONS.ROLES_MANAGE);
+    expect(await permissions.getPermissionsForRole('superadmin')).toContain(PERMISSIONS.ROLES_MANAGE);
+  });
+});
+
+describe('editing roles', () => {
+  beforeAll(async () => {
+    await permissions.createRole({ name: 'librarian', permissions: [PERMISSIONS.APPS_LAUNCH] });
+  });
+
+  test.each(['teacher', 'student', 'developer', 'guest'])('the built-in %s role is refused to a scoped editor', async (role) => {
+    const before = await permissions.getPermissionsForRole(role);
+
+    const result = await permissions.updateRole(role, { permissions: [PERMISSIONS.ADMIN_PANEL] }, 1);
+    expect(result.success).toBe(false);
+    expect(result.forbidden).toBe(true);
+    expect(await permissions.getPermissionsForRole(role)).toEqual(before);
+  });
+
+  test('a super-admin may change a built-in role', async () => {
+    const result = await permissions.updateRole('developer', { description: 'Developer tools' }, null);
+    expect(result.success).toBe(true);
+  });
+
+  test('custom roles stay editable', async () => {
+    const result = await permissions.updateRole('librarian', { permissions: [PERMISSIONS.APPS_LAUNCH, PERMISSIONS.USERS_VIEW] }, 1);
+    expect(result.success).toBe(true);
+  });
+});
@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const database = require('./database');
+
+// Append-only audit log across sign-ins, admin changes and security events.
+// Each entry's hash covers its own fields and the previous entry's hash, so
+// editing, deleting or reordering any row breaks the chain from that row on;
+// verify() walks the chain and reports where.
+
+const GENESIS_HASH = '0'.repeat(64);
+const VERIFY_PAGE_SIZE = 500;
+
+// Hashed in this order; adding a column means adding it at the end
+const HASHED_FIELDS = [
+  'seq', 'timestamp', 'category', 'action', 'actor_id', 'actor_name', 'target_type', 'target_id',
+  'institution_id', 'ip_address', 'before_value', 'after_value', 'details', 'prev_hash'
+];
+
+function entryHash(entry) {
+  const values = HASHED_FIELDS.map(field => (entry[field] === undefined ? null : entry[field]));
+  return crypto.createHash('sha256').update(JSON.stringify(values)).digest('hex');
+}
+
+// Stored values must hash the same when read back, so INTEGER columns get numbers
+const toInteger = (value) => (value === undefined || value === null ? null : parseInt(value, 10));
+
+const toJson = (value) => (value === undefined || value === null ? null : JSON.stringify(value));
+
+// Names are stored with the entry so purging an account keeps its history readable
+async function resolveActor(actor) {
+  const id = actor && /^\d+$/.test(String(actor.id)) ? parseInt(actor.id, 10) : null;
+  if (id === null) {
+    return { id: null, username: actor ? actor.username || (actor.id ? String(actor.id) : null) : null, institutionId: null };
+  }
+
+  const user = await database.get('SELECT username, institution_id FROM users WHERE id = ?', [id]);
+  return {
+    id,
+    username: actor.username || (user ? user.username : null),
+    institutionId: user ? user.institution_id : null
+  };
+}
+
+async function append({ category, action, actor, target, institutionId, ipAddress, before, after, details }) {
+  const resolved = await resolveActor(actor);
+  const last = await database.get('SELECT seq, hash FROM audit_log ORDER BY seq DESC LIMIT 1');
+
+  const entry = {
+    seq: last ? last.seq + 1 : 1,
+    timestamp: new Date().toISOString(),
+    category,
+    action,
+    actor_id: resolved.id,
+    actor_name: resolved.username,
+    target_type: target ? target.type : null,
+    target_id: target && target.id !== undefined && target.id !== null ? String(target.id) : null,
+    institution_id: toInteger(institutionId === undefined ? resolved.institutionId : institutionId),
+    ip_address: ipAddress || null,
+    before_value: toJson(before),
+    after_value: toJson(after),
+    details: toJson(details),
+    prev_hash: last ? last.hash : GENESIS_HASH
+  };
+  entry.hash = entryHash(entry);
+
+  await database.run(
+    `INSERT INTO audit_log (${HASHED_FIELDS.join(', ')}, hash) VALUES (${HASHED_FIELDS.map(() => '?').join(', ')}, ?)`,
+    [...HASHED_FIELDS.map(field => entry[field]), entry.hash]
+  );
+  return entry;
+}
+
+// Appends run one at a time so every entry sees its predecessor's hash.
+// A failed write is reported but never fails the action being audited.
+let tail = Promise.resolve();
+
+function record(entry) {
+  const result = tail.then(() => append(entry)).catch(error => {
+    console.error(`Failed to write audit entry ${entry.action}:`, error);
+    return null;
+  });
+  tail = result;
+  return result;
+}
+
+// Walks the whole chain. db defaults to the backend connection; the verify
+// script passes a read-only one.
+async function verify(db = database) {
+  const problems = [];
+  let expectedSeq = 1;
+  let previousHash = GENESIS_HASH;
+  let count = 0;
+
+  for (;;) {
+    const rows = await db.all(
+      'SELECT * FROM audit_log WHERE seq >= ? ORDER BY seq ASC LIMIT ?',
+      [expectedSeq, VERIFY_PAGE_SIZE]
+    );
+    if (rows.length === 0) break;
+
+    for (const row of rows) {
+      if (row.seq !== expectedSeq) {
+        problems.push({ seq: row.seq, problem: `entries ${expectedSeq}-${row.seq - 1} are missing` });
+      } else if (row.prev_hash !== previousHash) {
+        problems.push({ seq: row.seq, problem: 'does not follow the previous entry (removed or reordered)' });
+      }
+
+      if (entryHash(row) !== row.hash) {
+        problems.push({ seq: row.seq, problem: 'contents do not match its hash (edited)' });
+      }
+
+      previousHash = row.hash;
+      expectedSeq = row.seq + 1;
+      count += 1;
+    }
+  }
+
+  // AUTOINCREMENT remembers the highest seq ever issued, which exposes a cut-off tail
+  const sequence = await db.get("SELECT seq FROM sqlite_sequence WHERE name = 'audit_log'");
+  if (sequence && sequence.seq >= expectedSeq) {
+    problems.push({ seq: expectedSeq, problem: `entries ${expectedSeq}-${sequence.seq} at the end are missing` });
+  }
+
+  return {
+    valid: problems.length === 0,
+    entries: count,
+    head: count > 0 ? { seq: expectedSeq - 1, hash: previousHash } : null,
+    problems
+  };
+}
+
+// filters: category, action, actor (name), targetType, targetId, from, to (ISO
+// dates), beforeSeq for paging. institutionId null lists every institution.
+async function listEntries(filters = {}, institutionId = null, limit = 100) {
+  const conditions = [];
+  const params = [];
+
+  if (institutionId !== null) {
+    conditions.push('institution_id = ?');
+    params.push(institutionId);
+  }
+
+  const exact = { category: 'category', action: 'action', targetType: 'target_type', targetId: 'target_id' };
+  for (const [filter, column] of Object.entries(exact)) {
+    if (filters[filter]) {
+      conditions.push(`${column} = ?`);
+      params.push(String(filters[filter]));
+    }
+  }
+
+  if (filters.actor) {
+    conditions.push('actor_name LIKE ?');
+    params.push(`%${filters.actor}%`);
+  }
+  if (filters.from) {
+    conditions.push('timestamp >= ?');
+    params.push(filters.from);
+  }
+  if (filters.to) {
+    conditions.push('timestamp <= ?');
+    params.push(filters.to);
+  }
+  if (filters.beforeSeq) {
+    conditions.push('seq < ?');
+    params.push(parseInt(filters.beforeSeq, 10));
+  }
+
+  const rows = await database.all(
+    `SELECT * FROM audit_log ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY seq DESC LIMIT ?`,
+    [...params, Math.min(Math.max(parseInt(limit, 10) || 100, 1), 500)]
+  );
+
+  // An edited row may no longer hold valid JSON; show it as stored
+  const parse = (value) => {
+    try {
+      return value === null ? null : JSON.parse(value);
+    } catch (error) {
+      return value;
+    }
+  };
+  return rows.map(row => ({
+    ...row,
+    before_value: parse(row.before_value),
+    after_value: parse(row.after_value),
+    details: parse(row.details)
+  }));
+}
+
+async function listActions() {
+  const rows = await database.all('SELECT DISTINCT category, action FROM audit_log ORDER BY category, action');
+  return rows;
+}
+
+module.exports = {
+  record,
+  verify,
+  listEntries,
+  listActions
+};
@@ -1,129 +1,56 @@
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const speakeasy = require('speakeasy');
-const sqlite3 = require('sqlite3').verbose();
-const path = require('path');
-const fs = require('fs-extra');
-
-// Initialize database
-const dbPath = path.join(__dirname, '../../data/hatch.db');
-fs.ensureDirSync(path.dirname(dbPath));
-
-const db = new sqlite3.Database(dbPath);
-
-// Create tables if they don't exist
-db.serialize(() => {
-  db.run(`
-    CREATE TABLE IF NOT EXISTS users (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      username TEXT UNIQUE NOT NULL,
-      password_hash TEXT NOT NULL,
-      pin_hash TEXT NOT NULL,
-      otp_secret TEXT,
-      role TEXT DEFAULT 'student',
-      institution TEXT,
-      active INTEGER DEFAULT 1,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      last_login DATETIME
-    )
-  `);
-  
-  db.run(`
-    CREATE TABLE IF NOT EXISTS auth_logs (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      user_id INTEGER,
-      username TEXT,
-      success INTEGER,
-      ip_address TEXT,
-      user_agent TEXT,
-      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (user_id) REFERENCES users (id)
-    )
-  `);
-
-  // Create default admin user if none exists
-  db.get("SELECT COUNT(*) as count FROM users WHERE role = 'admin'", (err, row) => {
-    if (err) {
-      console.error('Error checking for admin user:', err);
-      return;
-    }
-    
-    if (row.count === 0) {
-      console.log('Creating default admin user...');
-      createUser({
-        username: 'admin',
-        password: 'admin123',
-        pin: '123456',
-        role: 'admin',
-        institution: 'Zylon Labs'
-      });
-    }
-  });
-
-  // Create some demo users
-  const demoUsers = [
-    {
-      username: 'student1',
-      password: 'student123',
-      pin: '111111',
-      role: 'student',
-      institution: 'Demo School'
-    },
-    {
-      username: 'teacher1',
-      password: 'teacher123',
-      pin: '222222',
-      role: 'teacher',
-      institution: 'Demo School'
-    },
-    {
-      username: 'developer1',
-      password: 'dev123',
-      pin: '333333',
-      role: 'developer',
-      institution: 'Zylon Labs'
-    }
-  ];
-
-  demoUsers.forEach(user => {
-    db.get("SELECT id FROM users WHERE username = ?", [user.username], (err, row) => {
-      if (err) {
-        console.error('Error checking user:', err);
-        return;
-      }
-      
-      if (!row) {
-        createUser(user);
-      }
-    });
-  });
-});
+const { db, run, get } = require('./database');
+const sessions = require('./sessions');
+const twoFactor = require('./twoFactor');
+const badges = require('./badges');
+const refreshTokens = require('./refreshTokens');
+const security = require('./security');
+const permissions = require('./permissions');
+const institutions = require('./institutions');
+const passwordPolicy = require('./passwordPolicy');
+const identity = require('./identity');
+const oidc = require('./oidc');
+const audit = require('./audit');
+const impersonation = require('./impersonation');
+const guests = require('./guests');
+const { PERMISSIONS } = require('../shared/permissions');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'hatch_os_secret_key_2024';
+const ACCESS_TOKEN_TTL = parseInt(process.env.ACCESS_TOKEN_TTL, 10) || 15 * 60; // seconds
+
+// Secrets for a new account; shared by createUser and bulk roster imports
+async function hashCredentials({ username, password, pin }) {
+  const passwordHash = await bcrypt.hash(password, 12);
+  const pinHash = await bcrypt.hash(pin, 12);
+  
+  // Generate OTP secret for potential 2FA
+  const otpSecret = speakeasy.generateSecret({
+    name: `Hatch OS (${username})`,
+    issuer: 'Zylon Labs'
+  }).base32;
+
+  return { passwordHash, pinHash, otpSecret };
+}
 
-async function createUser({ username, password, pin, role = 'student', institution = 'Demo School' }) {
+async function createUser({ username, password, pin, role = 'student', institution = 'Demo School', className = null, mustChangePassword = false }) {
   try {
-    const passwordHash = await bcrypt.hash(password, 12);
-    const pinHash = await bcrypt.hash(pin, 12);
-    
-    // Generate OTP secret for potential 2FA
-    const otpSecret = speakeasy.generateSecret({
-      name: `Hatch OS (${username})`,
-      issuer: 'Zylon Labs'
-    }).base32;
+    const tenant = await institutions.ensureInstitution(institution);
+    const { passwordHash, pinHash, otpSecret } = await hashCredentials({ username, password, pin });
 
     return new Promise((resolve, reject) => {
       db.run(
-        `INSERT INTO users (username, password_hash, pin_hash, otp_secret, role, institution) 
-         VALUES (?, ?, ?, ?, ?, ?)`,
-        [username, passwordHash, pinHash, otpSecret, role, institution],
+        `INSERT INTO users (username, password_hash, pin_hash, otp_secret, role, institution, institution_id, class_name, must_change_password) 
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [username, passwordHash, pinHash, otpSecret, role, tenant.name, tenant.id, className, mustChangePassword ? 1 : 0],
         function(err) {
           if (err) {
             console.error('Error creating user:', err);
             reject(err);
           } else {
             console.log(`Created user: ${username} (${role})`);
-            resolve({ id: this.lastID, username, role, institution });
+            resolve({ id: this.lastID, username, role, institution: tenant.name, institutionId: tenant.id });
           }
         }
       );
@@ -134,103 +61,528 @@ async function createUser({ username, password, pin, role = 'student', instituti
   }
 }
 
-async function authenticateUser({ username, password, pin, otp }) {
+// Staged login. Step 1 proves identity (password or badge) and returns a
+// short-lived challenge token listing the factors still needed; each later
+// step completes one factor until a session is issued.
+const CHALLENGE_TTL = 5 * 60; // seconds
+const CHALLENGE_AUDIENCE = 'hatch-login-challenge';
+
+async function startLogin({ username, password }, context = {}) {
   try {
-    // Step 1: Basic username/password authentication
-    const user = await new Promise((resolve, reject) => {
-      db.get(
-        "SELECT * FROM users WHERE username = ? AND active = 1",
-        [username],
-        (err, row) => {
-          if (err) reject(err);
-          else resolve(row);
-        }
-      );
-    });
+    const lockout = await checkLockout(username, context);
+    if (lockout) {
+      return lockout;
+    }
+
+    // Step 1: the identity providers check the password (directory first, then local accounts)
+    const result = await identity.authenticate(username, password || '');
+
+    if (!result) {
+      return rejectLogin(null, username, 'User not found', 'Invalid credentials', context);
+    }
+
+    if (result.error) {
+      return rejectLogin(result.userId, username, result.error, result.message || 'Invalid credentials', context);
+    }
+
+    return beginChallenge(result.user, 'password', context);
+
+  } catch (error) {
+    console.error('Authentication error:', error);
+    return { success: false, message: 'Authentication failed' };
+  }
+}
+
+// The badge replaces username and password as the first factor
+async function startBadgeLogin({ cardUid }, context = {}) {
+  try {
+    const user = await badges.findUserByCard(cardUid);
+    if (!user || !user.active) {
+      await logAuthAttempt(null, null, false, 'Unknown badge', context.ipAddress);
+      if (context.ipAddress) {
+        await security.recordFailedLogin(context.ipAddress, null);
+      }
+      return { success: false, message: 'Badge not recognised' };
+    }
+
+    const lockout = await checkLockout(user.username, context);
+    if (lockout) {
+      return lockout;
+    }
+
+    // A badge is only ever half of the sign-in; without a PIN it would be all of it
+    if (!user.pin_hash) {
+      await logAuthAttempt(user.id, user.username, false, 'Badge login without a PIN', context.ipAddress);
+      return { success: false, message: 'Set a PIN before signing in with a badge' };
+    }
+
+    return beginChallenge(user, 'badge', context);
+  } catch (error) {
+    console.error('Badge authentication error:', error);
+    return { success: false, message: 'Authentication failed' };
+  }
+}
+
+// Guests sign in with their printed one-time code instead of password and PIN
+async function startGuestLogin({ username, code }, context = {}) {
+  try {
+    const lockout = await checkLockout(username, context);
+    if (lockout) {
+      return lockout;
+    }
+
+    const result = await guests.authenticateGuest(username || '', code);
+
+    if (!result) {
+      return rejectLogin(null, username, 'User not found', 'Invalid username or code', context);
+    }
+
+    if (result.error) {
+      return rejectLogin(result.userId, username, result.error, result.message || 'Invalid username or code', context);
+    }
+
+    return beginChallenge(result.user, 'guest', context);
+  } catch (error) {
+    console.error('Guest authentication error:', error);
+    return { success: false, message: 'Authentication failed' };
+  }
+}
+
+// Single sign-on replaces the password and PIN; the provider sent the user
+// back with an authorization code for the state oidc.beginAuthorization issued
+async function completeOidcLogin({ state, code, error }, context = {}) {
+  try {
+    const result = await oidc.completeAuthorization({ state, code, error });
+    if (!result.success) {
+      return result;
+    }
+
+    const { claims, provider } = result;
+    if (result.purpose !== 'login') {
+      return { success: false, message: 'Sign-in timed out. Please start again.' };
+    }
+
+    const role = oidc.mapRole(provider, claims);
+    if (!role) {
+      await logAuthAttempt(null, null, false, `SSO: no mapped role for subject ${claims.sub}`, context.ipAddress);
+      return { success: false, message: 'Your school account does not grant access to Hatch OS' };
+    }
+
+    let user = await oidc.findLinkedUser(provider.issuer, claims.sub);
+    if (!user && provider.auto_provision) {
+      const created = await provisionOidcUser(provider, claims, role);
+      if (!created.success) {
+        return created;
+      }
+      user = created.user;
+    }
 
     if (!user) {
-      await logAuthAttempt(null, username, false, 'User not found');
-      return { success: false, message: 'Invalid credentials' };
+      await logAuthAttempt(null, null, false, `SSO: unlinked subject ${claims.sub}`, context.ipAddress);
+      return {
+        success: false,
+        notLinked: true,
+        message: 'This school account is not linked yet. Sign in with your password and link it in Settings.'
+      };
+    }
+
+    // A link never carries an account across institutions or up to superadmin
+    if (!user.active || user.deleted_at || user.institution_id !== provider.institution_id || user.role === 'superadmin') {
+      await logAuthAttempt(user.id, user.username, false, 'SSO: account not eligible', context.ipAddress);
+      return { success: false, message: 'Account is not active' };
     }
 
-    // Verify password
-    const passwordValid = await bcrypt.compare(password, user.password_hash);
-    if (!passwordValid) {
-      await logAuthAttempt(user.id, username, false, 'Invalid password');
-      return { success: false, message: 'Invalid credentials' };
+    const lockout = await checkLockout(user.username, context);
+    if (lockout) {
+      return lockout;
     }
 
-    // Step 2: PIN verification
-    if (pin) {
-      const pinValid = await bcrypt.compare(pin, user.pin_hash);
+    // The provider's claims decide the role, as the mapping was configured
+    if (user.role !== role) {
+      await run('UPDATE users SET role = ? WHERE id = ?', [role, user.id]);
+      await security.logSecurityEvent(
+        'sso_role_changed',
+        'medium',
+        `Role of ${user.username} changed from ${user.role} to ${role} by single sign-on claims`,
+        context.ipAddress || null,
+        user.id,
+        null,
+        { target: { type: 'user', id: user.id }, before: { role: user.role }, after: { role } }
+      );
+      user = { ...user, role };
+    }
+
+    await oidc.touchLink(provider.issuer, claims.sub);
+    return beginChallenge(user, 'oidc', context);
+  } catch (err) {
+    console.error('SSO authentication error:', err);
+    return { success: false, message: 'Authentication failed' };
+  }
+}
+
+// First SSO sign-in of someone the institution lets in without a local account
+async function provisionOidcUser(provider, claims, role) {
+  const username = oidc.usernameFromClaims(provider, claims);
+  if (!username) {
+    return { success: false, message: 'Your school account has no usable username' };
+  }
+
+  if (await get('SELECT id FROM users WHERE username = ?', [username])) {
+    await logAuthAttempt(null, username, false, 'SSO: username taken by an unlinked account');
+    return {
+      success: false,
+      notLinked: true,
+      message: 'An account with your username already exists. Sign in with your password and link it in Settings.'
+    };
+  }
+
+  const tenant = await institutions.getInstitution(provider.institution_id);
+  const otpSecret = speakeasy.generateSecret({ name: `Hatch OS (${username})`, issuer: 'Zylon Labs' }).base32;
+  const result = await run(
+    `INSERT INTO users (username, password_hash, pin_hash, otp_secret, role, institution, institution_id, auth_provider)
+     VALUES (?, '', '', ?, ?, ?, ?, 'oidc')`,
+    [username, otpSecret, role, tenant.name, tenant.id]
+  );
+  await oidc.linkIdentity(result.lastID, provider.issuer, claims.sub);
+  console.log(`Created SSO user: ${username} (${role})`);
+
+  return { success: true, user: await getUserWithSecrets(result.lastID) };
+}
+
+async function verifyLoginFactor(challengeToken, factor, value, context = {}) {
+  try {
+    const challenge = readChallenge(challengeToken);
+    if (!challenge) {
+      return { success: false, challengeExpired: true, message: 'Sign-in timed out. Please start again.' };
+    }
+
+    if (!challenge.pending.includes(factor)) {
+      return { success: false, message: `Factor ${factor} is not expected for this sign-in` };
+    }
+
+    const user = await getUserWithSecrets(challenge.uid);
+    if (!user || !user.active) {
+      return { success: false, challengeExpired: true, message: 'Account is not active' };
+    }
+
+    const lockout = await checkLockout(user.username, context);
+    if (lockout) {
+      return lockout;
+    }
+
+    const loginContext = { ...context, method: challenge.method };
+
+    if (!value) {
+      return { success: false, message: factor === 'pin' ? 'PIN is required' : 'Authentication code is required' };
+    }
+
+    if (factor === 'pin') {
+      const pinValid = await bcrypt.compare(value, user.pin_hash);
       if (!pinValid) {
-        await logAuthAttempt(user.id, username, false, 'Invalid PIN');
-        return { success: false, message: 'Invalid PIN' };
+        return rejectLogin(user.id, user.username, 'Invalid PIN', 'Invalid PIN', loginContext);
+      }
+    } else if (factor === 'otp') {
+      const secondFactor = await twoFactor.verifySecondFactor(user, value);
+      if (!secondFactor.valid) {
+        return rejectLogin(user.id, user.username, 'Invalid OTP', 'Invalid authentication code', loginContext);
       }
-    } else {
-      await logAuthAttempt(user.id, username, false, 'PIN required');
-      return { success: false, message: 'PIN is required' };
-    }
-
-    // Step 3: Optional OTP verification
-    if (otp && user.otp_secret) {
-      const otpValid = speakeasy.totp.verify({
-        secret: user.otp_secret,
-        encoding: 'base32',
-        token: otp,
-        window: 2
-      });
-
-      if (!otpValid) {
-        await logAuthAttempt(user.id, username, false, 'Invalid OTP');
-        return { success: false, message: 'Invalid OTP' };
+
+      if (secondFactor.method === 'recovery_code') {
+        await security.logSecurityEvent(
+          'recovery_code_used',
+          'medium',
+          `Recovery code used to sign in as ${user.username}`,
+          context.ipAddress || null,
+          user.id
+        );
       }
     }
 
-    // Update last login
-    await new Promise((resolve, reject) => {
-      db.run(
-        "UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = ?",
-        [user.id],
-        (err) => {
-          if (err) reject(err);
-          else resolve();
-        }
-      );
-    });
+    const pending = challenge.pending.filter(f => f !== factor);
+    if (pending.length > 0) {
+      return challengeResponse(user, challenge.method, pending);
+    }
+
+    return completeLogin(user, loginContext);
+  } catch (error) {
+    console.error('Login factor verification error:', error);
+    return { success: false, message: 'Authentication failed' };
+  }
+}
+
+// Single-call login used by the Electron IPC bridge and /api/auth/login:
+// runs every stage with the values supplied up front.
+async function authenticateUser({ username, password, pin, otp }, context = {}) {
+  const result = await startLogin({ username, password }, context);
+  return completeAllFactors(result, { pin, otp }, context);
+}
+
+async function authenticateWithBadge({ cardUid, pin, otp }, context = {}) {
+  const result = await startBadgeLogin({ cardUid }, context);
+  return completeAllFactors(result, { pin, otp }, context);
+}
+
+async function completeAllFactors(initial, values, context) {
+  let result = initial;
+
+  while (result.success && result.stage === 'challenge') {
+    const [factor] = result.requiredFactors;
+
+    if (factor === 'otp' && !values.otp) {
+      return { success: false, otpRequired: true, message: 'Enter the code from your authenticator app' };
+    }
+
+    result = await verifyLoginFactor(result.challengeToken, factor, values[factor], context);
+  }
+
+  return result;
+}
+
+async function requiredFactorsFor(user, method) {
+  const factors = [];
+
+  // A badge always needs the PIN. require_pin only covers password logins,
+  // where directory accounts have no PIN until the user sets one; single
+  // sign-on and guest codes stand in for password and PIN together.
+  if (method === 'badge') {
+    factors.push('pin');
+  } else if (method === 'password' && user.pin_hash && (await security.getPolicyValue('require_pin'))) {
+    factors.push('pin');
+  }
+
+  if (user.otp_enabled) {
+    factors.push('otp');
+  }
+
+  return factors;
+}
+
+async function beginChallenge(user, method, context) {
+  const pending = await requiredFactorsFor(user, method);
+  if (pending.length === 0) {
+    return completeLogin(user, { ...context, method });
+  }
+
+  return challengeResponse(user, method, pending);
+}
+
+function challengeResponse(user, method, pending) {
+  const challengeToken = jwt.sign(
+    { uid: user.id, method, pending },
+    JWT_SECRET,
+    { audience: CHALLENGE_AUDIENCE, expiresIn: CHALLENGE_TTL }
+  );
+
+  return {
+    success: true,
+    stage: 'challenge',
+    challengeToken,
+    requiredFactors: pending,
+    expiresIn: CHALLENGE_TTL
+  };
+}
+
+function readChallenge(challengeToken) {
+  try {
+    return jwt.verify(challengeToken, JWT_SECRET, { audience: CHALLENGE_AUDIENCE });
+  } catch (error) {
+    return null;
+  }
+}
+
+async function checkLockout(username, context) {
+  const lockout = await security.getLoginLockout(context.ipAddress, username);
+  if (!lockout.locked) {
+    return null;
+  }
+
+  // The event belongs to the account's institution, so its admins see it
+  const account = username ? await get('SELECT id FROM users WHERE username = ?', [username]) : null;
+  const userId = account ? account.id : null;
+
+  await logAuthAttempt(userId, username, false, 'Locked out', context.ipAddress);
+  await security.logSecurityEvent(
+    'login_blocked',
+    'medium',
+    `Login attempt for ${username} rejected while locked out`,
+    security.normalizeIP(context.ipAddress) || null,
+    userId,
+    { username, lockedUntil: lockout.lockedUntil, scopes: lockout.scopes }
+  );
+
+  return lockedResponse(lockout.lockedUntil);
+}
+
+const LOGIN_LOG_DETAILS = {
+  badge: 'Successful badge login',
+  oidc: 'Successful single sign-on login',
+  guest: 'Successful guest code login'
+};
+
+// All factors satisfied: record the login and issue the session
+async function completeLogin(user, context = {}) {
+  const { username } = user;
+
+  const tenant = user.institution_id ? await institutions.getInstitution(user.institution_id) : null;
+  if (tenant && !tenant.active) {
+    await logAuthAttempt(user.id, username, false, 'Institution deactivated', context.ipAddress);
+    return { success: false, message: 'Your institution has been deactivated' };
+  }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        id: user.id, 
-        username: user.username, 
-        role: user.role,
-        institution: user.institution 
-      },
-      JWT_SECRET,
-      { expiresIn: '8h' }
+  // Nothing below can refuse the sign-in, so a guest's code is spent only now
+  if (context.method === 'guest' && !(await guests.spendCode(user.id))) {
+    await logAuthAttempt(user.id, username, false, 'Guest code already used', context.ipAddress);
+    return { success: false, message: 'This code has already been used' };
+  }
+
+  // Accounts the policy requires 2FA for must enroll before doing anything else
+  const twoFactorEnrollmentRequired = !user.otp_enabled && await twoFactor.isRequiredForRole(user.role);
+
+  // Update last login
+  await new Promise((resolve, reject) => {
+    db.run(
+      "UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = ?",
+      [user.id],
+      (err) => {
+        if (err) reject(err);
+        else resolve();
+      }
     );
+  });
+
+  // Register a server-side session so the tokens can be revoked
+  const sessionId = await sessions.createSession(user.id, context);
+  const tokens = await issueSessionTokens(user, sessionId);
+
+  await logAuthAttempt(user.id, username, true, LOGIN_LOG_DETAILS[context.method] || 'Successful login', context.ipAddress);
+  await security.resetLoginAttempts(username);
+
+  return {
+    success: true,
+    stage: 'complete',
+    user: await toPublicUser(user),
+    twoFactorEnrollmentRequired,
+    ...tokens
+  };
+}
+
+// The permission list lets the UI decide what to show; the server re-checks every request
+async function toPublicUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    role: user.role,
+    institution: user.institution,
+    institutionId: user.institution_id,
+    twoFactorEnabled: !!user.otp_enabled,
+    mustChangePassword: !!user.must_change_password,
+    authProvider: user.auth_provider || 'local',
+    pinSet: !!user.pin_hash,
+    permissions: await permissions.getPermissionsForRole(user.role)
+  };
+}
 
-    await logAuthAttempt(user.id, username, true, 'Successful login');
+// Logs a failed attempt and feeds it into the persistent lockout counters
+async function rejectLogin(userId, username, reason, message, context = {}) {
+  await logAuthAttempt(userId, username, false, reason, context.ipAddress);
+
+  const lockout = await security.recordFailedLogin(context.ipAddress, username, userId);
+  if (lockout.locked) {
+    return lockedResponse(lockout.lockedUntil);
+  }
+
+  return { success: false, message };
+}
+
+function lockedResponse(lockedUntil) {
+  return {
+    success: false,
+    locked: true,
+    lockedUntil,
+    message: 'Too many failed attempts. Sign-in is temporarily locked.'
+  };
+}
+
+// Short-lived access token plus the next refresh token of the session's family
+async function issueSessionTokens(user, sessionId) {
+  const token = jwt.sign(
+    { 
+      id: user.id, 
+      sid: sessionId,
+      username: user.username, 
+      role: user.role,
+      institution: user.institution,
+      institutionId: user.institution_id
+    },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+  const refreshToken = await refreshTokens.issueRefreshToken(sessionId);
+
+  return { token, refreshToken, expiresIn: ACCESS_TOKEN_TTL };
+}
+
+async function refreshSession(refreshToken, context = {}) {
+  try {
+    const result = await refreshTokens.consumeRefreshToken(refreshToken);
+
+    if (result.status === 'reused') {
+      // A rotated token came back: assume it was stolen and kill the whole family
+      const session = await sessions.getSession(result.sessionId);
+      await sessions.revokeSession(result.sessionId, 'refresh_token_reuse');
+      await refreshTokens.revokeFamily(result.sessionId);
+      await security.logSecurityEvent(
+        'refresh_token_reuse',
+        'high',
+        `Refresh token reuse detected, session ${result.sessionId} revoked`,
+        context.ipAddress || null,
+        session ? session.user_id : null,
+        { sessionId: result.sessionId }
+      );
+
+      return { success: false, message: 'Session has been revoked' };
+    }
+
+    if (result.status !== 'valid') {
+      return { success: false, message: 'Invalid or expired refresh token' };
+    }
+
+    const session = await sessions.validateSession(result.sessionId);
+    if (!session) {
+      await refreshTokens.revokeFamily(result.sessionId);
+      return { success: false, message: 'Session has expired' };
+    }
+
+    const user = await getUserById(session.user_id);
+    if (!user || !user.active || !user.institution_active) {
+      await sessions.revokeSession(session.id, 'account_disabled');
+      await refreshTokens.revokeFamily(session.id);
+      return { success: false, message: 'Account is not active' };
+    }
+
+    const tokens = await issueSessionTokens(user, session.id);
 
     return {
       success: true,
-      user: {
-        id: user.id,
-        username: user.username,
-        role: user.role,
-        institution: user.institution
-      },
-      token
+      user: await toPublicUser(user),
+      ...tokens
     };
-
   } catch (error) {
-    console.error('Authentication error:', error);
-    return { success: false, message: 'Authentication failed' };
+    console.error('Token refresh error:', error);
+    return { success: false, message: 'Token refresh failed' };
   }
 }
 
-async function logAuthAttempt(userId, username, success, details = '') {
+async function logAuthAttempt(userId, username, success, details = '', ipAddress = null) {
+  await audit.record({
+    category: 'auth',
+    action: success ? 'login_succeeded' : 'login_failed',
+    actor: { id: userId, username },
+    ipAddress,
+    details: { reason: details }
+  });
+
   return new Promise((resolve, reject) => {
     db.run(
       `INSERT INTO auth_logs (user_id, username, success, timestamp, details) 
@@ -251,7 +603,11 @@ async function logAuthAttempt(userId, username, success, details = '') {
 async function getUserById(id) {
   return new Promise((resolve, reject) => {
     db.get(
-      "SELECT id, username, role, institution, active FROM users WHERE id = ?",
+      `SELECT u.id, u.username, u.role, u.institution, u.institution_id, u.active, u.otp_enabled,
+              u.must_change_password, u.auth_provider, COALESCE(i.active, 1) AS institution_active
+       FROM users u
+       LEFT JOIN institutions i ON u.institution_id = i.id
+       WHERE u.id = ?`,
       [id],
       (err, row) => {
         if (err) reject(err);
@@ -261,26 +617,119 @@ async function getUserById(id) {
   });
 }
 
+// Full row including hashes and OTP secret; never send this to a client
+async function getUserWithSecrets(id) {
+  return new Promise((resolve, reject) => {
+    db.get("SELECT * FROM users WHERE id = ?", [id], (err, row) => {
+      if (err) reject(err);
+      else resolve(row);
+    });
+  });
+}
+
 async function verifyToken(token) {
   try {
     const decoded = jwt.verify(token, JWT_SECRET);
+    if (decoded.imp) {
+      return await verifyImpersonationToken(decoded);
+    }
+
+    const session = await sessions.validateSession(decoded.sid);
+    if (!session || session.user_id !== decoded.id) {
+      return null;
+    }
+
     const user = await getUserById(decoded.id);
-    return user;
+    if (!user || !user.institution_active) {
+      return null;
+    }
+
+    return { ...user, sessionId: session.id };
   } catch (error) {
     console.error('Token verification failed:', error);
     return null;
   }
 }
 
-async function getAuthLogs(limit = 100) {
+// A "view as" token: the target's identity, valid only while the record is
+// open, the viewer's session lives and the viewer may still impersonate
+async function verifyImpersonationToken(decoded) {
+  const record = await impersonation.getActiveImpersonation(decoded.imp);
+  if (!record || record.target_id !== decoded.id || record.session_id !== decoded.sid) {
+    return null;
+  }
+
+  const session = await sessions.validateSession(decoded.sid);
+  if (!session || session.user_id !== record.actor_id) {
+    return null;
+  }
+
+  const actor = await getUserById(record.actor_id);
+  if (!actor || !actor.active || !actor.institution_active ||
+      !(await permissions.roleHasPermission(actor.role, PERMISSIONS.USERS_IMPERSONATE))) {
+    return null;
+  }
+
+  const user = await getUserById(decoded.id);
+  if (!user || !user.institution_active) {
+    return null;
+  }
+
+  return {
+    ...user,
+    sessionId: session.id,
+    impersonation: {
+      id: record.id,
+      actorId: actor.id,
+      actorUsername: actor.username,
+      expiresAt: record.expires_at
+    }
+  };
+}
+
+// actor is req.user. Issues a read-only access token for the target, without
+// a refresh token: when it expires the viewer is back to their own account.
+async function startImpersonation(actor, targetId, scope, reason = null) {
+  const result = await impersonation.startImpersonation(actor, targetId, scope, reason);
+  if (!result.success) {
+    return result;
+  }
+
+  const { id, expiresAt } = result.impersonation;
+  const expiresIn = Math.floor((expiresAt - Date.now()) / 1000);
+  const target = await getUserWithSecrets(result.impersonation.targetId);
+  const token = jwt.sign(
+    { id: target.id, sid: actor.sessionId, imp: id, username: target.username, role: target.role },
+    JWT_SECRET,
+    { expiresIn }
+  );
+
+  return {
+    success: true,
+    token,
+    expiresIn,
+    user: {
+      ...(await toPublicUser(target)),
+      impersonation: { id, actorUsername: actor.username, expiresAt }
+    }
+  };
+}
+
+// institutionId limits the logs to one tenant; null returns every institution's,
+// including failed attempts that could not be tied to an account
+async function getAuthLogs(limit = 100, institutionId = null) {
+  const filter = institutionId === null ? '' : 'WHERE u.institution_id = ?';
+  const params = institutionId === null ? [limit] : [institutionId, limit];
+
   return new Promise((resolve, reject) => {
     db.all(
-      `SELECT al.*, u.username, u.role, u.institution 
+      `SELECT al.*, u.username, u.role, u.institution, u.institution_id 
        FROM auth_logs al 
        LEFT JOIN users u ON al.user_id = u.id 
+       ${filter}
        ORDER BY al.timestamp DESC 
        LIMIT ?`,
-      [limit],
+      params,
       (err, rows) => {
         if (err) reject(err);
         else resolve(rows);
@@ -289,56 +738,150 @@ async function getAuthLogs(limit = 100) {
   });
 }
 
+// Failed sign-ins since a Date. institutionId counts only attempts on that
+// tenant's accounts; null also counts unknown usernames.
+async function countFailedLogins(since, institutionId = null) {
+  // auth_logs.timestamp is SQLite's CURRENT_TIMESTAMP: UTC, 'YYYY-MM-DD HH:MM:SS'
+  const from = since.toISOString().replace('T', ' ').slice(0, 19);
+  const filter = institutionId === null ? '' : 'AND u.institution_id = ?';
+  const params = institutionId === null ? [from] : [from, institutionId];
+
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT COUNT(*) AS count 
+       FROM auth_logs al 
+       LEFT JOIN users u ON al.user_id = u.id 
+       WHERE al.success = 0 AND al.timestamp >= ? ${filter}`,
+      params,
+      (err, row) => {
+        if (err) reject(err);
+        else resolve(row.count);
+      }
+    );
+  });
+}
+
 // Security functions
-async function changePassword(userId, currentPassword, newPassword) {
+
+// Self-service change. Other sessions are signed out; the one making the change
+// (sessionId) stays signed in.
+async function changePassword(userId, currentPassword, newPassword, { sessionId = null } = {}) {
   try {
-    const user = await getUserById(userId);
+    const user = await getUserWithSecrets(userId);
     if (!user) {
       return { success: false, message: 'User not found' };
     }
 
-    // Get current password hash
-    const userData = await new Promise((resolve, reject) => {
-      db.get("SELECT password_hash FROM users WHERE id = ?", [userId], (err, row) => {
-        if (err) reject(err);
-        else resolve(row);
-      });
-    });
+    if (user.auth_provider && user.auth_provider !== 'local') {
+      return { success: false, message: 'Your password is managed by your school directory' };
+    }
 
     // Verify current password
-    const currentValid = await bcrypt.compare(currentPassword, userData.password_hash);
+    const currentValid = await bcrypt.compare(currentPassword || '', user.password_hash);
     if (!currentValid) {
       return { success: false, message: 'Current password is incorrect' };
     }
 
+    const problems = await passwordPolicy.checkPassword(newPassword, { username: user.username });
+    if (problems.length > 0) {
+      return { success: false, message: problems.join('. '), problems };
+    }
+
+    if (await passwordPolicy.isReused(userId, newPassword, user.password_hash)) {
+      return { success: false, message: 'You have used this password recently. Choose a new one.' };
+    }
+
     // Hash new password
     const newPasswordHash = await bcrypt.hash(newPassword, 12);
 
-    // Update password
-    await new Promise((resolve, reject) => {
-      db.run(
-        "UPDATE users SET password_hash = ? WHERE id = ?",
-        [newPasswordHash, userId],
-        (err) => {
-          if (err) reject(err);
-          else resolve();
-        }
-      );
-    });
+    await passwordPolicy.recordPreviousPassword(userId, user.password_hash);
+    await run(
+      'UPDATE users SET password_hash = ?, must_change_password = 0 WHERE id = ?',
+      [newPasswordHash, userId]
+    );
+    const revoked = await sessions.revokeUserSessions(userId, 'password_changed', sessionId);
 
-    return { success: true, message: 'Password updated successfully' };
+    return { success: true, message: 'Password updated successfully', revokedSessions: revoked };
   } catch (error) {
     console.error('Change password error:', error);
     return { success: false, message: 'Failed to change password' };
   }
 }
 
+async function changePin(userId, currentPin, newPin, { sessionId = null } = {}) {
+  try {
+    const user = await getUserWithSecrets(userId);
+    if (!user) {
+      return { success: false, message: 'User not found' };
+    }
+
+    if (user.auth_provider === 'guest') {
+      return { success: false, message: 'Guest accounts sign in with their one-time code' };
+    }
+
+    // The first PIN of a directory account has nothing to confirm
+    const currentValid = !user.pin_hash || await bcrypt.compare(currentPin || '', user.pin_hash);
+    if (!currentValid) {
+      return { success: false, message: 'Current PIN is incorrect' };
+    }
+
+    const problems = await passwordPolicy.checkPin(newPin);
+    if (problems.length > 0) {
+      return { success: false, message: problems.join('. '), problems };
+    }
+
+    await setPin(userId, newPin);
+    const revoked = await sessions.revokeUserSessions(userId, 'pin_changed', sessionId);
+
+    return { success: true, message: 'PIN updated successfully', revokedSessions: revoked };
+  } catch (error) {
+    console.error('Change PIN error:', error);
+    return { success: false, message: 'Failed to change PIN' };
+  }
+}
+
+// Administrative password set; the user has to choose their own at next sign-in
+async function setPassword(userId, newPassword, { mustChange = true } = {}) {
+  const user = await getUserWithSecrets(userId);
+  if (!user) {
+    return false;
+  }
+
+  const passwordHash = await bcrypt.hash(newPassword, 12);
+  await passwordPolicy.recordPreviousPassword(userId, user.password_hash);
+  const result = await run(
+    'UPDATE users SET password_hash = ?, must_change_password = ? WHERE id = ?',
+    [passwordHash, mustChange ? 1 : 0, userId]
+  );
+  return result.changes > 0;
+}
+
+async function setPin(userId, pin) {
+  const pinHash = await bcrypt.hash(pin, 12);
+  const result = await run('UPDATE users SET pin_hash = ? WHERE id = ?', [pinHash, userId]);
+  return result.changes > 0;
+}
+
 module.exports = {
   authenticateUser,
+  authenticateWithBadge,
+  startLogin,
+  startBadgeLogin,
+  startGuestLogin,
+  completeOidcLogin,
+  verifyLoginFactor,
+  refreshSession,
   createUser,
+  hashCredentials,
   getUserById,
+  getUserWithSecrets,
   verifyToken,
+  startImpersonation,
   getAuthLogs,
+  countFailedLogins,
   changePassword,
+  changePin,
+  setPassword,
+  setPin,
   logAuthAttempt
 };
\ No newline at end of file
@@ -0,0 +1,144 @@
+const auth = require('./auth');
+const twoFactor = require('./twoFactor');
+const permissions = require('./permissions');
+const institutions = require('./institutions');
+const impersonation = require('./impersonation');
+const audit = require('./audit');
+
+// Express middleware for token-based access control
+
+// Routes still reachable by an account that must replace an admin-set password
+const PASSWORD_CHANGE_ALLOWED_PATHS = ['/api/auth/change-password', '/api/auth/password-policy', '/api/auth/logout'];
+
+// Routes still reachable by an account that has yet to complete required 2FA enrollment.
+// Includes the password routes so a forced change is never blocked by enrollment.
+const ENROLLMENT_ALLOWED_PATHS = ['/api/auth/2fa/', ...PASSWORD_CHANGE_ALLOWED_PATHS];
+
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return null;
+  }
+
+  return token;
+}
+
+async function requireAuth(req, res, next) {
+  try {
+    const token = getBearerToken(req);
+    if (!token) {
+      return res.status(401).json({ success: false, message: 'Authentication required' });
+    }
+
+    const user = await auth.verifyToken(token);
+    if (!user || !user.active) {
+      return res.status(401).json({ success: false, message: 'Invalid or expired token' });
+    }
+
+    // Viewing as someone: read-only, with every request in the audit log
+    if (user.impersonation) {
+      auditImpersonatedRequest(req, res, user);
+
+      if (!impersonation.isAllowedRequest(req.method, req.originalUrl)) {
+        return res.status(403).json({
+          success: false,
+          impersonating: true,
+          message: `Not available while viewing as ${user.username}`
+        });
+      }
+    }
+
+    // The target's own obligations are not the viewer's to fulfil
+    if (user.must_change_password && !user.impersonation) {
+      const allowed = PASSWORD_CHANGE_ALLOWED_PATHS.some(prefix => req.originalUrl.startsWith(prefix));
+      if (!allowed) {
+        return res.status(403).json({
+          success: false,
+          passwordChangeRequired: true,
+          message: 'You must choose a new password first'
+        });
+      }
+    }
+
+    if (!user.impersonation && !user.otp_enabled && await twoFactor.isRequiredForRole(user.role)) {
+      const allowed = ENROLLMENT_ALLOWED_PATHS.some(prefix => req.originalUrl.startsWith(prefix));
+      if (!allowed) {
+        return res.status(403).json({
+          success: false,
+          twoFactorEnrollmentRequired: true,
+          message: 'Two-factor authentication must be set up first'
+        });
+      }
+    }
+
+    user.permissions = await permissions.getPermissionsForRole(user.role);
+
+    req.user = user;
+    req.token = token;
+    // Institution every data access of this request is limited to (null = all)
+    req.institutionScope = institutions.scopeFor(user);
+    next();
+  } catch (error) {
+    console.error('Auth middleware error:', error);
+    res.status(500).json({ success: false, message: 'Authentication failed' });
+  }
+}
+
+// Written once the response is sent, so refused requests show up with their status
+function auditImpersonatedRequest(req, res, user) {
+  res.on('finish', () => {
+    audit.record({
+      category: 'impersonation',
+      action: 'impersonated_request',
+      actor: { id: user.impersonation.actorId, username: user.impersonation.actorUsername },
+      target: { type: 'user', id: user.id },
+      institutionId: user.institution_id,
+      ipAddress: req.ip,
+      details: {
+        impersonationId: user.impersonation.id,
+        method: req.method,
+        path: req.originalUrl,
+        status: res.statusCode
+      }
+    });
+  });
+}
+
+// Must be mounted after requireAuth so that req.user and its permissions are
+// populated. Passes when the user's role grants any one of the listed permissions.
+function requirePermission(...required) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ success: false, message: 'Authentication required' });
+    }
+
+    if (!required.some(permission => req.user.permissions.includes(permission))) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+
+    next();
+  };
+}
+
+// For routes that change installation-wide settings (roles, security
+// policies, IP blocks): refused to anyone limited to one institution
+function requireAllInstitutions(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ success: false, message: 'Authentication required' });
+  }
+
+  if (req.institutionScope !== null) {
+    return res.status(403).json({ success: false, message: 'This setting applies to every institution' });
+  }
+
+  next();
+}
+
+module.exports = {
+  getBearerToken,
+  requireAuth,
+  requirePermission,
+  requireAllInstitutions
+};
@@ -0,0 +1,199 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const net = require('net');
+const readline = require('readline');
+
+// Badge reader service. Hardware access sits behind a small driver interface
+// so development machines and tests can feed card UIDs without an RC522.
+//
+// A driver is an EventEmitter with start() / stop() that emits 'card' with the
+// raw UID string and 'error' on failure.
+
+class RfidDriver extends EventEmitter {
+  constructor({ pollTimeout = 5000 } = {}) {
+    super();
+    this.pollTimeout = pollTimeout;
+    this.running = false;
+  }
+
+  start() {
+    // node-rfid shells out to a Python RC522 helper, so only load it on real hardware
+    this.rfid = require('node-rfid');
+    this.running = true;
+    this.poll();
+  }
+
+  poll() {
+    if (!this.running) return;
+
+    this.rfid.readintime(this.pollTimeout, (err, data) => {
+      if (err) {
+        this.emit('error', err);
+      } else if (data && data.trim() && data.trim() !== 'timeout') {
+        this.emit('card', data.trim());
+      }
+
+      setImmediate(() => this.poll());
+    });
+  }
+
+  stop() {
+    this.running = false;
+  }
+}
+
+// One UID per line on stdin, e.g. `echo 04A21B7C | npm run start-backend`
+class StdinDriver extends EventEmitter {
+  start() {
+    this.rl = readline.createInterface({ input: process.stdin });
+    this.rl.on('line', (line) => {
+      if (line.trim()) this.emit('card', line.trim());
+    });
+    console.log('🪪 Badge reader simulator: type a card UID and press Enter');
+  }
+
+  stop() {
+    if (this.rl) this.rl.close();
+  }
+}
+
+// One UID per line over a loopback TCP socket, e.g. `echo 04A21B7C | nc localhost 3002`
+class SocketDriver extends EventEmitter {
+  constructor({ port = 3002, host = '127.0.0.1' } = {}) {
+    super();
+    this.port = port;
+    this.host = host;
+  }
+
+  start() {
+    this.server = net.createServer((connection) => {
+      const rl = readline.createInterface({ input: connection });
+      rl.on('line', (line) => {
+        if (line.trim()) this.emit('card', line.trim());
+      });
+    });
+
+    this.server.on('error', (err) => this.emit('error', err));
+    this.server.listen(this.port, this.host, () => {
+      console.log(`🪪 Badge reader simulator listening on ${this.host}:${this.port}`);
+    });
+  }
+
+  stop() {
+    if (this.server) this.server.close();
+  }
+}
+
+const DRIVERS = {
+  rfid: RfidDriver,
+  stdin: StdinDriver,
+  socket: SocketDriver
+};
+
+// How long a tap stays redeemable, and how long repeat reads of one card are ignored
+const TAP_TTL = 60 * 1000;
+const DEBOUNCE_INTERVAL = 2000;
+
+class BadgeReaderService extends EventEmitter {
+  constructor() {
+    super();
+    this.driver = null;
+    this.pendingTaps = new Map(); // tapId -> { cardUid, expiresAt }
+    this.lastRead = { cardUid: null, at: 0 };
+  }
+
+  start(driverName = 'none', options = {}) {
+    if (this.driver || driverName === 'none') {
+      return false;
+    }
+
+    const Driver = DRIVERS[driverName];
+    if (!Driver) {
+      console.error(`Unknown badge reader driver: ${driverName}`);
+      return false;
+    }
+
+    this.useDriver(new Driver(options));
+    return true;
+  }
+
+  // Accepts any object honouring the driver interface, e.g. a scripted test double
+  useDriver(driver) {
+    this.stop();
+
+    this.driver = driver;
+    this.driver.on('card', (cardUid) => this.handleCard(cardUid));
+    this.driver.on('error', (err) => console.error('Badge reader error:', err.message));
+    this.driver.start();
+  }
+
+  stop() {
+    if (this.driver) {
+      this.driver.stop();
+      this.driver.removeAllListeners();
+      this.driver = null;
+    }
+  }
+
+  handleCard(cardUid) {
+    const now = Date.now();
+    if (cardUid === this.lastRead.cardUid && now - this.lastRead.at < DEBOUNCE_INTERVAL) {
+      return;
+    }
+    this.lastRead = { cardUid, at: now };
+
+    this.purgeExpiredTaps(now);
+
+    // Clients only ever see an opaque tap id, never the card UID itself
+    const tapId = crypto.randomBytes(16).toString('hex');
+    const expiresAt = now + TAP_TTL;
+    this.pendingTaps.set(tapId, { cardUid, expiresAt });
+
+    this.emit('tap', { tapId, expiresAt });
+  }
+
+  // Returns the card UID behind a tap without using it up
+  peekTap(tapId) {
+    const tap = this.pendingTaps.get(tapId);
+    if (!tap || tap.expiresAt <= Date.now()) {
+      this.pendingTaps.delete(tapId);
+      return null;
+    }
+    return tap.cardUid;
+  }
+
+  consumeTap(tapId) {
+    const cardUid = this.peekTap(tapId);
+    this.pendingTaps.delete(tapId);
+    return cardUid;
+  }
+
+  purgeExpiredTaps(now = Date.now()) {
+    for (const [tapId, tap] of this.pendingTaps) {
+      if (tap.expiresAt <= now) {
+        this.pendingTaps.delete(tapId);
+      }
+    }
+  }
+
+  getStatus() {
+    return {
+      active: !!this.driver,
+      driver: this.driver ? this.driver.constructor.name : null
+    };
+  }
+}
+
+// Create singleton instance
+const badgeReader = new BadgeReaderService();
+
+module.exports = {
+  start: (driverName, options) => badgeReader.start(driverName, options),
+  stop: () => badgeReader.stop(),
+  useDriver: (driver) => badgeReader.useDriver(driver),
+  onTap: (listener) => badgeReader.on('tap', listener),
+  simulateTap: (cardUid) => badgeReader.handleCard(cardUid),
+  peekTap: (tapId) => badgeReader.peekTap(tapId),
+  consumeTap: (tapId) => badgeReader.consumeTap(tapId),
+  getStatus: () => badgeReader.getStatus()
+};
@@ -0,0 +1,93 @@
+const { run, get, all } = require('./database');
+
+// RFID / NFC badge enrollment: links card UIDs to user accounts
+
+// Readers report UIDs in different formats ("04:A2:1B", "04a21b"); store one canonical form
+function normalizeCardUid(cardUid) {
+  return String(cardUid || '').replace(/[^0-9a-f]/gi, '').toUpperCase();
+}
+
+async function enrollBadge({ userId, cardUid, label = null, enrolledBy = null }) {
+  const uid = normalizeCardUid(cardUid);
+  if (!uid) {
+    throw new Error('Card UID is required');
+  }
+
+  // A card can belong to one user only; re-enrolling moves it
+  await run('DELETE FROM badges WHERE card_uid = ?', [uid]);
+
+  const result = await run(
+    'INSERT INTO badges (user_id, card_uid, label, enrolled_by) VALUES (?, ?, ?, ?)',
+    [userId, uid, label, enrolledBy]
+  );
+
+  return { id: result.lastID, userId, cardUid: uid, label };
+}
+
+async function getBadge(badgeId) {
+  return get(
+    `SELECT b.*, u.institution_id FROM badges b
+     LEFT JOIN users u ON b.user_id = u.id
+     WHERE b.id = ?`,
+    [badgeId]
+  );
+}
+
+async function revokeBadge(badgeId) {
+  const result = await run('UPDATE badges SET active = 0 WHERE id = ? AND active = 1', [badgeId]);
+  return result.changes > 0;
+}
+
+async function listBadges(userId = null, institutionId = null) {
+  const params = [];
+  let filter = '';
+
+  if (userId) {
+    filter += ' AND b.user_id = ?';
+    params.push(userId);
+  }
+
+  if (institutionId !== null) {
+    filter += ' AND u.institution_id = ?';
+    params.push(institutionId);
+  }
+
+  return all(
+    `SELECT b.id, b.user_id, u.username, b.card_uid, b.label, b.created_at, b.last_used
+     FROM badges b
+     LEFT JOIN users u ON b.user_id = u.id
+     WHERE b.active = 1${filter}
+     ORDER BY b.created_at DESC`,
+    params
+  );
+}
+
+// Returns the full user row for an active badge, for use by the login flow
+async function findUserByCard(cardUid) {
+  const uid = normalizeCardUid(cardUid);
+  if (!uid) {
+    return null;
+  }
+
+  const user = await get(
+    `SELECT u.* FROM badges b
+     JOIN users u ON b.user_id = u.id
+     WHERE b.card_uid = ? AND b.active = 1`,
+    [uid]
+  );
+
+  if (user) {
+    await run('UPDATE badges SET last_used = CURRENT_TIMESTAMP WHERE card_uid = ?', [uid]);
+  }
+
+  return user || null;
+}
+
+module.exports = {
+  normalizeCardUid,
+  enrollBadge,
+  getBadge,
+  revokeBadge,
+  listBadges,
+  findUserByCard
+};
@@ -2,6 +2,8 @@ const axios = require('axios');
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs-extra');
+const { dataDir } = require('./database');
+const migrator = require('./migrator');
 
 // Cloud sync configuration
 const CLOUD_CONFIG = {
@@ -14,50 +16,17 @@ const CLOUD_CONFIG = {
 };
 
 // Initialize sync database
-const syncDbPath = path.join(__dirname, '../../data/sync.db');
+const syncDbPath = path.join(dataDir, 'sync.db');
 fs.ensureDirSync(path.dirname(syncDbPath));
 
 const syncDb = new sqlite3.Database(syncDbPath);
 
-// Create sync tables
-syncDb.serialize(() => {
-  syncDb.run(`
-    CREATE TABLE IF NOT EXISTS sync_queue (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      user_id TEXT,
-      event_type TEXT,
-      data TEXT,
-      timestamp INTEGER,
-      sync_status TEXT DEFAULT 'pending',
-      retry_count INTEGER DEFAULT 0,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
-
-  syncDb.run(`
-    CREATE TABLE IF NOT EXISTS sync_logs (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      batch_id TEXT,
-      records_synced INTEGER,
-      success INTEGER,
-      error_message TEXT,
-      sync_duration INTEGER,
-      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
-
-  syncDb.run(`
-    CREATE TABLE IF NOT EXISTS user_activity (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      user_id TEXT,
-      activity_type TEXT,
-      details TEXT,
-      timestamp INTEGER,
-      synced INTEGER DEFAULT 0,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
-});
+// Optional tenant filter shared by the read queries below (null = all institutions)
+function institutionFilter(institutionId) {
+  return institutionId === null || institutionId === undefined
+    ? { clause: '', params: [] }
+    : { clause: 'WHERE institution_id = ?', params: [institutionId] };
+}
 
 class CloudSyncManager {
   constructor() {
@@ -67,6 +36,11 @@ class CloudSyncManager {
     this.pendingData = [];
   }
 
+  // Called once at startup, before the scheduled sync first runs
+  async initialize() {
+    return migrator.migrate('sync', syncDb);
+  }
+
   async syncData(data) {
     try {
       // Add to sync queue
@@ -89,8 +63,8 @@ class CloudSyncManager {
       const eventData = JSON.stringify(data);
       
       syncDb.run(
-        `INSERT INTO sync_queue (user_id, event_type, data, timestamp) VALUES (?, ?, ?, ?)`,
-        [data.userId || 'system', data.type || 'activity', eventData, Date.now()],
+        `INSERT INTO sync_queue (user_id, institution_id, event_type, data, timestamp) VALUES (?, ?, ?, ?, ?)`,
+        [data.userId || 'system', data.institutionId || null, data.type || 'activity', eventData, Date.now()],
         function(err) {
           if (err) {
             reject(err);
@@ -129,6 +103,7 @@ class CloudSyncManager {
         records: pendingRecords.map(record => ({
           id: record.id,
           userId: record.user_id,
+          institutionId: record.institution_id,
           eventType: record.event_type,
           data: JSON.parse(record.data),
           timestamp: record.timestamp
@@ -280,10 +255,11 @@ class CloudSyncManager {
       // Add to local activity log
       await new Promise((resolve, reject) => {
         syncDb.run(
-          `INSERT INTO user_activity (user_id, activity_type, details, timestamp) 
-           VALUES (?, ?, ?, ?)`,
+          `INSERT INTO user_activity (user_id, institution_id, activity_type, details, timestamp) 
+           VALUES (?, ?, ?, ?, ?)`,
           [
             eventData.userId || 'system',
+            eventData.institutionId || null,
             eventData.type || 'activity',
             JSON.stringify(eventData),
             eventData.timestamp || Date.now()
@@ -318,13 +294,16 @@ class CloudSyncManager {
     }
   }
 
-  async getRecentActivity(limit = 50) {
+  async getRecentActivity(limit = 50, institutionId = null) {
+    const filter = institutionFilter(institutionId);
+
     return new Promise((resolve, reject) => {
       syncDb.all(
         `SELECT * FROM user_activity 
+         ${filter.clause}
          ORDER BY timestamp DESC 
          LIMIT ?`,
-        [limit],
+        [...filter.params, limit],
         (err, rows) => {
           if (err) reject(err);
           else {
@@ -339,7 +318,9 @@ class CloudSyncManager {
     });
   }
 
-  async getSyncStats() {
+  async getSyncStats(institutionId = null) {
+    const filter = institutionFilter(institutionId);
+
     return new Promise((resolve, reject) => {
       syncDb.get(`
         SELECT 
@@ -348,19 +329,43 @@ class CloudSyncManager {
           COUNT(CASE WHEN sync_status = 'pending' THEN 1 END) as pending_events,
           COUNT(CASE WHEN sync_status = 'failed' THEN 1 END) as failed_events
         FROM sync_queue
-      `, (err, row) => {
+        ${filter.clause}
+      `, filter.params, (err, row) => {
         if (err) reject(err);
         else resolve(row);
       });
     });
   }
 
+  // Removes everything recorded about a user, for account deletion without retention
+  async deleteUserData(userId) {
+    const tables = ['user_activity', 'sync_queue'];
+    let removed = 0;
+
+    for (const table of tables) {
+      removed += await new Promise((resolve, reject) => {
+        syncDb.run(`DELETE FROM ${table} WHERE user_id = ?`, [String(userId)], function(err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        });
+      });
+    }
+
+    return removed;
+  }
+
+  // Set from the first-boot setup; falls back to ZYLON_CLOUD_URL
+  setEndpoint(baseUrl) {
+    CLOUD_CONFIG.baseUrl = baseUrl;
+  }
+
   getStatus() {
     return {
       isOnline: this.isOnline,
       syncInProgress: this.syncInProgress,
       lastSyncTime: this.lastSyncTime,
-      syncInterval: CLOUD_CONFIG.syncInterval
+      syncInterval: CLOUD_CONFIG.syncInterval,
+      endpoint: CLOUD_CONFIG.baseUrl
     };
   }
 }
@@ -369,10 +374,13 @@ class CloudSyncManager {
 const cloudSync = new CloudSyncManager();
 
 module.exports = {
+  initialize: () => cloudSync.initialize(),
   syncData: (data) => cloudSync.syncData(data),
   logEvent: (data) => cloudSync.logEvent(data),
   performScheduledSync: () => cloudSync.performScheduledSync(),
-  getRecentActivity: (limit) => cloudSync.getRecentActivity(limit),
-  getSyncStats: () => cloudSync.getSyncStats(),
+  getRecentActivity: (limit, institutionId) => cloudSync.getRecentActivity(limit, institutionId),
+  getSyncStats: (institutionId) => cloudSync.getSyncStats(institutionId),
+  deleteUserData: (userId) => cloudSync.deleteUserData(userId),
+  setEndpoint: (baseUrl) => cloudSync.setEndpoint(baseUrl),
   getStatus: () => cloudSync.getStatus()
 };
\ No newline at end of file
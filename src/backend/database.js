@@ -0,0 +1,81 @@
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const fs = require('fs-extra');
+
+// Databases and their backups live in data/; HATCH_DATA_DIR moves them
+// elsewhere (the tests use a temporary directory)
+const dataDir = process.env.HATCH_DATA_DIR || path.join(__dirname, '../../data');
+
+// Shared connection to the main Hatch OS database (hatch.db)
+const dbPath = path.join(dataDir, 'hatch.db');
+fs.ensureDirSync(path.dirname(dbPath));
+
+const db = new sqlite3.Database(dbPath);
+// Wait for a transaction on another connection instead of failing with SQLITE_BUSY
+db.configure('busyTimeout', 5000);
+
+// Promise wrappers around the sqlite3 callback API
+function wrap(connection) {
+  return {
+    run(sql, params = []) {
+      return new Promise((resolve, reject) => {
+        connection.run(sql, params, function(err) {
+          if (err) reject(err);
+          else resolve({ lastID: this.lastID, changes: this.changes });
+        });
+      });
+    },
+
+    get(sql, params = []) {
+      return new Promise((resolve, reject) => {
+        connection.get(sql, params, (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        });
+      });
+    },
+
+    all(sql, params = []) {
+      return new Promise((resolve, reject) => {
+        connection.all(sql, params, (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        });
+      });
+    }
+  };
+}
+
+const { run, get, all } = wrap(db);
+
+// Runs fn(tx) inside BEGIN IMMEDIATE ... COMMIT and rolls back if it throws.
+// The transaction gets its own connection so that unrelated queries issued on
+// the shared one meanwhile are neither part of it nor undone by a rollback.
+async function transaction(fn) {
+  const connection = new sqlite3.Database(dbPath);
+  connection.configure('busyTimeout', 5000);
+  const tx = wrap(connection);
+
+  try {
+    await tx.run('BEGIN IMMEDIATE');
+    const result = await fn(tx);
+    await tx.run('COMMIT');
+    return result;
+  } catch (error) {
+    await tx.run('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    connection.close();
+  }
+}
+
+module.exports = {
+  db,
+  dbPath,
+  dataDir,
+  run,
+  get,
+  all,
+  wrap,
+  transaction
+};
@@ -0,0 +1,261 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { run, get, all, transaction } = require('./database');
+const permissions = require('./permissions');
+const institutions = require('./institutions');
+const sessions = require('./sessions');
+
+// Temporary accounts for visiting students and exam candidates. An admin
+// generates a batch; every account gets a printed one-time code that stands
+// in for password and PIN. Accounts are purged at logout, once their code is
+// spent and no session is left, or when the batch expires, whichever is first.
+
+const MAX_BATCH_SIZE = 100;
+const MAX_LIFETIME = 7 * 24 * 60 * 60 * 1000; // ms
+const PREFIX_PATTERN = /^[a-z][a-z0-9]{1,11}$/;
+
+// No 0/O or 1/I: codes are typed back from paper
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+// Codes are random and single use; a lower cost keeps a full batch quick to hash
+const CODE_HASH_ROUNDS = 10;
+
+// Time between a code being spent and the session it opened showing up
+const SIGN_IN_GRACE = 5 * 60 * 1000; // ms
+
+function generateCode() {
+  const chars = Array.from({ length: 8 }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]);
+  return `${chars.slice(0, 4).join('')}-${chars.slice(4).join('')}`;
+}
+
+const normalizeCode = (code) => String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+function parseExpiry({ expiresAt, durationMinutes }) {
+  if (expiresAt) {
+    const time = new Date(expiresAt).getTime();
+    return Number.isFinite(time) ? time : null;
+  }
+
+  const minutes = parseInt(durationMinutes, 10);
+  return minutes > 0 ? Date.now() + minutes * 60 * 1000 : null;
+}
+
+// count, prefix, role, label, expiresAt (ISO) or durationMinutes, institutionId.
+// Returns the codes once, for printing; only their hashes are kept.
+async function createBatch(options, actor, scope) {
+  const count = parseInt(options.count, 10);
+  if (!(count >= 1 && count <= MAX_BATCH_SIZE)) {
+    return { success: false, message: `count must be between 1 and ${MAX_BATCH_SIZE}` };
+  }
+
+  const prefix = String(options.prefix || 'guest').toLowerCase();
+  if (!PREFIX_PATTERN.test(prefix)) {
+    return { success: false, message: 'prefix must be 2-12 lowercase letters or digits, starting with a letter' };
+  }
+
+  const expiresAt = parseExpiry(options);
+  if (!expiresAt || expiresAt <= Date.now() || expiresAt - Date.now() > MAX_LIFETIME) {
+    return { success: false, message: 'Expiry must be in the future and at most 7 days away' };
+  }
+
+  const role = options.role || 'guest';
+  if (!(await permissions.roleExists(role))) {
+    return { success: false, message: `Unknown role: ${role}` };
+  }
+  if (permissions.exceedsGuestPermissions(await permissions.getPermissionsForRole(role))) {
+    return { success: false, message: `The ${role} role grants more than guests may have` };
+  }
+
+  const institutionId = options.institutionId ? parseInt(options.institutionId, 10) : actor.institution_id;
+  const institution = await institutions.getInstitution(institutionId);
+  if (!institution || !institution.active || !institutions.inScope(institution.id, scope)) {
+    return { success: false, message: 'Institution not found' };
+  }
+
+  // Hash before the transaction; bcrypt is slow and would hold the write lock
+  const codes = Array.from({ length: count }, generateCode);
+  const hashes = [];
+  for (const code of codes) {
+    hashes.push(await bcrypt.hash(normalizeCode(code), CODE_HASH_ROUNDS));
+  }
+
+  const label = options.label ? String(options.label).trim().slice(0, 100) : null;
+  let batchId;
+  let usernames;
+
+  try {
+    await transaction(async (tx) => {
+      const batch = await tx.run(
+        `INSERT INTO guest_batches (label, prefix, role, institution_id, created_by, created_at, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [label, prefix, role, institution.id, actor.id, Date.now(), expiresAt]
+      );
+      batchId = batch.lastID;
+      // The batch id keeps names unique, so a wiped guest's name is never handed out again
+      usernames = codes.map((code, index) => `${prefix}${batchId}-${String(index + 1).padStart(2, '0')}`);
+
+      for (const [index, username] of usernames.entries()) {
+        const user = await tx.run(
+          `INSERT INTO users (username, password_hash, pin_hash, role, institution, institution_id, auth_provider)
+           VALUES (?, '', '', ?, ?, ?, 'guest')`,
+          [username, role, institution.name, institution.id]
+        );
+        await tx.run(
+          'INSERT INTO guest_accounts (user_id, batch_id, code_hash, expires_at) VALUES (?, ?, ?, ?)',
+          [user.lastID, batchId, hashes[index], expiresAt]
+        );
+      }
+    });
+  } catch (error) {
+    if (error.code === 'SQLITE_CONSTRAINT') {
+      return { success: false, message: 'Some of the generated usernames are taken; choose another prefix' };
+    }
+    throw error;
+  }
+
+  return {
+    success: true,
+    batch: { id: batchId, label, role, institution: institution.name, expiresAt },
+    accounts: usernames.map((username, index) => ({ username, code: codes[index] }))
+  };
+}
+
+async function listBatches(scope) {
+  const filter = scope === null ? '' : 'AND b.institution_id = ?';
+  return all(
+    `SELECT b.id, b.label, b.prefix, b.role, b.institution_id, i.name AS institution, b.created_at, b.expires_at,
+            COUNT(g.user_id) AS remaining, COALESCE(SUM(g.code_used_at IS NOT NULL), 0) AS signed_in
+     FROM guest_batches b
+     LEFT JOIN institutions i ON b.institution_id = i.id
+     LEFT JOIN guest_accounts g ON g.batch_id = b.id
+     WHERE b.wiped_at IS NULL ${filter}
+     GROUP BY b.id
+     ORDER BY b.created_at DESC`,
+    scope === null ? [] : [scope]
+  );
+}
+
+async function getBatch(batchId) {
+  return get('SELECT * FROM guest_batches WHERE id = ?', [batchId]);
+}
+
+// Same shape as an identity provider: { user }, { error, userId } or null.
+// Only checks the code; spendCode marks it used once the session is issued.
+async function authenticateGuest(username, code) {
+  const account = await get(
+    `SELECT u.*, g.code_hash, g.code_used_at, g.expires_at AS guest_expires_at
+     FROM users u
+     JOIN guest_accounts g ON g.user_id = u.id
+     WHERE u.username = ? AND u.deleted_at IS NULL`,
+    [username]
+  );
+  if (!account) {
+    return null;
+  }
+
+  if (!account.active) {
+    return { error: 'Account disabled', userId: account.id };
+  }
+
+  if (account.guest_expires_at <= Date.now()) {
+    return { error: 'Guest account expired', userId: account.id, message: 'This guest account has expired' };
+  }
+
+  if (account.code_used_at) {
+    return { error: 'Guest code already used', userId: account.id, message: 'This code has already been used' };
+  }
+
+  if (!(await bcrypt.compare(normalizeCode(code), account.code_hash))) {
+    return { error: 'Invalid guest code', userId: account.id };
+  }
+
+  // The code stays valid until spendCode, when the session is issued
+  return { user: await get('SELECT * FROM users WHERE id = ?', [account.id]) };
+}
+
+// Called by auth.completeLogin right before it issues the session, so a
+// sign-in that fails later on (lockout, 2FA) leaves the code usable. False
+// when another sign-in spent it first.
+async function spendCode(userId) {
+  const spent = await run(
+    'UPDATE guest_accounts SET code_used_at = ? WHERE user_id = ? AND code_used_at IS NULL',
+    [Date.now(), userId]
+  );
+  return spent.changes > 0;
+}
+
+// Purges one guest account and everything recorded about it, except the
+// security events and audit log. Returns the username, or null if it was not a guest.
+async function wipeGuest(userId) {
+  // Loaded here: users requires auth, which requires this module
+  const users = require('./users');
+
+  const user = await get("SELECT * FROM users WHERE id = ? AND auth_provider = 'guest'", [userId]);
+  if (!user) {
+    return null;
+  }
+
+  await users.removeAccount(user, 'purge');
+  return user.username;
+}
+
+async function markEmptyBatchesWiped() {
+  await run(
+    `UPDATE guest_batches SET wiped_at = ?
+     WHERE wiped_at IS NULL AND NOT EXISTS (SELECT 1 FROM guest_accounts g WHERE g.batch_id = guest_batches.id)`,
+    [Date.now()]
+  );
+}
+
+async function wipeBatch(batchId) {
+  const accounts = await all('SELECT user_id FROM guest_accounts WHERE batch_id = ?', [batchId]);
+  const wiped = [];
+  for (const account of accounts) {
+    const username = await wipeGuest(account.user_id);
+    if (username) wiped.push(username);
+  }
+
+  await markEmptyBatchesWiped();
+  return wiped;
+}
+
+// Cron job: expired accounts, and spent codes whose sessions have all ended
+// without a logout (closed lid, idle timeout, revoked by an admin)
+async function cleanupGuests() {
+  const now = Date.now();
+  const idleCutoff = now - (await sessions.getIdleTimeout()) * 1000;
+
+  const due = await all(
+    `SELECT g.user_id, CASE WHEN g.expires_at <= ? THEN 'expired' ELSE 'session_ended' END AS reason
+     FROM guest_accounts g
+     WHERE g.expires_at <= ?
+        OR (g.code_used_at IS NOT NULL AND g.code_used_at < ? AND NOT EXISTS (
+              SELECT 1 FROM sessions s
+              WHERE s.user_id = g.user_id AND s.revoked_at IS NULL AND s.last_activity > ?))`,
+    [now, now, now - SIGN_IN_GRACE, idleCutoff]
+  );
+
+  const wiped = [];
+  for (const account of due) {
+    const username = await wipeGuest(account.user_id);
+    if (username) {
+      wiped.push({ username, reason: account.reason });
+    } else {
+      // The user row went some other way; drop the leftover record
+      await run('DELETE FROM guest_accounts WHERE user_id = ?', [account.user_id]);
+    }
+  }
+
+  await markEmptyBatchesWiped();
+  return wiped;
+}
+
+module.exports = {
+  createBatch,
+  listBatches,
+  getBatch,
+  authenticateGuest,
+  spendCode,
+  wipeGuest,
+  wipeBatch,
+  cleanupGuests
+};
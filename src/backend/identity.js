@@ -0,0 +1,361 @@
+const fs = require('fs-extra');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const speakeasy = require('speakeasy');
+const { run, get } = require('./database');
+const institutions = require('./institutions');
+const permissions = require('./permissions');
+const security = require('./security');
+
+// Identity providers check a username and password for the first login step.
+// Providers are tried in the configured order; local SQLite accounts are
+// always last, so local accounts keep working when a directory is down.
+//
+// A provider has a name and authenticate(username, password) resolving to:
+//   { user }              credentials accepted; user is the full users row
+//   { error, userId }     the provider owns the account but rejected them
+//   { unavailable: true } the provider could not be reached
+//   null                  the provider does not know the account
+
+const CONFIG_PATH = process.env.HATCH_IDENTITY_CONFIG || path.join(__dirname, '../../config/identity.json');
+
+function loadConfig() {
+  const defaults = {
+    providers: ['local'],
+    ldap: {
+      url: 'ldap://127.0.0.1:389',
+      bindDN: '',
+      bindPassword: '',
+      baseDN: '',
+      userFilter: '(uid={{username}})',
+      usernameAttribute: 'uid',
+      externalIdAttribute: 'entryUUID',
+      groupAttribute: 'memberOf',
+      groupSearch: null,
+      groupRoles: [],
+      defaultRole: 'student',
+      institutionAttribute: 'o',
+      institutions: {},
+      defaultInstitution: null,
+      createInstitutions: false,
+      timeout: 5000,
+      tlsRejectUnauthorized: true
+    }
+  };
+
+  let file = {};
+  try {
+    if (fs.existsSync(CONFIG_PATH)) {
+      file = fs.readJsonSync(CONFIG_PATH);
+    }
+  } catch (error) {
+    console.error(`Invalid identity configuration in ${CONFIG_PATH}:`, error.message);
+  }
+
+  const config = { ...defaults, ...file, ldap: { ...defaults.ldap, ...(file.ldap || {}) } };
+
+  // Secrets and per-host settings are better kept out of the config file
+  if (process.env.HATCH_IDENTITY_PROVIDERS) config.providers = process.env.HATCH_IDENTITY_PROVIDERS.split(',');
+  if (process.env.LDAP_URL) config.ldap.url = process.env.LDAP_URL;
+  if (process.env.LDAP_BIND_DN) config.ldap.bindDN = process.env.LDAP_BIND_DN;
+  if (process.env.LDAP_BIND_PASSWORD) config.ldap.bindPassword = process.env.LDAP_BIND_PASSWORD;
+
+  config.providers = config.providers.map(name => name.trim()).filter(Boolean);
+  return config;
+}
+
+// RFC 4515 escaping for values placed inside a search filter
+function escapeFilterValue(value) {
+  return String(value).replace(/[\\*()\0]/g, char => `\\${char.charCodeAt(0).toString(16).padStart(2, '0')}`);
+}
+
+function fillFilter(template, values) {
+  return template.replace(/\{\{(\w+)\}\}/g, (match, key) => escapeFilterValue(values[key] || ''));
+}
+
+class LocalProvider {
+  constructor() {
+    this.name = 'local';
+  }
+
+  async authenticate(username, password) {
+    const user = await get(
+      "SELECT * FROM users WHERE username = ? AND active = 1 AND COALESCE(auth_provider, 'local') = 'local'",
+      [username]
+    );
+    if (!user) {
+      return null;
+    }
+
+    const passwordValid = await bcrypt.compare(password, user.password_hash);
+    return passwordValid ? { user } : { error: 'Invalid password', userId: user.id };
+  }
+}
+
+// Search-then-bind against an LDAP directory: find the entry with the service
+// account, bind as it with the user's password, then map its groups to a role
+// and an attribute to an institution. The local users row is created on the
+// first successful sign-in and brought in line with the directory on each one.
+class LdapProvider {
+  constructor(config) {
+    this.name = 'ldap';
+    this.config = config;
+  }
+
+  connect() {
+    // ldapjs is only needed when a directory is configured
+    const ldap = require('ldapjs');
+
+    return new Promise((resolve, reject) => {
+      const client = ldap.createClient({
+        url: this.config.url,
+        timeout: this.config.timeout,
+        connectTimeout: this.config.timeout,
+        tlsOptions: { rejectUnauthorized: this.config.tlsRejectUnauthorized }
+      });
+
+      const fail = (error) => reject(error || new Error('LDAP connection failed'));
+      client.once('connect', () => resolve(client));
+      client.once('connectError', fail);
+      client.once('connectTimeout', fail);
+      client.once('setupError', fail);
+      // Later socket errors surface through the pending operation instead
+      client.on('error', () => {});
+    });
+  }
+
+  bind(client, dn, password) {
+    return new Promise((resolve, reject) => {
+      client.bind(dn, password, (err) => (err ? reject(err) : resolve()));
+    });
+  }
+
+  // Resolves to [{ dn, attributes: { name: [values] } }]
+  search(client, base, options) {
+    return new Promise((resolve, reject) => {
+      client.search(base, options, (err, res) => {
+        if (err) return reject(err);
+
+        const entries = [];
+        res.on('searchEntry', (entry) => {
+          const { objectName, attributes } = entry.pojo;
+          entries.push({
+            dn: objectName,
+            attributes: Object.fromEntries(attributes.map(attribute => [attribute.type.toLowerCase(), attribute.values]))
+          });
+        });
+        // Reaching sizeLimit is an answer (more entries than asked for), not a failure
+        res.on('error', (error) => (error.code === 4 ? resolve(entries) : reject(error)));
+        res.on('end', () => resolve(entries));
+      });
+    });
+  }
+
+  async authenticate(username, password) {
+    const config = this.config;
+    let client = null;
+
+    try {
+      client = await this.connect();
+      if (config.bindDN) {
+        await this.bind(client, config.bindDN, config.bindPassword);
+      }
+
+      const entries = await this.search(client, config.baseDN, {
+        scope: 'sub',
+        filter: fillFilter(config.userFilter, { username }),
+        sizeLimit: 2
+      });
+
+      // Unknown, or ambiguous enough that picking one would be a guess
+      if (entries.length !== 1) {
+        return null;
+      }
+      const [entry] = entries;
+
+      // An empty password is an unauthenticated bind, which servers accept
+      if (!password) {
+        return { error: 'Invalid password', userId: null };
+      }
+
+      try {
+        await this.bind(client, entry.dn, password);
+      } catch (error) {
+        if (error.code === 49 || error.name === 'InvalidCredentialsError') {
+          const existing = await get("SELECT id FROM users WHERE username = ? AND auth_provider = 'ldap'", [username]);
+          return { error: 'Invalid password', userId: existing ? existing.id : null };
+        }
+        throw error;
+      }
+
+      const groups = await this.groupsFor(client, entry);
+      return provisionDirectoryUser(this.profileFor(entry, groups), config);
+    } catch (error) {
+      console.error('LDAP authentication error:', error.message);
+      return { unavailable: true };
+    } finally {
+      if (client) client.destroy();
+    }
+  }
+
+  async groupsFor(client, entry) {
+    const { groupSearch, groupAttribute, bindDN, bindPassword } = this.config;
+
+    if (!groupSearch) {
+      return entry.attributes[groupAttribute.toLowerCase()] || [];
+    }
+
+    // Group entries list their members instead; search them as the service account
+    if (bindDN) {
+      await this.bind(client, bindDN, bindPassword);
+    }
+
+    const groups = await this.search(client, groupSearch.baseDN, {
+      scope: 'sub',
+      filter: fillFilter(groupSearch.filter || '(member={{dn}})', { dn: entry.dn }),
+      attributes: ['dn']
+    });
+    return groups.map(group => group.dn);
+  }
+
+  profileFor(entry, groups) {
+    const config = this.config;
+    const first = (name) => (entry.attributes[String(name).toLowerCase()] || [])[0] || null;
+
+    // DNs compare case-insensitively and ignore spaces after commas
+    const normalizeDn = (dn) => String(dn).toLowerCase().replace(/,\s+/g, ',');
+    const memberOf = new Set(groups.map(normalizeDn));
+    const mapping = config.groupRoles.find(({ group }) => memberOf.has(normalizeDn(group)));
+
+    const directoryInstitution = first(config.institutionAttribute);
+    const institution = (directoryInstitution && (config.institutions[directoryInstitution] || directoryInstitution)) ||
+      config.defaultInstitution;
+
+    return {
+      username: first(config.usernameAttribute),
+      externalId: (config.externalIdAttribute === 'dn' ? entry.dn : first(config.externalIdAttribute)) || entry.dn,
+      role: mapping ? mapping.role : config.defaultRole,
+      institution
+    };
+  }
+}
+
+// Just-in-time account for a directory user. Role and institution follow the
+// directory on every sign-in; a local account with the same name is never
+// taken over.
+async function provisionDirectoryUser(profile, config) {
+  if (!profile.username || !profile.institution) {
+    return { error: 'Directory entry lacks a username or institution', userId: null };
+  }
+
+  let tenant = await institutions.getInstitutionByName(profile.institution);
+  if (!tenant && config.createInstitutions) {
+    tenant = await institutions.ensureInstitution(profile.institution);
+  }
+  if (!tenant || !tenant.active) {
+    return { error: `Unknown or inactive institution "${profile.institution}"`, userId: null };
+  }
+
+  const role = (await permissions.roleExists(profile.role)) ? profile.role : config.defaultRole;
+
+  let user = await get("SELECT * FROM users WHERE auth_provider = 'ldap' AND external_id = ?", [profile.externalId]) ||
+    await get("SELECT * FROM users WHERE auth_provider = 'ldap' AND username = ?", [profile.username]);
+
+  if (!user) {
+    const conflict = await get('SELECT id FROM users WHERE username = ?', [profile.username]);
+    if (conflict) {
+      await security.logSecurityEvent(
+        'identity_conflict',
+        'high',
+        `Directory user ${profile.username} matches an existing local account; directory sign-in refused`,
+        null,
+        conflict.id
+      );
+      // Left to the local provider, which checks the local password instead
+      return null;
+    }
+
+    // No local password (the directory checks it) and no PIN until the user sets one
+    const otpSecret = speakeasy.generateSecret({ name: `Hatch OS (${profile.username})`, issuer: 'Zylon Labs' }).base32;
+    const result = await run(
+      `INSERT INTO users (username, password_hash, pin_hash, otp_secret, role, institution, institution_id, auth_provider, external_id)
+       VALUES (?, '', '', ?, ?, ?, ?, 'ldap', ?)`,
+      [profile.username, otpSecret, role, tenant.name, tenant.id, profile.externalId]
+    );
+    console.log(`Created directory user: ${profile.username} (${role})`);
+    return { user: await get('SELECT * FROM users WHERE id = ?', [result.lastID]) };
+  }
+
+  if (!user.active || user.deleted_at) {
+    return { error: 'Account disabled', userId: user.id };
+  }
+
+  await run(
+    'UPDATE users SET username = ?, role = ?, institution = ?, institution_id = ?, external_id = ? WHERE id = ?',
+    [profile.username, role, tenant.name, tenant.id, profile.externalId, user.id]
+  );
+  return { user: await get('SELECT * FROM users WHERE id = ?', [user.id]) };
+}
+
+const PROVIDERS = {
+  ldap: LdapProvider
+};
+
+let providers = null;
+
+function getProviders() {
+  if (!providers) {
+    const config = loadConfig();
+    providers = config.providers
+      .filter(name => name !== 'local')
+      .map(name => {
+        const Provider = PROVIDERS[name];
+        if (!Provider) {
+          console.error(`Unknown identity provider: ${name}`);
+          return null;
+        }
+        return new Provider(config[name] || {});
+      })
+      .filter(Boolean);
+    providers.push(new LocalProvider());
+  }
+
+  return providers;
+}
+
+// Accepts any object honouring the provider interface, e.g. a scripted test double
+function useProviders(list) {
+  providers = [...list, new LocalProvider()];
+}
+
+async function authenticate(username, password) {
+  let unavailable = false;
+
+  for (const provider of getProviders()) {
+    const result = await provider.authenticate(username, password);
+
+    if (result && result.unavailable) {
+      unavailable = true;
+    } else if (result) {
+      return { ...result, provider: provider.name };
+    }
+  }
+
+  return unavailable
+    ? { error: 'Directory unavailable', userId: null, message: 'The directory service is unavailable. Please try again later.' }
+    : null;
+}
+
+function getStatus() {
+  return getProviders().map(provider => ({
+    name: provider.name,
+    url: provider.config ? provider.config.url : null
+  }));
+}
+
+module.exports = {
+  authenticate,
+  useProviders,
+  getStatus,
+  escapeFilterValue
+};
@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const { run, get } = require('./database');
+const permissions = require('./permissions');
+const institutions = require('./institutions');
+
+// "View as": a teacher or admin sees the system as one of their users, to
+// reproduce what that user reports. The token auth.startImpersonation issues
+// is read-only and short-lived, and every request made with it is audited
+// (authMiddleware). The record ties it to the viewer's own session, so
+// signing out or losing that session ends it as well.
+
+const IMPERSONATION_TTL = parseInt(process.env.IMPERSONATION_TTL, 10) || 15 * 60; // seconds
+
+// The only writes allowed while viewing as someone, and reads that stay off limits
+const ALLOWED_WRITE_PATHS = ['/api/auth/impersonation/end'];
+const BLOCKED_READ_PATHS = ['/api/admin/users/export', '/api/admin/audit/verify'];
+
+// Express routes match case-insensitively, so /api/Admin/USERS/export reaches
+// the same handler and must be compared the same way
+function isAllowedRequest(method, url) {
+  const path = url.split('?')[0].toLowerCase();
+  if (['GET', 'HEAD', 'OPTIONS'].includes(method)) {
+    return !BLOCKED_READ_PATHS.some(prefix => path.startsWith(prefix));
+  }
+  return ALLOWED_WRITE_PATHS.some(prefix => path.startsWith(prefix));
+}
+
+// Only accounts whose role grants nothing the viewer lacks, so viewing as
+// someone never shows more than the viewer could already see
+async function findTarget(actor, targetId, scope) {
+  const target = await get('SELECT * FROM users WHERE id = ? AND deleted_at IS NULL', [targetId]);
+  if (!target || !institutions.inScope(target.institution_id, scope) ||
+      (target.role === 'superadmin' && scope !== null)) {
+    return { message: 'User not found' };
+  }
+
+  if (target.id === actor.id) {
+    return { message: 'You cannot view as yourself' };
+  }
+
+  if (!target.active) {
+    return { message: 'Disabled accounts cannot be viewed' };
+  }
+
+  const granted = await permissions.getPermissionsForRole(target.role);
+  if (granted.some(permission => !actor.permissions.includes(permission))) {
+    return { message: `The ${target.role} role has permissions you do not have` };
+  }
+
+  return { target };
+}
+
+// actor is req.user: permissions loaded and sessionId set
+async function startImpersonation(actor, targetId, scope, reason = null) {
+  const { target, message } = await findTarget(actor, targetId, scope);
+  if (!target) {
+    return { success: false, message };
+  }
+
+  const id = crypto.randomUUID();
+  const now = Date.now();
+  const expiresAt = now + IMPERSONATION_TTL * 1000;
+
+  await run(
+    `INSERT INTO impersonations (id, actor_id, target_id, session_id, reason, started_at, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [id, actor.id, target.id, actor.sessionId, reason ? String(reason).slice(0, 200) : null, now, expiresAt]
+  );
+
+  return { success: true, impersonation: { id, targetId: target.id, expiresAt } };
+}
+
+// Returns the record while it can still be used
+async function getActiveImpersonation(id) {
+  return get(
+    'SELECT * FROM impersonations WHERE id = ? AND ended_at IS NULL AND expires_at > ?',
+    [id, Date.now()]
+  );
+}
+
+async function endImpersonation(id, reason = 'ended') {
+  const result = await run(
+    'UPDATE impersonations SET ended_at = ?, ended_reason = ? WHERE id = ? AND ended_at IS NULL',
+    [Date.now(), reason, id]
+  );
+  return result.changes > 0;
+}
+
+module.exports = {
+  IMPERSONATION_TTL,
+  isAllowedRequest,
+  startImpersonation,
+  getActiveImpersonation,
+  endImpersonation
+};
@@ -0,0 +1,106 @@
+const { run, get, all } = require('./database');
+const { PERMISSIONS, hasPermission } = require('../shared/permissions');
+
+// Institutions are the tenants of an installation: users, activity, auth logs
+// and security events all belong to exactly one of them.
+
+// The institution a user's queries are limited to, or null for cross-tenant users.
+// Expects user.permissions to be loaded (see authMiddleware.requireAuth).
+function scopeFor(user) {
+  if (hasPermission(user, PERMISSIONS.INSTITUTIONS_ALL)) {
+    return null;
+  }
+  // A user without an institution must never fall through to "all"
+  return user.institution_id || -1;
+}
+
+function inScope(institutionId, scope) {
+  return scope === null || institutionId === scope;
+}
+
+async function listInstitutions() {
+  return all(
+    `SELECT i.id, i.name, i.active, i.created_at, COUNT(u.id) AS user_count
+     FROM institutions i
+     LEFT JOIN users u ON u.institution_id = i.id
+     GROUP BY i.id
+     ORDER BY i.name ASC`
+  );
+}
+
+async function getInstitution(id) {
+  return get('SELECT * FROM institutions WHERE id = ?', [id]);
+}
+
+async function getInstitutionByName(name) {
+  return get('SELECT * FROM institutions WHERE name = ?', [name]);
+}
+
+async function createInstitution(name) {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) {
+    return { success: false, message: 'Institution name is required' };
+  }
+
+  if (await getInstitutionByName(trimmed)) {
+    return { success: false, message: 'Institution already exists' };
+  }
+
+  const result = await run('INSERT INTO institutions (name) VALUES (?)', [trimmed]);
+  return { success: true, institution: { id: result.lastID, name: trimmed, active: 1 } };
+}
+
+// Used when creating users by institution name, e.g. from the default accounts
+async function ensureInstitution(name) {
+  await run('INSERT OR IGNORE INTO institutions (name) VALUES (?)', [name]);
+  return getInstitutionByName(name);
+}
+
+async function updateInstitution(id, { name, active }) {
+  const institution = await getInstitution(id);
+  if (!institution) {
+    return { success: false, message: 'Institution not found' };
+  }
+
+  if (name !== undefined) {
+    const trimmed = String(name).trim();
+    const existing = await getInstitutionByName(trimmed);
+    if (!trimmed || (existing && existing.id !== institution.id)) {
+      return { success: false, message: 'Institution name is empty or already in use' };
+    }
+
+    await run('UPDATE institutions SET name = ? WHERE id = ?', [trimmed, id]);
+    // users.institution keeps the display name alongside the id
+    await run('UPDATE users SET institution = ? WHERE institution_id = ?', [trimmed, id]);
+  }
+
+  if (active !== undefined) {
+    await run('UPDATE institutions SET active = ? WHERE id = ?', [active ? 1 : 0, id]);
+  }
+
+  return { success: true };
+}
+
+async function getUserInstitutionId(userId) {
+  const row = await get('SELECT institution_id FROM users WHERE id = ?', [userId]);
+  return row ? row.institution_id : null;
+}
+
+// True when the user exists and is visible from the given scope
+async function userInScope(userId, scope) {
+  const row = await get('SELECT institution_id FROM users WHERE id = ?', [userId]);
+  return !!row && inScope(row.institution_id, scope);
+}
+
+module.exports = {
+  scopeFor,
+  inScope,
+  listInstitutions,
+  getInstitution,
+  getInstitutionByName,
+  createInstitution,
+  ensureInstitution,
+  updateInstitution,
+  getUserInstitutionId,
+  userInScope
+};
@@ -0,0 +1,227 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+
+// File integrity monitoring. A baseline manifest records the SHA-256 hash,
+// permissions and owner of every file under the watch list; it is written at
+// install and update time (scripts/integrity-baseline.js) and compared
+// against the disk on every security check.
+
+const INSTALL_ROOT = path.join(__dirname, '../..');
+const CONFIG_PATH = process.env.HATCH_INTEGRITY_CONFIG || path.join(INSTALL_ROOT, 'config/integrity.json');
+const MANIFEST_PATH = process.env.HATCH_INTEGRITY_MANIFEST || path.join(INSTALL_ROOT, 'data/integrity-manifest.json');
+const MANIFEST_VERSION = 1;
+
+// Relative entries in the config are resolved against the install tree
+function loadConfig() {
+  const defaults = {
+    watch: ['.', '/etc/hatch', '/etc/passwd', '/etc/shadow', '/etc/group', '/etc/sudoers', '/etc/sudoers.d'],
+    exclude: ['node_modules', '.git', 'data', 'logs', 'backups', 'uploads', 'dist']
+  };
+
+  let file = {};
+  try {
+    if (fs.existsSync(CONFIG_PATH)) {
+      file = fs.readJsonSync(CONFIG_PATH);
+    }
+  } catch (error) {
+    console.error(`Invalid integrity configuration in ${CONFIG_PATH}:`, error.message);
+  }
+
+  const config = { ...defaults, ...file };
+  const resolve = (entry) => path.resolve(INSTALL_ROOT, entry);
+
+  return {
+    watch: config.watch.map(resolve),
+    // The manifest would otherwise report itself as changed
+    exclude: [...config.exclude.map(resolve), path.resolve(MANIFEST_PATH)]
+  };
+}
+
+const isWithin = (file, dir) => file.startsWith(`${dir}${path.sep}`);
+
+function isExcluded(file, exclude) {
+  return exclude.some(entry => file === entry || isWithin(file, entry));
+}
+
+function hashFile(file) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(file)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+// Symlinks are recorded, not followed, so repointing one shows up as a change
+async function describe(file, stats) {
+  const entry = {
+    type: stats.isSymbolicLink() ? 'symlink' : stats.isDirectory() ? 'directory' : 'file',
+    mode: (stats.mode & 0o7777).toString(8).padStart(4, '0'),
+    uid: stats.uid,
+    gid: stats.gid
+  };
+
+  if (entry.type === 'symlink') {
+    entry.target = await fs.readlink(file);
+  } else if (entry.type === 'file') {
+    try {
+      entry.sha256 = await hashFile(file);
+    } catch (error) {
+      // /etc/shadow and friends are root-only; the backend still checks
+      // their permissions and owner
+      if (error.code !== 'EACCES') throw error;
+      entry.sha256 = null;
+    }
+  }
+
+  return entry;
+}
+
+async function collect(file, exclude, files) {
+  if (isExcluded(file, exclude)) return;
+
+  let stats;
+  try {
+    stats = await fs.lstat(file);
+  } catch (error) {
+    // A watched path that does not exist yet is reported as added once it does
+    if (error.code === 'ENOENT') return;
+    throw error;
+  }
+
+  files[file] = await describe(file, stats);
+
+  if (stats.isDirectory()) {
+    let children;
+    try {
+      children = await fs.readdir(file);
+    } catch (error) {
+      if (error.code !== 'EACCES') throw error;
+      // Root-only directories such as /etc/sudoers.d; see compare()
+      files[file].unreadable = true;
+      children = [];
+    }
+    for (const child of children.sort()) {
+      await collect(path.join(file, child), exclude, files);
+    }
+  }
+}
+
+async function scan(config = loadConfig()) {
+  const files = {};
+  for (const watched of config.watch) {
+    await collect(watched, config.exclude, files);
+  }
+  return files;
+}
+
+async function generateBaseline() {
+  const config = loadConfig();
+  const files = await scan(config);
+
+  let hatchVersion = null;
+  try {
+    hatchVersion = (await fs.readJson(path.join(INSTALL_ROOT, 'package.json'))).version;
+  } catch (error) {
+    // Only informational
+  }
+
+  const manifest = {
+    version: MANIFEST_VERSION,
+    generatedAt: new Date().toISOString(),
+    hatchVersion,
+    watch: config.watch,
+    files
+  };
+
+  await fs.ensureDir(path.dirname(MANIFEST_PATH));
+  await fs.writeJson(MANIFEST_PATH, manifest, { spaces: 2 });
+  return { path: MANIFEST_PATH, files: Object.keys(files).length, manifest };
+}
+
+async function loadBaseline() {
+  if (!(await fs.pathExists(MANIFEST_PATH))) {
+    return null;
+  }
+
+  const manifest = await fs.readJson(MANIFEST_PATH);
+  if (manifest.version !== MANIFEST_VERSION || typeof manifest.files !== 'object') {
+    throw new Error(`Unsupported integrity manifest in ${MANIFEST_PATH}`);
+  }
+  return manifest;
+}
+
+// Names of the recorded fields that differ. A hash is only compared when both
+// sides could read the file.
+function changedFields(before, after) {
+  const fields = [];
+  if (before.type !== after.type) fields.push('type');
+  if (before.sha256 && after.sha256 && before.sha256 !== after.sha256) fields.push('sha256');
+  if (before.target !== after.target) fields.push('target');
+  if (before.mode !== after.mode) fields.push('mode');
+  if (before.uid !== after.uid || before.gid !== after.gid) fields.push('owner');
+  return fields;
+}
+
+function compare(baselineFiles, currentFiles) {
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  for (const [file, entry] of Object.entries(currentFiles)) {
+    const before = baselineFiles[file];
+    if (!before) {
+      added.push(file);
+      continue;
+    }
+
+    const fields = changedFields(before, entry);
+    if (fields.length > 0) {
+      const change = { path: file, fields };
+      if (fields.includes('mode')) change.mode = { before: before.mode, after: entry.mode };
+      if (fields.includes('owner')) {
+        change.owner = { before: `${before.uid}:${before.gid}`, after: `${entry.uid}:${entry.gid}` };
+      }
+      changed.push(change);
+    }
+  }
+
+  // What is inside a directory this process cannot list is unknown, not removed
+  const unlisted = Object.keys(currentFiles).filter(file => currentFiles[file].unreadable);
+  for (const file of Object.keys(baselineFiles)) {
+    if (!currentFiles[file] && !unlisted.some(dir => isWithin(file, dir))) removed.push(file);
+  }
+
+  return { added: added.sort(), removed: removed.sort(), changed };
+}
+
+// Compares the disk with the baseline. Only the paths watched when the
+// baseline was taken are scanned, so editing the watch list needs a new one.
+async function verify() {
+  const baseline = await loadBaseline();
+  if (!baseline) {
+    return { baseline: null };
+  }
+
+  const { exclude } = loadConfig();
+  const current = await scan({ watch: baseline.watch, exclude });
+  const diff = compare(baseline.files, current);
+
+  return {
+    baseline: { generatedAt: baseline.generatedAt, hatchVersion: baseline.hatchVersion, files: Object.keys(baseline.files).length },
+    clean: diff.added.length === 0 && diff.removed.length === 0 && diff.changed.length === 0,
+    ...diff
+  };
+}
+
+module.exports = {
+  MANIFEST_PATH,
+  loadConfig,
+  scan,
+  generateBaseline,
+  loadBaseline,
+  compare,
+  verify
+};
@@ -0,0 +1,527 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+
+// Signature-based malware scanner for user home and upload directories.
+// Files are matched against a local signature database (hashes plus byte and
+// regex rules, see signatures/hatch.rules). Matches are moved into a
+// quarantine folder only the backend can read, and can be restored or
+// deleted from the admin panel. Clean verdicts are cached in security.db per
+// path, size and modification time, so unchanged files are skipped until the
+// signatures change.
+//
+// The functions take the promise-wrapped security.db; security.js owns it.
+
+const INSTALL_ROOT = path.join(__dirname, '../..');
+const CONFIG_PATH = process.env.HATCH_MALWARE_CONFIG || path.join(INSTALL_ROOT, 'config/malware.json');
+const BUNDLED_SIGNATURES = path.join(INSTALL_ROOT, 'signatures/hatch.rules');
+// Written by scripts/update-manager.js when a newer version is published
+const UPDATED_SIGNATURES = path.join(INSTALL_ROOT, 'data/signatures/hatch.rules');
+
+function loadConfig() {
+  const defaults = {
+    scanPaths: ['uploads', '/home'],
+    excludeNames: ['.cache', 'node_modules', '.git'],
+    maxFileSize: 32 * 1024 * 1024,
+    quarantineDir: 'data/quarantine'
+  };
+
+  let file = {};
+  try {
+    if (fs.existsSync(CONFIG_PATH)) {
+      file = fs.readJsonSync(CONFIG_PATH);
+    }
+  } catch (error) {
+    console.error(`Invalid malware scanner configuration in ${CONFIG_PATH}:`, error.message);
+  }
+
+  const config = { ...defaults, ...file };
+  return {
+    ...config,
+    scanPaths: config.scanPaths.map(entry => path.resolve(INSTALL_ROOT, entry)),
+    quarantineDir: path.resolve(INSTALL_ROOT, config.quarantineDir)
+  };
+}
+
+// --- Signature database ---
+
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+const byteEscape = (byte) => `\\x${byte.toString(16).padStart(2, '0')}`;
+
+function unescapeText(text, lineNumber) {
+  return text.replace(/\\(x[0-9a-fA-F]{2}|.)/g, (match, code) => {
+    if (code[0] === 'x' && code.length === 3) return String.fromCharCode(parseInt(code.slice(1), 16));
+    if (code === 'n') return '\n';
+    if (code === 't') return '\t';
+    if (code === 'r') return '\r';
+    if (code === '\\' || code === '"') return code;
+    throw new Error(`line ${lineNumber}: unknown escape \\${code}`);
+  });
+}
+
+// Every rule string becomes a RegExp over the file read as Latin-1, where
+// each character is one byte
+function compileString(definition, lineNumber) {
+  const text = /^"((?:[^"\\]|\\.)*)"(\s+nocase)?$/.exec(definition);
+  if (text) {
+    const bytes = Buffer.from(unescapeText(text[1], lineNumber), 'latin1');
+    if (bytes.length === 0) throw new Error(`line ${lineNumber}: empty string`);
+    return new RegExp(Array.from(bytes, byteEscape).join(''), text[2] ? 'i' : '');
+  }
+
+  const hex = /^\{([0-9a-fA-F?\s]+)\}$/.exec(definition);
+  if (hex) {
+    const tokens = hex[1].trim().split(/\s+/);
+    if (tokens.some(token => !/^([0-9a-fA-F]{2}|\?\?)$/.test(token)) || tokens.every(token => token === '??')) {
+      throw new Error(`line ${lineNumber}: hex strings are pairs of hex digits or ??`);
+    }
+    return new RegExp(tokens.map(token => (token === '??' ? '[\\s\\S]' : byteEscape(parseInt(token, 16)))).join(''));
+  }
+
+  const regex = /^\/(.+)\/([is]*)$/.exec(definition);
+  if (regex) {
+    try {
+      return new RegExp(regex[1], regex[2]);
+    } catch (error) {
+      throw new Error(`line ${lineNumber}: ${error.message}`);
+    }
+  }
+
+  throw new Error(`line ${lineNumber}: expected "text", { hex } or /regex/`);
+}
+
+function compileCondition(source, strings, lineNumber) {
+  const condition = source.replace(/\s+/g, ' ');
+  const ids = Object.keys(strings);
+  const quantifier = /^(any|all|\d+) of them$/.exec(condition);
+  if (quantifier) {
+    const needed = quantifier[1] === 'any' ? 1 : quantifier[1] === 'all' ? ids.length : parseInt(quantifier[1], 10);
+    if (needed < 1 || needed > ids.length) throw new Error(`line ${lineNumber}: rule has ${ids.length} strings`);
+    return { type: 'count', needed };
+  }
+
+  const operator = / or /.test(condition) ? 'or' : 'and';
+  if (/ and /.test(condition) && operator === 'or') {
+    throw new Error(`line ${lineNumber}: and and or cannot be mixed`);
+  }
+
+  const terms = condition.split(` ${operator} `).map(term => {
+    const match = /^\$(\w+)(?: at (\d+))?$/.exec(term.trim());
+    if (!match || !strings[match[1]]) throw new Error(`line ${lineNumber}: bad condition term "${term.trim()}"`);
+    return { id: match[1], at: match[2] === undefined ? null : parseInt(match[2], 10) };
+  });
+  return { type: operator, terms };
+}
+
+// Parses a signature file; throws with the offending line number, so a broken
+// update is rejected instead of silently scanning with fewer rules
+function parseSignatures(source) {
+  const signatures = { version: null, hashes: new Map(), rules: [] };
+  let rule = null;
+  let section = null;
+
+  const lines = source.split(/\r?\n/);
+  lines.forEach((raw, index) => {
+    const lineNumber = index + 1;
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) return;
+
+    if (!rule) {
+      let match;
+      if ((match = /^version\s+(\d+)$/.exec(line))) {
+        signatures.version = parseInt(match[1], 10);
+      } else if ((match = /^hash\s+([0-9a-fA-F]{64})\s+(\w+)$/.exec(line))) {
+        signatures.hashes.set(match[1].toLowerCase(), match[2]);
+      } else if ((match = /^rule\s+(\w+)\s*\{$/.exec(line))) {
+        rule = { name: match[1], description: null, severity: 'high', strings: {}, condition: null, line: lineNumber };
+        section = null;
+      } else {
+        throw new Error(`line ${lineNumber}: expected version, hash or rule`);
+      }
+      return;
+    }
+
+    if (line === '}') {
+      if (Object.keys(rule.strings).length === 0 || !rule.condition) {
+        throw new Error(`line ${rule.line}: rule ${rule.name} needs strings and a condition`);
+      }
+      rule.condition = compileCondition(rule.condition, rule.strings, rule.line);
+      delete rule.line;
+      signatures.rules.push(rule);
+      rule = null;
+      return;
+    }
+
+    const header = /^(meta|strings|condition):\s*(.*)$/.exec(line);
+    if (header) {
+      section = header[1];
+      if (header[2]) {
+        if (section !== 'condition') throw new Error(`line ${lineNumber}: ${section}: must be on its own line`);
+        rule.condition = header[2];
+      }
+      return;
+    }
+
+    if (section === 'meta') {
+      const meta = /^(\w+)\s*=\s*"((?:[^"\\]|\\.)*)"$/.exec(line);
+      if (!meta) throw new Error(`line ${lineNumber}: expected key = "value"`);
+      const value = unescapeText(meta[2], lineNumber);
+      if (meta[1] === 'severity' && !SEVERITIES.includes(value)) {
+        throw new Error(`line ${lineNumber}: severity must be one of ${SEVERITIES.join(', ')}`);
+      }
+      if (meta[1] === 'description' || meta[1] === 'severity') rule[meta[1]] = value;
+    } else if (section === 'strings') {
+      const string = /^\$(\w+)\s*=\s*(.+)$/.exec(line);
+      if (!string) throw new Error(`line ${lineNumber}: expected $id = definition`);
+      rule.strings[string[1]] = compileString(string[2], lineNumber);
+    } else if (section === 'condition') {
+      rule.condition = rule.condition ? `${rule.condition} ${line}` : line;
+    } else {
+      throw new Error(`line ${lineNumber}: expected meta:, strings: or condition:`);
+    }
+  });
+
+  if (rule) throw new Error(`line ${rule.line}: rule ${rule.name} is not closed`);
+  if (signatures.version === null) throw new Error('missing version line');
+  return signatures;
+}
+
+let loaded = null; // { file, mtimeMs, signatures }
+
+// The newest valid signature file wins: the bundled one or an update. Cached
+// until the chosen file changes on disk.
+async function loadSignatures() {
+  const candidates = [];
+  for (const file of [UPDATED_SIGNATURES, BUNDLED_SIGNATURES]) {
+    try {
+      const stats = await fs.stat(file);
+      if (loaded && loaded.file === file && loaded.mtimeMs === stats.mtimeMs) {
+        candidates.push(loaded);
+        continue;
+      }
+      const signatures = parseSignatures(await fs.readFile(file, 'utf8'));
+      candidates.push({ file, mtimeMs: stats.mtimeMs, signatures });
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error(`Ignoring malware signatures in ${file}:`, error.message);
+    }
+  }
+
+  if (candidates.length === 0) {
+    throw new Error('No usable malware signatures');
+  }
+
+  loaded = candidates.reduce((best, candidate) => (
+    candidate.signatures.version > best.signatures.version ? candidate : best
+  ));
+  return loaded.signatures;
+}
+
+function ruleMatches(rule, text) {
+  const found = (id, at) => {
+    const pattern = rule.strings[id];
+    if (at === null) return pattern.test(text);
+    const sticky = new RegExp(pattern.source, `${pattern.flags}y`);
+    sticky.lastIndex = at;
+    return sticky.test(text);
+  };
+
+  const { condition } = rule;
+  if (condition.type === 'count') {
+    let hits = 0;
+    for (const id of Object.keys(rule.strings)) {
+      if (found(id, null) && ++hits >= condition.needed) return true;
+    }
+    return false;
+  }
+
+  return condition.type === 'and'
+    ? condition.terms.every(term => found(term.id, term.at))
+    : condition.terms.some(term => found(term.id, term.at));
+}
+
+// Returns { name, description, severity } for the first match, or null
+function matchSignatures(signatures, sha256, buffer) {
+  const hashMatch = signatures.hashes.get(sha256);
+  if (hashMatch) {
+    return { name: hashMatch, description: 'Known malicious file', severity: 'high' };
+  }
+
+  if (!buffer) return null;
+  const text = buffer.toString('latin1');
+  const rule = signatures.rules.find(candidate => ruleMatches(candidate, text));
+  return rule ? { name: rule.name, description: rule.description, severity: rule.severity } : null;
+}
+
+// --- Scanning ---
+
+function hashStream(file) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(file)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+// Symlinks are not followed: they could lead out of the scanned directories
+async function walk(directory, config, visit) {
+  let entries;
+  try {
+    entries = await fs.readdir(directory, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'EACCES') return;
+    throw error;
+  }
+
+  for (const entry of entries) {
+    const file = path.join(directory, entry.name);
+    if (config.excludeNames.includes(entry.name) || file === config.quarantineDir) continue;
+
+    if (entry.isDirectory()) {
+      await walk(file, config, visit);
+    } else if (entry.isFile()) {
+      await visit(file);
+    }
+  }
+}
+
+async function quarantineFile(db, config, file, stats, sha256, signature) {
+  await fs.ensureDir(config.quarantineDir);
+  await fs.chmod(config.quarantineDir, 0o700);
+
+  const id = crypto.randomUUID();
+  const destination = path.join(config.quarantineDir, id);
+  await fs.move(file, destination);
+  // Not executable and readable only by the backend while held
+  await fs.chmod(destination, 0o600);
+
+  await db.run(
+    `INSERT INTO quarantine (id, original_path, sha256, size, mode, uid, gid, signature, detected_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [id, file, sha256, stats.size, stats.mode & 0o7777, stats.uid, stats.gid, signature.name, Date.now()]
+  );
+  return id;
+}
+
+let running = null;
+let lastScan = null;
+
+// Walks every scan path. Files whose size and modification time match a clean
+// verdict from the current signatures are skipped unless full is set.
+async function scan(db, { full = false } = {}) {
+  if (running) {
+    return running;
+  }
+
+  running = (async () => {
+    const config = loadConfig();
+    const signatures = await loadSignatures();
+    const startedAt = Date.now();
+    const summary = { scanned: 0, skipped: 0, detections: [], errors: [] };
+
+    const cached = new Map(
+      (await db.all('SELECT path, size, mtime_ms, signatures_version FROM scan_results'))
+        .map(row => [row.path, row])
+    );
+    const seen = new Set();
+
+    const visit = async (file) => {
+      seen.add(file);
+      try {
+        const stats = await fs.stat(file);
+        const previous = cached.get(file);
+        if (!full && previous && previous.size === stats.size && previous.mtime_ms === Math.floor(stats.mtimeMs) &&
+            previous.signatures_version === signatures.version) {
+          summary.skipped++;
+          return;
+        }
+
+        // Content rules need the whole file; larger files are matched by hash only
+        const buffer = stats.size <= config.maxFileSize ? await fs.readFile(file) : null;
+        const sha256 = buffer ? crypto.createHash('sha256').update(buffer).digest('hex') : await hashStream(file);
+        summary.scanned++;
+
+        const signature = matchSignatures(signatures, sha256, buffer);
+        const allowed = signature && await db.get(
+          "SELECT id FROM quarantine WHERE sha256 = ? AND status = 'restored' LIMIT 1",
+          [sha256]
+        );
+
+        if (signature && !allowed) {
+          let quarantineId = null;
+          let error;
+          try {
+            quarantineId = await quarantineFile(db, config, file, stats, sha256, signature);
+          } catch (moveError) {
+            error = moveError.message;
+          }
+          summary.detections.push({ path: file, signature: signature.name, severity: signature.severity, quarantineId, error });
+          await db.run('DELETE FROM scan_results WHERE path = ?', [file]);
+          return;
+        }
+
+        // Only clean verdicts are cached, so a file that could not be
+        // quarantined is reported again on the next scan
+        await db.run(
+          `INSERT OR REPLACE INTO scan_results (path, size, mtime_ms, sha256, signatures_version, scanned_at)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [file, stats.size, Math.floor(stats.mtimeMs), sha256, signatures.version, Date.now()]
+        );
+      } catch (error) {
+        if (error.code !== 'ENOENT') summary.errors.push({ path: file, error: error.message });
+      }
+    };
+
+    for (const scanPath of config.scanPaths) {
+      await walk(scanPath, config, visit);
+    }
+
+    // Files that are gone no longer need a cached verdict
+    for (const file of cached.keys()) {
+      if (!seen.has(file)) await db.run('DELETE FROM scan_results WHERE path = ?', [file]);
+    }
+
+    lastScan = {
+      ...summary,
+      full,
+      signaturesVersion: signatures.version,
+      startedAt,
+      finishedAt: Date.now()
+    };
+    return lastScan;
+  })();
+
+  try {
+    return await running;
+  } finally {
+    running = null;
+  }
+}
+
+async function getStatus() {
+  let signatures = null;
+  let signatureError = null;
+  try {
+    const current = await loadSignatures();
+    signatures = { version: current.version, rules: current.rules.length, hashes: current.hashes.size, file: loaded.file };
+  } catch (error) {
+    signatureError = error.message;
+  }
+
+  return { signatures, signatureError, scanning: Boolean(running), lastScan, scanPaths: loadConfig().scanPaths };
+}
+
+// --- Quarantine ---
+
+async function listQuarantine(db, status = 'quarantined') {
+  return db.all(
+    `SELECT id, original_path, sha256, size, signature, detected_at, status, resolved_at, resolved_by
+     FROM quarantine WHERE status = ? ORDER BY detected_at DESC`,
+    [status]
+  );
+}
+
+async function getQuarantined(db, id) {
+  return db.get('SELECT * FROM quarantine WHERE id = ?', [id]);
+}
+
+// The backend runs as root, and the owner of a quarantined file can replace
+// one of its old directories with a symlink (to /etc, say) before it is
+// restored. Walks from the scan path down to the file's directory, creating
+// what is missing, and returns that directory's real path, or null if the
+// file was not under a scan path or any component is not a real directory.
+async function restoreDirectory(originalPath, scanPaths) {
+  const target = path.resolve(originalPath);
+  const root = scanPaths.find(scanPath => target.startsWith(scanPath + path.sep));
+  if (!root) return null;
+
+  const lstat = (entry) => fs.lstat(entry).catch(error => {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  });
+
+  let directory = await fs.realpath(root).catch(() => null);
+  if (!directory) return null;
+
+  for (const part of path.relative(root, path.dirname(target)).split(path.sep).filter(Boolean)) {
+    directory = path.join(directory, part);
+    let stats = await lstat(directory);
+    if (!stats) {
+      await fs.mkdir(directory).catch(error => {
+        if (error.code !== 'EEXIST') throw error;
+      });
+      stats = await lstat(directory);
+    }
+    if (!stats || stats.isSymbolicLink() || !stats.isDirectory()) return null;
+  }
+
+  return (await fs.realpath(directory)) === directory ? directory : null;
+}
+
+// Puts a false positive back with its old permissions. Files with the same
+// hash are not quarantined again.
+async function restore(db, id, actorId) {
+  const record = await getQuarantined(db, id);
+  if (!record || record.status !== 'quarantined') {
+    return { success: false, message: 'Quarantined file not found' };
+  }
+
+  const config = loadConfig();
+  const directory = await restoreDirectory(record.original_path, config.scanPaths);
+  if (!directory) {
+    return { success: false, message: `${path.dirname(record.original_path)} is no longer a directory under a scan path` };
+  }
+
+  // lstat, so a dangling symlink counts as well
+  const destination = path.join(directory, path.basename(record.original_path));
+  if (await fs.lstat(destination).then(() => true, () => false)) {
+    return { success: false, message: `A file already exists at ${record.original_path}` };
+  }
+
+  // Permissions are set while the file is still in the backend-only
+  // quarantine folder; afterwards only lchown, which never follows a symlink
+  const held = path.join(config.quarantineDir, record.id);
+  // setuid and setgid bits are not given back
+  await fs.chmod(held, record.mode & 0o1777);
+  await fs.move(held, destination);
+  try {
+    await fs.lchown(destination, record.uid, record.gid);
+  } catch (error) {
+    // Only root can give a file away; it stays with the backend's user
+    if (error.code !== 'EPERM') throw error;
+  }
+
+  await db.run(
+    "UPDATE quarantine SET status = 'restored', resolved_at = ?, resolved_by = ? WHERE id = ?",
+    [Date.now(), actorId, id]
+  );
+  return { success: true, record };
+}
+
+async function remove(db, id, actorId) {
+  const record = await getQuarantined(db, id);
+  if (!record || record.status !== 'quarantined') {
+    return { success: false, message: 'Quarantined file not found' };
+  }
+
+  await fs.remove(path.join(loadConfig().quarantineDir, record.id));
+  await db.run(
+    "UPDATE quarantine SET status = 'deleted', resolved_at = ?, resolved_by = ? WHERE id = ?",
+    [Date.now(), actorId, id]
+  );
+  return { success: true, record };
+}
+
+module.exports = {
+  UPDATED_SIGNATURES,
+  parseSignatures,
+  loadSignatures,
+  matchSignatures,
+  scan,
+  getStatus,
+  listQuarantine,
+  restore,
+  remove
+};
@@ -0,0 +1,212 @@
+const { addColumn } = require('../../migrator');
+
+// Built-in roles as they stood when migrations were introduced. Frozen here so
+// that every install runs the same migration; roles and grants added since
+// come from later migrations (superadmin and admin are also re-synced from
+// src/shared/permissions.js at every start).
+const ALL_PERMISSIONS = [
+  'admin.panel', 'users.view', 'users.manage', 'roles.manage', 'sessions.manage',
+  'badges.manage', 'security.view', 'security.ips.manage', 'security.policies.edit',
+  'reports.export', 'apps.launch', 'apps.launch.dev', 'system.devmode',
+  'institutions.manage', 'institutions.all'
+];
+
+const BASELINE_ROLES = {
+  superadmin: {
+    description: 'Operator of the whole installation, across all institutions',
+    permissions: ALL_PERMISSIONS
+  },
+  admin: {
+    description: 'Administrator of a single institution',
+    permissions: ALL_PERMISSIONS.filter(permission => !['institutions.manage', 'institutions.all'].includes(permission))
+  },
+  teacher: {
+    description: 'Classroom staff with monitoring access',
+    permissions: ['admin.panel', 'users.view', 'security.view', 'reports.export', 'apps.launch']
+  },
+  developer: {
+    description: 'Developer with access to development tools',
+    permissions: ['apps.launch', 'apps.launch.dev', 'system.devmode']
+  },
+  student: {
+    description: 'Standard student account',
+    permissions: ['apps.launch']
+  }
+};
+
+// Schema as it stood before versioned migrations. Every statement tolerates
+// a database created by an earlier release, where some of it already exists.
+async function up(db) {
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS institutions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT UNIQUE NOT NULL,
+      active INTEGER DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT UNIQUE NOT NULL,
+      password_hash TEXT NOT NULL,
+      pin_hash TEXT NOT NULL,
+      otp_secret TEXT,
+      otp_enabled INTEGER DEFAULT 0,
+      otp_pending_secret TEXT,
+      role TEXT DEFAULT 'student',
+      institution TEXT,
+      institution_id INTEGER REFERENCES institutions (id),
+      class_name TEXT,
+      active INTEGER DEFAULT 1,
+      must_change_password INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_login DATETIME,
+      deleted_at DATETIME
+    )
+  `);
+
+  await addColumn(db, 'users', 'otp_enabled INTEGER DEFAULT 0');
+  await addColumn(db, 'users', 'otp_pending_secret TEXT');
+  await addColumn(db, 'users', 'institution_id INTEGER REFERENCES institutions (id)');
+  await addColumn(db, 'users', 'must_change_password INTEGER DEFAULT 0');
+  await addColumn(db, 'users', 'deleted_at DATETIME');
+  await addColumn(db, 'users', 'class_name TEXT');
+
+  // Rows from before tenancy only carry the institution name; link them up
+  await db.run(`
+    INSERT OR IGNORE INTO institutions (name)
+    SELECT DISTINCT institution FROM users WHERE institution IS NOT NULL AND institution != ''
+  `);
+  await db.run(`
+    UPDATE users SET institution_id = (SELECT id FROM institutions WHERE name = users.institution)
+    WHERE institution_id IS NULL
+  `);
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS auth_logs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER,
+      username TEXT,
+      success INTEGER,
+      ip_address TEXT,
+      user_agent TEXT,
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users (id)
+    )
+  `);
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS sessions (
+      id TEXT PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      ip_address TEXT,
+      user_agent TEXT,
+      created_at INTEGER NOT NULL,
+      last_activity INTEGER NOT NULL,
+      revoked_at INTEGER,
+      revoked_reason TEXT,
+      FOREIGN KEY (user_id) REFERENCES users (id)
+    )
+  `);
+  await db.run('CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions (user_id)');
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS refresh_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      session_id TEXT NOT NULL,
+      token_hash TEXT UNIQUE NOT NULL,
+      created_at INTEGER NOT NULL,
+      expires_at INTEGER NOT NULL,
+      used_at INTEGER,
+      FOREIGN KEY (session_id) REFERENCES sessions (id)
+    )
+  `);
+  await db.run('CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session ON refresh_tokens (session_id)');
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS badges (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      card_uid TEXT UNIQUE NOT NULL,
+      label TEXT,
+      active INTEGER DEFAULT 1,
+      enrolled_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_used DATETIME,
+      FOREIGN KEY (user_id) REFERENCES users (id)
+    )
+  `);
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS recovery_codes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      code_hash TEXT NOT NULL,
+      used_at INTEGER,
+      created_at INTEGER NOT NULL,
+      FOREIGN KEY (user_id) REFERENCES users (id)
+    )
+  `);
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS roles (
+      name TEXT PRIMARY KEY,
+      description TEXT,
+      builtin INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS role_permissions (
+      role TEXT NOT NULL,
+      permission TEXT NOT NULL,
+      PRIMARY KEY (role, permission),
+      FOREIGN KEY (role) REFERENCES roles (name)
+    )
+  `);
+
+  // Seed built-in roles once; later edits by an admin must survive
+  for (const [name, definition] of Object.entries(BASELINE_ROLES)) {
+    const result = await db.run(
+      'INSERT OR IGNORE INTO roles (name, description, builtin) VALUES (?, ?, 1)',
+      [name, definition.description]
+    );
+
+    if (result.changes > 0) {
+      for (const permission of definition.permissions) {
+        await db.run('INSERT OR IGNORE INTO role_permissions (role, permission) VALUES (?, ?)', [name, permission]);
+      }
+    }
+  }
+
+  // Before tenancy every admin saw all institutions; keep one account able to
+  // do so after upgrading by promoting the oldest admin
+  const superadmin = await db.get("SELECT id FROM users WHERE role = 'superadmin' LIMIT 1");
+  if (!superadmin) {
+    await db.run("UPDATE users SET role = 'superadmin' WHERE id = (SELECT MIN(id) FROM users WHERE role = 'admin')");
+  }
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS password_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      password_hash TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users (id)
+    )
+  `);
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS system_settings (
+      key TEXT PRIMARY KEY,
+      value TEXT,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+module.exports = { up };
@@ -0,0 +1,9 @@
+const { addColumn } = require('../../migrator');
+
+// logAuthAttempt has always written a details column that the original
+// auth_logs DDL never defined, so every auth log insert failed
+async function up(db) {
+  await addColumn(db, 'auth_logs', 'details TEXT');
+}
+
+module.exports = { up };
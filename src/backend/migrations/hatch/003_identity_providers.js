@@ -0,0 +1,14 @@
+const { addColumn } = require('../../migrator');
+
+// Accounts from an external directory (identity.js) carry the provider name
+// and the directory's stable id for the entry, so a renamed user keeps their row
+async function up(db) {
+  await addColumn(db, 'users', "auth_provider TEXT DEFAULT 'local'");
+  await addColumn(db, 'users', 'external_id TEXT');
+  await db.run(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_users_external_id
+    ON users (auth_provider, external_id) WHERE external_id IS NOT NULL
+  `);
+}
+
+module.exports = { up };
@@ -0,0 +1,36 @@
+// Single sign-on through each institution's OpenID Connect provider (oidc.js).
+// oidc_identities links an issuer's subject to one Hatch OS account.
+async function up(db) {
+  await db.run(`
+    CREATE TABLE oidc_providers (
+      institution_id INTEGER PRIMARY KEY REFERENCES institutions (id),
+      display_name TEXT,
+      issuer TEXT NOT NULL,
+      client_id TEXT NOT NULL,
+      client_secret TEXT,
+      redirect_uri TEXT NOT NULL,
+      scopes TEXT DEFAULT 'openid profile email',
+      username_claim TEXT DEFAULT 'preferred_username',
+      role_claim TEXT DEFAULT 'groups',
+      role_mapping TEXT DEFAULT '[]',
+      auto_provision INTEGER DEFAULT 0,
+      enabled INTEGER DEFAULT 1,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await db.run(`
+    CREATE TABLE oidc_identities (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL REFERENCES users (id),
+      issuer TEXT NOT NULL,
+      subject TEXT NOT NULL,
+      linked_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_used_at DATETIME,
+      UNIQUE (issuer, subject),
+      UNIQUE (user_id, issuer)
+    )
+  `);
+}
+
+module.exports = { up };
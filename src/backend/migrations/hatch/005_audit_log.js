@@ -0,0 +1,38 @@
+// Unified audit log (audit.js). Rows are chained by hash and the triggers make
+// the table append-only for everything short of dropping them.
+async function up(db) {
+  await db.run(`
+    CREATE TABLE audit_log (
+      seq INTEGER PRIMARY KEY AUTOINCREMENT,
+      timestamp TEXT NOT NULL,
+      category TEXT NOT NULL,
+      action TEXT NOT NULL,
+      actor_id INTEGER,
+      actor_name TEXT,
+      target_type TEXT,
+      target_id TEXT,
+      institution_id INTEGER,
+      ip_address TEXT,
+      before_value TEXT,
+      after_value TEXT,
+      details TEXT,
+      prev_hash TEXT NOT NULL,
+      hash TEXT NOT NULL
+    )
+  `);
+
+  await db.run('CREATE INDEX idx_audit_log_action ON audit_log (action)');
+  await db.run('CREATE INDEX idx_audit_log_actor ON audit_log (actor_id)');
+  await db.run('CREATE INDEX idx_audit_log_institution ON audit_log (institution_id, seq)');
+
+  await db.run(`
+    CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log
+    BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END
+  `);
+  await db.run(`
+    CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log
+    BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END
+  `);
+}
+
+module.exports = { up };
@@ -0,0 +1,28 @@
+// "View as" sessions (impersonation.js). Each one rides on the viewer's own
+// session and ends when it expires, is ended, or that session goes away.
+async function up(db) {
+  await db.run(`
+    CREATE TABLE impersonations (
+      id TEXT PRIMARY KEY,
+      actor_id INTEGER NOT NULL,
+      target_id INTEGER NOT NULL,
+      session_id TEXT NOT NULL,
+      reason TEXT,
+      started_at INTEGER NOT NULL,
+      expires_at INTEGER NOT NULL,
+      ended_at INTEGER,
+      ended_reason TEXT,
+      FOREIGN KEY (actor_id) REFERENCES users (id),
+      FOREIGN KEY (target_id) REFERENCES users (id)
+    )
+  `);
+  await db.run('CREATE INDEX idx_impersonations_session ON impersonations (session_id)');
+
+  // Teachers get "view as student", on new and upgraded installs alike
+  await db.run(`
+    INSERT OR IGNORE INTO role_permissions (role, permission)
+    SELECT name, 'users.impersonate' FROM roles WHERE name = 'teacher'
+  `);
+}
+
+module.exports = { up };
@@ -0,0 +1,43 @@
+// Temporary guest and exam-candidate accounts (guests.js). The users rows
+// carry auth_provider 'guest'; these tables hold the batch, the expiry and
+// the hash of each account's one-time sign-in code.
+async function up(db) {
+  await db.run(`
+    CREATE TABLE guest_batches (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      label TEXT,
+      prefix TEXT NOT NULL,
+      role TEXT NOT NULL,
+      institution_id INTEGER NOT NULL,
+      created_by INTEGER,
+      created_at INTEGER NOT NULL,
+      expires_at INTEGER NOT NULL,
+      wiped_at INTEGER,
+      FOREIGN KEY (institution_id) REFERENCES institutions (id)
+    )
+  `);
+
+  await db.run(`
+    CREATE TABLE guest_accounts (
+      user_id INTEGER PRIMARY KEY,
+      batch_id INTEGER NOT NULL,
+      code_hash TEXT NOT NULL,
+      code_used_at INTEGER,
+      expires_at INTEGER NOT NULL,
+      FOREIGN KEY (user_id) REFERENCES users (id),
+      FOREIGN KEY (batch_id) REFERENCES guest_batches (id)
+    )
+  `);
+  await db.run('CREATE INDEX idx_guest_accounts_expires ON guest_accounts (expires_at)');
+
+  // The restricted role guests get by default. An existing custom role of
+  // that name is left as it is.
+  const result = await db.run(
+    "INSERT OR IGNORE INTO roles (name, description, builtin) VALUES ('guest', 'Temporary visitor or exam candidate', 1)"
+  );
+  if (result.changes > 0) {
+    await db.run("INSERT OR IGNORE INTO role_permissions (role, permission) VALUES ('guest', 'apps.launch')");
+  }
+}
+
+module.exports = { up };
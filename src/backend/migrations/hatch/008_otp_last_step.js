@@ -0,0 +1,9 @@
+const { addColumn } = require('../../migrator');
+
+// TOTP time step of the last code each user signed in with; a code from that
+// step or an earlier one is refused, so an observed code cannot be replayed
+async function up(db) {
+  await addColumn(db, 'users', 'otp_last_step INTEGER');
+}
+
+module.exports = { up };
@@ -0,0 +1,13 @@
+// Roles and IP blocks are shared by every institution, so managing them is now
+// for super-admins only. Custom and built-in roles lose these grants (admin is
+// also re-synced at start).
+const NOW_CROSS_TENANT = ['roles.manage', 'security.ips.manage'];
+
+async function up(db) {
+  await db.run(
+    `DELETE FROM role_permissions WHERE role != 'superadmin' AND permission IN (${NOW_CROSS_TENANT.map(() => '?').join(', ')})`,
+    NOW_CROSS_TENANT
+  );
+}
+
+module.exports = { up };
@@ -0,0 +1,57 @@
+const { addColumn } = require('../../migrator');
+
+// security.db as it stood before versioned migrations
+async function up(db) {
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS security_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      event_type TEXT NOT NULL,
+      severity TEXT NOT NULL,
+      description TEXT NOT NULL,
+      ip_address TEXT,
+      user_id TEXT,
+      institution_id INTEGER,
+      details TEXT,
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Events are tagged with the tenant of the user involved; NULL marks
+  // installation-wide events (integrity checks, IP blocks) for super-admins
+  await addColumn(db, 'security_events', 'institution_id INTEGER');
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS blocked_ips (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      ip_address TEXT UNIQUE NOT NULL,
+      reason TEXT NOT NULL,
+      blocked_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      expires_at DATETIME,
+      active INTEGER DEFAULT 1
+    )
+  `);
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS login_attempts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      scope TEXT NOT NULL,
+      identifier TEXT NOT NULL,
+      failed_count INTEGER DEFAULT 0,
+      last_failed_at INTEGER,
+      locked_until INTEGER,
+      UNIQUE (scope, identifier)
+    )
+  `);
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS security_policies (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      policy_name TEXT UNIQUE NOT NULL,
+      policy_value TEXT NOT NULL,
+      description TEXT,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+module.exports = { up };
@@ -0,0 +1,35 @@
+// Malware scanner (malware.js). scan_results caches the verdict for each
+// clean file so unchanged files are skipped; quarantine records every file
+// moved into the quarantine folder and how it was resolved.
+async function up(db) {
+  await db.run(`
+    CREATE TABLE scan_results (
+      path TEXT PRIMARY KEY,
+      size INTEGER NOT NULL,
+      mtime_ms INTEGER NOT NULL,
+      sha256 TEXT NOT NULL,
+      signatures_version INTEGER NOT NULL,
+      scanned_at INTEGER NOT NULL
+    )
+  `);
+
+  await db.run(`
+    CREATE TABLE quarantine (
+      id TEXT PRIMARY KEY,
+      original_path TEXT NOT NULL,
+      sha256 TEXT NOT NULL,
+      size INTEGER NOT NULL,
+      mode INTEGER NOT NULL,
+      uid INTEGER,
+      gid INTEGER,
+      signature TEXT NOT NULL,
+      detected_at INTEGER NOT NULL,
+      status TEXT NOT NULL DEFAULT 'quarantined',
+      resolved_at INTEGER,
+      resolved_by INTEGER
+    )
+  `);
+  await db.run('CREATE INDEX idx_quarantine_sha256 ON quarantine (sha256)');
+}
+
+module.exports = { up };
@@ -0,0 +1,48 @@
+// Security alerts (securityAlerts.js): high and critical events become alerts
+// with a status, assignee and notes. Repeats of an identical event fold into
+// the alert still being handled, whose count goes up.
+async function up(db) {
+  await db.run(`
+    CREATE TABLE security_alerts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      fingerprint TEXT NOT NULL,
+      event_type TEXT NOT NULL,
+      severity TEXT NOT NULL,
+      title TEXT NOT NULL,
+      institution_id INTEGER,
+      status TEXT NOT NULL DEFAULT 'open',
+      assignee_id INTEGER,
+      assignee_username TEXT,
+      count INTEGER NOT NULL DEFAULT 1,
+      first_event_id INTEGER,
+      last_event_id INTEGER,
+      first_seen INTEGER NOT NULL,
+      last_seen INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL,
+      resolved_at INTEGER,
+      resolved_by INTEGER
+    )
+  `);
+
+  // At most one alert per fingerprint is still taking repeats; upserts rely on it
+  await db.run(`
+    CREATE UNIQUE INDEX idx_security_alerts_active ON security_alerts (fingerprint)
+    WHERE status IN ('open', 'acknowledged', 'false_positive')
+  `);
+  await db.run('CREATE INDEX idx_security_alerts_status ON security_alerts (status, last_seen)');
+
+  await db.run(`
+    CREATE TABLE security_alert_notes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      alert_id INTEGER NOT NULL,
+      author_id INTEGER,
+      author_username TEXT,
+      note TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      FOREIGN KEY (alert_id) REFERENCES security_alerts (id)
+    )
+  `);
+  await db.run('CREATE INDEX idx_security_alert_notes_alert ON security_alert_notes (alert_id)');
+}
+
+module.exports = { up };
@@ -0,0 +1,19 @@
+// Outcome of sending each new security alert through the notification
+// channels (scripts/notification-manager.js). One row per channel tried, or a
+// single row without a channel when nothing was sent, e.g. below min_priority.
+async function up(db) {
+  await db.run(`
+    CREATE TABLE security_alert_notifications (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      alert_id INTEGER NOT NULL,
+      channel TEXT,
+      status TEXT NOT NULL,
+      error TEXT,
+      created_at INTEGER NOT NULL,
+      FOREIGN KEY (alert_id) REFERENCES security_alerts (id)
+    )
+  `);
+  await db.run('CREATE INDEX idx_security_alert_notifications_alert ON security_alert_notifications (alert_id)');
+}
+
+module.exports = { up };
@@ -0,0 +1,49 @@
+const { addColumn } = require('../../migrator');
+
+// sync.db as it stood before versioned migrations
+async function up(db) {
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS sync_queue (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id TEXT,
+      institution_id INTEGER,
+      event_type TEXT,
+      data TEXT,
+      timestamp INTEGER,
+      sync_status TEXT DEFAULT 'pending',
+      retry_count INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS sync_logs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      batch_id TEXT,
+      records_synced INTEGER,
+      success INTEGER,
+      error_message TEXT,
+      sync_duration INTEGER,
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS user_activity (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id TEXT,
+      institution_id INTEGER,
+      activity_type TEXT,
+      details TEXT,
+      timestamp INTEGER,
+      synced INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Tenant tagging for databases created before institutions existed
+  await addColumn(db, 'sync_queue', 'institution_id INTEGER');
+  await addColumn(db, 'user_activity', 'institution_id INTEGER');
+}
+
+module.exports = { up };
@@ -0,0 +1,121 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { wrap, dataDir } = require('./database');
+
+// Versioned schema migrations. Each database (hatch, security, sync) has a
+// directory of numbered up-migrations, migrations/<name>/NNN_description.js,
+// exporting `up(db)` where db has the promise-based run/get/all helpers.
+// Applied versions are recorded in the database's own schema_version table.
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const BACKUP_DIR = path.join(dataDir, 'backups');
+const BACKUP_RETENTION = 5; // per database
+const MIGRATION_FILE_PATTERN = /^(\d{3})_([a-z0-9_]+)\.js$/;
+
+function loadMigrations(name) {
+  const directory = path.join(MIGRATIONS_DIR, name);
+
+  const migrations = fs.readdirSync(directory)
+    .map(file => {
+      const match = MIGRATION_FILE_PATTERN.exec(file);
+      return match && { version: parseInt(match[1], 10), name: match[2], file: path.join(directory, file) };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (migration.version !== index + 1) {
+      throw new Error(`${name} migrations must be numbered 001, 002, ... without gaps (found ${migration.version})`);
+    }
+  });
+
+  return migrations;
+}
+
+// ALTER TABLE ADD COLUMN unless the column already exists. Baseline
+// migrations use it to bring databases from before versioning up to date.
+async function addColumn(db, table, columnDefinition) {
+  const column = columnDefinition.trim().split(/\s+/)[0];
+  const columns = await db.all(`PRAGMA table_info(${table})`);
+
+  if (!columns.some(existing => existing.name === column)) {
+    await db.run(`ALTER TABLE ${table} ADD COLUMN ${columnDefinition}`);
+  }
+}
+
+async function getSchemaVersion(db) {
+  const row = await db.get('SELECT MAX(version) AS version FROM schema_version');
+  return row.version || 0;
+}
+
+// Consistent copy of the live database, taken before any migration touches it
+async function backupDatabase(db, name, version) {
+  await fs.ensureDir(BACKUP_DIR);
+
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const backupPath = path.join(BACKUP_DIR, `${name}-v${version}-${stamp}.db`);
+  await db.run('VACUUM INTO ?', [backupPath]);
+
+  const previous = (await fs.readdir(BACKUP_DIR))
+    .filter(file => file.startsWith(`${name}-v`) && file.endsWith('.db'))
+    .sort((a, b) => fs.statSync(path.join(BACKUP_DIR, b)).mtimeMs - fs.statSync(path.join(BACKUP_DIR, a)).mtimeMs);
+  for (const file of previous.slice(BACKUP_RETENTION)) {
+    await fs.remove(path.join(BACKUP_DIR, file));
+  }
+
+  return backupPath;
+}
+
+// Brings one database up to the latest version. Nothing else may use the
+// connection meanwhile, so this runs at startup before the server listens.
+async function migrate(name, connection) {
+  const db = wrap(connection);
+  const migrations = loadMigrations(name);
+  const latest = migrations.length;
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  const current = await getSchemaVersion(db);
+  if (current > latest) {
+    throw new Error(`${name}.db is at schema version ${current}, newer than this build supports (${latest})`);
+  }
+
+  const pending = migrations.filter(migration => migration.version > current);
+  if (pending.length === 0) {
+    return { name, from: current, to: current, backup: null };
+  }
+
+  // A brand-new database has nothing worth backing up
+  const existing = await db.get(
+    "SELECT COUNT(*) AS count FROM sqlite_master WHERE type = 'table' AND name NOT IN ('schema_version', 'sqlite_sequence')"
+  );
+  const backup = existing.count > 0 ? await backupDatabase(db, name, current) : null;
+
+  for (const migration of pending) {
+    await db.run('BEGIN IMMEDIATE');
+    try {
+      await require(migration.file).up(db);
+      await db.run('INSERT INTO schema_version (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+      await db.run('COMMIT');
+      console.log(`🗄️  ${name}.db migrated to v${migration.version} (${migration.name})`);
+    } catch (error) {
+      await db.run('ROLLBACK').catch(() => {});
+      error.message = `${name}.db migration ${migration.version} (${migration.name}) failed: ${error.message}`;
+      throw error;
+    }
+  }
+
+  return { name, from: current, to: latest, backup };
+}
+
+module.exports = {
+  migrate,
+  addColumn,
+  loadMigrations,
+  getSchemaVersion
+};
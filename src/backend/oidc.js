@@ -0,0 +1,393 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const { run, get, all } = require('./database');
+const permissions = require('./permissions');
+
+// OpenID Connect single sign-on, one provider per institution. This module
+// speaks the protocol (discovery, authorization code + PKCE, ID token checks)
+// and keeps the subject-to-account links; auth.js decides who is signed in.
+
+const DEFAULT_REDIRECT_URI = 'http://127.0.0.1/oidc/callback';
+const AUTHORIZATION_TTL = 10 * 60 * 1000; // ms to finish signing in at the provider
+const METADATA_TTL = 60 * 60 * 1000;
+const JWKS_REFRESH_INTERVAL = 60 * 1000; // at most one refetch a minute for unknown keys
+const ID_TOKEN_ALGORITHMS = ['RS256', 'PS256', 'ES256'];
+const USERNAME_PATTERN = /^[a-zA-Z0-9._-]{3,32}$/;
+
+// Authorizations in progress, keyed by their state parameter
+const pendingAuthorizations = new Map();
+const metadataCache = new Map();
+const jwksCache = new Map();
+
+const base64url = (buffer) => buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+const trimSlash = (url) => String(url).replace(/\/+$/, '');
+
+function isLoopback(hostname) {
+  return ['localhost', '127.0.0.1', '[::1]'].includes(hostname);
+}
+
+function parseProvider(row) {
+  if (!row) return null;
+
+  let roleMapping = [];
+  try {
+    roleMapping = JSON.parse(row.role_mapping || '[]');
+  } catch (error) {
+    console.error(`Invalid OIDC role mapping for institution ${row.institution_id}`);
+  }
+
+  return { ...row, role_mapping: roleMapping, auto_provision: !!row.auto_provision, enabled: !!row.enabled };
+}
+
+async function getProvider(institutionId) {
+  return parseProvider(await get('SELECT * FROM oidc_providers WHERE institution_id = ?', [institutionId]));
+}
+
+// Safe to show to institution admins: the client secret never leaves the server
+function toPublicProvider(provider) {
+  return {
+    institutionId: provider.institution_id,
+    displayName: provider.display_name,
+    issuer: provider.issuer,
+    clientId: provider.client_id,
+    hasClientSecret: !!provider.client_secret,
+    redirectUri: provider.redirect_uri,
+    scopes: provider.scopes,
+    usernameClaim: provider.username_claim,
+    roleClaim: provider.role_claim,
+    roleMapping: provider.role_mapping,
+    autoProvision: provider.auto_provision,
+    enabled: provider.enabled
+  };
+}
+
+// Sign-in buttons for the login screen
+async function listLoginOptions() {
+  const rows = await all(
+    `SELECT p.institution_id, p.display_name, i.name AS institution
+     FROM oidc_providers p
+     JOIN institutions i ON i.id = p.institution_id
+     WHERE p.enabled = 1 AND i.active = 1
+     ORDER BY i.name ASC`
+  );
+
+  return rows.map(row => ({
+    institutionId: row.institution_id,
+    institution: row.institution,
+    label: row.display_name || `${row.institution} account`
+  }));
+}
+
+async function validateSettings(settings) {
+  try {
+    const issuer = new URL(settings.issuer);
+    // Plain http only for a development issuer on this machine
+    if (issuer.protocol !== 'https:' && !(issuer.protocol === 'http:' && isLoopback(issuer.hostname))) {
+      return 'Issuer must be an https URL';
+    }
+  } catch (error) {
+    return 'Issuer must be a URL';
+  }
+
+  if (!String(settings.clientId || '').trim()) {
+    return 'Client ID is required';
+  }
+
+  try {
+    new URL(settings.redirectUri || DEFAULT_REDIRECT_URI);
+  } catch (error) {
+    return 'Redirect URI must be a URL';
+  }
+
+  if (settings.scopes && !String(settings.scopes).split(/\s+/).includes('openid')) {
+    return 'Scopes must include "openid"';
+  }
+
+  const mapping = settings.roleMapping || [];
+  if (!Array.isArray(mapping) || mapping.some(entry => !entry || !entry.value || !entry.role)) {
+    return 'Role mapping must be a list of { value, role } entries';
+  }
+
+  for (const { role } of mapping) {
+    // Cross-institution access is never granted by one institution's provider
+    if (role === 'superadmin') {
+      return 'Single sign-on cannot grant the superadmin role';
+    }
+    if (!(await permissions.roleExists(role))) {
+      return `Unknown role "${role}"`;
+    }
+  }
+
+  return null;
+}
+
+async function saveProvider(institutionId, settings) {
+  const invalid = await validateSettings(settings);
+  if (invalid) {
+    return { success: false, message: invalid };
+  }
+
+  const existing = await getProvider(institutionId);
+  // An omitted secret keeps the stored one; null removes it
+  const clientSecret = settings.clientSecret === undefined
+    ? (existing ? existing.client_secret : null)
+    : settings.clientSecret || null;
+
+  await run(
+    `INSERT OR REPLACE INTO oidc_providers
+       (institution_id, display_name, issuer, client_id, client_secret, redirect_uri, scopes,
+        username_claim, role_claim, role_mapping, auto_provision, enabled, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+    [
+      institutionId,
+      settings.displayName || null,
+      trimSlash(settings.issuer),
+      String(settings.clientId).trim(),
+      clientSecret,
+      settings.redirectUri || DEFAULT_REDIRECT_URI,
+      settings.scopes || 'openid profile email',
+      settings.usernameClaim || 'preferred_username',
+      settings.roleClaim || 'groups',
+      JSON.stringify(settings.roleMapping || []),
+      settings.autoProvision ? 1 : 0,
+      settings.enabled === false ? 0 : 1
+    ]
+  );
+
+  metadataCache.delete(trimSlash(settings.issuer));
+  return { success: true, provider: toPublicProvider(await getProvider(institutionId)) };
+}
+
+async function deleteProvider(institutionId) {
+  const result = await run('DELETE FROM oidc_providers WHERE institution_id = ?', [institutionId]);
+  return result.changes > 0;
+}
+
+async function getMetadata(issuer) {
+  const cached = metadataCache.get(issuer);
+  if (cached && Date.now() - cached.fetchedAt < METADATA_TTL) {
+    return cached.metadata;
+  }
+
+  const { data } = await axios.get(`${issuer}/.well-known/openid-configuration`, { timeout: 10000 });
+  if (trimSlash(data.issuer) !== issuer) {
+    throw new Error(`Discovery document names issuer ${data.issuer}, expected ${issuer}`);
+  }
+
+  metadataCache.set(issuer, { metadata: data, fetchedAt: Date.now() });
+  return data;
+}
+
+async function getSigningKey(jwksUri, kid) {
+  const find = (entry) => entry.keys.find(key => !kid || key.kid === kid);
+
+  let cached = jwksCache.get(jwksUri);
+  // Providers rotate keys; an unknown kid means it is time to refetch
+  if (!cached || (!find(cached) && Date.now() - cached.fetchedAt > JWKS_REFRESH_INTERVAL)) {
+    const { data } = await axios.get(jwksUri, { timeout: 10000 });
+    cached = { keys: data.keys || [], fetchedAt: Date.now() };
+    jwksCache.set(jwksUri, cached);
+  }
+
+  const jwk = find(cached);
+  if (!jwk) {
+    throw new Error(`No signing key ${kid || ''} published by the provider`);
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+function prunePending() {
+  const now = Date.now();
+  for (const [state, pending] of pendingAuthorizations) {
+    if (pending.expiresAt < now) pendingAuthorizations.delete(state);
+  }
+}
+
+// purpose 'login' signs someone in; 'link' attaches the subject to userId
+async function beginAuthorization(institutionId, { purpose = 'login', userId = null } = {}) {
+  const provider = await getProvider(institutionId);
+  if (!provider || !provider.enabled) {
+    return { success: false, message: 'Single sign-on is not set up for this institution' };
+  }
+
+  let metadata;
+  try {
+    metadata = await getMetadata(provider.issuer);
+  } catch (error) {
+    console.error('OIDC discovery error:', error.message);
+    return { success: false, message: 'The school sign-in service is unavailable. Please try again later.' };
+  }
+
+  const state = base64url(crypto.randomBytes(24));
+  const nonce = base64url(crypto.randomBytes(24));
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+  prunePending();
+  pendingAuthorizations.set(state, {
+    institutionId: provider.institution_id,
+    purpose,
+    userId,
+    nonce,
+    codeVerifier,
+    expiresAt: Date.now() + AUTHORIZATION_TTL
+  });
+
+  const url = new URL(metadata.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.client_id,
+    redirect_uri: provider.redirect_uri,
+    scope: provider.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256',
+    // Shared classroom machines: always ask who is signing in
+    prompt: 'login'
+  }).toString();
+
+  return { success: true, authorizationUrl: url.toString(), redirectUri: provider.redirect_uri, state };
+}
+
+// Exchanges the code and verifies the ID token. Resolves to the verified
+// claims with the provider and what the authorization was started for.
+async function completeAuthorization({ state, code, error }) {
+  const pending = pendingAuthorizations.get(state);
+  pendingAuthorizations.delete(state);
+
+  if (!pending || pending.expiresAt < Date.now()) {
+    return { success: false, message: 'Sign-in timed out. Please start again.' };
+  }
+
+  if (error || !code) {
+    return { success: false, message: error === 'access_denied' ? 'Sign-in was cancelled' : 'The school sign-in service refused the request' };
+  }
+
+  const provider = await getProvider(pending.institutionId);
+  if (!provider || !provider.enabled) {
+    return { success: false, message: 'Single sign-on is not set up for this institution' };
+  }
+
+  try {
+    const metadata = await getMetadata(provider.issuer);
+
+    const body = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: provider.redirect_uri,
+      client_id: provider.client_id,
+      code_verifier: pending.codeVerifier
+    });
+    if (provider.client_secret) {
+      body.set('client_secret', provider.client_secret);
+    }
+
+    const { data: tokens } = await axios.post(metadata.token_endpoint, body.toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      timeout: 10000
+    });
+
+    const decoded = jwt.decode(tokens.id_token, { complete: true });
+    if (!decoded) {
+      throw new Error('Token response has no ID token');
+    }
+
+    const key = await getSigningKey(metadata.jwks_uri, decoded.header.kid);
+    const claims = jwt.verify(tokens.id_token, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: [provider.issuer, `${provider.issuer}/`],
+      audience: provider.client_id,
+      clockTolerance: 60
+    });
+
+    if (claims.nonce !== pending.nonce) {
+      throw new Error('ID token nonce does not match');
+    }
+    if (!claims.sub) {
+      throw new Error('ID token has no subject');
+    }
+
+    return { success: true, claims, provider, purpose: pending.purpose, userId: pending.userId };
+  } catch (err) {
+    console.error('OIDC token error:', err.response ? JSON.stringify(err.response.data) : err.message);
+    return { success: false, message: 'Could not verify your school sign-in' };
+  }
+}
+
+// First mapping entry whose value appears in the role claim; null when none does
+function mapRole(provider, claims) {
+  const claim = claims[provider.role_claim];
+  const values = (Array.isArray(claim) ? claim : [claim])
+    .filter(value => value !== undefined && value !== null)
+    .map(value => String(value).toLowerCase());
+
+  const match = provider.role_mapping.find(entry => values.includes(String(entry.value).toLowerCase()));
+  return match ? match.role : null;
+}
+
+async function findLinkedUser(issuer, subject) {
+  return get(
+    `SELECT u.* FROM oidc_identities l
+     JOIN users u ON u.id = l.user_id
+     WHERE l.issuer = ? AND l.subject = ?`,
+    [issuer, subject]
+  );
+}
+
+async function linkIdentity(userId, issuer, subject) {
+  const existing = await get('SELECT user_id FROM oidc_identities WHERE issuer = ? AND subject = ?', [issuer, subject]);
+  if (existing && existing.user_id !== userId) {
+    return { success: false, message: 'This school account is already linked to another user' };
+  }
+
+  await run(
+    `INSERT INTO oidc_identities (user_id, issuer, subject) VALUES (?, ?, ?)
+     ON CONFLICT (user_id, issuer) DO UPDATE SET subject = excluded.subject, linked_at = CURRENT_TIMESTAMP`,
+    [userId, issuer, subject]
+  );
+  return { success: true };
+}
+
+async function unlinkIdentities(userId) {
+  const result = await run('DELETE FROM oidc_identities WHERE user_id = ?', [userId]);
+  return result.changes;
+}
+
+async function getLinks(userId) {
+  return all('SELECT issuer, linked_at, last_used_at FROM oidc_identities WHERE user_id = ?', [userId]);
+}
+
+async function touchLink(issuer, subject) {
+  await run(
+    'UPDATE oidc_identities SET last_used_at = CURRENT_TIMESTAMP WHERE issuer = ? AND subject = ?',
+    [issuer, subject]
+  );
+}
+
+// Username for an account created on first sign-in; null if the claim is unusable
+function usernameFromClaims(provider, claims) {
+  const value = String(claims[provider.username_claim] || '');
+  const candidate = provider.username_claim === 'email' ? value.split('@')[0] : value;
+  return USERNAME_PATTERN.test(candidate) ? candidate : null;
+}
+
+module.exports = {
+  DEFAULT_REDIRECT_URI,
+  getProvider,
+  toPublicProvider,
+  listLoginOptions,
+  saveProvider,
+  deleteProvider,
+  beginAuthorization,
+  completeAuthorization,
+  mapRole,
+  findLinkedUser,
+  linkIdentity,
+  unlinkIdentities,
+  getLinks,
+  touchLink,
+  usernameFromClaims
+};
@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const { run, all } = require('./database');
+const security = require('./security');
+
+// Password and PIN rules, driven by the security_policies table
+
+// Passwords seen most often in public breach dumps, lower-cased
+const COMMON_PASSWORDS = new Set(
+  fs.readFileSync(path.join(__dirname, 'commonPasswords.txt'), 'utf8')
+    .split(/\r?\n/)
+    .map(line => line.trim().toLowerCase())
+    .filter(Boolean)
+);
+
+const MAX_PIN_LENGTH = 6;
+
+async function getPolicy() {
+  return {
+    minLength: await security.getPolicyValue('password_min_length'),
+    requireComplexity: await security.getPolicyValue('password_require_complexity'),
+    blockBreached: await security.getPolicyValue('password_block_breached'),
+    historyCount: await security.getPolicyValue('password_history_count'),
+    pinMinLength: await security.getPolicyValue('pin_min_length'),
+    pinMaxLength: MAX_PIN_LENGTH
+  };
+}
+
+// Returns the list of rules the password breaks; empty means acceptable
+async function checkPassword(password, { username = '' } = {}) {
+  const policy = await getPolicy();
+  const problems = [];
+  const value = String(password || '');
+
+  if (value.length < policy.minLength) {
+    problems.push(`Password must be at least ${policy.minLength} characters long`);
+  }
+
+  if (policy.requireComplexity) {
+    const classes = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^a-zA-Z0-9]/].filter(pattern => pattern.test(value)).length;
+    if (classes < 3) {
+      problems.push('Password must mix at least three of: lowercase, uppercase, digits, symbols');
+    }
+  }
+
+  if (username && value.toLowerCase().includes(username.toLowerCase())) {
+    problems.push('Password must not contain your username');
+  }
+
+  if (policy.blockBreached && COMMON_PASSWORDS.has(value.toLowerCase())) {
+    problems.push('This password is too common and appears in known data breaches');
+  }
+
+  return problems;
+}
+
+async function checkPin(pin) {
+  const policy = await getPolicy();
+  const value = String(pin || '');
+
+  if (!/^\d+$/.test(value) || value.length < policy.pinMinLength || value.length > MAX_PIN_LENGTH) {
+    return [`PIN must be ${policy.pinMinLength} to ${MAX_PIN_LENGTH} digits`];
+  }
+
+  // Reject 1111, 1234, 9876 and the like
+  const steps = new Set([...value].slice(1).map((digit, i) => Number(digit) - Number(value[i])));
+  if (steps.size === 1 && [0, 1, -1].includes([...steps][0])) {
+    return ['PIN must not be a repeated or sequential run of digits'];
+  }
+
+  return [];
+}
+
+// True when the password matches the current one or one of the recent ones
+async function isReused(userId, password, currentHash) {
+  const { historyCount } = await getPolicy();
+
+  if (currentHash && await bcrypt.compare(password, currentHash)) {
+    return true;
+  }
+
+  if (historyCount <= 0) {
+    return false;
+  }
+
+  const previous = await all(
+    'SELECT password_hash FROM password_history WHERE user_id = ? ORDER BY id DESC LIMIT ?',
+    [userId, historyCount]
+  );
+
+  for (const entry of previous) {
+    if (await bcrypt.compare(password, entry.password_hash)) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+// Keeps the hash being replaced, pruning entries beyond the history length
+async function recordPreviousPassword(userId, passwordHash) {
+  if (!passwordHash) return;
+
+  const { historyCount } = await getPolicy();
+  await run('INSERT INTO password_history (user_id, password_hash) VALUES (?, ?)', [userId, passwordHash]);
+  await run(
+    `DELETE FROM password_history WHERE user_id = ? AND id NOT IN (
+       SELECT id FROM password_history WHERE user_id = ? ORDER BY id DESC LIMIT ?
+     )`,
+    [userId, userId, Math.max(historyCount, 0)]
+  );
+}
+
+module.exports = {
+  getPolicy,
+  checkPassword,
+  checkPin,
+  isReused,
+  recordPreviousPassword
+};
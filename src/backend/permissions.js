@@ -0,0 +1,198 @@
+const { run, get, all } = require('./database');
+const {
+  PERMISSIONS, PERMISSION_DESCRIPTIONS, BUILTIN_ROLES, CROSS_TENANT_PERMISSIONS, GUEST_PERMISSIONS
+} = require('../shared/permissions');
+
+// Built-in roles whose grants are fixed in code and re-applied on every start
+const LOCKED_ROLES = ['superadmin', 'admin'];
+
+// Role definitions: each role maps to a set of named permissions. Tables and
+// the initial built-in roles come from migrations/hatch.
+
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_-]{1,31}$/;
+const KNOWN_PERMISSIONS = new Set(Object.values(PERMISSIONS));
+
+// Locked roles always match their definition, including permissions added in
+// updates. Runs at every start, after the migrations.
+async function syncLockedRoles() {
+  for (const role of LOCKED_ROLES) {
+    const granted = BUILTIN_ROLES[role].permissions;
+
+    await run(
+      `DELETE FROM role_permissions WHERE role = ? AND permission NOT IN (${granted.map(() => '?').join(',')})`,
+      [role, ...granted]
+    );
+    for (const permission of granted) {
+      await run('INSERT OR IGNORE INTO role_permissions (role, permission) VALUES (?, ?)', [role, permission]);
+    }
+  }
+}
+
+async function getPermissionsForRole(role) {
+  const rows = await all('SELECT permission FROM role_permissions WHERE role = ?', [role]);
+  return rows.map(row => row.permission);
+}
+
+async function roleHasPermission(role, permission) {
+  const row = await get(
+    'SELECT 1 AS granted FROM role_permissions WHERE role = ? AND permission = ?',
+    [role, permission]
+  );
+  return !!row;
+}
+
+async function roleExists(role) {
+  return !!(await get('SELECT name FROM roles WHERE name = ?', [role]));
+}
+
+async function listRoles() {
+  const roles = await all('SELECT name, description, builtin FROM roles ORDER BY builtin DESC, name ASC');
+  const grants = await all('SELECT role, permission FROM role_permissions');
+
+  return roles.map(role => ({
+    name: role.name,
+    description: role.description,
+    builtin: !!role.builtin,
+    permissions: grants.filter(grant => grant.role === role.name).map(grant => grant.permission)
+  }));
+}
+
+function listPermissions() {
+  return Object.values(PERMISSIONS).map(name => ({
+    name,
+    description: PERMISSION_DESCRIPTIONS[name]
+  }));
+}
+
+function validatePermissions(permissionList) {
+  if (!Array.isArray(permissionList)) {
+    return 'permissions must be an array';
+  }
+
+  const unknown = permissionList.filter(permission => !KNOWN_PERMISSIONS.has(permission));
+  if (unknown.length > 0) {
+    return `Unknown permissions: ${unknown.join(', ')}`;
+  }
+
+  // Custom roles are shared by all institutions, so they must not break tenant isolation
+  const crossTenant = permissionList.filter(permission => CROSS_TENANT_PERMISSIONS.includes(permission));
+  if (crossTenant.length > 0) {
+    return `Only the superadmin role can hold: ${crossTenant.join(', ')}`;
+  }
+
+  return null;
+}
+
+function exceedsGuestPermissions(permissionList) {
+  return permissionList.some(permission => !GUEST_PERMISSIONS.includes(permission));
+}
+
+// Held by a guest account, or handed out by a batch that has not been wiped
+async function isGuestRole(role) {
+  const row = await get(
+    `SELECT 1 AS used FROM users WHERE role = ? AND auth_provider = 'guest' AND deleted_at IS NULL
+     UNION ALL
+     SELECT 1 FROM guest_batches WHERE role = ? AND wiped_at IS NULL
+     LIMIT 1`,
+    [role, role]
+  );
+  return !!row;
+}
+
+async function setRolePermissions(role, permissionList) {
+  await run('DELETE FROM role_permissions WHERE role = ?', [role]);
+  for (const permission of new Set(permissionList)) {
+    await run('INSERT INTO role_permissions (role, permission) VALUES (?, ?)', [role, permission]);
+  }
+}
+
+async function createRole({ name, description = '', permissions: permissionList = [] }) {
+  if (!ROLE_NAME_PATTERN.test(name || '')) {
+    return { success: false, message: 'Role name must be 2-32 lowercase letters, digits, "-" or "_"' };
+  }
+
+  const invalid = validatePermissions(permissionList);
+  if (invalid) {
+    return { success: false, message: invalid };
+  }
+
+  if (await roleExists(name)) {
+    return { success: false, message: 'Role already exists' };
+  }
+
+  await run('INSERT INTO roles (name, description) VALUES (?, ?)', [name, description]);
+  await setRolePermissions(name, permissionList);
+
+  return { success: true, role: { name, description, builtin: false, permissions: permissionList } };
+}
+
+// scope is the editor's institution scope. Built-in roles are shared by every
+// institution, so only an editor working across all of them (null) may change one.
+async function updateRole(name, { description, permissions: permissionList }, scope) {
+  if (LOCKED_ROLES.includes(name)) {
+    return { success: false, message: `The ${name} role cannot be changed` };
+  }
+
+  const role = await get('SELECT builtin FROM roles WHERE name = ?', [name]);
+  if (!role) {
+    return { success: false, message: 'Role not found' };
+  }
+
+  if (role.builtin && scope !== null) {
+    return { success: false, forbidden: true, message: `The ${name} role is shared by every institution and can only be changed by a super-admin` };
+  }
+
+  if (permissionList !== undefined) {
+    const invalid = validatePermissions(permissionList);
+    if (invalid) {
+      return { success: false, message: invalid };
+    }
+    if (exceedsGuestPermissions(permissionList) && (await isGuestRole(name))) {
+      return { success: false, message: `The ${name} role is given to guests, who may only have: ${GUEST_PERMISSIONS.join(', ')}` };
+    }
+    await setRolePermissions(name, permissionList);
+  }
+
+  if (description !== undefined) {
+    await run(
+      'UPDATE roles SET description = ?, updated_at = CURRENT_TIMESTAMP WHERE name = ?',
+      [description, name]
+    );
+  }
+
+  return { success: true };
+}
+
+async function deleteRole(name) {
+  const role = await get('SELECT * FROM roles WHERE name = ?', [name]);
+  if (!role) {
+    return { success: false, message: 'Role not found' };
+  }
+
+  if (role.builtin) {
+    return { success: false, message: 'Built-in roles cannot be deleted' };
+  }
+
+  const assigned = await get('SELECT COUNT(*) AS count FROM users WHERE role = ?', [name]);
+  if (assigned.count > 0) {
+    return { success: false, message: `Role is still assigned to ${assigned.count} user(s)` };
+  }
+
+  await run('DELETE FROM role_permissions WHERE role = ?', [name]);
+  await run('DELETE FROM roles WHERE name = ?', [name]);
+
+  return { success: true };
+}
+
+module.exports = {
+  syncLockedRoles,
+  getPermissionsForRole,
+  roleHasPermission,
+  roleExists,
+  listRoles,
+  listPermissions,
+  exceedsGuestPermissions,
+  createRole,
+  updateRole,
+  deleteRole
+};
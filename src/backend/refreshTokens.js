@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+const { run, get } = require('./database');
+
+// Rotating refresh tokens. Each session is one token family: every refresh
+// consumes the presented token and issues its successor in the same family.
+const REFRESH_TOKEN_TTL = parseInt(process.env.REFRESH_TOKEN_TTL, 10) || 12 * 60 * 60; // seconds
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+async function issueRefreshToken(sessionId) {
+  const token = crypto.randomBytes(48).toString('base64url');
+  const now = Date.now();
+
+  await run(
+    `INSERT INTO refresh_tokens (session_id, token_hash, created_at, expires_at)
+     VALUES (?, ?, ?, ?)`,
+    [sessionId, hashToken(token), now, now + REFRESH_TOKEN_TTL * 1000]
+  );
+
+  return token;
+}
+
+// Marks the presented token as used. The caller decides what to do with the
+// outcome: 'valid' → issue a successor, 'reused' → revoke the whole family.
+async function consumeRefreshToken(token) {
+  if (!token) {
+    return { status: 'invalid' };
+  }
+
+  const record = await get('SELECT * FROM refresh_tokens WHERE token_hash = ?', [hashToken(token)]);
+  if (!record) {
+    return { status: 'invalid' };
+  }
+
+  if (record.used_at) {
+    return { status: 'reused', sessionId: record.session_id };
+  }
+
+  if (record.expires_at < Date.now()) {
+    return { status: 'expired', sessionId: record.session_id };
+  }
+
+  // Guard against two concurrent refreshes racing on the same token
+  const result = await run(
+    'UPDATE refresh_tokens SET used_at = ? WHERE id = ? AND used_at IS NULL',
+    [Date.now(), record.id]
+  );
+
+  if (result.changes === 0) {
+    return { status: 'reused', sessionId: record.session_id };
+  }
+
+  return { status: 'valid', sessionId: record.session_id };
+}
+
+async function revokeFamily(sessionId) {
+  const result = await run(
+    'UPDATE refresh_tokens SET used_at = ? WHERE session_id = ? AND used_at IS NULL',
+    [Date.now(), sessionId]
+  );
+
+  return result.changes;
+}
+
+module.exports = {
+  issueRefreshToken,
+  consumeRefreshToken,
+  revokeFamily,
+  REFRESH_TOKEN_TTL
+};
@@ -0,0 +1,294 @@
+const crypto = require('crypto');
+const { all, transaction } = require('./database');
+const auth = require('./auth');
+const institutions = require('./institutions');
+const permissions = require('./permissions');
+const users = require('./users');
+
+// Class roster import and export. Rosters are CSV or JSON with the columns
+// below; export writes the same columns (PIN left blank) so a roster can be
+// exported, edited and imported again.
+const ROSTER_COLUMNS = ['username', 'role', 'institution', 'class', 'pin'];
+const MAX_ROSTER_ROWS = 2000;
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9._-]{3,32}$/;
+const PIN_PATTERN = /^\d{4,6}$/;
+
+// Minimal RFC 4180 reader: quoted fields, "" escapes, CRLF or LF line ends
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+function toCsv(records) {
+  const escape = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [ROSTER_COLUMNS, ...records.map(record => ROSTER_COLUMNS.map(column => record[column]))]
+    .map(cells => cells.map(escape).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+// Normalises either format to [{ line, username, role, institution, class, pin }]
+function parseRoster(content, format = 'csv') {
+  if (format === 'json') {
+    const data = typeof content === 'string' ? JSON.parse(content) : content;
+    if (!Array.isArray(data)) {
+      throw new Error('JSON roster must be an array of users');
+    }
+
+    return data.map((entry, index) => ({
+      line: index + 1,
+      ...Object.fromEntries(ROSTER_COLUMNS.map(column => [column, String(entry[column] ?? '').trim()]))
+    }));
+  }
+
+  const [header, ...body] = parseCsv(String(content || ''));
+  if (!header) {
+    return [];
+  }
+
+  const columns = header.map(name => name.trim().toLowerCase());
+  if (!columns.includes('username')) {
+    throw new Error('CSV roster needs a header row with at least a "username" column');
+  }
+
+  return body.map((cells, index) => ({
+    line: index + 2, // 1-based, after the header
+    ...Object.fromEntries(ROSTER_COLUMNS.map(column => {
+      const position = columns.indexOf(column);
+      return [column, position === -1 ? '' : (cells[position] || '').trim()];
+    }))
+  }));
+}
+
+// Checks every row without writing anything. Blank role means student, blank
+// institution means the importing admin's own, blank PIN means generate one.
+async function validateRoster(rows, actor, scope) {
+  if (rows.length === 0) {
+    return { valid: false, rows: [], errors: ['The roster is empty'], newInstitutions: [] };
+  }
+
+  if (rows.length > MAX_ROSTER_ROWS) {
+    return { valid: false, rows: [], errors: [`A roster can hold at most ${MAX_ROSTER_ROWS} users`], newInstitutions: [] };
+  }
+
+  const existing = new Set((await all('SELECT username FROM users')).map(row => row.username.toLowerCase()));
+  const roles = new Set((await permissions.listRoles()).map(role => role.name));
+  const knownInstitutions = new Map(
+    (await institutions.listInstitutions()).map(institution => [institution.name.toLowerCase(), institution])
+  );
+  const seen = new Set();
+  const newInstitutions = new Map(); // lower-cased name -> first spelling seen
+
+  const checked = rows.map(row => {
+    const errors = [];
+    const role = row.role || 'student';
+    const institutionName = row.institution || actor.institution;
+    const key = row.username.toLowerCase();
+
+    if (!USERNAME_PATTERN.test(row.username)) {
+      errors.push('Username must be 3-32 letters, digits, ".", "_" or "-"');
+    } else if (existing.has(key)) {
+      errors.push('Username is already taken');
+    } else if (seen.has(key)) {
+      errors.push('Username appears more than once in the roster');
+    }
+    seen.add(key);
+
+    if (!roles.has(role)) {
+      errors.push(`Unknown role "${role}"`);
+    } else if (role === 'superadmin') {
+      errors.push('The superadmin role cannot be assigned by import');
+    }
+
+    if (row.pin && !PIN_PATTERN.test(row.pin)) {
+      errors.push('PIN must be 4 to 6 digits');
+    }
+
+    const institution = knownInstitutions.get(institutionName.toLowerCase());
+    if (institution) {
+      if (!institutions.inScope(institution.id, scope)) {
+        errors.push('Cannot import users into another institution');
+      } else if (!institution.active) {
+        errors.push(`Institution "${institution.name}" is deactivated`);
+      }
+    } else if (scope !== null) {
+      errors.push(`Unknown institution "${institutionName}"`);
+    } else if (!newInstitutions.has(institutionName.toLowerCase())) {
+      newInstitutions.set(institutionName.toLowerCase(), institutionName);
+    }
+
+    return {
+      line: row.line,
+      username: row.username,
+      role,
+      institution: institution ? institution.name : newInstitutions.get(institutionName.toLowerCase()),
+      class: row.class || null,
+      pinProvided: !!row.pin,
+      errors
+    };
+  });
+
+  return {
+    valid: checked.every(row => row.errors.length === 0),
+    rows: checked,
+    errors: [],
+    newInstitutions: [...newInstitutions.values()]
+  };
+}
+
+// Validates, then creates every user in a single transaction: either the whole
+// roster is imported or nothing is. Returns the one-time credentials sheet.
+async function importRoster(content, format, actor, scope, { dryRun = false } = {}) {
+  let rows;
+  try {
+    rows = parseRoster(content, format);
+  } catch (error) {
+    // Malformed JSON or a CSV without a header is reported like any validation error
+    return { success: false, dryRun, rows: [], errors: [error.message], newInstitutions: [] };
+  }
+
+  const report = await validateRoster(rows, actor, scope);
+
+  if (dryRun || !report.valid) {
+    return { success: report.valid, dryRun, ...report };
+  }
+
+  // Hash outside the transaction; bcrypt is slow and would hold the write lock
+  const prepared = [];
+  for (const row of rows) {
+    const password = users.generateTemporaryPassword();
+    const pin = row.pin || String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+    const secrets = await auth.hashCredentials({ username: row.username, password, pin });
+    const checked = report.rows.find(entry => entry.line === row.line);
+    prepared.push({ ...checked, password, pin, secrets });
+  }
+
+  try {
+    await insertRoster(prepared, report.newInstitutions);
+  } catch (error) {
+    // Someone took a username or institution name since validation; nothing was written
+    if (error.code === 'SQLITE_CONSTRAINT') {
+      return { success: false, dryRun: false, errors: ['The user list changed during import. Run the preview again.'] };
+    }
+    throw error;
+  }
+
+  return {
+    success: true,
+    dryRun: false,
+    imported: prepared.length,
+    newInstitutions: report.newInstitutions,
+    credentials: prepared.map(entry => ({
+      username: entry.username,
+      role: entry.role,
+      institution: entry.institution,
+      class: entry.class,
+      password: entry.password,
+      pin: entry.pin
+    }))
+  };
+}
+
+async function insertRoster(prepared, newInstitutions) {
+  await transaction(async (tx) => {
+    const institutionIds = new Map();
+
+    for (const name of newInstitutions) {
+      const result = await tx.run('INSERT INTO institutions (name) VALUES (?)', [name]);
+      institutionIds.set(name.toLowerCase(), result.lastID);
+    }
+
+    for (const entry of prepared) {
+      let institutionId = institutionIds.get(entry.institution.toLowerCase());
+      if (!institutionId) {
+        institutionId = (await tx.get('SELECT id FROM institutions WHERE name = ?', [entry.institution])).id;
+        institutionIds.set(entry.institution.toLowerCase(), institutionId);
+      }
+
+      await tx.run(
+        `INSERT INTO users (username, password_hash, pin_hash, otp_secret, role, institution, institution_id, class_name, must_change_password)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, 1)`,
+        [
+          entry.username,
+          entry.secrets.passwordHash,
+          entry.secrets.pinHash,
+          entry.secrets.otpSecret,
+          entry.role,
+          entry.institution,
+          institutionId,
+          entry.class
+        ]
+      );
+    }
+  });
+}
+
+async function exportRoster(scope, format = 'csv') {
+  const filter = scope === null ? '' : 'AND institution_id = ?';
+  const rows = await all(
+    `SELECT username, role, institution, class_name FROM users
+     WHERE deleted_at IS NULL ${filter}
+     ORDER BY institution ASC, class_name ASC, username ASC`,
+    scope === null ? [] : [scope]
+  );
+
+  const records = rows.map(row => ({
+    username: row.username,
+    role: row.role,
+    institution: row.institution,
+    class: row.class_name || '',
+    pin: ''
+  }));
+
+  return format === 'json' ? JSON.stringify(records, null, 2) : toCsv(records);
+}
+
+module.exports = {
+  ROSTER_COLUMNS,
+  parseCsv,
+  parseRoster,
+  validateRoster,
+  importRoster,
+  exportRoster
+};
@@ -1,87 +1,110 @@
 const fs = require('fs-extra');
+const os = require('os');
 const path = require('path');
 const sqlite3 = require('sqlite3').verbose();
+const { wrap, dataDir } = require('./database');
+const institutions = require('./institutions');
+const audit = require('./audit');
+const integrity = require('./integrity');
+const malware = require('./malware');
+const migrator = require('./migrator');
+const securityPolicies = require('./securityPolicies');
+const securityAlerts = require('./securityAlerts');
+const NotificationManager = require('../../scripts/notification-manager');
+
+// Failed logins older than this no longer count toward a lockout
+const LOGIN_ATTEMPT_WINDOW = 60 * 60 * 1000;
+
+// Notification priority of a new alert, compared against filters.min_priority
+// in config/notifications.json
+const SEVERITY_PRIORITIES = { high: 'high', critical: 'critical' };
+
+// Express and Socket.IO report IPv4 clients as IPv4-mapped IPv6 addresses
+function normalizeIP(ipAddress) {
+  if (!ipAddress) return ipAddress;
+  return ipAddress.startsWith('::ffff:') ? ipAddress.slice(7) : ipAddress;
+}
+
+// Sign-ins at the kiosk itself arrive from loopback or one of the device's
+// own addresses. Counting those per IP would let one user lock everyone at the
+// machine out, so only remote addresses get an IP lockout.
+function lockableIP(ipAddress) {
+  const ip = normalizeIP(ipAddress);
+  if (!ip || ip === '::1' || ip.startsWith('127.')) {
+    return null;
+  }
+
+  const ownAddresses = Object.values(os.networkInterfaces()).flat().map(iface => normalizeIP(iface.address));
+  return ownAddresses.includes(ip) ? null : ip;
+}
+
+// SQLite DATETIME columns hold UTC 'YYYY-MM-DD HH:MM:SS' strings
+function toSqlDate(ms) {
+  return new Date(ms).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+function fromSqlDate(value) {
+  return new Date(`${value.replace(' ', 'T')}Z`).getTime();
+}
 
 // Security monitoring and management
 class SecurityManager {
   constructor() {
     this.securityDb = this.initializeSecurityDb();
     this.alerts = [];
-    this.blockedIPs = new Set();
-    this.loginAttempts = new Map();
-    
-    this.startSecurityMonitoring();
+    this.blockedIPs = new Map(); // ip -> expiry timestamp (null = permanent)
+    this.notifier = new NotificationManager();
   }
 
   initializeSecurityDb() {
-    const dbPath = path.join(__dirname, '../../data/security.db');
+    const dbPath = path.join(dataDir, 'security.db');
     fs.ensureDirSync(path.dirname(dbPath));
     
-    const db = new sqlite3.Database(dbPath);
-    
-    db.serialize(() => {
-      db.run(`
-        CREATE TABLE IF NOT EXISTS security_events (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          event_type TEXT NOT NULL,
-          severity TEXT NOT NULL,
-          description TEXT NOT NULL,
-          ip_address TEXT,
-          user_id TEXT,
-          details TEXT,
-          timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
-        )
-      `);
-      
-      db.run(`
-        CREATE TABLE IF NOT EXISTS blocked_ips (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          ip_address TEXT UNIQUE NOT NULL,
-          reason TEXT NOT NULL,
-          blocked_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          expires_at DATETIME,
-          active INTEGER DEFAULT 1
-        )
-      `);
-      
-      db.run(`
-        CREATE TABLE IF NOT EXISTS security_policies (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          policy_name TEXT UNIQUE NOT NULL,
-          policy_value TEXT NOT NULL,
-          description TEXT,
-          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )
-      `);
-      
-      // Insert default security policies
-      const defaultPolicies = [
-        ['max_login_attempts', '5', 'Maximum login attempts before account lockout'],
-        ['lockout_duration', '300', 'Account lockout duration in seconds'],
-        ['session_timeout', '28800', 'Session timeout in seconds (8 hours)'],
-        ['password_min_length', '8', 'Minimum password length'],
-        ['require_pin', '1', 'Require PIN for authentication'],
-        ['enable_2fa', '0', 'Enable two-factor authentication'],
-        ['block_suspicious_ips', '1', 'Automatically block suspicious IP addresses']
-      ];
-      
-      defaultPolicies.forEach(([name, value, description]) => {
-        db.run(
+    return new sqlite3.Database(dbPath);
+  }
+
+  // Called once at startup: schema first, then anything that reads from it
+  async initialize() {
+    const result = await migrator.migrate('security', this.securityDb);
+    await this.insertDefaultPolicies();
+    // Only new alerts are sent; repeats just raise the count
+    securityAlerts.onChange(({ action, alert }) => {
+      if (action === 'created') {
+        this.notifyAlert(alert);
+      }
+    });
+    this.startSecurityMonitoring();
+    return result;
+  }
+
+  // Policies introduced by an update appear with their defaults; values an
+  // admin has already changed are left alone
+  async insertDefaultPolicies() {
+    const defaultPolicies = Object.entries(securityPolicies.POLICY_DEFINITIONS).map(([name, definition]) => (
+      [name, securityPolicies.defaultStoredValue(name), definition.description]
+    ));
+
+    for (const [name, value, description] of defaultPolicies) {
+      await new Promise((resolve, reject) => {
+        this.securityDb.run(
           'INSERT OR IGNORE INTO security_policies (policy_name, policy_value, description) VALUES (?, ?, ?)',
-          [name, value, description]
+          [name, value, description],
+          (err) => (err ? reject(err) : resolve())
         );
       });
-    });
-    
-    return db;
+    }
   }
 
-  async logSecurityEvent(eventType, severity, description, ipAddress = null, userId = null, details = null) {
-    return new Promise((resolve, reject) => {
+  // change ({ target, before, after, institutionId }) describes what an admin
+  // action altered; it goes into the audit log entry mirroring this event
+  async logSecurityEvent(eventType, severity, description, ipAddress = null, userId = null, details = null, change = null) {
+    const institutionId = await this.institutionForUser(userId);
+
+    const eventId = await new Promise((resolve, reject) => {
       this.securityDb.run(
-        `INSERT INTO security_events (event_type, severity, description, ip_address, user_id, details) 
-         VALUES (?, ?, ?, ?, ?, ?)`,
-        [eventType, severity, description, ipAddress, userId, JSON.stringify(details)],
+        `INSERT INTO security_events (event_type, severity, description, ip_address, user_id, institution_id, details) 
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [eventType, severity, description, ipAddress, userId, institutionId, JSON.stringify(details)],
         function(err) {
           if (err) {
             console.error('Failed to log security event:', err);
@@ -93,54 +116,218 @@ class SecurityManager {
         }
       );
     });
+
+    // High and critical events open an alert, or repeat an identical one
+    await securityAlerts.raise(wrap(this.securityDb), { id: eventId, eventType, severity, description, institutionId });
+
+    await audit.record({
+      category: 'security',
+      action: eventType,
+      actor: { id: userId },
+      target: change ? change.target : null,
+      institutionId: change && change.institutionId !== undefined ? change.institutionId : institutionId,
+      ipAddress,
+      before: change ? change.before : null,
+      after: change ? change.after : null,
+      details: { severity, description, ...(details || {}) }
+    });
+
+    return eventId;
   }
 
-  async checkLoginAttempts(ipAddress, username) {
-    const key = `${ipAddress}:${username}`;
-    const attempts = this.loginAttempts.get(key) || { count: 0, lastAttempt: 0 };
-    const now = Date.now();
-    
-    // Reset attempts if more than 1 hour has passed
-    if (now - attempts.lastAttempt > 3600000) {
-      attempts.count = 0;
+  // userId is null for events not tied to a known account
+  async institutionForUser(userId) {
+    if (!userId || !/^\d+$/.test(String(userId))) {
+      return null;
     }
-    
-    attempts.count++;
-    attempts.lastAttempt = now;
-    this.loginAttempts.set(key, attempts);
-    
-    const maxAttempts = await this.getSecurityPolicy('max_login_attempts');
-    
-    if (attempts.count >= parseInt(maxAttempts)) {
-      await this.blockIP(ipAddress, `Exceeded login attempts for user ${username}`);
-      await this.logSecurityEvent(
-        'login_blocked',
-        'high',
-        `IP ${ipAddress} blocked for excessive login attempts`,
-        ipAddress,
-        username,
-        { attempts: attempts.count }
+
+    try {
+      return await institutions.getUserInstitutionId(userId);
+    } catch (error) {
+      console.error('Failed to resolve institution for security event:', error);
+      return null;
+    }
+  }
+
+  async getLoginLockout(ipAddress, username) {
+    const rows = await new Promise((resolve, reject) => {
+      this.securityDb.all(
+        `SELECT scope, locked_until FROM login_attempts 
+         WHERE locked_until > ? 
+         AND ((scope = 'account' AND identifier = ?) OR (scope = 'ip' AND identifier = ?))`,
+        [Date.now(), username || '', lockableIP(ipAddress) || ''],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        }
       );
-      
-      return { blocked: true, attempts: attempts.count };
+    });
+
+    if (rows.length === 0) {
+      return { locked: false };
     }
-    
-    return { blocked: false, attempts: attempts.count };
+
+    return {
+      locked: true,
+      lockedUntil: Math.max(...rows.map(row => row.locked_until)),
+      scopes: rows.map(row => row.scope)
+    };
+  }
+
+  // userId is null when the username matches no account
+  async recordFailedLogin(ipAddress, username, userId = null) {
+    const maxAttempts = await this.getPolicyValue('max_login_attempts');
+    const lockoutDuration = await this.getPolicyValue('lockout_duration');
+    const blockIPs = await this.getPolicyValue('block_suspicious_ips');
+    const now = Date.now();
+
+    // Failures are counted per account and, unless turned off, per source address
+    const targets = [['account', username], ['ip', blockIPs ? lockableIP(ipAddress) : null]].filter(([, identifier]) => identifier);
+    let lockedUntil = null;
+    let attempts = 0;
+
+    for (const [scope, identifier] of targets) {
+      const existing = await new Promise((resolve, reject) => {
+        this.securityDb.get(
+          'SELECT * FROM login_attempts WHERE scope = ? AND identifier = ?',
+          [scope, identifier],
+          (err, row) => {
+            if (err) reject(err);
+            else resolve(row);
+          }
+        );
+      });
+
+      // Start a fresh count once the window has passed or a previous lock has expired
+      const stale = !existing ||
+        now - existing.last_failed_at > LOGIN_ATTEMPT_WINDOW ||
+        (existing.locked_until && existing.locked_until <= now);
+      const count = stale ? 1 : existing.failed_count + 1;
+      const until = count >= maxAttempts ? now + lockoutDuration * 1000 : null;
+
+      await new Promise((resolve, reject) => {
+        this.securityDb.run(
+          `INSERT INTO login_attempts (scope, identifier, failed_count, last_failed_at, locked_until) 
+           VALUES (?, ?, ?, ?, ?) 
+           ON CONFLICT (scope, identifier) DO UPDATE SET 
+             failed_count = excluded.failed_count, 
+             last_failed_at = excluded.last_failed_at, 
+             locked_until = excluded.locked_until`,
+          [scope, identifier, count, now, until],
+          (err) => {
+            if (err) reject(err);
+            else resolve();
+          }
+        );
+      });
+
+      attempts = Math.max(attempts, count);
+
+      if (until) {
+        lockedUntil = Math.max(lockedUntil || 0, until);
+        await this.logSecurityEvent(
+          'login_blocked',
+          'high',
+          `${scope === 'ip' ? 'IP' : 'Account'} ${identifier} locked for ${lockoutDuration}s after ${count} failed login attempts`,
+          normalizeIP(ipAddress),
+          userId,
+          { username, scope, attempts: count, lockedUntil: until }
+        );
+      }
+    }
+
+    return { locked: lockedUntil !== null, lockedUntil, attempts };
+  }
+
+  async resetLoginAttempts(username) {
+    return new Promise((resolve, reject) => {
+      this.securityDb.run(
+        "DELETE FROM login_attempts WHERE scope = 'account' AND identifier = ?",
+        [username],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        }
+      );
+    });
+  }
+
+  // Lifts a failed-login lockout of a source address
+  async resetIPLockout(ipAddress) {
+    return new Promise((resolve, reject) => {
+      this.securityDb.run(
+        "DELETE FROM login_attempts WHERE scope = 'ip' AND identifier = ?",
+        [normalizeIP(ipAddress)],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        }
+      );
+    });
+  }
+
+  // Administrative lock through the same table as failed-login lockouts, so
+  // every sign-in path already honours it; unlock with resetLoginAttempts
+  async lockAccount(username, duration) {
+    const lockedUntil = Date.now() + duration * 1000;
+
+    return new Promise((resolve, reject) => {
+      this.securityDb.run(
+        `INSERT INTO login_attempts (scope, identifier, failed_count, last_failed_at, locked_until) 
+         VALUES ('account', ?, 0, ?, ?) 
+         ON CONFLICT (scope, identifier) DO UPDATE SET locked_until = excluded.locked_until`,
+        [username, Date.now(), lockedUntil],
+        (err) => {
+          if (err) reject(err);
+          else resolve(lockedUntil);
+        }
+      );
+    });
+  }
+
+  // Source addresses currently locked out after failed logins
+  async getIPLockouts() {
+    return new Promise((resolve, reject) => {
+      this.securityDb.all(
+        "SELECT identifier AS ip_address, failed_count, last_failed_at, locked_until FROM login_attempts WHERE scope = 'ip' AND locked_until > ?",
+        [Date.now()],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        }
+      );
+    });
+  }
+
+  // username -> locked_until for every account currently locked out
+  async getAccountLocks() {
+    return new Promise((resolve, reject) => {
+      this.securityDb.all(
+        "SELECT identifier, locked_until FROM login_attempts WHERE scope = 'account' AND locked_until > ?",
+        [Date.now()],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(new Map(rows.map(row => [row.identifier, row.locked_until])));
+        }
+      );
+    });
   }
 
   async blockIP(ipAddress, reason, duration = null) {
-    const expiresAt = duration ? new Date(Date.now() + duration * 1000) : null;
+    const ip = normalizeIP(ipAddress);
+    const expiresAt = duration ? Date.now() + duration * 1000 : null;
+    const blockedIPs = this.blockedIPs;
     
     return new Promise((resolve, reject) => {
       this.securityDb.run(
         'INSERT OR REPLACE INTO blocked_ips (ip_address, reason, expires_at) VALUES (?, ?, ?)',
-        [ipAddress, reason, expiresAt],
+        [ip, reason, expiresAt ? toSqlDate(expiresAt) : null],
         function(err) {
           if (err) {
             reject(err);
           } else {
-            this.blockedIPs.add(ipAddress);
-            console.log(`🚫 IP ${ipAddress} blocked: ${reason}`);
+            blockedIPs.set(ip, expiresAt);
+            console.log(`🚫 IP ${ip} blocked: ${reason}`);
             resolve(this.lastID);
           }
         }
@@ -148,64 +335,192 @@ class SecurityManager {
     });
   }
 
+  async unblockIP(ipAddress) {
+    const ip = normalizeIP(ipAddress);
+    const blockedIPs = this.blockedIPs;
+
+    return new Promise((resolve, reject) => {
+      this.securityDb.run(
+        'UPDATE blocked_ips SET active = 0 WHERE ip_address = ? AND active = 1',
+        [ip],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            blockedIPs.delete(ip);
+            if (this.changes > 0) {
+              console.log(`✅ IP ${ip} unblocked`);
+            }
+            resolve(this.changes > 0);
+          }
+        }
+      );
+    });
+  }
+
   isIPBlocked(ipAddress) {
-    return this.blockedIPs.has(ipAddress);
+    const ip = normalizeIP(ipAddress);
+    if (!this.blockedIPs.has(ip)) {
+      return false;
+    }
+
+    // Expired blocks are dropped here rather than waiting for cleanupExpiredBlocks
+    const expiresAt = this.blockedIPs.get(ip);
+    if (expiresAt && expiresAt <= Date.now()) {
+      this.blockedIPs.delete(ip);
+      return false;
+    }
+
+    return true;
   }
 
-  async getSecurityPolicy(policyName) {
+  async getBlockedIPs() {
     return new Promise((resolve, reject) => {
-      this.securityDb.get(
-        'SELECT policy_value FROM security_policies WHERE policy_name = ?',
-        [policyName],
-        (err, row) => {
+      this.securityDb.all(
+        `SELECT * FROM blocked_ips 
+         WHERE active = 1 AND (expires_at IS NULL OR expires_at > datetime('now')) 
+         ORDER BY blocked_at DESC`,
+        (err, rows) => {
           if (err) {
             reject(err);
           } else {
-            resolve(row ? row.policy_value : null);
+            resolve(rows.map(row => ({
+              ...row,
+              blocked_at: fromSqlDate(row.blocked_at),
+              expires_at: row.expires_at ? fromSqlDate(row.expires_at) : null
+            })));
           }
         }
       );
     });
   }
 
-  async updateSecurityPolicy(policyName, policyValue) {
+  async getSecurityPolicy(policyName) {
     return new Promise((resolve, reject) => {
-      this.securityDb.run(
-        'UPDATE security_policies SET policy_value = ?, updated_at = CURRENT_TIMESTAMP WHERE policy_name = ?',
-        [policyValue, policyName],
-        function(err) {
+      this.securityDb.get(
+        'SELECT policy_value FROM security_policies WHERE policy_name = ?',
+        [policyName],
+        (err, row) => {
           if (err) {
             reject(err);
           } else {
-            console.log(`🔧 Security policy updated: ${policyName} = ${policyValue}`);
-            resolve(this.changes);
+            resolve(row ? row.policy_value : null);
           }
         }
       );
     });
   }
 
-  async getSecurityAlerts(limit = 50) {
-    return new Promise((resolve, reject) => {
+  // Typed value (see securityPolicies.js). Read from the table on every call,
+  // so a change applies from the next request on.
+  async getPolicyValue(policyName) {
+    return securityPolicies.parsePolicy(policyName, await this.getSecurityPolicy(policyName));
+  }
+
+  async listSecurityPolicies() {
+    const rows = await new Promise((resolve, reject) => {
       this.securityDb.all(
-        `SELECT * FROM security_events 
-         WHERE severity IN ('high', 'critical') 
-         ORDER BY timestamp DESC 
-         LIMIT ?`,
-        [limit],
-        (err, rows) => {
+        'SELECT policy_name, policy_value, updated_at FROM security_policies',
+        (err, result) => (err ? reject(err) : resolve(result))
+      );
+    });
+    const stored = new Map(rows.map(row => [row.policy_name, row]));
+
+    return Object.entries(securityPolicies.POLICY_DEFINITIONS).map(([name, definition]) => {
+      const row = stored.get(name);
+      return {
+        name,
+        ...definition,
+        value: securityPolicies.parsePolicy(name, row ? row.policy_value : null),
+        updatedAt: row ? row.updated_at : null
+      };
+    });
+  }
+
+  // Validates against the registry before writing. actor ({ id, username }) is
+  // recorded in the audit log with the old and new value.
+  async updateSecurityPolicy(policyName, policyValue, actor = null) {
+    const validation = securityPolicies.validatePolicy(policyName, policyValue);
+    if (!validation.success) {
+      return validation;
+    }
+
+    const previous = await this.getSecurityPolicy(policyName);
+    if (previous === validation.stored) {
+      return { success: true, changed: false, value: validation.value };
+    }
+
+    // Upsert: a policy added by an update may not have a row yet
+    await new Promise((resolve, reject) => {
+      this.securityDb.run(
+        `INSERT INTO security_policies (policy_name, policy_value, description) VALUES (?, ?, ?)
+         ON CONFLICT (policy_name) DO UPDATE SET policy_value = excluded.policy_value, updated_at = CURRENT_TIMESTAMP`,
+        [policyName, validation.stored, securityPolicies.POLICY_DEFINITIONS[policyName].description],
+        (err) => {
           if (err) {
             reject(err);
           } else {
-            resolve(rows.map(row => ({
-              ...row,
-              details: row.details ? JSON.parse(row.details) : null,
-              timestamp: new Date(row.timestamp).getTime()
-            })));
+            console.log(`🔧 Security policy updated: ${policyName} = ${validation.stored}`);
+            resolve();
           }
         }
       );
     });
+
+    await audit.record({
+      category: 'policy',
+      action: 'security_policy_changed',
+      actor,
+      target: { type: 'security_policy', id: policyName },
+      institutionId: null,
+      before: { value: previous },
+      after: { value: validation.stored }
+    });
+
+    return { success: true, changed: true, value: validation.value };
+  }
+
+  // Alerts still being handled, newest first. institutionId limits them to one
+  // tenant; null also includes installation-wide alerts.
+  async getSecurityAlerts(limit = 50, institutionId = null) {
+    return securityAlerts.listAlerts(wrap(this.securityDb), { status: 'active', limit }, institutionId);
+  }
+
+  listAlerts(filters, institutionId) {
+    return securityAlerts.listAlerts(wrap(this.securityDb), filters, institutionId);
+  }
+
+  async getAlert(id) {
+    const db = wrap(this.securityDb);
+    const alert = await securityAlerts.getAlert(db, id);
+    if (!alert) {
+      return null;
+    }
+    return {
+      ...alert,
+      notes: await securityAlerts.listNotes(db, id),
+      notifications: await securityAlerts.listNotifications(db, id)
+    };
+  }
+
+  // System alerts (event types system_*) use the systemError template. Never
+  // throws: an unreachable channel must not hold up the event that raised the alert.
+  async notifyAlert(alert) {
+    try {
+      const outcome = await this.notifier.sendNotification(
+        alert.event_type.startsWith('system_') ? 'systemError' : 'securityAlert',
+        alert.title,
+        { alertId: alert.id, eventType: alert.event_type, severity: alert.severity, institutionId: alert.institution_id },
+        { priority: SEVERITY_PRIORITIES[alert.severity] }
+      );
+      await securityAlerts.recordNotification(wrap(this.securityDb), alert.id, outcome);
+    } catch (error) {
+      console.error(`Failed to send notification for security alert #${alert.id}:`, error);
+    }
+  }
+
+  updateAlert(id, changes, actor) {
+    return securityAlerts.updateAlert(wrap(this.securityDb), id, changes, actor);
   }
 
   async performSecurityCheck() {
@@ -228,8 +543,8 @@ class SecurityManager {
         
         for (const issue of issues) {
           await this.logSecurityEvent(
-            'security_check',
-            'medium',
+            issue.eventType || 'security_check',
+            issue.severity || 'medium',
             issue.message,
             null,
             null,
@@ -278,22 +593,25 @@ class SecurityManager {
         }
       }
       
-      // Check Hatch OS files integrity
-      const hatchFiles = [
-        path.join(__dirname, '../main.js'),
-        path.join(__dirname, 'server.js'),
-        path.join(__dirname, 'auth.js')
-      ];
-      
-      for (const file of hatchFiles) {
-        const exists = await fs.pathExists(file);
-        if (!exists) {
-          return {
-            success: false,
-            message: `Hatch OS file missing: ${path.basename(file)}`,
-            details: { file }
-          };
-        }
+      // Compare hashes, permissions and owners with the install-time baseline
+      const result = await integrity.verify();
+      if (!result.baseline) {
+        return {
+          success: false,
+          message: 'No file integrity baseline; run npm run integrity:baseline',
+          details: { manifest: integrity.MANIFEST_PATH }
+        };
+      }
+
+      if (!result.clean) {
+        const { added, removed, changed } = result;
+        return {
+          success: false,
+          eventType: 'file_integrity_changed',
+          severity: 'high',
+          message: `Files differ from the integrity baseline: ${added.length} added, ${removed.length} removed, ${changed.length} changed`,
+          details: { baseline: result.baseline.generatedAt, added, removed, changed }
+        };
       }
       
       return { success: true, message: 'System integrity check passed' };
@@ -388,6 +706,13 @@ class SecurityManager {
         );
       });
 
+      const now = Date.now();
+      for (const [ip, expiresAt] of this.blockedIPs) {
+        if (expiresAt && expiresAt <= now) {
+          this.blockedIPs.delete(ip);
+        }
+      }
+
       if (expired > 0) {
         console.log(`🧹 Cleaned up ${expired} expired IP blocks`);
       }
@@ -402,28 +727,27 @@ class SecurityManager {
     }
   }
 
-  async scanForMalware() {
+  // Incremental signature scan of home and upload directories (malware.js);
+  // full rescans every file regardless of cached verdicts
+  async scanForMalware(options = {}) {
     try {
-      // Basic malware detection - check for suspicious files
-      const suspiciousExtensions = ['.exe', '.bat', '.cmd', '.scr', '.com'];
-      const uploadDir = path.join(__dirname, '../../uploads');
-      
-      if (await fs.pathExists(uploadDir)) {
-        const files = await fs.readdir(uploadDir);
-        const suspiciousFiles = files.filter(file => 
-          suspiciousExtensions.some(ext => file.toLowerCase().endsWith(ext))
-        );
-        
-        if (suspiciousFiles.length > 0) {
-          return {
-            success: false,
-            message: `Found ${suspiciousFiles.length} suspicious files`,
-            details: { files: suspiciousFiles }
-          };
-        }
+      const result = await malware.scan(wrap(this.securityDb), options);
+
+      if (result.detections.length > 0) {
+        const quarantined = result.detections.filter(detection => detection.quarantineId).length;
+        return {
+          success: false,
+          eventType: 'malware_detected',
+          severity: 'high',
+          message: `Malware found in ${result.detections.length} file(s), ${quarantined} quarantined`,
+          details: { detections: result.detections, signaturesVersion: result.signaturesVersion }
+        };
       }
       
-      return { success: true, message: 'No malware detected' };
+      return {
+        success: true,
+        message: `No malware detected (${result.scanned} scanned, ${result.skipped} unchanged)`
+      };
     } catch (error) {
       return {
         success: false,
@@ -433,13 +757,32 @@ class SecurityManager {
     }
   }
 
+  getMalwareStatus() {
+    return malware.getStatus();
+  }
+
+  listQuarantine(status) {
+    return malware.listQuarantine(wrap(this.securityDb), status);
+  }
+
+  restoreQuarantined(id, actorId) {
+    return malware.restore(wrap(this.securityDb), id, actorId);
+  }
+
+  deleteQuarantined(id, actorId) {
+    return malware.remove(wrap(this.securityDb), id, actorId);
+  }
+
   startSecurityMonitoring() {
     // Load blocked IPs into memory
     this.securityDb.all(
-      'SELECT ip_address FROM blocked_ips WHERE active = 1',
+      'SELECT ip_address, expires_at FROM blocked_ips WHERE active = 1',
       (err, rows) => {
         if (!err) {
-          rows.forEach(row => this.blockedIPs.add(row.ip_address));
+          rows.forEach(row => this.blockedIPs.set(
+            row.ip_address,
+            row.expires_at ? fromSqlDate(row.expires_at) : null
+          ));
           console.log(`🔒 Loaded ${rows.length} blocked IP addresses`);
         }
       }
@@ -507,22 +850,62 @@ class SecurityManager {
 const securityManager = new SecurityManager();
 
 module.exports = {
-  logSecurityEvent: (type, severity, description, ip, userId, details) => 
-    securityManager.logSecurityEvent(type, severity, description, ip, userId, details),
-  checkLoginAttempts: (ip, username) => 
-    securityManager.checkLoginAttempts(ip, username),
+  initialize: () => securityManager.initialize(),
+  logSecurityEvent: (type, severity, description, ip, userId, details, change) => 
+    securityManager.logSecurityEvent(type, severity, description, ip, userId, details, change),
+  getLoginLockout: (ip, username) => 
+    securityManager.getLoginLockout(ip, username),
+  recordFailedLogin: (ip, username, userId) => 
+    securityManager.recordFailedLogin(ip, username, userId),
+  resetLoginAttempts: (username) => 
+    securityManager.resetLoginAttempts(username),
+  resetIPLockout: (ip) => 
+    securityManager.resetIPLockout(ip),
+  getIPLockouts: () => 
+    securityManager.getIPLockouts(),
+  lockAccount: (username, duration) => 
+    securityManager.lockAccount(username, duration),
+  getAccountLocks: () => 
+    securityManager.getAccountLocks(),
   blockIP: (ip, reason, duration) => 
     securityManager.blockIP(ip, reason, duration),
+  unblockIP: (ip) => 
+    securityManager.unblockIP(ip),
   isIPBlocked: (ip) => 
     securityManager.isIPBlocked(ip),
-  getSecurityAlerts: (limit) => 
-    securityManager.getSecurityAlerts(limit),
+  getBlockedIPs: () => 
+    securityManager.getBlockedIPs(),
+  normalizeIP,
+  getSecurityAlerts: (limit, institutionId) => 
+    securityManager.getSecurityAlerts(limit, institutionId),
+  listAlerts: (filters, institutionId) => 
+    securityManager.listAlerts(filters, institutionId),
+  getAlert: (id) => 
+    securityManager.getAlert(id),
+  updateAlert: (id, changes, actor) => 
+    securityManager.updateAlert(id, changes, actor),
+  onAlertChange: (listener) => 
+    securityAlerts.onChange(listener),
   performSecurityCheck: () => 
     securityManager.performSecurityCheck(),
+  scanForMalware: (options) => 
+    securityManager.scanForMalware(options),
+  getMalwareStatus: () => 
+    securityManager.getMalwareStatus(),
+  listQuarantine: (status) => 
+    securityManager.listQuarantine(status),
+  restoreQuarantined: (id, actorId) => 
+    securityManager.restoreQuarantined(id, actorId),
+  deleteQuarantined: (id, actorId) => 
+    securityManager.deleteQuarantined(id, actorId),
   getSecurityPolicy: (policy) => 
     securityManager.getSecurityPolicy(policy),
-  updateSecurityPolicy: (policy, value) => 
-    securityManager.updateSecurityPolicy(policy, value),
+  getPolicyValue: (policy) => 
+    securityManager.getPolicyValue(policy),
+  listSecurityPolicies: () => 
+    securityManager.listSecurityPolicies(),
+  updateSecurityPolicy: (policy, value, actor) => 
+    securityManager.updateSecurityPolicy(policy, value, actor),
   enableFirewall: () => 
     securityManager.enableFirewall(),
   configureFirewallRules: () => 
@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+// Alert lifecycle on top of security_events. Every high or critical event is
+// raised as an alert; an identical event (same type, severity, description
+// and institution) while that alert is open, acknowledged or marked a false
+// positive only bumps its count. Once resolved, the next one opens a new alert.
+//
+// The functions take the promise-wrapped security.db; security.js owns it.
+// Every change is emitted as 'change' ({ action, alert }) for live updates.
+
+const ALERT_SEVERITIES = ['high', 'critical'];
+const STATUSES = ['open', 'acknowledged', 'resolved', 'false_positive'];
+const CLOSED_STATUSES = ['resolved', 'false_positive'];
+const MAX_NOTE_LENGTH = 2000;
+
+const emitter = new EventEmitter();
+
+function fingerprint({ eventType, severity, description, institutionId }) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([eventType, severity, description, institutionId === undefined ? null : institutionId]))
+    .digest('hex');
+}
+
+async function getAlert(db, id) {
+  return db.get('SELECT * FROM security_alerts WHERE id = ?', [id]);
+}
+
+// event: { id, eventType, severity, description, institutionId }
+async function raise(db, event) {
+  if (!ALERT_SEVERITIES.includes(event.severity)) {
+    return null;
+  }
+
+  const now = Date.now();
+  const key = fingerprint(event);
+  await db.run(
+    `INSERT INTO security_alerts
+       (fingerprint, event_type, severity, title, institution_id, first_event_id, last_event_id, first_seen, last_seen, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT (fingerprint) WHERE status IN ('open', 'acknowledged', 'false_positive')
+     DO UPDATE SET count = count + 1, last_event_id = excluded.last_event_id,
+                   last_seen = excluded.last_seen, updated_at = excluded.updated_at`,
+    [key, event.eventType, event.severity, event.description, event.institutionId, event.id, event.id, now, now, now]
+  );
+
+  const alert = await db.get(
+    "SELECT * FROM security_alerts WHERE fingerprint = ? AND status IN ('open', 'acknowledged', 'false_positive')",
+    [key]
+  );
+  // Repeats of a false positive are counted without bothering anyone
+  if (alert.status !== 'false_positive') {
+    emitter.emit('change', { action: alert.count === 1 ? 'created' : 'repeated', alert });
+  }
+  return alert;
+}
+
+// filters: status ('active' = open or acknowledged), severity, assigneeId, limit
+async function listAlerts(db, filters = {}, institutionId = null) {
+  const conditions = [];
+  const params = [];
+
+  if (institutionId !== null) {
+    conditions.push('institution_id = ?');
+    params.push(institutionId);
+  }
+  if (filters.status === 'active') {
+    conditions.push("status IN ('open', 'acknowledged')");
+  } else if (filters.status) {
+    conditions.push('status = ?');
+    params.push(filters.status);
+  }
+  if (filters.severity) {
+    conditions.push('severity = ?');
+    params.push(filters.severity);
+  }
+  if (filters.assigneeId) {
+    conditions.push('assignee_id = ?');
+    params.push(filters.assigneeId);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const limit = Math.min(parseInt(filters.limit, 10) || 100, 500);
+  return db.all(`SELECT * FROM security_alerts ${where} ORDER BY last_seen DESC LIMIT ?`, [...params, limit]);
+}
+
+async function listNotes(db, alertId) {
+  return db.all('SELECT * FROM security_alert_notes WHERE alert_id = ? ORDER BY created_at, id', [alertId]);
+}
+
+async function insertNote(db, alertId, note, actor) {
+  await db.run(
+    'INSERT INTO security_alert_notes (alert_id, author_id, author_username, note, created_at) VALUES (?, ?, ?, ?, ?)',
+    [alertId, actor.id, actor.username, note, Date.now()]
+  );
+}
+
+function cleanNote(note) {
+  const text = note === undefined || note === null ? '' : String(note).trim();
+  if (text.length > MAX_NOTE_LENGTH) {
+    return { error: `Notes are limited to ${MAX_NOTE_LENGTH} characters` };
+  }
+  return { text };
+}
+
+async function listNotifications(db, alertId) {
+  return db.all('SELECT * FROM security_alert_notifications WHERE alert_id = ? ORDER BY created_at, id', [alertId]);
+}
+
+// outcome is what NotificationManager.sendNotification returned
+async function recordNotification(db, alertId, outcome) {
+  const now = Date.now();
+  if (outcome.channels.length === 0) {
+    await db.run(
+      'INSERT INTO security_alert_notifications (alert_id, channel, status, error, created_at) VALUES (?, NULL, ?, ?, ?)',
+      [alertId, 'skipped', outcome.reason, now]
+    );
+    return;
+  }
+
+  for (const { channel, status, error } of outcome.channels) {
+    await db.run(
+      'INSERT INTO security_alert_notifications (alert_id, channel, status, error, created_at) VALUES (?, ?, ?, ?, ?)',
+      [alertId, channel, status, error, now]
+    );
+  }
+}
+
+// changes: { status, assignee: { id, username } | null, note }. The caller has
+// checked the assignee. Returns { success, alert, before } or { success: false, message }.
+async function updateAlert(db, id, changes, actor) {
+  const before = await getAlert(db, id);
+  if (!before) {
+    return { success: false, message: 'Alert not found' };
+  }
+
+  if (changes.status !== undefined && !STATUSES.includes(changes.status)) {
+    return { success: false, message: `status must be one of ${STATUSES.join(', ')}` };
+  }
+  const { text, error } = cleanNote(changes.note);
+  if (error) {
+    return { success: false, message: error };
+  }
+
+  const now = Date.now();
+  const updates = [];
+  const params = [];
+
+  if (changes.status !== undefined && changes.status !== before.status) {
+    updates.push('status = ?');
+    params.push(changes.status);
+
+    const closing = CLOSED_STATUSES.includes(changes.status);
+    updates.push('resolved_at = ?', 'resolved_by = ?');
+    params.push(closing ? now : null, closing ? actor.id : null);
+  }
+
+  if (changes.assignee !== undefined) {
+    updates.push('assignee_id = ?', 'assignee_username = ?');
+    params.push(changes.assignee ? changes.assignee.id : null, changes.assignee ? changes.assignee.username : null);
+  }
+
+  if (updates.length === 0 && !text) {
+    return { success: false, message: 'Nothing to change' };
+  }
+
+  if (updates.length > 0) {
+    try {
+      await db.run(`UPDATE security_alerts SET ${updates.join(', ')}, updated_at = ? WHERE id = ?`, [...params, now, id]);
+    } catch (updateError) {
+      // Reopening while a newer alert for the same event is still being handled
+      if (updateError.code === 'SQLITE_CONSTRAINT') {
+        return { success: false, message: 'A newer alert for the same event is still open' };
+      }
+      throw updateError;
+    }
+  }
+
+  if (text) {
+    await insertNote(db, id, text, actor);
+    if (updates.length === 0) {
+      await db.run('UPDATE security_alerts SET updated_at = ? WHERE id = ?', [now, id]);
+    }
+  }
+
+  const alert = await getAlert(db, id);
+  emitter.emit('change', { action: 'updated', alert });
+  return { success: true, alert, before };
+}
+
+module.exports = {
+  ALERT_SEVERITIES,
+  STATUSES,
+  raise,
+  getAlert,
+  listAlerts,
+  listNotes,
+  listNotifications,
+  recordNotification,
+  updateAlert,
+  onChange: (listener) => emitter.on('change', listener)
+};
@@ -0,0 +1,129 @@
+// Registry of the rows in security.db's security_policies table: the type,
+// allowed range and default of each. Values are stored as strings; integers
+// as decimal digits, booleans as '1'/'0' and lists comma-separated. Readers
+// go through parsePolicy, so a bad stored value falls back to the default
+// instead of reaching parseInt.
+
+const LIST_ITEM_PATTERN = /^[a-z][a-z0-9_-]*$/;
+
+const POLICY_DEFINITIONS = {
+  max_login_attempts: {
+    type: 'integer', group: 'Sign-in', default: 5, min: 1, max: 100,
+    description: 'Maximum login attempts before account lockout'
+  },
+  lockout_duration: {
+    type: 'integer', group: 'Sign-in', default: 300, min: 30, max: 86400, unit: 'seconds',
+    description: 'Account lockout duration in seconds'
+  },
+  block_suspicious_ips: {
+    type: 'boolean', group: 'Sign-in', default: true,
+    description: 'Automatically block suspicious IP addresses'
+  },
+  require_pin: {
+    type: 'boolean', group: 'Sign-in', default: true,
+    description: 'Require PIN for authentication'
+  },
+  session_timeout: {
+    type: 'integer', group: 'Sessions', default: 28800, min: 300, max: 604800, unit: 'seconds',
+    description: 'Idle time in seconds before a session ends'
+  },
+  password_min_length: {
+    type: 'integer', group: 'Passwords', default: 8, min: 4, max: 128,
+    description: 'Minimum password length'
+  },
+  password_require_complexity: {
+    type: 'boolean', group: 'Passwords', default: true,
+    description: 'Require three of: lowercase, uppercase, digits, symbols'
+  },
+  password_block_breached: {
+    type: 'boolean', group: 'Passwords', default: true,
+    description: 'Reject passwords found in the common/breached password list'
+  },
+  password_history_count: {
+    type: 'integer', group: 'Passwords', default: 5, min: 0, max: 24,
+    description: 'Number of previous passwords that cannot be reused'
+  },
+  pin_min_length: {
+    type: 'integer', group: 'Passwords', default: 4, min: 4, max: 6,
+    description: 'Minimum PIN length (maximum is 6 digits)'
+  },
+  enable_2fa: {
+    type: 'boolean', group: 'Two-factor', default: false,
+    description: 'Enable two-factor authentication'
+  },
+  '2fa_required_roles': {
+    type: 'list', group: 'Two-factor', default: ['admin', 'teacher'],
+    description: 'Roles that must use 2FA when enable_2fa is on'
+  }
+};
+
+function serialize(type, value) {
+  if (type === 'boolean') return value ? '1' : '0';
+  if (type === 'list') return value.join(',');
+  return String(value);
+}
+
+// Accepts the typed value or its string form (as stored, or from a form).
+// Returns { success: true, value, stored } or { success: false, message }.
+function validatePolicy(name, input) {
+  const definition = POLICY_DEFINITIONS[name];
+  if (!definition) {
+    return { success: false, message: `Unknown security policy: ${name}` };
+  }
+
+  let value;
+  if (definition.type === 'integer') {
+    const text = String(input).trim();
+    if (!/^-?\d+$/.test(text)) {
+      return { success: false, message: `${name} must be a whole number` };
+    }
+    value = parseInt(text, 10);
+    if (value < definition.min || value > definition.max) {
+      return { success: false, message: `${name} must be between ${definition.min} and ${definition.max}` };
+    }
+  } else if (definition.type === 'boolean') {
+    if (input === true || input === '1' || input === 1 || input === 'true') value = true;
+    else if (input === false || input === '0' || input === 0 || input === 'false') value = false;
+    else return { success: false, message: `${name} must be true or false` };
+  } else {
+    const items = Array.isArray(input) ? input : String(input).split(',');
+    value = [...new Set(items.map(item => String(item).trim()).filter(Boolean))];
+    const invalid = value.find(item => !LIST_ITEM_PATTERN.test(item));
+    if (invalid) {
+      return { success: false, message: `${name} contains an invalid entry: ${invalid}` };
+    }
+  }
+
+  return { success: true, value, stored: serialize(definition.type, value) };
+}
+
+// Typed value of a stored string; the default when it is missing or invalid
+function parsePolicy(name, stored) {
+  const definition = POLICY_DEFINITIONS[name];
+  if (!definition) {
+    throw new Error(`Unknown security policy: ${name}`);
+  }
+
+  if (stored === null || stored === undefined) {
+    return definition.default;
+  }
+
+  const result = validatePolicy(name, stored);
+  if (!result.success) {
+    console.error(`Invalid stored value for security policy ${name} (${stored}); using the default`);
+    return definition.default;
+  }
+  return result.value;
+}
+
+function defaultStoredValue(name) {
+  const definition = POLICY_DEFINITIONS[name];
+  return serialize(definition.type, definition.default);
+}
+
+module.exports = {
+  POLICY_DEFINITIONS,
+  validatePolicy,
+  parsePolicy,
+  defaultStoredValue
+};
@@ -6,10 +6,29 @@ const path = require('path');
 const fs = require('fs-extra');
 const cron = require('node-cron');
 
+const database = require('./database');
+const migrator = require('./migrator');
 const auth = require('./auth');
+const sessions = require('./sessions');
+const twoFactor = require('./twoFactor');
+const badges = require('./badges');
+const badgeReader = require('./badgeReader');
 const cloudSync = require('./cloudSync');
 const systemMonitor = require('./systemMonitor');
 const security = require('./security');
+const securityPolicies = require('./securityPolicies');
+const permissions = require('./permissions');
+const institutions = require('./institutions');
+const oidc = require('./oidc');
+const audit = require('./audit');
+const impersonation = require('./impersonation');
+const guests = require('./guests');
+const users = require('./users');
+const roster = require('./roster');
+const passwordPolicy = require('./passwordPolicy');
+const setup = require('./setup');
+const { requireAuth, requirePermission, requireAllInstitutions } = require('./authMiddleware');
+const { PERMISSIONS, hasPermission } = require('../shared/permissions');
 
 const app = express();
 const server = http.createServer(app);
@@ -24,6 +43,8 @@ const PORT = process.env.PORT || 3001;
 
 // Middleware
 app.use(cors());
+// Rosters can be far larger than the default 100kb body limit
+app.use('/api/admin/users/import', express.json({ limit: '2mb' }));
 app.use(express.json());
 app.use(express.static(path.join(__dirname, '../../build')));
 
@@ -33,96 +54,1755 @@ app.use((req, res, next) => {
   next();
 });
 
+// Reject requests from blocked addresses before they reach any route
+app.use((req, res, next) => {
+  if (security.isIPBlocked(req.ip)) {
+    return res.status(403).json({ success: false, message: 'Access from this address is blocked' });
+  }
+  next();
+});
+
 // API Routes
+
+// First-boot setup. Until it has run there are no accounts, so everything but
+// the setup routes is refused. Unless HATCH_ALLOW_REMOTE_SETUP is set, only
+// the local machine (the kiosk UI) may provision the system.
+const LOOPBACK_ADDRESSES = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+let provisioned = false;
+
+app.use('/api', async (req, res, next) => {
+  try {
+    if (provisioned || req.path.startsWith('/setup')) {
+      return next();
+    }
+
+    provisioned = await setup.isProvisioned();
+    if (provisioned) {
+      return next();
+    }
+
+    res.status(503).json({ success: false, setupRequired: true, message: 'Hatch OS has not been set up yet' });
+  } catch (error) {
+    console.error('Setup check error:', error);
+    res.status(500).json({ success: false, message: 'Failed to check setup status' });
+  }
+});
+
+app.get('/api/setup/status', async (req, res) => {
+  try {
+    res.json({ success: true, ...(await setup.getStatus()), passwordPolicy: await passwordPolicy.getPolicy() });
+  } catch (error) {
+    console.error('Setup status error:', error);
+    res.status(500).json({ success: false, message: 'Failed to load setup status' });
+  }
+});
+
+app.post('/api/setup', async (req, res) => {
+  try {
+    const remoteAllowed = ['1', 'true'].includes(String(process.env.HATCH_ALLOW_REMOTE_SETUP || '').toLowerCase());
+    if (!remoteAllowed && !LOOPBACK_ADDRESSES.includes(req.ip)) {
+      return res.status(403).json({ success: false, message: 'Setup can only be completed on this device' });
+    }
+
+    const { institution, admin, timezone, cloudEndpoint, network } = req.body;
+    const result = await setup.completeSetup({ institution, admin, timezone, cloudEndpoint, network });
+
+    if (!result.success) {
+      return res.status(result.alreadyProvisioned ? 409 : 400).json(result);
+    }
+
+    provisioned = true;
+    await security.logSecurityEvent(
+      'system_provisioned',
+      'medium',
+      `First-boot setup completed; super-admin ${result.user.username} created for ${result.user.institution.name}`,
+      req.ip,
+      result.user.id
+    );
+
+    res.json({ success: true, username: result.user.username });
+  } catch (error) {
+    console.error('Setup error:', error);
+    res.status(500).json({ success: false, message: 'Failed to complete setup' });
+  }
+});
+
+// Shared by the login routes
+function loginContext(req) {
+  return { ipAddress: req.ip, userAgent: req.get('user-agent') };
+}
+
+function sendLoginResult(req, res, result, details = {}) {
+  // Intermediate challenge steps are not logged; only final outcomes are
+  if (result.stage !== 'challenge') {
+    cloudSync.logEvent({
+      type: 'authentication',
+      username: result.user ? result.user.username : details.username,
+      userId: result.user ? result.user.id : undefined,
+      institutionId: result.user ? result.user.institutionId : undefined,
+      method: details.method,
+      success: result.success,
+      timestamp: Date.now(),
+      ip: req.ip
+    });
+  }
+
+  res.status(result.locked ? 423 : 200).json(result);
+}
+
 app.post('/api/auth/login', async (req, res) => {
   try {
-    const { username, password, pin, otp } = req.body;
-    const result = await auth.authenticateUser({ username, password, pin, otp });
-    
-    // Log authentication attempt
-    cloudSync.logEvent({
-      type: 'authentication',
-      username,
-      success: result.success,
-      timestamp: Date.now(),
-      ip: req.ip
+    const { username, password, pin, otp } = req.body;
+    const result = await auth.authenticateUser({ username, password, pin, otp }, loginContext(req));
+    sendLoginResult(req, res, result, { username, method: 'password' });
+  } catch (error) {
+    console.error('Authentication error:', error);
+    res.status(500).json({ success: false, message: 'Authentication failed' });
+  }
+});
+
+// Staged login: start with password or badge, then complete the remaining factors
+app.post('/api/auth/login/start', async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    const result = await auth.startLogin({ username, password }, loginContext(req));
+    sendLoginResult(req, res, result, { username, method: 'password' });
+  } catch (error) {
+    console.error('Authentication error:', error);
+    res.status(500).json({ success: false, message: 'Authentication failed' });
+  }
+});
+
+app.post('/api/auth/login/badge', async (req, res) => {
+  try {
+    // A tap can start exactly one sign-in
+    const cardUid = badgeReader.consumeTap(req.body.tapId);
+    if (!cardUid) {
+      return res.status(400).json({ success: false, message: 'Badge tap expired. Please tap again.' });
+    }
+
+    const result = await auth.startBadgeLogin({ cardUid }, loginContext(req));
+    sendLoginResult(req, res, result, { method: 'badge' });
+  } catch (error) {
+    console.error('Badge authentication error:', error);
+    res.status(500).json({ success: false, message: 'Authentication failed' });
+  }
+});
+
+// Temporary accounts: username and the printed one-time code
+app.post('/api/auth/login/guest', async (req, res) => {
+  try {
+    const { username, code } = req.body;
+    const result = await auth.startGuestLogin({ username, code }, loginContext(req));
+    sendLoginResult(req, res, result, { username, method: 'guest' });
+  } catch (error) {
+    console.error('Guest authentication error:', error);
+    res.status(500).json({ success: false, message: 'Authentication failed' });
+  }
+});
+
+app.post('/api/auth/login/verify', async (req, res) => {
+  try {
+    const { challengeToken, factor, value } = req.body;
+    const result = await auth.verifyLoginFactor(challengeToken, factor, value, loginContext(req));
+    sendLoginResult(req, res, result);
+  } catch (error) {
+    console.error('Login verification error:', error);
+    res.status(500).json({ success: false, message: 'Authentication failed' });
+  }
+});
+
+app.post('/api/auth/refresh', async (req, res) => {
+  try {
+    const result = await auth.refreshSession(req.body.refreshToken, { ipAddress: req.ip });
+    res.status(result.success ? 200 : 401).json(result);
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({ success: false, message: 'Token refresh failed' });
+  }
+});
+
+// Single sign-on: the app opens authorizationUrl and posts back what the
+// provider redirected to
+app.get('/api/auth/oidc/providers', async (req, res) => {
+  try {
+    res.json({ success: true, providers: await oidc.listLoginOptions() });
+  } catch (error) {
+    console.error('List SSO providers error:', error);
+    res.status(500).json({ success: false, message: 'Failed to list sign-in options' });
+  }
+});
+
+app.post('/api/auth/oidc/start', async (req, res) => {
+  try {
+    const result = await oidc.beginAuthorization(parseInt(req.body.institutionId, 10));
+    res.status(result.success ? 200 : 400).json(result);
+  } catch (error) {
+    console.error('SSO start error:', error);
+    res.status(500).json({ success: false, message: 'Authentication failed' });
+  }
+});
+
+app.post('/api/auth/oidc/complete', async (req, res) => {
+  try {
+    const { state, code, error } = req.body;
+    const result = await auth.completeOidcLogin({ state, code, error }, loginContext(req));
+    sendLoginResult(req, res, result, { method: 'oidc' });
+  } catch (error) {
+    console.error('SSO authentication error:', error);
+    res.status(500).json({ success: false, message: 'Authentication failed' });
+  }
+});
+
+// Every API route registered below this point requires a valid bearer token
+app.use('/api', requireAuth);
+
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    await sessions.revokeSession(req.user.sessionId, 'logout');
+    await audit.record({
+      category: 'auth',
+      action: 'logout',
+      actor: { id: req.user.id, username: req.user.username },
+      target: { type: 'session', id: req.user.sessionId },
+      ipAddress: req.ip
+    });
+
+    await cloudSync.logEvent({
+      type: 'logout',
+      userId: req.user.id,
+      institutionId: req.user.institution_id,
+      timestamp: Date.now()
+    });
+
+    // A guest's code is spent, so nothing of the account is worth keeping
+    if (req.user.auth_provider === 'guest') {
+      await guests.wipeGuest(req.user.id);
+      await security.logSecurityEvent(
+        'guest_account_wiped',
+        'low',
+        `Guest account ${req.user.username} wiped at logout`,
+        req.ip,
+        null,
+        { username: req.user.username, reason: 'logout' },
+        { target: { type: 'user', id: req.user.id }, institutionId: req.user.institution_id }
+      );
+    }
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ success: false });
+  }
+});
+
+// Ends "view as" early; the viewer's own token is untouched
+app.post('/api/auth/impersonation/end', async (req, res) => {
+  try {
+    const current = req.user.impersonation;
+    if (!current) {
+      return res.status(400).json({ success: false, message: 'Not viewing as another user' });
+    }
+
+    await impersonation.endImpersonation(current.id, 'ended');
+    await security.logSecurityEvent(
+      'impersonation_ended',
+      'low',
+      `${current.actorUsername} stopped viewing as ${req.user.username}`,
+      req.ip,
+      current.actorId,
+      { impersonationId: current.id },
+      { target: { type: 'user', id: req.user.id }, institutionId: req.user.institution_id }
+    );
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('End impersonation error:', error);
+    res.status(500).json({ success: false, message: 'Failed to stop viewing as this user' });
+  }
+});
+
+app.get('/api/auth/2fa/status', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      enabled: !!req.user.otp_enabled,
+      required: await twoFactor.isRequiredForRole(req.user.role),
+      recoveryCodesRemaining: await twoFactor.getRemainingRecoveryCodes(req.user.id)
+    });
+  } catch (error) {
+    console.error('2FA status error:', error);
+    res.status(500).json({ success: false, message: 'Failed to load 2FA status' });
+  }
+});
+
+app.post('/api/auth/2fa/enroll', async (req, res) => {
+  try {
+    if (req.user.otp_enabled) {
+      return res.status(409).json({ success: false, message: 'Two-factor authentication is already enabled' });
+    }
+
+    const enrollment = await twoFactor.startEnrollment(req.user);
+    res.json({ success: true, ...enrollment });
+  } catch (error) {
+    console.error('2FA enrollment error:', error);
+    res.status(500).json({ success: false, message: 'Failed to start enrollment' });
+  }
+});
+
+app.post('/api/auth/2fa/confirm', async (req, res) => {
+  try {
+    const result = await twoFactor.confirmEnrollment(req.user.id, req.body.code);
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    await security.logSecurityEvent(
+      '2fa_enabled',
+      'low',
+      `Two-factor authentication enabled for ${req.user.username}`,
+      req.ip,
+      req.user.id
+    );
+
+    res.json(result);
+  } catch (error) {
+    console.error('2FA confirm error:', error);
+    res.status(500).json({ success: false, message: 'Failed to confirm enrollment' });
+  }
+});
+
+app.post('/api/auth/2fa/recovery-codes', async (req, res) => {
+  try {
+    const user = await auth.getUserWithSecrets(req.user.id);
+    const check = await twoFactor.verifySecondFactor(user, req.body.code);
+    if (!user.otp_enabled || !check.valid || check.method !== 'totp') {
+      return res.status(400).json({ success: false, message: 'Invalid authentication code' });
+    }
+
+    const recoveryCodes = await twoFactor.regenerateRecoveryCodes(req.user.id);
+    res.json({ success: true, recoveryCodes });
+  } catch (error) {
+    console.error('Recovery code error:', error);
+    res.status(500).json({ success: false, message: 'Failed to regenerate recovery codes' });
+  }
+});
+
+app.post('/api/auth/2fa/disable', async (req, res) => {
+  try {
+    if (await twoFactor.isRequiredForRole(req.user.role)) {
+      return res.status(403).json({ success: false, message: 'Two-factor authentication is required for your role' });
+    }
+
+    const user = await auth.getUserWithSecrets(req.user.id);
+    const check = await twoFactor.verifySecondFactor(user, req.body.code);
+    if (!user.otp_enabled || !check.valid) {
+      return res.status(400).json({ success: false, message: 'Invalid authentication code' });
+    }
+
+    await twoFactor.disable(req.user.id);
+    await security.logSecurityEvent(
+      '2fa_disabled',
+      'medium',
+      `Two-factor authentication disabled for ${req.user.username}`,
+      req.ip,
+      req.user.id
+    );
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({ success: false, message: 'Failed to disable two-factor authentication' });
+  }
+});
+
+app.get('/api/auth/password-policy', async (req, res) => {
+  try {
+    res.json({ success: true, policy: await passwordPolicy.getPolicy() });
+  } catch (error) {
+    console.error('Password policy error:', error);
+    res.status(500).json({ success: false, message: 'Failed to load password policy' });
+  }
+});
+
+app.post('/api/auth/change-password', async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const result = await auth.changePassword(req.user.id, currentPassword, newPassword, {
+      sessionId: req.user.sessionId
+    });
+
+    if (!result.success) {
+      await security.logSecurityEvent(
+        'password_change_failed',
+        'low',
+        `Password change rejected for ${req.user.username}: ${result.message}`,
+        req.ip,
+        req.user.id
+      );
+      return res.status(400).json(result);
+    }
+
+    await security.logSecurityEvent(
+      'password_changed',
+      'low',
+      `${req.user.username} changed their password; ${result.revokedSessions} other session(s) signed out`,
+      req.ip,
+      req.user.id
+    );
+
+    res.json(result);
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ success: false, message: 'Failed to change password' });
+  }
+});
+
+app.post('/api/auth/change-pin', async (req, res) => {
+  try {
+    const { currentPin, newPin } = req.body;
+    const result = await auth.changePin(req.user.id, currentPin, newPin, {
+      sessionId: req.user.sessionId
+    });
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    await security.logSecurityEvent(
+      'pin_changed',
+      'low',
+      `${req.user.username} changed their PIN; ${result.revokedSessions} other session(s) signed out`,
+      req.ip,
+      req.user.id
+    );
+
+    res.json(result);
+  } catch (error) {
+    console.error('Change PIN error:', error);
+    res.status(500).json({ success: false, message: 'Failed to change PIN' });
+  }
+});
+
+// Linking the signed-in account to the institution's single sign-on
+app.get('/api/auth/oidc/links', async (req, res) => {
+  try {
+    const provider = await oidc.getProvider(req.user.institution_id);
+    res.json({
+      success: true,
+      available: !!(provider && provider.enabled) && req.user.role !== 'superadmin',
+      providerName: provider ? provider.display_name : null,
+      links: await oidc.getLinks(req.user.id)
+    });
+  } catch (error) {
+    console.error('SSO links error:', error);
+    res.status(500).json({ success: false, message: 'Failed to load linked accounts' });
+  }
+});
+
+app.post('/api/auth/oidc/link/start', async (req, res) => {
+  try {
+    if (req.user.role === 'superadmin') {
+      return res.status(403).json({ success: false, message: 'Super-admin accounts cannot use single sign-on' });
+    }
+
+    const result = await oidc.beginAuthorization(req.user.institution_id, { purpose: 'link', userId: req.user.id });
+    res.status(result.success ? 200 : 400).json(result);
+  } catch (error) {
+    console.error('SSO link start error:', error);
+    res.status(500).json({ success: false, message: 'Failed to start linking' });
+  }
+});
+
+app.post('/api/auth/oidc/link/complete', async (req, res) => {
+  try {
+    const { state, code, error } = req.body;
+    const result = await oidc.completeAuthorization({ state, code, error });
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    if (result.purpose !== 'link' || result.userId !== req.user.id) {
+      return res.status(400).json({ success: false, message: 'Linking timed out. Please start again.' });
+    }
+
+    const linked = await oidc.linkIdentity(req.user.id, result.provider.issuer, result.claims.sub);
+    if (!linked.success) {
+      return res.status(409).json(linked);
+    }
+
+    await security.logSecurityEvent(
+      'sso_linked',
+      'medium',
+      `${req.user.username} linked a single sign-on account from ${result.provider.issuer}`,
+      req.ip,
+      req.user.id,
+      { issuer: result.provider.issuer, subject: result.claims.sub }
+    );
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('SSO link error:', error);
+    res.status(500).json({ success: false, message: 'Failed to link account' });
+  }
+});
+
+app.delete('/api/auth/oidc/link', async (req, res) => {
+  try {
+    // The link is the only way into an account created by single sign-on
+    if (req.user.auth_provider === 'oidc') {
+      return res.status(400).json({ success: false, message: 'This account signs in only with single sign-on' });
+    }
+
+    const removed = await oidc.unlinkIdentities(req.user.id);
+    if (removed > 0) {
+      await security.logSecurityEvent(
+        'sso_unlinked',
+        'medium',
+        `${req.user.username} unlinked their single sign-on account`,
+        req.ip,
+        req.user.id
+      );
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('SSO unlink error:', error);
+    res.status(500).json({ success: false, message: 'Failed to unlink account' });
+  }
+});
+
+app.get('/api/system/info', async (req, res) => {
+  try {
+    const info = await systemMonitor.getSystemInfo();
+    res.json(info);
+  } catch (error) {
+    console.error('System info error:', error);
+    res.status(500).json({ error: 'Failed to get system info' });
+  }
+});
+
+app.post('/api/cloud/sync', async (req, res) => {
+  try {
+    const result = await cloudSync.syncData({ ...req.body, userId: req.user.id, institutionId: req.user.institution_id });
+    res.json(result);
+  } catch (error) {
+    console.error('Cloud sync error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Institution an admin request works on: the caller's own, or for super-admins
+// every institution unless narrowed with ?institutionId=
+function scopeFor(req) {
+  if (req.institutionScope === null && req.query.institutionId) {
+    return parseInt(req.query.institutionId, 10);
+  }
+  return req.institutionScope;
+}
+
+function startOfToday() {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  return today;
+}
+
+app.get('/api/admin/dashboard', requirePermission(PERMISSIONS.ADMIN_PANEL), async (req, res) => {
+  try {
+    const dashboardData = {
+      activeUsers: await systemMonitor.getActiveUsers(),
+      systemStats: await systemMonitor.getSystemStats(),
+      recentActivity: await cloudSync.getRecentActivity(50, scopeFor(req)),
+      securityAlerts: await security.getSecurityAlerts(50, scopeFor(req)),
+      failedLoginsToday: await auth.countFailedLogins(startOfToday(), scopeFor(req))
+    };
+    
+    res.json(dashboardData);
+  } catch (error) {
+    console.error('Admin dashboard error:', error);
+    res.status(500).json({ error: 'Failed to load dashboard' });
+  }
+});
+
+// User management. Every change is recorded as a security event of the
+// acting admin; failures map "User not found" to 404 and the rest to 400.
+function sendUserActionFailure(res, result) {
+  res.status(result.message === 'User not found' ? 404 : 400).json(result);
+}
+
+// change ({ before, after, institutionId }) is what the audit log records as
+// altered on the target account; the entry belongs to the target's institution
+async function auditUserAction(req, eventType, severity, description, details = {}, change = {}) {
+  const targetUserId = details.targetUserId || (req.params.userId ? parseInt(req.params.userId, 10) : undefined);
+  const institutionId = change.institutionId !== undefined || !targetUserId
+    ? change.institutionId
+    : await institutions.getUserInstitutionId(targetUserId);
+
+  await security.logSecurityEvent(
+    eventType,
+    severity,
+    `${description} by ${req.user.username}`,
+    req.ip,
+    req.user.id,
+    { targetUserId, ...details },
+    {
+      target: targetUserId ? { type: 'user', id: targetUserId } : null,
+      institutionId,
+      before: change.before,
+      after: change.after
+    }
+  );
+}
+
+app.get('/api/admin/users', requirePermission(PERMISSIONS.USERS_VIEW), async (req, res) => {
+  try {
+    res.json({ success: true, users: await users.listUsers(scopeFor(req)) });
+  } catch (error) {
+    console.error('List users error:', error);
+    res.status(500).json({ success: false, message: 'Failed to list users' });
+  }
+});
+
+// Roster import: { format: 'csv' | 'json', content, dryRun }. The response to a
+// real import carries the generated passwords once, for the credentials sheet.
+app.post('/api/admin/users/import', requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
+  try {
+    const { format = 'csv', content, dryRun = true } = req.body;
+    const result = await roster.importRoster(content, format, req.user, req.institutionScope, {
+      dryRun: dryRun !== false
+    });
+
+    if (result.success && !result.dryRun) {
+      await security.logSecurityEvent(
+        'roster_imported',
+        'medium',
+        `${result.imported} user(s) imported from a roster by ${req.user.username}`,
+        req.ip,
+        req.user.id,
+        { usernames: result.credentials.map(entry => entry.username), newInstitutions: result.newInstitutions }
+      );
+    }
+
+    // A preview with errors is still a successful preview
+    res.status(result.success || result.dryRun ? 200 : 400).json(result);
+  } catch (error) {
+    console.error('Roster import error:', error);
+    res.status(500).json({ success: false, message: 'Failed to import roster' });
+  }
+});
+
+app.get('/api/admin/users/export', requirePermission(PERMISSIONS.USERS_VIEW), async (req, res) => {
+  try {
+    const format = req.query.format === 'json' ? 'json' : 'csv';
+    const body = await roster.exportRoster(scopeFor(req), format);
+    const date = new Date().toISOString().split('T')[0];
+
+    await security.logSecurityEvent(
+      'roster_exported',
+      'low',
+      `User roster exported by ${req.user.username}`,
+      req.ip,
+      req.user.id,
+      { format }
+    );
+
+    res.type(format === 'json' ? 'application/json' : 'text/csv');
+    res.attachment(`hatch-users-${date}.${format}`);
+    res.send(body);
+  } catch (error) {
+    console.error('Roster export error:', error);
+    res.status(500).json({ success: false, message: 'Failed to export users' });
+  }
+});
+
+app.post('/api/admin/users', requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
+  try {
+    const { username, password, pin, role, institutionId } = req.body;
+    const result = await users.createManagedUser(
+      { username, password, pin, role, institutionId },
+      req.user,
+      req.institutionScope
+    );
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    await auditUserAction(req, 'user_created', 'medium', `User ${result.user.username} (${result.user.role}) created`, {
+      targetUserId: result.user.id,
+      institutionId: result.user.institutionId
+    }, {
+      after: { username: result.user.username, role: result.user.role, institutionId: result.user.institutionId }
+    });
+
+    res.json(result);
+  } catch (error) {
+    console.error('Create user error:', error);
+    res.status(500).json({ success: false, message: 'Failed to create user' });
+  }
+});
+
+app.put('/api/admin/users/:userId', requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
+  try {
+    const { role, institutionId } = req.body;
+    const result = await users.updateUser(req.params.userId, { role, institutionId }, req.user, req.institutionScope);
+    if (!result.success) {
+      return sendUserActionFailure(res, result);
+    }
+
+    await auditUserAction(req, 'user_updated', role === 'superadmin' || role === 'admin' ? 'high' : 'medium',
+      `User ${req.params.userId} updated`, { previous: result.previous, role, institutionId }, {
+        before: result.previous,
+        after: {
+          role: role === undefined ? result.previous.role : role,
+          institutionId: institutionId === undefined ? result.previous.institutionId : parseInt(institutionId, 10)
+        }
+      });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Update user error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update user' });
+  }
+});
+
+app.post('/api/admin/users/:userId/disable', requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
+  try {
+    const result = await users.setActive(req.params.userId, false, req.user, req.institutionScope);
+    if (!result.success) {
+      return sendUserActionFailure(res, result);
+    }
+
+    await auditUserAction(req, 'user_disabled', 'medium', `User ${result.username} disabled`, {}, {
+      after: { active: false }
+    });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Disable user error:', error);
+    res.status(500).json({ success: false, message: 'Failed to disable user' });
+  }
+});
+
+app.post('/api/admin/users/:userId/enable', requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
+  try {
+    const result = await users.setActive(req.params.userId, true, req.user, req.institutionScope);
+    if (!result.success) {
+      return sendUserActionFailure(res, result);
+    }
+
+    await auditUserAction(req, 'user_enabled', 'low', `User ${result.username} enabled`, {}, {
+      after: { active: true }
+    });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Enable user error:', error);
+    res.status(500).json({ success: false, message: 'Failed to enable user' });
+  }
+});
+
+app.post('/api/admin/users/:userId/lock', requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
+  try {
+    const duration = parseInt(req.body.duration, 10) || null; // seconds
+    const result = await users.lockUser(req.params.userId, duration, req.user, req.institutionScope);
+    if (!result.success) {
+      return sendUserActionFailure(res, result);
+    }
+
+    await auditUserAction(req, 'user_locked', 'medium', `User ${result.username} locked`, {
+      lockedUntil: result.lockedUntil
+    }, {
+      after: { lockedUntil: result.lockedUntil }
+    });
+    res.json({ success: true, lockedUntil: result.lockedUntil });
+  } catch (error) {
+    console.error('Lock user error:', error);
+    res.status(500).json({ success: false, message: 'Failed to lock user' });
+  }
+});
+
+app.post('/api/admin/users/:userId/unlock', requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
+  try {
+    const result = await users.unlockUser(req.params.userId, req.institutionScope);
+    if (!result.success) {
+      return sendUserActionFailure(res, result);
+    }
+
+    await auditUserAction(req, 'user_unlocked', 'low', `User ${result.username} unlocked`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({ success: false, message: 'Failed to unlock user' });
+  }
+});
+
+app.post('/api/admin/users/:userId/reset-password', requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
+  try {
+    const result = await users.resetPassword(req.params.userId, req.institutionScope);
+    if (!result.success) {
+      return sendUserActionFailure(res, result);
+    }
+
+    await auditUserAction(req, 'password_reset', 'medium', `Password of ${result.username} reset`);
+    res.json({ success: true, temporaryPassword: result.temporaryPassword });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ success: false, message: 'Failed to reset password' });
+  }
+});
+
+app.post('/api/admin/users/:userId/pin', requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
+  try {
+    const result = await users.setUserPin(req.params.userId, req.body.pin, req.institutionScope);
+    if (!result.success) {
+      return sendUserActionFailure(res, result);
+    }
+
+    await auditUserAction(req, 'pin_reset', 'medium', `PIN of ${result.username} set`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Set PIN error:', error);
+    res.status(500).json({ success: false, message: 'Failed to set PIN' });
+  }
+});
+
+// "View as": returns a read-only token for the user, see impersonation.js
+app.post('/api/admin/users/:userId/impersonate', requirePermission(PERMISSIONS.USERS_IMPERSONATE), async (req, res) => {
+  try {
+    const result = await auth.startImpersonation(req.user, req.params.userId, req.institutionScope, req.body.reason);
+    if (!result.success) {
+      return sendUserActionFailure(res, result);
+    }
+
+    await auditUserAction(req, 'impersonation_started', 'medium', `Viewing as ${result.user.username} started`, {
+      impersonationId: result.user.impersonation.id,
+      reason: req.body.reason || null
+    }, {
+      after: { impersonationId: result.user.impersonation.id, expiresAt: result.user.impersonation.expiresAt }
+    });
+
+    res.json(result);
+  } catch (error) {
+    console.error('Start impersonation error:', error);
+    res.status(500).json({ success: false, message: 'Failed to view as this user' });
+  }
+});
+
+// Guest and exam-candidate batches (guests.js). Creating one returns the
+// one-time codes, for the sheet that is printed and handed out.
+app.get('/api/admin/guests', requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
+  try {
+    res.json({ success: true, batches: await guests.listBatches(scopeFor(req)) });
+  } catch (error) {
+    console.error('List guest batches error:', error);
+    res.status(500).json({ success: false, message: 'Failed to list guest accounts' });
+  }
+});
+
+app.post('/api/admin/guests', requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
+  try {
+    const result = await guests.createBatch(req.body || {}, req.user, req.institutionScope);
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    const { batch } = result;
+    await security.logSecurityEvent(
+      'guest_accounts_created',
+      'medium',
+      `${result.accounts.length} guest account(s) (${batch.role}) created by ${req.user.username}`,
+      req.ip,
+      req.user.id,
+      { batchId: batch.id, usernames: result.accounts.map(account => account.username) },
+      {
+        target: { type: 'guest_batch', id: batch.id },
+        after: { label: batch.label, role: batch.role, institution: batch.institution, expiresAt: batch.expiresAt }
+      }
+    );
+
+    res.json(result);
+  } catch (error) {
+    console.error('Create guest batch error:', error);
+    res.status(500).json({ success: false, message: 'Failed to create guest accounts' });
+  }
+});
+
+app.delete('/api/admin/guests/:batchId', requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
+  try {
+    const batch = await guests.getBatch(req.params.batchId);
+    if (!batch || batch.wiped_at || !institutions.inScope(batch.institution_id, req.institutionScope)) {
+      return res.status(404).json({ success: false, message: 'Guest batch not found' });
+    }
+
+    const wiped = await guests.wipeBatch(batch.id);
+    await security.logSecurityEvent(
+      'guest_accounts_wiped',
+      'medium',
+      `${wiped.length} guest account(s) of batch ${batch.id} wiped by ${req.user.username}`,
+      req.ip,
+      req.user.id,
+      { batchId: batch.id, usernames: wiped, reason: 'admin' },
+      { target: { type: 'guest_batch', id: batch.id }, institutionId: batch.institution_id }
+    );
+
+    res.json({ success: true, wiped: wiped.length });
+  } catch (error) {
+    console.error('Wipe guest batch error:', error);
+    res.status(500).json({ success: false, message: 'Failed to wipe guest accounts' });
+  }
+});
+
+app.delete('/api/admin/users/:userId', requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
+  try {
+    const retention = req.query.retention || 'anonymize';
+    const result = await users.deleteUser(req.params.userId, retention, req.user, req.institutionScope);
+    if (!result.success) {
+      return sendUserActionFailure(res, result);
+    }
+
+    await auditUserAction(req, 'user_deleted', 'high', `User ${result.username} deleted (${retention})`, { retention }, {
+      institutionId: result.previous.institutionId,
+      before: result.previous
+    });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete user error:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete user' });
+  }
+});
+
+app.get('/api/admin/sessions', requirePermission(PERMISSIONS.SESSIONS_MANAGE), async (req, res) => {
+  try {
+    const activeSessions = await sessions.getActiveSessions(req.query.userId || null, scopeFor(req));
+    res.json({ success: true, sessions: activeSessions });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({ success: false, message: 'Failed to list sessions' });
+  }
+});
+
+app.delete('/api/admin/sessions/:sessionId', requirePermission(PERMISSIONS.SESSIONS_MANAGE), async (req, res) => {
+  try {
+    const session = await sessions.getSession(req.params.sessionId);
+    if (!session || !(await institutions.userInScope(session.user_id, req.institutionScope))) {
+      return res.status(404).json({ success: false, message: 'Session not found or already ended' });
+    }
+
+    const revoked = await sessions.revokeSession(req.params.sessionId, 'admin_revoked');
+    if (!revoked) {
+      return res.status(404).json({ success: false, message: 'Session not found or already ended' });
+    }
+
+    await security.logSecurityEvent(
+      'session_revoked',
+      'low',
+      `Session ${req.params.sessionId} revoked by ${req.user.username}`,
+      req.ip,
+      req.user.id,
+      null,
+      {
+        target: { type: 'session', id: req.params.sessionId },
+        institutionId: await institutions.getUserInstitutionId(session.user_id),
+        before: { userId: session.user_id, active: true },
+        after: { active: false }
+      }
+    );
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ success: false, message: 'Failed to revoke session' });
+  }
+});
+
+app.delete('/api/admin/users/:userId/sessions', requirePermission(PERMISSIONS.SESSIONS_MANAGE), async (req, res) => {
+  try {
+    if (!(await institutions.userInScope(req.params.userId, req.institutionScope))) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const count = await sessions.revokeUserSessions(req.params.userId, 'admin_revoked');
+
+    await security.logSecurityEvent(
+      'session_revoked',
+      'low',
+      `${count} session(s) of user ${req.params.userId} revoked by ${req.user.username}`,
+      req.ip,
+      req.user.id,
+      null,
+      {
+        target: { type: 'user', id: req.params.userId },
+        institutionId: await institutions.getUserInstitutionId(req.params.userId),
+        after: { revokedSessions: count }
+      }
+    );
+
+    res.json({ success: true, revoked: count });
+  } catch (error) {
+    console.error('Revoke user sessions error:', error);
+    res.status(500).json({ success: false, message: 'Failed to revoke sessions' });
+  }
+});
+
+app.get('/api/admin/badges', requirePermission(PERMISSIONS.BADGES_MANAGE), async (req, res) => {
+  try {
+    const enrolled = await badges.listBadges(req.query.userId || null, scopeFor(req));
+    res.json({ success: true, badges: enrolled, reader: badgeReader.getStatus() });
+  } catch (error) {
+    console.error('List badges error:', error);
+    res.status(500).json({ success: false, message: 'Failed to list badges' });
+  }
+});
+
+app.post('/api/admin/badges', requirePermission(PERMISSIONS.BADGES_MANAGE), async (req, res) => {
+  try {
+    const { userId, tapId, label } = req.body;
+    // Enroll either from a live tap on the reader or from a UID typed off the card
+    const cardUid = tapId ? badgeReader.consumeTap(tapId) : req.body.cardUid;
+
+    if (!userId || !cardUid) {
+      return res.status(400).json({ success: false, message: 'userId and a badge tap or cardUid are required' });
+    }
+
+    const target = await auth.getUserById(userId);
+    if (!target || !institutions.inScope(target.institution_id, req.institutionScope)) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    // Badge sign-in always asks for the PIN, so an account without one could never use it
+    const { pin_hash: pinHash } = await auth.getUserWithSecrets(target.id);
+    if (!pinHash) {
+      return res.status(400).json({ success: false, message: `${target.username} has no PIN; set one before enrolling a badge` });
+    }
+
+    const badge = await badges.enrollBadge({ userId, cardUid, label, enrolledBy: req.user.id });
+    await security.logSecurityEvent(
+      'badge_enrolled',
+      'low',
+      `Badge enrolled for ${target.username} by ${req.user.username}`,
+      req.ip,
+      req.user.id,
+      { badgeId: badge.id, userId: target.id },
+      {
+        target: { type: 'badge', id: badge.id },
+        institutionId: target.institution_id,
+        after: { userId: target.id, username: target.username, label: badge.label || null }
+      }
+    );
+
+    res.json({ success: true, badge });
+  } catch (error) {
+    console.error('Enroll badge error:', error);
+    res.status(500).json({ success: false, message: 'Failed to enroll badge' });
+  }
+});
+
+app.delete('/api/admin/badges/:badgeId', requirePermission(PERMISSIONS.BADGES_MANAGE), async (req, res) => {
+  try {
+    const badge = await badges.getBadge(req.params.badgeId);
+    if (!badge || !institutions.inScope(badge.institution_id, req.institutionScope)) {
+      return res.status(404).json({ success: false, message: 'Badge not found' });
+    }
+
+    const revoked = await badges.revokeBadge(req.params.badgeId);
+    if (!revoked) {
+      return res.status(404).json({ success: false, message: 'Badge not found' });
+    }
+
+    await security.logSecurityEvent(
+      'badge_revoked',
+      'low',
+      `Badge ${req.params.badgeId} revoked by ${req.user.username}`,
+      req.ip,
+      req.user.id,
+      null,
+      {
+        target: { type: 'badge', id: req.params.badgeId },
+        institutionId: badge.institution_id,
+        before: { userId: badge.user_id, label: badge.label || null }
+      }
+    );
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Revoke badge error:', error);
+    res.status(500).json({ success: false, message: 'Failed to revoke badge' });
+  }
+});
+
+// IP blocks and lockouts apply to every institution (and to socket
+// handshakes), so only unscoped admins may see or change them
+app.get('/api/admin/blocked-ips', requirePermission(PERMISSIONS.SECURITY_IPS_MANAGE), requireAllInstitutions, async (req, res) => {
+  try {
+    const blockedIPs = await security.getBlockedIPs();
+    res.json({ success: true, blockedIPs });
+  } catch (error) {
+    console.error('List blocked IPs error:', error);
+    res.status(500).json({ success: false, message: 'Failed to list blocked IPs' });
+  }
+});
+
+app.post('/api/admin/blocked-ips', requirePermission(PERMISSIONS.SECURITY_IPS_MANAGE), requireAllInstitutions, async (req, res) => {
+  try {
+    const { ipAddress, reason, duration } = req.body;
+    const ip = security.normalizeIP(ipAddress);
+
+    if (!ip || !reason) {
+      return res.status(400).json({ success: false, message: 'ipAddress and reason are required' });
+    }
+
+    if (duration !== undefined && duration !== null && !(Number(duration) > 0)) {
+      return res.status(400).json({ success: false, message: 'duration must be a positive number of seconds' });
+    }
+
+    // Blocking loopback would lock the kiosk UI out of its own backend
+    if (ip === '127.0.0.1' || ip === '::1' || ip === security.normalizeIP(req.ip)) {
+      return res.status(400).json({ success: false, message: 'Refusing to block this address' });
+    }
+
+    await security.blockIP(ip, reason, duration ? Number(duration) : null);
+    await security.logSecurityEvent(
+      'ip_blocked',
+      'medium',
+      `IP ${ip} blocked by ${req.user.username}: ${reason}`,
+      req.ip,
+      req.user.id,
+      { blockedIp: ip, reason, duration: duration || null },
+      {
+        target: { type: 'ip', id: ip },
+        institutionId: null,
+        after: { blocked: true, reason, duration: duration ? Number(duration) : null }
+      }
+    );
+
+    // Drop live socket connections from the blocked address
+    for (const socket of io.sockets.sockets.values()) {
+      if (security.normalizeIP(socket.handshake.address) === ip) {
+        socket.disconnect(true);
+      }
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Block IP error:', error);
+    res.status(500).json({ success: false, message: 'Failed to block IP' });
+  }
+});
+
+app.delete('/api/admin/blocked-ips/:ipAddress', requirePermission(PERMISSIONS.SECURITY_IPS_MANAGE), requireAllInstitutions, async (req, res) => {
+  try {
+    const unblocked = await security.unblockIP(req.params.ipAddress);
+    if (!unblocked) {
+      return res.status(404).json({ success: false, message: 'IP is not blocked' });
+    }
+
+    await security.logSecurityEvent(
+      'ip_unblocked',
+      'low',
+      `IP ${req.params.ipAddress} unblocked by ${req.user.username}`,
+      req.ip,
+      req.user.id,
+      null,
+      { target: { type: 'ip', id: req.params.ipAddress }, institutionId: null, after: { blocked: false } }
+    );
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Unblock IP error:', error);
+    res.status(500).json({ success: false, message: 'Failed to unblock IP' });
+  }
+});
+
+// Source addresses locked out by failed logins (block_suspicious_ips). The
+// kiosk's own addresses are never locked; these are remote clients.
+app.get('/api/admin/ip-lockouts', requirePermission(PERMISSIONS.SECURITY_IPS_MANAGE), requireAllInstitutions, async (req, res) => {
+  try {
+    res.json({ success: true, lockouts: await security.getIPLockouts() });
+  } catch (error) {
+    console.error('List IP lockouts error:', error);
+    res.status(500).json({ success: false, message: 'Failed to list IP lockouts' });
+  }
+});
+
+app.delete('/api/admin/ip-lockouts/:ipAddress', requirePermission(PERMISSIONS.SECURITY_IPS_MANAGE), requireAllInstitutions, async (req, res) => {
+  try {
+    const ip = security.normalizeIP(req.params.ipAddress);
+    const cleared = await security.resetIPLockout(ip);
+    if (!cleared) {
+      return res.status(404).json({ success: false, message: 'IP is not locked out' });
+    }
+
+    await security.logSecurityEvent(
+      'ip_lockout_cleared',
+      'low',
+      `Login lockout of IP ${ip} cleared by ${req.user.username}`,
+      req.ip,
+      req.user.id,
+      null,
+      { target: { type: 'ip', id: ip }, institutionId: null, after: { locked: false } }
+    );
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Clear IP lockout error:', error);
+    res.status(500).json({ success: false, message: 'Failed to clear IP lockout' });
+  }
+});
+
+// Security alerts (securityAlerts.js): high and critical events, with repeats
+// folded in. Filters: status (open, acknowledged, resolved, false_positive or
+// active for the first two; default all), severity, assigneeId, limit.
+app.get('/api/admin/security/alerts', requirePermission(PERMISSIONS.SECURITY_VIEW), async (req, res) => {
+  try {
+    const { status, severity, assigneeId, limit } = req.query;
+    const alerts = await security.listAlerts({ status, severity, assigneeId, limit }, scopeFor(req));
+    res.json({ success: true, alerts });
+  } catch (error) {
+    console.error('List security alerts error:', error);
+    res.status(500).json({ success: false, message: 'Failed to load security alerts' });
+  }
+});
+
+async function getAlertInScope(req) {
+  const alert = await security.getAlert(req.params.id);
+  return alert && institutions.inScope(alert.institution_id, req.institutionScope) ? alert : null;
+}
+
+app.get('/api/admin/security/alerts/:id', requirePermission(PERMISSIONS.SECURITY_VIEW), async (req, res) => {
+  try {
+    const alert = await getAlertInScope(req);
+    if (!alert) {
+      return res.status(404).json({ success: false, message: 'Alert not found' });
+    }
+    res.json({ success: true, alert });
+  } catch (error) {
+    console.error('Get security alert error:', error);
+    res.status(500).json({ success: false, message: 'Failed to load security alert' });
+  }
+});
+
+// Assignees must be active and able to see the alert themselves
+async function resolveAssignee(assigneeId, alert) {
+  const assignee = await auth.getUserById(parseInt(assigneeId, 10));
+  if (!assignee || !assignee.active) {
+    return null;
+  }
+
+  const assigneePermissions = await permissions.getPermissionsForRole(assignee.role);
+  const scope = institutions.scopeFor({ ...assignee, permissions: assigneePermissions });
+  if (!assigneePermissions.includes(PERMISSIONS.SECURITY_VIEW) || !institutions.inScope(alert.institution_id, scope)) {
+    return null;
+  }
+
+  return { id: assignee.id, username: assignee.username };
+}
+
+// Body: { status, assigneeId (null to unassign), note }; any combination
+app.patch('/api/admin/security/alerts/:id', requirePermission(PERMISSIONS.SECURITY_ALERTS_MANAGE), async (req, res) => {
+  try {
+    const alert = await getAlertInScope(req);
+    if (!alert) {
+      return res.status(404).json({ success: false, message: 'Alert not found' });
+    }
+
+    const { status, assigneeId, note } = req.body;
+    const changes = { status, note };
+    if (assigneeId === null) {
+      changes.assignee = null;
+    } else if (assigneeId !== undefined) {
+      changes.assignee = await resolveAssignee(assigneeId, alert);
+      if (!changes.assignee) {
+        return res.status(400).json({ success: false, message: 'Alerts can only be assigned to active users who can view them' });
+      }
+    }
+
+    const result = await security.updateAlert(alert.id, changes, { id: req.user.id, username: req.user.username });
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    const summarize = (row) => ({ status: row.status, assignee: row.assignee_username });
+    await security.logSecurityEvent(
+      'security_alert_updated',
+      'low',
+      `Security alert #${alert.id} updated by ${req.user.username}`,
+      req.ip,
+      req.user.id,
+      { alertId: alert.id, note: note ? String(note).trim() : null },
+      {
+        target: { type: 'security_alert', id: alert.id },
+        institutionId: alert.institution_id,
+        before: summarize(result.before),
+        after: summarize(result.alert)
+      }
+    );
+
+    res.json({ success: true, alert: await security.getAlert(alert.id) });
+  } catch (error) {
+    console.error('Update security alert error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update security alert' });
+  }
+});
+
+// Security policies (securityPolicies.js). Values are read on every use, so
+// a change applies from the next request without a restart.
+app.get('/api/admin/security/policies', requirePermission(PERMISSIONS.SECURITY_VIEW), async (req, res) => {
+  try {
+    res.json({ success: true, policies: await security.listSecurityPolicies() });
+  } catch (error) {
+    console.error('List security policies error:', error);
+    res.status(500).json({ success: false, message: 'Failed to load security policies' });
+  }
+});
+
+// Body: { policies: { name: value, ... } }. Nothing is written unless every
+// value is valid. The policies apply to every institution, so institution
+// admins (who edit their own single sign-on with the same permission) may not.
+app.put('/api/admin/security/policies', requirePermission(PERMISSIONS.SECURITY_POLICIES_EDIT), requireAllInstitutions, async (req, res) => {
+  try {
+    const changes = (req.body && req.body.policies) || {};
+    if (typeof changes !== 'object' || Array.isArray(changes) || Object.keys(changes).length === 0) {
+      return res.status(400).json({ success: false, message: 'policies must map policy names to values' });
+    }
+
+    const errors = {};
+    for (const [name, value] of Object.entries(changes)) {
+      const validation = securityPolicies.validatePolicy(name, value);
+      if (!validation.success) {
+        errors[name] = validation.message;
+      } else if (name === '2fa_required_roles') {
+        for (const role of validation.value) {
+          if (!(await permissions.roleExists(role))) errors[name] = `Unknown role: ${role}`;
+        }
+      }
+    }
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ success: false, message: Object.values(errors)[0], errors });
+    }
+
+    const actor = { id: req.user.id, username: req.user.username };
+    const changed = [];
+    for (const [name, value] of Object.entries(changes)) {
+      const result = await security.updateSecurityPolicy(name, value, actor);
+      if (result.changed) changed.push(name);
+    }
+
+    res.json({ success: true, changed, policies: await security.listSecurityPolicies() });
+  } catch (error) {
+    console.error('Update security policies error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update security policies' });
+  }
+});
+
+// Malware scanner and quarantine (malware.js). Scan paths are shared by every
+// institution, so only super-admins hold this permission by default.
+app.get('/api/admin/malware', requirePermission(PERMISSIONS.SECURITY_QUARANTINE_MANAGE), async (req, res) => {
+  try {
+    const status = req.query.status || 'quarantined';
+    res.json({
+      success: true,
+      scanner: await security.getMalwareStatus(),
+      quarantine: await security.listQuarantine(status)
     });
-    
+  } catch (error) {
+    console.error('Malware status error:', error);
+    res.status(500).json({ success: false, message: 'Failed to load malware scanner status' });
+  }
+});
+
+app.post('/api/admin/malware/scan', requirePermission(PERMISSIONS.SECURITY_QUARANTINE_MANAGE), async (req, res) => {
+  try {
+    const full = Boolean(req.body && req.body.full);
+    const result = await security.scanForMalware({ full });
+
+    if (!result.success) {
+      await security.logSecurityEvent(
+        result.eventType || 'security_check',
+        result.severity || 'medium',
+        `${result.message} (scan started by ${req.user.username})`,
+        req.ip,
+        req.user.id,
+        result.details
+      );
+    }
+
+    res.json({ success: true, result, scanner: await security.getMalwareStatus() });
+  } catch (error) {
+    console.error('Malware scan error:', error);
+    res.status(500).json({ success: false, message: 'Malware scan failed' });
+  }
+});
+
+app.post('/api/admin/malware/quarantine/:id/restore', requirePermission(PERMISSIONS.SECURITY_QUARANTINE_MANAGE), async (req, res) => {
+  try {
+    const result = await security.restoreQuarantined(req.params.id, req.user.id);
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    const { record } = result;
+    await security.logSecurityEvent(
+      'quarantine_restored',
+      'medium',
+      `Quarantined file ${record.original_path} (${record.signature}) restored by ${req.user.username}`,
+      req.ip,
+      req.user.id,
+      { path: record.original_path, signature: record.signature, sha256: record.sha256 },
+      {
+        target: { type: 'quarantined_file', id: record.id },
+        institutionId: null,
+        before: { status: 'quarantined' },
+        after: { status: 'restored' }
+      }
+    );
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Restore quarantined file error:', error);
+    res.status(500).json({ success: false, message: 'Failed to restore file' });
+  }
+});
+
+app.delete('/api/admin/malware/quarantine/:id', requirePermission(PERMISSIONS.SECURITY_QUARANTINE_MANAGE), async (req, res) => {
+  try {
+    const result = await security.deleteQuarantined(req.params.id, req.user.id);
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+
+    const { record } = result;
+    await security.logSecurityEvent(
+      'quarantine_deleted',
+      'low',
+      `Quarantined file ${record.original_path} (${record.signature}) deleted by ${req.user.username}`,
+      req.ip,
+      req.user.id,
+      { path: record.original_path, signature: record.signature, sha256: record.sha256 },
+      {
+        target: { type: 'quarantined_file', id: record.id },
+        institutionId: null,
+        before: { status: 'quarantined' },
+        after: { status: 'deleted' }
+      }
+    );
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete quarantined file error:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete file' });
+  }
+});
+
+app.get('/api/admin/institutions', requirePermission(PERMISSIONS.INSTITUTIONS_MANAGE), async (req, res) => {
+  try {
+    res.json({ success: true, institutions: await institutions.listInstitutions() });
+  } catch (error) {
+    console.error('List institutions error:', error);
+    res.status(500).json({ success: false, message: 'Failed to list institutions' });
+  }
+});
+
+app.post('/api/admin/institutions', requirePermission(PERMISSIONS.INSTITUTIONS_MANAGE), async (req, res) => {
+  try {
+    const result = await institutions.createInstitution(req.body.name);
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    await security.logSecurityEvent(
+      'institution_created',
+      'medium',
+      `Institution ${result.institution.name} created by ${req.user.username}`,
+      req.ip,
+      req.user.id,
+      { institutionId: result.institution.id },
+      {
+        target: { type: 'institution', id: result.institution.id },
+        institutionId: result.institution.id,
+        after: result.institution
+      }
+    );
+
     res.json(result);
   } catch (error) {
-    console.error('Authentication error:', error);
-    res.status(500).json({ success: false, message: 'Authentication failed' });
+    console.error('Create institution error:', error);
+    res.status(500).json({ success: false, message: 'Failed to create institution' });
   }
 });
 
-app.post('/api/auth/logout', async (req, res) => {
+app.put('/api/admin/institutions/:institutionId', requirePermission(PERMISSIONS.INSTITUTIONS_MANAGE), async (req, res) => {
   try {
-    const { userId } = req.body;
-    await cloudSync.logEvent({
-      type: 'logout',
-      userId,
-      timestamp: Date.now()
+    const { name, active } = req.body;
+    if (active === false && parseInt(req.params.institutionId, 10) === req.user.institution_id) {
+      return res.status(400).json({ success: false, message: 'You cannot deactivate your own institution' });
+    }
+
+    const before = await institutions.getInstitution(req.params.institutionId);
+    const result = await institutions.updateInstitution(req.params.institutionId, { name, active });
+    if (!result.success) {
+      return res.status(result.message === 'Institution not found' ? 404 : 400).json(result);
+    }
+
+    await security.logSecurityEvent(
+      'institution_updated',
+      active === false ? 'high' : 'medium',
+      `Institution ${req.params.institutionId} updated by ${req.user.username}`,
+      req.ip,
+      req.user.id,
+      { institutionId: req.params.institutionId, name, active },
+      {
+        target: { type: 'institution', id: before.id },
+        institutionId: before.id,
+        before,
+        after: await institutions.getInstitution(before.id)
+      }
+    );
+
+    res.json(result);
+  } catch (error) {
+    console.error('Update institution error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update institution' });
+  }
+});
+
+// Single sign-on settings; institution admins manage their own institution's
+app.get('/api/admin/institutions/:institutionId/sso', requirePermission(PERMISSIONS.SECURITY_POLICIES_EDIT), async (req, res) => {
+  try {
+    const institutionId = parseInt(req.params.institutionId, 10);
+    if (!institutions.inScope(institutionId, req.institutionScope)) {
+      return res.status(404).json({ success: false, message: 'Institution not found' });
+    }
+
+    const provider = await oidc.getProvider(institutionId);
+    res.json({
+      success: true,
+      provider: provider ? oidc.toPublicProvider(provider) : null,
+      defaultRedirectUri: oidc.DEFAULT_REDIRECT_URI
     });
-    
+  } catch (error) {
+    console.error('Get SSO settings error:', error);
+    res.status(500).json({ success: false, message: 'Failed to load single sign-on settings' });
+  }
+});
+
+app.put('/api/admin/institutions/:institutionId/sso', requirePermission(PERMISSIONS.SECURITY_POLICIES_EDIT), async (req, res) => {
+  try {
+    const institutionId = parseInt(req.params.institutionId, 10);
+    if (!institutions.inScope(institutionId, req.institutionScope) || !(await institutions.getInstitution(institutionId))) {
+      return res.status(404).json({ success: false, message: 'Institution not found' });
+    }
+
+    const previous = await oidc.getProvider(institutionId);
+    const result = await oidc.saveProvider(institutionId, req.body);
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    await security.logSecurityEvent(
+      'sso_configured',
+      'high',
+      `Single sign-on for institution ${institutionId} updated by ${req.user.username}`,
+      req.ip,
+      req.user.id,
+      { institutionId, issuer: result.provider.issuer, enabled: result.provider.enabled, roleMapping: result.provider.roleMapping },
+      {
+        target: { type: 'sso_provider', id: institutionId },
+        institutionId,
+        before: previous ? oidc.toPublicProvider(previous) : null,
+        after: result.provider
+      }
+    );
+
+    res.json(result);
+  } catch (error) {
+    console.error('Save SSO settings error:', error);
+    res.status(500).json({ success: false, message: 'Failed to save single sign-on settings' });
+  }
+});
+
+app.delete('/api/admin/institutions/:institutionId/sso', requirePermission(PERMISSIONS.SECURITY_POLICIES_EDIT), async (req, res) => {
+  try {
+    const institutionId = parseInt(req.params.institutionId, 10);
+    if (!institutions.inScope(institutionId, req.institutionScope)) {
+      return res.status(404).json({ success: false, message: 'Institution not found' });
+    }
+
+    const previous = await oidc.getProvider(institutionId);
+    if (!previous || !(await oidc.deleteProvider(institutionId))) {
+      return res.status(404).json({ success: false, message: 'Single sign-on is not set up for this institution' });
+    }
+
+    await security.logSecurityEvent(
+      'sso_removed',
+      'high',
+      `Single sign-on for institution ${institutionId} removed by ${req.user.username}`,
+      req.ip,
+      req.user.id,
+      { institutionId },
+      { target: { type: 'sso_provider', id: institutionId }, institutionId, before: oidc.toPublicProvider(previous) }
+    );
+
     res.json({ success: true });
   } catch (error) {
-    console.error('Logout error:', error);
-    res.status(500).json({ success: false });
+    console.error('Delete SSO settings error:', error);
+    res.status(500).json({ success: false, message: 'Failed to remove single sign-on settings' });
   }
 });
 
-app.get('/api/system/info', async (req, res) => {
+// Audit log. Institution admins see their institution's entries; verifying
+// always covers the whole chain, since the hashes link every institution.
+app.get('/api/admin/audit', requirePermission(PERMISSIONS.AUDIT_VIEW), async (req, res) => {
   try {
-    const info = await systemMonitor.getSystemInfo();
-    res.json(info);
+    const { category, action, actor, targetType, targetId, from, to, beforeSeq, limit } = req.query;
+    const entries = await audit.listEntries(
+      { category, action, actor, targetType, targetId, from, to, beforeSeq },
+      scopeFor(req),
+      limit
+    );
+    res.json({ success: true, entries });
   } catch (error) {
-    console.error('System info error:', error);
-    res.status(500).json({ error: 'Failed to get system info' });
+    console.error('List audit log error:', error);
+    res.status(500).json({ success: false, message: 'Failed to load the audit log' });
   }
 });
 
-app.post('/api/cloud/sync', async (req, res) => {
+app.get('/api/admin/audit/actions', requirePermission(PERMISSIONS.AUDIT_VIEW), async (req, res) => {
+  try {
+    res.json({ success: true, actions: await audit.listActions() });
+  } catch (error) {
+    console.error('List audit actions error:', error);
+    res.status(500).json({ success: false, message: 'Failed to list audit actions' });
+  }
+});
+
+app.get('/api/admin/audit/verify', requirePermission(PERMISSIONS.AUDIT_VIEW), async (req, res) => {
+  try {
+    const result = await audit.verify();
+    if (!result.valid) {
+      await security.logSecurityEvent(
+        'audit_chain_broken',
+        'critical',
+        `Audit log verification found ${result.problems.length} problem(s)`,
+        req.ip,
+        req.user.id,
+        { problems: result.problems.slice(0, 20) }
+      );
+    }
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Verify audit log error:', error);
+    res.status(500).json({ success: false, message: 'Failed to verify the audit log' });
+  }
+});
+
+// Snapshot of a role for the audit log
+async function findRole(name) {
+  const roles = await permissions.listRoles();
+  return roles.find(role => role.name === name) || null;
+}
+
+app.get('/api/admin/permissions', requirePermission(PERMISSIONS.ROLES_MANAGE), requireAllInstitutions, (req, res) => {
+  res.json({ success: true, permissions: permissions.listPermissions() });
+});
+
+app.get('/api/admin/roles', requirePermission(PERMISSIONS.ROLES_MANAGE, PERMISSIONS.USERS_MANAGE), async (req, res) => {
+  try {
+    const roles = await permissions.listRoles();
+    res.json({ success: true, roles });
+  } catch (error) {
+    console.error('List roles error:', error);
+    res.status(500).json({ success: false, message: 'Failed to list roles' });
+  }
+});
+
+app.post('/api/admin/roles', requirePermission(PERMISSIONS.ROLES_MANAGE), requireAllInstitutions, async (req, res) => {
   try {
-    const result = await cloudSync.syncData(req.body);
+    const result = await permissions.createRole(req.body || {});
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    await security.logSecurityEvent(
+      'role_created',
+      'medium',
+      `Role ${result.role.name} created by ${req.user.username}`,
+      req.ip,
+      req.user.id,
+      { role: result.role.name, permissions: result.role.permissions },
+      { target: { type: 'role', id: result.role.name }, institutionId: null, after: result.role }
+    );
+
     res.json(result);
   } catch (error) {
-    console.error('Cloud sync error:', error);
-    res.status(500).json({ success: false, error: error.message });
+    console.error('Create role error:', error);
+    res.status(500).json({ success: false, message: 'Failed to create role' });
   }
 });
 
-app.get('/api/admin/dashboard', async (req, res) => {
+app.put('/api/admin/roles/:role', requirePermission(PERMISSIONS.ROLES_MANAGE), requireAllInstitutions, async (req, res) => {
   try {
-    const { userId } = req.query;
-    
-    // Verify admin access
-    const user = await auth.getUserById(userId);
-    if (!user || (user.role !== 'admin' && user.role !== 'teacher')) {
-      return res.status(403).json({ error: 'Access denied' });
+    const { description, permissions: permissionList } = req.body || {};
+    const before = await findRole(req.params.role);
+    const result = await permissions.updateRole(req.params.role, { description, permissions: permissionList }, req.institutionScope);
+    if (!result.success) {
+      const status = result.message === 'Role not found' ? 404 : (result.forbidden ? 403 : 400);
+      return res.status(status).json(result);
     }
-    
-    const dashboardData = {
-      activeUsers: await systemMonitor.getActiveUsers(),
-      systemStats: await systemMonitor.getSystemStats(),
-      recentActivity: await cloudSync.getRecentActivity(),
-      securityAlerts: await security.getSecurityAlerts()
-    };
-    
-    res.json(dashboardData);
+
+    await security.logSecurityEvent(
+      'role_updated',
+      'medium',
+      `Role ${req.params.role} updated by ${req.user.username}`,
+      req.ip,
+      req.user.id,
+      { role: req.params.role, permissions: permissionList },
+      {
+        target: { type: 'role', id: req.params.role },
+        institutionId: null,
+        before,
+        after: await findRole(req.params.role)
+      }
+    );
+
+    res.json(result);
   } catch (error) {
-    console.error('Admin dashboard error:', error);
-    res.status(500).json({ error: 'Failed to load dashboard' });
+    console.error('Update role error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update role' });
+  }
+});
+
+app.delete('/api/admin/roles/:role', requirePermission(PERMISSIONS.ROLES_MANAGE), requireAllInstitutions, async (req, res) => {
+  try {
+    const before = await findRole(req.params.role);
+    const result = await permissions.deleteRole(req.params.role);
+    if (!result.success) {
+      return res.status(result.message === 'Role not found' ? 404 : 400).json(result);
+    }
+
+    await security.logSecurityEvent(
+      'role_deleted',
+      'medium',
+      `Role ${req.params.role} deleted by ${req.user.username}`,
+      req.ip,
+      req.user.id,
+      null,
+      { target: { type: 'role', id: req.params.role }, institutionId: null, before }
+    );
+
+    res.json(result);
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete role' });
   }
 });
 
-app.post('/api/apps/launch', async (req, res) => {
+app.post('/api/apps/launch', requirePermission(PERMISSIONS.APPS_LAUNCH), async (req, res) => {
   try {
-    const { userId, appId, appName } = req.body;
+    const { appId, appName } = req.body;
     
     // Log app launch
     await cloudSync.logEvent({
       type: 'app_launch',
-      userId,
+      userId: req.user.id,
+      institutionId: req.user.institution_id,
       appId,
       appName,
       timestamp: Date.now()
@@ -136,6 +1816,13 @@ app.post('/api/apps/launch', async (req, res) => {
 });
 
 // Socket.IO for real-time communication
+io.use((socket, next) => {
+  if (security.isIPBlocked(socket.handshake.address)) {
+    return next(new Error('Access from this address is blocked'));
+  }
+  next();
+});
+
 io.on('connection', (socket) => {
   console.log('Client connected:', socket.id);
   
@@ -144,6 +1831,29 @@ io.on('connection', (socket) => {
     console.log(`User ${userId} joined their room`);
   });
   
+  // Badge taps are only delivered to the kiosk UI running on this device
+  socket.on('badge-reader-subscribe', () => {
+    const address = security.normalizeIP(socket.handshake.address);
+    if (address === '127.0.0.1' || address === '::1') {
+      socket.join('badge-readers');
+    }
+  });
+  
+  // Live security alerts for the AdminPanel. Sockets are otherwise
+  // anonymous, so the access token decides which institution's alerts it gets.
+  // Sending a new token replaces the subscription.
+  socket.on('security-alerts-subscribe', async (token) => {
+    try {
+      delete socket.data.alertSubscription;
+      const scope = await alertSubscriptionScope(token);
+      if (scope !== undefined) {
+        socket.data.alertSubscription = { token, scope };
+      }
+    } catch (error) {
+      console.error('Security alert subscription error:', error);
+    }
+  });
+  
   socket.on('system-status', async () => {
     const status = await systemMonitor.getSystemInfo();
     socket.emit('system-status-update', status);
@@ -154,35 +1864,108 @@ io.on('connection', (socket) => {
   });
 });
 
-// Scheduled tasks
-// Cloud sync every 2 seconds (as per PRD requirement)
-cron.schedule('*/2 * * * * *', async () => {
-  try {
-    await cloudSync.performScheduledSync();
-  } catch (error) {
-    console.error('Scheduled sync error:', error);
+// Institution whose alerts a token may follow (null = all), or undefined if
+// it may not: expired, session ended, or the role lost security.view
+async function alertSubscriptionScope(token) {
+  const user = await auth.verifyToken(token);
+  if (!user || !user.active) return undefined;
+
+  user.permissions = await permissions.getPermissionsForRole(user.role);
+  if (!hasPermission(user, PERMISSIONS.SECURITY_VIEW)) return undefined;
+
+  return institutions.scopeFor(user);
+}
+
+// Every subscriber's token is checked again before it is sent anything. A
+// socket whose token no longer passes is dropped and told so; the AdminPanel
+// then subscribes again with its refreshed token.
+security.onAlertChange(async ({ action, alert }) => {
+  for (const socket of io.sockets.sockets.values()) {
+    const subscription = socket.data.alertSubscription;
+    if (!subscription || !institutions.inScope(alert.institution_id, subscription.scope)) continue;
+
+    try {
+      const scope = await alertSubscriptionScope(subscription.token);
+      if (scope === subscription.scope) {
+        socket.emit('security-alert', { action, alert });
+      } else if (socket.data.alertSubscription === subscription) {
+        delete socket.data.alertSubscription;
+        socket.emit('security-alerts-expired');
+      }
+    } catch (error) {
+      console.error('Security alert delivery error:', error);
+    }
   }
 });
 
-// System monitoring every minute
-cron.schedule('* * * * *', async () => {
-  try {
-    const stats = await systemMonitor.collectSystemStats();
-    io.emit('system-stats', stats);
-  } catch (error) {
-    console.error('System monitoring error:', error);
-  }
+// High and critical system alerts become security events, so they are
+// de-duplicated into security alerts and sent through the notification channels
+systemMonitor.onAlert((alert) => {
+  if (alert.severity !== 'high' && alert.severity !== 'critical') return;
+
+  security.logSecurityEvent(`system_${alert.type}`, alert.severity, alert.title, null, null, { message: alert.message })
+    .catch(error => console.error('Failed to log system alert:', error));
 });
 
-// Security check every 5 minutes
-cron.schedule('*/5 * * * *', async () => {
-  try {
-    await security.performSecurityCheck();
-  } catch (error) {
-    console.error('Security check error:', error);
-  }
+// Badge reader (BADGE_READER_DRIVER = rfid | stdin | socket | none)
+badgeReader.onTap((tap) => {
+  io.to('badge-readers').emit('badge-tap', tap);
+});
+
+badgeReader.start(process.env.BADGE_READER_DRIVER || 'none', {
+  port: parseInt(process.env.BADGE_READER_PORT, 10) || 3002
 });
 
+// Scheduled tasks; started once the databases are migrated
+function scheduleTasks() {
+  // Cloud sync every 2 seconds (as per PRD requirement)
+  cron.schedule('*/2 * * * * *', async () => {
+    try {
+      await cloudSync.performScheduledSync();
+    } catch (error) {
+      console.error('Scheduled sync error:', error);
+    }
+  });
+
+  // System monitoring every minute
+  cron.schedule('* * * * *', async () => {
+    try {
+      const stats = await systemMonitor.collectSystemStats();
+      io.emit('system-stats', stats);
+    } catch (error) {
+      console.error('System monitoring error:', error);
+    }
+  });
+
+  // Wipe guest accounts that expired or whose sign-in has ended
+  cron.schedule('* * * * *', async () => {
+    try {
+      const wiped = await guests.cleanupGuests();
+      if (wiped.length > 0) {
+        await security.logSecurityEvent(
+          'guest_accounts_wiped',
+          'low',
+          `${wiped.length} guest account(s) wiped`,
+          null,
+          null,
+          { accounts: wiped }
+        );
+      }
+    } catch (error) {
+      console.error('Guest cleanup error:', error);
+    }
+  });
+
+  // Security check every 5 minutes
+  cron.schedule('*/5 * * * *', async () => {
+    try {
+      await security.performSecurityCheck();
+    } catch (error) {
+      console.error('Security check error:', error);
+    }
+  });
+}
+
 // Serve React app for all other routes
 app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, '../../build/index.html'));
@@ -194,12 +1977,33 @@ app.use((error, req, res, next) => {
   res.status(500).json({ error: 'Internal server error' });
 });
 
-// Start server
-server.listen(PORT, () => {
-  console.log(`🚀 Hatch OS Backend Server running on port ${PORT}`);
-  console.log(`📊 System monitoring active`);
-  console.log(`☁️  Cloud sync enabled (every 2 seconds)`);
-  console.log(`🔒 Security monitoring active`);
+// Start server. Every database is brought to its latest schema (with a
+// backup first) before anything reads from it or a request is accepted.
+async function start() {
+  const results = [
+    await migrator.migrate('hatch', database.db),
+    await security.initialize(),
+    await cloudSync.initialize()
+  ];
+  results.filter(result => result.backup).forEach(result => {
+    console.log(`🗄️  ${result.name}.db backed up to ${result.backup} before migrating`);
+  });
+
+  await permissions.syncLockedRoles();
+  await setup.initialize();
+  scheduleTasks();
+
+  server.listen(PORT, () => {
+    console.log(`🚀 Hatch OS Backend Server running on port ${PORT}`);
+    console.log(`📊 System monitoring active`);
+    console.log(`☁️  Cloud sync enabled (every 2 seconds)`);
+    console.log(`🔒 Security monitoring active`);
+  });
+}
+
+start().catch(error => {
+  console.error('Hatch OS backend failed to start:', error);
+  process.exit(1);
 });
 
 module.exports = { app, server, io };
\ No newline at end of file
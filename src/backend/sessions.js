@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const { run, get, all } = require('./database');
+const security = require('./security');
+
+// Server-side session store: one row per issued access token
+
+const DEFAULT_IDLE_TIMEOUT = 28800; // seconds, mirrors the session_timeout default
+
+async function getIdleTimeout() {
+  try {
+    return await security.getPolicyValue('session_timeout');
+  } catch (error) {
+    console.error('Failed to read session_timeout policy:', error);
+    return DEFAULT_IDLE_TIMEOUT;
+  }
+}
+
+async function createSession(userId, { ipAddress = null, userAgent = null } = {}) {
+  const id = crypto.randomUUID();
+  const now = Date.now();
+
+  await run(
+    `INSERT INTO sessions (id, user_id, ip_address, user_agent, created_at, last_activity)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [id, userId, ipAddress, userAgent, now, now]
+  );
+
+  return id;
+}
+
+// Returns the session if it is still usable and slides its idle window forward
+async function validateSession(sessionId) {
+  if (!sessionId) {
+    return null;
+  }
+
+  const session = await get('SELECT * FROM sessions WHERE id = ?', [sessionId]);
+  if (!session || session.revoked_at) {
+    return null;
+  }
+
+  const idleTimeout = await getIdleTimeout();
+  const now = Date.now();
+
+  if (now - session.last_activity > idleTimeout * 1000) {
+    await revokeSession(sessionId, 'idle_timeout');
+    return null;
+  }
+
+  await run('UPDATE sessions SET last_activity = ? WHERE id = ?', [now, sessionId]);
+
+  return { ...session, last_activity: now };
+}
+
+async function revokeSession(sessionId, reason = 'logout') {
+  const result = await run(
+    'UPDATE sessions SET revoked_at = ?, revoked_reason = ? WHERE id = ? AND revoked_at IS NULL',
+    [Date.now(), reason, sessionId]
+  );
+
+  return result.changes > 0;
+}
+
+async function revokeUserSessions(userId, reason = 'admin_revoked', exceptSessionId = null) {
+  const result = await run(
+    `UPDATE sessions SET revoked_at = ?, revoked_reason = ?
+     WHERE user_id = ? AND revoked_at IS NULL AND id != ?`,
+    [Date.now(), reason, userId, exceptSessionId || '']
+  );
+
+  return result.changes;
+}
+
+async function getSession(sessionId) {
+  return get('SELECT * FROM sessions WHERE id = ?', [sessionId]);
+}
+
+async function getActiveSessions(userId = null, institutionId = null) {
+  const idleTimeout = await getIdleTimeout();
+  const cutoff = Date.now() - idleTimeout * 1000;
+  const params = [cutoff];
+  let filter = '';
+
+  if (userId) {
+    filter += ' AND s.user_id = ?';
+    params.push(userId);
+  }
+
+  if (institutionId !== null) {
+    filter += ' AND u.institution_id = ?';
+    params.push(institutionId);
+  }
+
+  return all(
+    `SELECT s.id, s.user_id, u.username, u.role, s.ip_address, s.user_agent, s.created_at, s.last_activity
+     FROM sessions s
+     LEFT JOIN users u ON s.user_id = u.id
+     WHERE s.revoked_at IS NULL AND s.last_activity > ?${filter}
+     ORDER BY s.last_activity DESC`,
+    params
+  );
+}
+
+module.exports = {
+  getIdleTimeout,
+  createSession,
+  validateSession,
+  revokeSession,
+  revokeUserSessions,
+  getSession,
+  getActiveSessions
+};
@@ -0,0 +1,251 @@
+const { run, get, all, transaction } = require('./database');
+const auth = require('./auth');
+const passwordPolicy = require('./passwordPolicy');
+const cloudSync = require('./cloudSync');
+
+// First-boot provisioning. A fresh database has no accounts at all: the
+// backend stays unprovisioned until the setup wizard creates the first
+// institution and its super-admin. Demo accounts with well-known passwords
+// exist only when HATCH_DEMO_MODE is set.
+
+const DEMO_MODE = ['1', 'true'].includes(String(process.env.HATCH_DEMO_MODE || '').toLowerCase());
+
+const DEMO_ACCOUNTS = [
+  { username: 'admin', password: 'admin123', pin: '123456', role: 'superadmin', institution: 'Zylon Labs' },
+  { username: 'student1', password: 'student123', pin: '111111', role: 'student', institution: 'Demo School' },
+  { username: 'teacher1', password: 'teacher123', pin: '222222', role: 'teacher', institution: 'Demo School' },
+  { username: 'developer1', password: 'dev123', pin: '333333', role: 'developer', institution: 'Zylon Labs' }
+];
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9._-]{3,32}$/;
+const IPV4_PATTERN = /^(25[0-5]|2[0-4]\d|1?\d?\d)(\.(25[0-5]|2[0-4]\d|1?\d?\d)){3}$/;
+
+async function getSetting(key) {
+  const row = await get('SELECT value FROM system_settings WHERE key = ?', [key]);
+  return row ? row.value : null;
+}
+
+async function getSettings() {
+  const rows = await all('SELECT key, value FROM system_settings');
+  return Object.fromEntries(rows.map(row => [row.key, row.value]));
+}
+
+// Applies stored settings to the running process
+function applySettings(settings) {
+  if (settings.timezone) {
+    process.env.TZ = settings.timezone;
+  }
+
+  if (settings.cloud_endpoint) {
+    cloudSync.setEndpoint(settings.cloud_endpoint);
+  }
+}
+
+async function provision() {
+  if (!(await getSetting('setup_completed_at'))) {
+    // Installations from before the wizard already have an administrator
+    const admin = await get("SELECT id FROM users WHERE role IN ('admin', 'superadmin') LIMIT 1");
+
+    if (admin) {
+      await markProvisioned(null, 'existing');
+    } else if (DEMO_MODE) {
+      await seedDemoAccounts();
+    }
+  }
+
+  applySettings(await getSettings());
+}
+
+// tx is the open transaction when called from completeSetup, else null
+async function markProvisioned(tx, mode) {
+  const target = tx || { run };
+  await target.run(
+    "INSERT OR REPLACE INTO system_settings (key, value, updated_at) VALUES ('setup_completed_at', ?, CURRENT_TIMESTAMP)",
+    [new Date().toISOString()]
+  );
+  await target.run(
+    "INSERT OR REPLACE INTO system_settings (key, value, updated_at) VALUES ('setup_mode', ?, CURRENT_TIMESTAMP)",
+    [mode]
+  );
+}
+
+async function seedDemoAccounts() {
+  console.warn('HATCH_DEMO_MODE is on: creating demo accounts with published passwords');
+
+  for (const account of DEMO_ACCOUNTS) {
+    if (!(await get('SELECT id FROM users WHERE username = ?', [account.username]))) {
+      await auth.createUser(account);
+    }
+  }
+
+  await markProvisioned(null, 'demo');
+}
+
+// Called at startup once the schema is migrated; the other functions wait for it
+let ready = null;
+
+function initialize() {
+  ready = ready || provision();
+  return ready;
+}
+
+async function isProvisioned() {
+  await initialize();
+  return !!(await getSetting('setup_completed_at'));
+}
+
+async function getStatus() {
+  await initialize();
+  const settings = await getSettings();
+
+  return {
+    provisioned: !!settings.setup_completed_at,
+    demoMode: DEMO_MODE,
+    completedAt: settings.setup_completed_at || null
+  };
+}
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Normalises the wizard's network step; DHCP needs nothing else
+function normaliseNetwork(network = {}) {
+  const mode = network.mode || 'dhcp';
+
+  if (mode === 'dhcp') {
+    return { network: { mode, proxy: network.proxy || null } };
+  }
+
+  if (mode !== 'static') {
+    return { error: 'Network mode must be "dhcp" or "static"' };
+  }
+
+  const dns = (Array.isArray(network.dns) ? network.dns : String(network.dns || '').split(','))
+    .map(server => server.trim())
+    .filter(Boolean);
+  const prefix = parseInt(network.prefix, 10);
+
+  if (!IPV4_PATTERN.test(network.address || '') || !IPV4_PATTERN.test(network.gateway || '')) {
+    return { error: 'A static network needs a valid IPv4 address and gateway' };
+  }
+
+  if (!(prefix >= 1 && prefix <= 32)) {
+    return { error: 'Network prefix length must be between 1 and 32' };
+  }
+
+  if (dns.length === 0 || !dns.every(server => IPV4_PATTERN.test(server))) {
+    return { error: 'A static network needs at least one valid DNS server' };
+  }
+
+  return {
+    network: { mode, address: network.address, prefix, gateway: network.gateway, dns, proxy: network.proxy || null }
+  };
+}
+
+async function validateSetup({ institution, admin = {}, timezone, cloudEndpoint, network }) {
+  if (!String(institution || '').trim()) {
+    return 'Institution name is required';
+  }
+
+  if (!USERNAME_PATTERN.test(admin.username || '')) {
+    return 'Username must be 3-32 letters, digits, ".", "_" or "-"';
+  }
+
+  const passwordProblems = await passwordPolicy.checkPassword(admin.password, { username: admin.username });
+  if (passwordProblems.length > 0) {
+    return passwordProblems.join('. ');
+  }
+
+  const pinProblems = await passwordPolicy.checkPin(admin.pin);
+  if (pinProblems.length > 0) {
+    return pinProblems.join('. ');
+  }
+
+  if (!timezone || !isValidTimezone(timezone)) {
+    return 'Unknown timezone';
+  }
+
+  if (cloudEndpoint) {
+    try {
+      const url = new URL(cloudEndpoint);
+      if (url.protocol !== 'https:' && url.protocol !== 'http:') throw new Error('protocol');
+    } catch (error) {
+      return 'Cloud endpoint must be an http(s) URL';
+    }
+  }
+
+  return normaliseNetwork(network).error || null;
+}
+
+// Creates the first institution and super-admin and stores the system
+// settings. Runs once: afterwards every change goes through the admin panel.
+async function completeSetup(options) {
+  await initialize();
+
+  if (await isProvisioned()) {
+    return { success: false, alreadyProvisioned: true, message: 'This system has already been set up' };
+  }
+
+  const invalid = await validateSetup(options);
+  if (invalid) {
+    return { success: false, message: invalid };
+  }
+
+  const institution = options.institution.trim();
+  const { network } = normaliseNetwork(options.network);
+  const secrets = await auth.hashCredentials(options.admin);
+
+  const settings = {
+    timezone: options.timezone,
+    cloud_endpoint: options.cloudEndpoint || null,
+    network: JSON.stringify(network)
+  };
+
+  const created = await transaction(async (tx) => {
+    // Re-checked under the write lock: two wizards may have raced to submit
+    if (await tx.get("SELECT value FROM system_settings WHERE key = 'setup_completed_at'")) {
+      return null;
+    }
+
+    await tx.run('INSERT OR IGNORE INTO institutions (name) VALUES (?)', [institution]);
+    const tenant = await tx.get('SELECT id, name FROM institutions WHERE name = ?', [institution]);
+    const result = await tx.run(
+      `INSERT INTO users (username, password_hash, pin_hash, otp_secret, role, institution, institution_id)
+       VALUES (?, ?, ?, ?, 'superadmin', ?, ?)`,
+      [options.admin.username, secrets.passwordHash, secrets.pinHash, secrets.otpSecret, tenant.name, tenant.id]
+    );
+
+    for (const [key, value] of Object.entries(settings)) {
+      await tx.run(
+        'INSERT OR REPLACE INTO system_settings (key, value, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)',
+        [key, value]
+      );
+    }
+    await markProvisioned(tx, 'wizard');
+
+    return { id: result.lastID, username: options.admin.username, institution: tenant };
+  });
+
+  if (!created) {
+    return { success: false, alreadyProvisioned: true, message: 'This system has already been set up' };
+  }
+
+  applySettings(settings);
+  return { success: true, user: created };
+}
+
+module.exports = {
+  DEMO_MODE,
+  initialize,
+  getSetting,
+  getSettings,
+  isProvisioned,
+  getStatus,
+  completeSetup
+};
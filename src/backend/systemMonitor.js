@@ -1,9 +1,11 @@
 const si = require('systeminformation');
 const fs = require('fs-extra');
 const path = require('path');
+const EventEmitter = require('events');
 
-class SystemMonitor {
+class SystemMonitor extends EventEmitter {
   constructor() {
+    super();
     this.stats = {
       cpu: 0,
       memory: { used: 0, total: 0 },
@@ -15,6 +17,8 @@ class SystemMonitor {
     
     this.activeUsers = [];
     this.processes = [];
+    // Alert types present at the last check; only new ones are emitted
+    this.activeAlertTypes = new Set();
     
     // Initialize monitoring
     this.startMonitoring();
@@ -174,6 +178,7 @@ class SystemMonitor {
     if (this.stats.cpu > 90) {
       alerts.push({
         type: 'cpu_high',
+        title: 'High CPU usage',
         severity: 'high',
         message: `High CPU usage: ${this.stats.cpu}%`,
         timestamp: Date.now()
@@ -184,6 +189,7 @@ class SystemMonitor {
     if (this.stats.memory.percentage > 85) {
       alerts.push({
         type: 'memory_high',
+        title: 'High memory usage',
         severity: 'high', 
         message: `High memory usage: ${this.stats.memory.percentage}%`,
         timestamp: Date.now()
@@ -194,6 +200,7 @@ class SystemMonitor {
     if (this.stats.disk.percentage > 90) {
       alerts.push({
         type: 'disk_full',
+        title: 'Disk almost full',
         severity: 'high',
         message: `Disk almost full: ${this.stats.disk.percentage}%`,
         timestamp: Date.now()
@@ -204,6 +211,7 @@ class SystemMonitor {
     if (this.stats.temperature > 80) {
       alerts.push({
         type: 'temperature_high',
+        title: 'High CPU temperature',
         severity: 'medium',
         message: `High CPU temperature: ${this.stats.temperature}°C`,
         timestamp: Date.now()
@@ -222,8 +230,15 @@ class SystemMonitor {
       const alerts = await this.getSystemAlerts();
       if (alerts.length > 0) {
         console.log('System alerts:', alerts);
-        // Could emit events or send notifications here
       }
+
+      // 'alert' fires when a condition starts, not on every check while it lasts
+      for (const alert of alerts) {
+        if (!this.activeAlertTypes.has(alert.type)) {
+          this.emit('alert', alert);
+        }
+      }
+      this.activeAlertTypes = new Set(alerts.map(alert => alert.type));
     }, 30000);
 
     // Update user list every minute
@@ -359,6 +374,7 @@ module.exports = {
   getActiveUsers: () => systemMonitor.getActiveUsers(),
   getRunningProcesses: () => systemMonitor.getRunningProcesses(),
   getSystemAlerts: () => systemMonitor.getSystemAlerts(),
+  onAlert: (listener) => systemMonitor.on('alert', listener),
   getHealthStatus: () => systemMonitor.getHealthStatus(),
   optimizePerformance: () => systemMonitor.optimizePerformance(),
   optimizeForRaspberryPi: () => systemMonitor.optimizeForRaspberryPi()
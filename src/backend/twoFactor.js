@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const speakeasy = require('speakeasy');
+const QRCode = require('qrcode');
+const { run, get } = require('./database');
+const security = require('./security');
+
+// TOTP enrollment, verification and one-time recovery codes
+
+const RECOVERY_CODE_COUNT = 10;
+// Codes from one 30-second step either side are accepted, for clock drift
+const TOTP_WINDOW = 1;
+const TOTP_STEP = 30; // seconds
+
+function hashRecoveryCode(code) {
+  const normalized = code.replace(/[\s-]/g, '').toUpperCase();
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+function generateRecoveryCode() {
+  const raw = crypto.randomBytes(5).toString('hex').toUpperCase();
+  return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+}
+
+// Time step the code belongs to, or null when it is not valid now
+function matchTotpStep(secret, token) {
+  if (!secret || !token) {
+    return null;
+  }
+
+  const counter = Math.floor(Date.now() / 1000 / TOTP_STEP);
+  const match = speakeasy.totp.verifyDelta({
+    secret,
+    encoding: 'base32',
+    token: String(token).trim(),
+    window: TOTP_WINDOW,
+    counter
+  });
+
+  return match ? counter + match.delta : null;
+}
+
+// Accepts a code only if it is newer than the last one the user signed in
+// with; the conditional update makes two concurrent uses of a code fail too
+async function verifyTotp(userId, secret, token) {
+  const step = matchTotpStep(secret, token);
+  if (step === null) {
+    return false;
+  }
+
+  const result = await run(
+    'UPDATE users SET otp_last_step = ? WHERE id = ? AND (otp_last_step IS NULL OR otp_last_step < ?)',
+    [step, userId, step]
+  );
+  return result.changes > 0;
+}
+
+// Is 2FA mandatory for this role under the current security policy?
+async function isRequiredForRole(role) {
+  if (!(await security.getPolicyValue('enable_2fa'))) {
+    return false;
+  }
+
+  return (await security.getPolicyValue('2fa_required_roles')).includes(role);
+}
+
+async function startEnrollment(user) {
+  const secret = speakeasy.generateSecret({
+    name: `Hatch OS (${user.username})`,
+    issuer: 'Zylon Labs'
+  });
+
+  // Kept pending until the user proves their authenticator produces valid codes
+  await run('UPDATE users SET otp_pending_secret = ? WHERE id = ?', [secret.base32, user.id]);
+
+  const qrCode = await QRCode.toDataURL(secret.otpauth_url);
+
+  return {
+    secret: secret.base32,
+    otpauthUrl: secret.otpauth_url,
+    qrCode
+  };
+}
+
+async function confirmEnrollment(userId, token) {
+  const row = await get('SELECT otp_pending_secret FROM users WHERE id = ?', [userId]);
+  if (!row || !row.otp_pending_secret) {
+    return { success: false, message: 'No enrollment in progress' };
+  }
+
+  const step = matchTotpStep(row.otp_pending_secret, token);
+  if (step === null) {
+    return { success: false, message: 'Invalid authentication code' };
+  }
+
+  // The confirming code counts as used, so it cannot also sign in
+  await run(
+    'UPDATE users SET otp_secret = otp_pending_secret, otp_pending_secret = NULL, otp_enabled = 1, otp_last_step = ? WHERE id = ?',
+    [step, userId]
+  );
+
+  const recoveryCodes = await regenerateRecoveryCodes(userId);
+
+  return { success: true, recoveryCodes };
+}
+
+async function regenerateRecoveryCodes(userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+  const now = Date.now();
+
+  await run('DELETE FROM recovery_codes WHERE user_id = ?', [userId]);
+  for (const code of codes) {
+    await run(
+      'INSERT INTO recovery_codes (user_id, code_hash, created_at) VALUES (?, ?, ?)',
+      [userId, hashRecoveryCode(code), now]
+    );
+  }
+
+  return codes;
+}
+
+async function consumeRecoveryCode(userId, code) {
+  const result = await run(
+    'UPDATE recovery_codes SET used_at = ? WHERE user_id = ? AND code_hash = ? AND used_at IS NULL',
+    [Date.now(), userId, hashRecoveryCode(code)]
+  );
+
+  return result.changes > 0;
+}
+
+// Accepts either a current TOTP code or an unused recovery code
+async function verifySecondFactor(user, code) {
+  if (!code) {
+    return { valid: false };
+  }
+
+  if (/^\d{6}$/.test(String(code).trim())) {
+    return { valid: await verifyTotp(user.id, user.otp_secret, code), method: 'totp' };
+  }
+
+  const valid = await consumeRecoveryCode(user.id, code);
+  return { valid, method: 'recovery_code' };
+}
+
+async function disable(userId) {
+  await run(
+    'UPDATE users SET otp_enabled = 0, otp_pending_secret = NULL WHERE id = ?',
+    [userId]
+  );
+  await run('DELETE FROM recovery_codes WHERE user_id = ?', [userId]);
+}
+
+async function getRemainingRecoveryCodes(userId) {
+  const row = await get(
+    'SELECT COUNT(*) AS count FROM recovery_codes WHERE user_id = ? AND used_at IS NULL',
+    [userId]
+  );
+  return row ? row.count : 0;
+}
+
+module.exports = {
+  isRequiredForRole,
+  startEnrollment,
+  confirmEnrollment,
+  regenerateRecoveryCodes,
+  verifySecondFactor,
+  disable,
+  getRemainingRecoveryCodes
+};
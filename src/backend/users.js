@@ -0,0 +1,307 @@
+const crypto = require('crypto');
+const { run, get, all } = require('./database');
+const auth = require('./auth');
+const sessions = require('./sessions');
+const security = require('./security');
+const institutions = require('./institutions');
+const permissions = require('./permissions');
+const cloudSync = require('./cloudSync');
+
+// Administrative user lifecycle: everything the AdminPanel Users tab can do.
+// Callers pass the acting user's institution scope (null = all institutions);
+// accounts outside it are reported as not found.
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9._-]{3,32}$/;
+const PIN_PATTERN = /^\d{4,6}$/;
+const DEFAULT_LOCK_DURATION = 24 * 60 * 60; // seconds
+
+// Readable one-time password for handing to a user; they must replace it at sign-in
+function generateTemporaryPassword() {
+  const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnpqrstuvwxyz23456789';
+  const bytes = crypto.randomBytes(12);
+  return Array.from(bytes, byte => alphabet[byte % alphabet.length]).join('');
+}
+
+async function listUsers(scope) {
+  const filter = scope === null ? '' : 'AND institution_id = ?';
+  const rows = await all(
+    `SELECT id, username, role, institution, institution_id, class_name, active, otp_enabled,
+            must_change_password, auth_provider, created_at, last_login
+     FROM users
+     WHERE deleted_at IS NULL ${filter}
+     ORDER BY username ASC`,
+    scope === null ? [] : [scope]
+  );
+
+  const locks = await security.getAccountLocks();
+
+  return rows.map(row => ({
+    ...row,
+    active: !!row.active,
+    otp_enabled: !!row.otp_enabled,
+    must_change_password: !!row.must_change_password,
+    locked_until: locks.get(row.username) || null
+  }));
+}
+
+// Super-admin accounts are only visible to actions by other super-admins
+async function findUser(userId, scope) {
+  const user = await get('SELECT * FROM users WHERE id = ? AND deleted_at IS NULL', [userId]);
+  if (!user || !institutions.inScope(user.institution_id, scope)) {
+    return null;
+  }
+
+  return user.role === 'superadmin' && scope !== null ? null : user;
+}
+
+// Checks that apply to both creating a user and changing one's role or institution
+async function validateAssignment({ role, institutionId }, scope) {
+  if (role !== undefined) {
+    if (!(await permissions.roleExists(role))) {
+      return 'Unknown role';
+    }
+
+    // Only cross-tenant operators can mint other cross-tenant operators
+    if (role === 'superadmin' && scope !== null) {
+      return 'Only a super-admin can assign the superadmin role';
+    }
+  }
+
+  if (institutionId !== undefined) {
+    if (!institutions.inScope(institutionId, scope)) {
+      return 'Cannot assign users to another institution';
+    }
+
+    const institution = await institutions.getInstitution(institutionId);
+    if (!institution || !institution.active) {
+      return 'Institution not found or inactive';
+    }
+  }
+
+  return null;
+}
+
+async function createManagedUser({ username, password, pin, role = 'student', institutionId }, actor, scope) {
+  if (!USERNAME_PATTERN.test(username || '')) {
+    return { success: false, message: 'Username must be 3-32 letters, digits, ".", "_" or "-"' };
+  }
+
+  if (!PIN_PATTERN.test(pin || '')) {
+    return { success: false, message: 'PIN must be 4 to 6 digits' };
+  }
+
+  const targetInstitutionId = institutionId === undefined || institutionId === null
+    ? actor.institution_id
+    : parseInt(institutionId, 10);
+
+  const invalid = await validateAssignment({ role, institutionId: targetInstitutionId }, scope);
+  if (invalid) {
+    return { success: false, message: invalid };
+  }
+
+  if (await get('SELECT id FROM users WHERE username = ?', [username])) {
+    return { success: false, message: 'Username is already taken' };
+  }
+
+  // Without an initial password the account gets a temporary one to hand over
+  const temporaryPassword = password ? null : generateTemporaryPassword();
+  const institution = await institutions.getInstitution(targetInstitutionId);
+
+  const user = await auth.createUser({
+    username,
+    password: password || temporaryPassword,
+    pin,
+    role,
+    institution: institution.name,
+    mustChangePassword: true
+  });
+
+  return { success: true, user, temporaryPassword };
+}
+
+async function updateUser(userId, { role, institutionId }, actor, scope) {
+  const user = await findUser(userId, scope);
+  if (!user) {
+    return { success: false, message: 'User not found' };
+  }
+
+  if (user.id === actor.id && role !== undefined && role !== user.role) {
+    return { success: false, message: 'You cannot change your own role' };
+  }
+
+  const targetInstitutionId = institutionId === undefined ? undefined : parseInt(institutionId, 10);
+  const invalid = await validateAssignment({ role, institutionId: targetInstitutionId }, scope);
+  if (invalid) {
+    return { success: false, message: invalid };
+  }
+
+  // A guest account stays a guest whatever role it is moved to
+  if (role !== undefined && user.auth_provider === 'guest' &&
+      permissions.exceedsGuestPermissions(await permissions.getPermissionsForRole(role))) {
+    return { success: false, message: `The ${role} role grants more than guests may have` };
+  }
+
+  if (role !== undefined) {
+    await run('UPDATE users SET role = ? WHERE id = ?', [role, user.id]);
+  }
+
+  if (targetInstitutionId !== undefined && targetInstitutionId !== user.institution_id) {
+    const institution = await institutions.getInstitution(targetInstitutionId);
+    await run(
+      'UPDATE users SET institution = ?, institution_id = ? WHERE id = ?',
+      [institution.name, institution.id, user.id]
+    );
+  }
+
+  // Tokens carry the role and institution, so make the user sign in again
+  if ((role !== undefined && role !== user.role) ||
+      (targetInstitutionId !== undefined && targetInstitutionId !== user.institution_id)) {
+    await sessions.revokeUserSessions(user.id, 'account_changed');
+  }
+
+  return { success: true, previous: { role: user.role, institutionId: user.institution_id } };
+}
+
+async function setActive(userId, active, actor, scope) {
+  const user = await findUser(userId, scope);
+  if (!user) {
+    return { success: false, message: 'User not found' };
+  }
+
+  if (user.id === actor.id) {
+    return { success: false, message: 'You cannot disable your own account' };
+  }
+
+  await run('UPDATE users SET active = ? WHERE id = ?', [active ? 1 : 0, user.id]);
+  if (!active) {
+    await sessions.revokeUserSessions(user.id, 'account_disabled');
+  }
+
+  return { success: true, username: user.username };
+}
+
+async function lockUser(userId, duration, actor, scope) {
+  const user = await findUser(userId, scope);
+  if (!user) {
+    return { success: false, message: 'User not found' };
+  }
+
+  if (user.id === actor.id) {
+    return { success: false, message: 'You cannot lock your own account' };
+  }
+
+  const lockedUntil = await security.lockAccount(user.username, duration || DEFAULT_LOCK_DURATION);
+  await sessions.revokeUserSessions(user.id, 'account_locked');
+
+  return { success: true, username: user.username, lockedUntil };
+}
+
+async function unlockUser(userId, scope) {
+  const user = await findUser(userId, scope);
+  if (!user) {
+    return { success: false, message: 'User not found' };
+  }
+
+  await security.resetLoginAttempts(user.username);
+  return { success: true, username: user.username };
+}
+
+async function resetPassword(userId, scope) {
+  const user = await findUser(userId, scope);
+  if (!user) {
+    return { success: false, message: 'User not found' };
+  }
+
+  if (user.auth_provider && user.auth_provider !== 'local') {
+    return { success: false, message: 'This account signs in with the school directory; reset the password there' };
+  }
+
+  const temporaryPassword = generateTemporaryPassword();
+  await auth.setPassword(user.id, temporaryPassword, { mustChange: true });
+  await sessions.revokeUserSessions(user.id, 'password_reset');
+
+  return { success: true, username: user.username, temporaryPassword };
+}
+
+async function setUserPin(userId, pin, scope) {
+  const user = await findUser(userId, scope);
+  if (!user) {
+    return { success: false, message: 'User not found' };
+  }
+
+  if (!PIN_PATTERN.test(pin || '')) {
+    return { success: false, message: 'PIN must be 4 to 6 digits' };
+  }
+
+  await auth.setPin(user.id, pin);
+  return { success: true, username: user.username };
+}
+
+// retention 'anonymize' keeps logs and activity tied to a scrubbed account;
+// 'purge' removes the account and everything recorded about it. Security
+// events and the audit log are audit records and are kept either way.
+async function deleteUser(userId, retention, actor, scope) {
+  if (!['anonymize', 'purge'].includes(retention)) {
+    return { success: false, message: 'retention must be "anonymize" or "purge"' };
+  }
+
+  const user = await findUser(userId, scope);
+  if (!user) {
+    return { success: false, message: 'User not found' };
+  }
+
+  if (user.id === actor.id) {
+    return { success: false, message: 'You cannot delete your own account' };
+  }
+
+  await removeAccount(user, retention);
+
+  return {
+    success: true,
+    username: user.username,
+    previous: { username: user.username, role: user.role, institutionId: user.institution_id, active: !!user.active }
+  };
+}
+
+// The deletion itself, without the permission checks; guests.js wipes
+// temporary accounts with it
+async function removeAccount(user, retention) {
+  await sessions.revokeUserSessions(user.id, 'account_deleted');
+  await security.resetLoginAttempts(user.username);
+  await run('DELETE FROM badges WHERE user_id = ?', [user.id]);
+  await run('DELETE FROM recovery_codes WHERE user_id = ?', [user.id]);
+  await run('DELETE FROM oidc_identities WHERE user_id = ?', [user.id]);
+  await run('DELETE FROM guest_accounts WHERE user_id = ?', [user.id]);
+
+  if (retention === 'anonymize') {
+    await run(
+      `UPDATE users SET username = ?, password_hash = '', pin_hash = '', otp_secret = NULL,
+              otp_enabled = 0, otp_pending_secret = NULL, active = 0, deleted_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [`deleted-user-${user.id}`, user.id]
+    );
+  } else {
+    await run(
+      'DELETE FROM refresh_tokens WHERE session_id IN (SELECT id FROM sessions WHERE user_id = ?)',
+      [user.id]
+    );
+    await run('DELETE FROM sessions WHERE user_id = ?', [user.id]);
+    await run('DELETE FROM auth_logs WHERE user_id = ? OR username = ?', [user.id, user.username]);
+    await cloudSync.deleteUserData(user.id);
+    await run('DELETE FROM users WHERE id = ?', [user.id]);
+  }
+}
+
+module.exports = {
+  generateTemporaryPassword,
+  listUsers,
+  createManagedUser,
+  updateUser,
+  setActive,
+  lockUser,
+  unlockUser,
+  resetPassword,
+  setUserPin,
+  deleteUser,
+  removeAccount
+};
@@ -1,19 +1,50 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
+import { apiFetch } from '../api';
+import RosterImport from './RosterImport';
+import GuestAccounts from './GuestAccounts';
+import MalwareQuarantine from './MalwareQuarantine';
+import SecurityPolicies from './SecurityPolicies';
+import SecurityAlerts from './SecurityAlerts';
+import SsoSettings from './SsoSettings';
+import AuditLog from './AuditLog';
+import { PERMISSIONS, CROSS_TENANT_PERMISSIONS, hasPermission } from '../shared/permissions';
 
-const AdminPanel = ({ user }) => {
+// Roles whose permissions are fixed by the server
+const LOCKED_ROLES = ['superadmin', 'admin'];
+
+const EMPTY_NEW_USER = { username: '', password: '', pin: '', role: 'student', institutionId: '' };
+
+const AdminPanel = ({ user, onImpersonate }) => {
   const navigate = useNavigate();
   const [activeTab, setActiveTab] = useState('dashboard');
+  const [securityView, setSecurityView] = useState('overview');
   const [adminData, setAdminData] = useState({
     activeUsers: [],
     systemStats: {},
     recentActivity: [],
-    securityAlerts: []
+    securityAlerts: [],
+    failedLoginsToday: 0
   });
   const [loading, setLoading] = useState(true);
+  const [sessions, setSessions] = useState([]);
+  const [roles, setRoles] = useState([]);
+  const [permissionCatalog, setPermissionCatalog] = useState([]);
+  const [newRole, setNewRole] = useState({ name: '', description: '' });
+  const [institutionList, setInstitutionList] = useState([]);
+  const [institutionFilter, setInstitutionFilter] = useState('');
+  const [newInstitution, setNewInstitution] = useState('');
+  const [userList, setUserList] = useState([]);
+  const [showAddUser, setShowAddUser] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+  const [showGuests, setShowGuests] = useState(false);
+  const [newUser, setNewUser] = useState(EMPTY_NEW_USER);
+  const canManageInstitutions = hasPermission(user, PERMISSIONS.INSTITUTIONS_MANAGE);
+  const canManageUsers = hasPermission(user, PERMISSIONS.USERS_MANAGE);
+  const canImpersonate = hasPermission(user, PERMISSIONS.USERS_IMPERSONATE) && !!onImpersonate;
 
   useEffect(() => {
-    if (user.role !== 'admin' && user.role !== 'teacher') {
+    if (!hasPermission(user, PERMISSIONS.ADMIN_PANEL)) {
       navigate('/');
       return;
     }
@@ -23,11 +54,18 @@ const AdminPanel = ({ user }) => {
     // Refresh data every 30 seconds
     const interval = setInterval(loadAdminData, 30000);
     return () => clearInterval(interval);
-  }, [user.role, navigate]);
+  }, [user, navigate, institutionFilter]);
+
+  useEffect(() => {
+    if (canManageInstitutions) {
+      loadInstitutions();
+    }
+  }, [canManageInstitutions]);
 
   const loadAdminData = async () => {
     try {
-      const response = await fetch(`/api/admin/dashboard?userId=${user.id}`);
+      const query = institutionFilter ? `?institutionId=${institutionFilter}` : '';
+      const response = await apiFetch(`/api/admin/dashboard${query}`);
       if (response.ok) {
         const data = await response.json();
         setAdminData(data);
@@ -39,29 +77,332 @@ const AdminPanel = ({ user }) => {
     }
   };
 
-  const handleUserAction = async (userId, action) => {
-    if (!confirm(`Are you sure you want to ${action} this user?`)) return;
-    
+  useEffect(() => {
+    if (activeTab === 'users') {
+      loadUsers();
+    } else if (activeTab === 'sessions') {
+      loadSessions();
+    } else if (activeTab === 'roles') {
+      loadRoles();
+    }
+  }, [activeTab, institutionFilter]);
+
+  const loadSessions = async () => {
+    try {
+      const response = await apiFetch('/api/admin/sessions');
+      if (response.ok) {
+        const data = await response.json();
+        setSessions(data.sessions);
+      }
+    } catch (error) {
+      console.error('Failed to load sessions:', error);
+    }
+  };
+
+  const revokeSession = async (sessionId) => {
+    if (!window.confirm('End this session? The user will be signed out.')) return;
+
+    try {
+      const response = await apiFetch(`/api/admin/sessions/${sessionId}`, { method: 'DELETE' });
+      if (response.ok) {
+        loadSessions();
+      }
+    } catch (error) {
+      console.error('Session revoke failed:', error);
+      alert('Action failed. Please try again.');
+    }
+  };
+
+  const revokeUserSessions = async (userId, username) => {
+    if (!window.confirm(`End all sessions for ${username}?`)) return;
+
+    try {
+      const response = await apiFetch(`/api/admin/users/${userId}/sessions`, { method: 'DELETE' });
+      if (response.ok) {
+        loadSessions();
+      }
+    } catch (error) {
+      console.error('Session revoke failed:', error);
+      alert('Action failed. Please try again.');
+    }
+  };
+
+  const loadInstitutions = async () => {
+    try {
+      const response = await apiFetch('/api/admin/institutions');
+      if (response.ok) {
+        const data = await response.json();
+        setInstitutionList(data.institutions);
+      }
+    } catch (error) {
+      console.error('Failed to load institutions:', error);
+    }
+  };
+
+  const createInstitution = async (e) => {
+    e.preventDefault();
+
     try {
-      const response = await fetch('/api/admin/user-action', {
+      const response = await apiFetch('/api/admin/institutions', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ userId, action, adminId: user.id })
+        body: JSON.stringify({ name: newInstitution })
       });
-      
-      if (response.ok) {
-        alert(`User ${action} successful`);
-        loadAdminData();
+      const result = await response.json();
+      if (result.success) {
+        setNewInstitution('');
+        loadInstitutions();
+      } else {
+        alert(result.message || 'Failed to create institution');
+      }
+    } catch (error) {
+      console.error('Institution create failed:', error);
+      alert('Action failed. Please try again.');
+    }
+  };
+
+  const setInstitutionActive = async (institution, active) => {
+    if (!active && !window.confirm(`Deactivate ${institution.name}? Its users will be signed out and unable to log in.`)) return;
+
+    try {
+      const response = await apiFetch(`/api/admin/institutions/${institution.id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ active })
+      });
+      const result = await response.json();
+      if (!result.success) {
+        alert(result.message || 'Failed to update institution');
+      }
+      loadInstitutions();
+    } catch (error) {
+      console.error('Institution update failed:', error);
+      alert('Action failed. Please try again.');
+    }
+  };
+
+  const loadRoles = async () => {
+    try {
+      const [rolesResponse, permissionsResponse] = await Promise.all([
+        apiFetch('/api/admin/roles'),
+        apiFetch('/api/admin/permissions')
+      ]);
+      if (rolesResponse.ok && permissionsResponse.ok) {
+        setRoles((await rolesResponse.json()).roles);
+        setPermissionCatalog((await permissionsResponse.json()).permissions);
       }
+    } catch (error) {
+      console.error('Failed to load roles:', error);
+    }
+  };
+
+  const toggleRolePermission = async (role, permission) => {
+    const permissions = role.permissions.includes(permission)
+      ? role.permissions.filter(granted => granted !== permission)
+      : [...role.permissions, permission];
+
+    try {
+      const response = await apiFetch(`/api/admin/roles/${role.name}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ permissions })
+      });
+      const result = await response.json();
+      if (!result.success) {
+        alert(result.message || 'Failed to update role');
+      }
+      loadRoles();
+    } catch (error) {
+      console.error('Role update failed:', error);
+      alert('Action failed. Please try again.');
+    }
+  };
+
+  const createRole = async (e) => {
+    e.preventDefault();
+
+    try {
+      const response = await apiFetch('/api/admin/roles', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...newRole, permissions: [] })
+      });
+      const result = await response.json();
+      if (result.success) {
+        setNewRole({ name: '', description: '' });
+        loadRoles();
+      } else {
+        alert(result.message || 'Failed to create role');
+      }
+    } catch (error) {
+      console.error('Role create failed:', error);
+      alert('Action failed. Please try again.');
+    }
+  };
+
+  const deleteRole = async (roleName) => {
+    if (!window.confirm(`Delete the ${roleName} role?`)) return;
+
+    try {
+      const response = await apiFetch(`/api/admin/roles/${roleName}`, { method: 'DELETE' });
+      const result = await response.json();
+      if (!result.success) {
+        alert(result.message || 'Failed to delete role');
+      }
+      loadRoles();
+    } catch (error) {
+      console.error('Role delete failed:', error);
+      alert('Action failed. Please try again.');
+    }
+  };
+
+  const sessionsByUser = sessions.reduce((groups, session) => {
+    const group = groups[session.user_id] || { username: session.username, role: session.role, sessions: [] };
+    group.sessions.push(session);
+    groups[session.user_id] = group;
+    return groups;
+  }, {});
+
+  const loadUsers = async () => {
+    try {
+      const query = institutionFilter ? `?institutionId=${institutionFilter}` : '';
+      const requests = [apiFetch(`/api/admin/users${query}`)];
+      if (canManageUsers) {
+        requests.push(apiFetch('/api/admin/roles'));
+      }
+
+      const [usersResponse, rolesResponse] = await Promise.all(requests);
+      if (usersResponse.ok) {
+        setUserList((await usersResponse.json()).users);
+      }
+      if (rolesResponse && rolesResponse.ok) {
+        setRoles((await rolesResponse.json()).roles);
+      }
+    } catch (error) {
+      console.error('Failed to load users:', error);
+    }
+  };
+
+  // Runs one user-management request and reloads the list; returns the result on success
+  const runUserAction = async (path, { method = 'POST', body } = {}) => {
+    try {
+      const response = await apiFetch(path, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined
+      });
+      const result = await response.json();
+
+      if (!result.success) {
+        alert(result.message || 'Action failed');
+        return null;
+      }
+
+      loadUsers();
+      return result;
     } catch (error) {
       console.error('User action failed:', error);
       alert('Action failed. Please try again.');
+      return null;
+    }
+  };
+
+  const createUser = async (e) => {
+    e.preventDefault();
+
+    const result = await runUserAction('/api/admin/users', {
+      body: {
+        ...newUser,
+        institutionId: newUser.institutionId || undefined
+      }
+    });
+
+    if (result) {
+      setNewUser(EMPTY_NEW_USER);
+      setShowAddUser(false);
+      if (result.temporaryPassword) {
+        alert(`User created. Temporary password: ${result.temporaryPassword}\nThey will be asked to change it at first sign-in.`);
+      }
+    }
+  };
+
+  const changeUserRole = (account, role) => {
+    if (!window.confirm(`Change ${account.username} from ${account.role} to ${role}? They will be signed out.`)) return;
+    runUserAction(`/api/admin/users/${account.id}`, { method: 'PUT', body: { role } });
+  };
+
+  const lockUser = (account) => {
+    const hours = prompt(`Lock ${account.username} for how many hours?`, '24');
+    if (!hours) return;
+    runUserAction(`/api/admin/users/${account.id}/lock`, { body: { duration: Math.round(parseFloat(hours) * 3600) } });
+  };
+
+  const resetUserPassword = async (account) => {
+    if (!window.confirm(`Reset the password of ${account.username}? They will be signed out.`)) return;
+
+    const result = await runUserAction(`/api/admin/users/${account.id}/reset-password`);
+    if (result) {
+      alert(`Temporary password for ${account.username}: ${result.temporaryPassword}`);
+    }
+  };
+
+  const setUserPin = (account) => {
+    const pin = prompt(`New PIN for ${account.username} (4-6 digits):`);
+    if (!pin) return;
+    runUserAction(`/api/admin/users/${account.id}/pin`, { body: { pin } });
+  };
+
+  // Read-only "view as"; the server refuses accounts with more permissions than ours
+  const viewAsUser = async (account) => {
+    const reason = prompt(`View Hatch OS as ${account.username} (read-only)?\n\nReason (optional, kept in the audit log):`, '');
+    if (reason === null) return;
+
+    const result = await runUserAction(`/api/admin/users/${account.id}/impersonate`, { body: { reason } });
+    if (result) {
+      onImpersonate(result);
+      navigate('/apps');
+    }
+  };
+
+  const setUserActive = (account, active) => {
+    if (!active && !window.confirm(`Disable ${account.username}? They will be signed out.`)) return;
+    runUserAction(`/api/admin/users/${account.id}/${active ? 'enable' : 'disable'}`);
+  };
+
+  const deleteUser = (account) => {
+    const retention = prompt(
+      `Delete ${account.username}?\n\n` +
+      'Type "anonymize" to keep their logs and activity under an anonymous account,\n' +
+      'or "purge" to remove everything recorded about them.',
+      'anonymize'
+    );
+    if (!retention) return;
+    runUserAction(`/api/admin/users/${account.id}?retention=${encodeURIComponent(retention)}`, { method: 'DELETE' });
+  };
+
+  const exportRoster = async (format) => {
+    try {
+      const query = new URLSearchParams({ format });
+      if (institutionFilter) query.set('institutionId', institutionFilter);
+
+      const response = await apiFetch(`/api/admin/users/export?${query}`);
+      if (response.ok) {
+        const blob = await response.blob();
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `hatch-users-${new Date().toISOString().split('T')[0]}.${format}`;
+        a.click();
+      }
+    } catch (error) {
+      console.error('Export failed:', error);
+      alert('Export failed. Please try again.');
     }
   };
 
   const exportReport = async (type) => {
     try {
-      const response = await fetch(`/api/admin/export/${type}?userId=${user.id}`);
+      const response = await apiFetch(`/api/admin/export/${type}`);
       if (response.ok) {
         const blob = await response.blob();
         const url = window.URL.createObjectURL(blob);
@@ -93,7 +434,16 @@ const AdminPanel = ({ user }) => {
         <h1>👨‍💼 Admin Panel</h1>
         <div className="admin-info">
           <span>{user.username} ({user.role})</span>
-          <span>{user.institution}</span>
+          {canManageInstitutions ? (
+            <select value={institutionFilter} onChange={(e) => setInstitutionFilter(e.target.value)}>
+              <option value="">All institutions</option>
+              {institutionList.map(institution => (
+                <option key={institution.id} value={institution.id}>{institution.name}</option>
+              ))}
+            </select>
+          ) : (
+            <span>{user.institution}</span>
+          )}
         </div>
       </header>
 
@@ -104,12 +454,38 @@ const AdminPanel = ({ user }) => {
         >
           📊 Dashboard
         </button>
-        <button 
-          className={activeTab === 'users' ? 'active' : ''}
-          onClick={() => setActiveTab('users')}
-        >
-          👥 Users
-        </button>
+        {hasPermission(user, PERMISSIONS.USERS_VIEW) && (
+          <button 
+            className={activeTab === 'users' ? 'active' : ''}
+            onClick={() => setActiveTab('users')}
+          >
+            👥 Users
+          </button>
+        )}
+        {hasPermission(user, PERMISSIONS.SESSIONS_MANAGE) && (
+          <button 
+            className={activeTab === 'sessions' ? 'active' : ''}
+            onClick={() => setActiveTab('sessions')}
+          >
+            🔑 Sessions
+          </button>
+        )}
+        {canManageInstitutions && (
+          <button 
+            className={activeTab === 'institutions' ? 'active' : ''}
+            onClick={() => setActiveTab('institutions')}
+          >
+            🏫 Institutions
+          </button>
+        )}
+        {hasPermission(user, PERMISSIONS.ROLES_MANAGE) && (
+          <button 
+            className={activeTab === 'roles' ? 'active' : ''}
+            onClick={() => setActiveTab('roles')}
+          >
+            🛡️ Roles
+          </button>
+        )}
         <button 
           className={activeTab === 'activity' ? 'active' : ''}
           onClick={() => setActiveTab('activity')}
@@ -122,6 +498,14 @@ const AdminPanel = ({ user }) => {
         >
           🔒 Security
         </button>
+        {hasPermission(user, PERMISSIONS.AUDIT_VIEW) && (
+          <button 
+            className={activeTab === 'audit' ? 'active' : ''}
+            onClick={() => setActiveTab('audit')}
+          >
+            🧾 Audit
+          </button>
+        )}
         <button 
           className={activeTab === 'reports' ? 'active' : ''}
           onClick={() => setActiveTab('reports')}
@@ -157,7 +541,7 @@ const AdminPanel = ({ user }) => {
               <div className="stat-card">
                 <h3>⚠️ Alerts</h3>
                 <div className="stat-number">{adminData.securityAlerts.length}</div>
-                <small>Security alerts</small>
+                <small>Open security alerts</small>
               </div>
             </div>
 
@@ -185,8 +569,81 @@ const AdminPanel = ({ user }) => {
           <div className="users-management">
             <div className="users-header">
               <h3>User Management</h3>
-              <button className="add-user-btn">➕ Add User</button>
+              <div className="action-buttons">
+                <button className="action-btn" onClick={() => exportRoster('csv')}>📤 Export CSV</button>
+                <button className="action-btn" onClick={() => exportRoster('json')}>📤 Export JSON</button>
+                {canManageUsers && (
+                  <button className="action-btn" onClick={() => setShowImport(!showImport)}>
+                    📥 Import Roster
+                  </button>
+                )}
+                {canManageUsers && (
+                  <button className="action-btn" onClick={() => setShowGuests(!showGuests)}>
+                    🎫 Guest Accounts
+                  </button>
+                )}
+                {canManageUsers && (
+                  <button className="add-user-btn" onClick={() => setShowAddUser(!showAddUser)}>
+                    ➕ Add User
+                  </button>
+                )}
+              </div>
             </div>
+
+            {showImport && (
+              <RosterImport onImported={loadUsers} onClose={() => setShowImport(false)} />
+            )}
+
+            {showGuests && (
+              <GuestAccounts
+                institutionId={institutionFilter}
+                onChanged={loadUsers}
+                onClose={() => setShowGuests(false)}
+              />
+            )}
+
+            {showAddUser && (
+              <form onSubmit={createUser} className="custom-report-form">
+                <input
+                  type="text"
+                  placeholder="Username"
+                  value={newUser.username}
+                  onChange={(e) => setNewUser({ ...newUser, username: e.target.value })}
+                  required
+                />
+                <input
+                  type="password"
+                  placeholder="Password (blank = generate)"
+                  value={newUser.password}
+                  onChange={(e) => setNewUser({ ...newUser, password: e.target.value })}
+                />
+                <input
+                  type="password"
+                  placeholder="PIN"
+                  value={newUser.pin}
+                  onChange={(e) => setNewUser({ ...newUser, pin: e.target.value })}
+                  maxLength={6}
+                  required
+                />
+                <select value={newUser.role} onChange={(e) => setNewUser({ ...newUser, role: e.target.value })}>
+                  {roles.map(role => (
+                    <option key={role.name} value={role.name}>{role.name}</option>
+                  ))}
+                </select>
+                {canManageInstitutions && (
+                  <select
+                    value={newUser.institutionId}
+                    onChange={(e) => setNewUser({ ...newUser, institutionId: e.target.value })}
+                  >
+                    <option value="">{user.institution}</option>
+                    {institutionList.filter(institution => institution.active).map(institution => (
+                      <option key={institution.id} value={institution.id}>{institution.name}</option>
+                    ))}
+                  </select>
+                )}
+                <button type="submit">Create</button>
+              </form>
+            )}
             
             <div className="users-table">
               <table>
@@ -194,48 +651,291 @@ const AdminPanel = ({ user }) => {
                   <tr>
                     <th>Username</th>
                     <th>Role</th>
+                    {canManageInstitutions && <th>Institution</th>}
+                    <th>Class</th>
                     <th>Status</th>
                     <th>Last Login</th>
-                    <th>Actions</th>
+                    {(canManageUsers || canImpersonate) && <th>Actions</th>}
                   </tr>
                 </thead>
                 <tbody>
-                  {adminData.activeUsers.map(user => (
-                    <tr key={user.id}>
-                      <td>{user.username}</td>
+                  {userList.map(account => (
+                    <tr key={account.id}>
                       <td>
-                        <span className={`role-badge ${user.role}`}>
-                          {user.role}
+                        {account.username}
+                        {account.auth_provider !== 'local' && (
+                          <span
+                            className="role-badge directory"
+                            title={account.auth_provider === 'guest'
+                              ? 'Temporary account with a one-time code'
+                              : 'Signs in with the school directory'}
+                          >
+                            {account.auth_provider}
+                          </span>
+                        )}
+                      </td>
+                      <td>
+                        {/* Directory accounts take their role from directory groups at each sign-in */}
+                        {canManageUsers && account.id !== user.id && account.auth_provider === 'local' ? (
+                          <select value={account.role} onChange={(e) => changeUserRole(account, e.target.value)}>
+                            {roles.map(role => (
+                              <option key={role.name} value={role.name}>{role.name}</option>
+                            ))}
+                          </select>
+                        ) : (
+                          <span className={`role-badge ${account.role}`}>
+                            {account.role}
+                          </span>
+                        )}
+                      </td>
+                      {canManageInstitutions && <td>{account.institution}</td>}
+                      <td>{account.class_name || '—'}</td>
+                      <td>
+                        <span className={`status-badge ${account.active && !account.locked_until ? 'online' : 'offline'}`}>
+                          {!account.active
+                            ? 'Disabled'
+                            : account.locked_until
+                              ? `Locked until ${new Date(account.locked_until).toLocaleString()}`
+                              : 'Active'}
                         </span>
                       </td>
+                      <td>{account.last_login ? new Date(`${account.last_login.replace(' ', 'T')}Z`).toLocaleString() : 'Never'}</td>
+                      {(canManageUsers || canImpersonate) && (
+                        <td>
+                          <div className="user-actions">
+                            {canImpersonate && account.id !== user.id && account.active && (
+                              <button 
+                                onClick={() => viewAsUser(account)}
+                                className="action-btn small"
+                              >
+                                👁 View as
+                              </button>
+                            )}
+                            {canManageUsers && (account.locked_until ? (
+                              <button 
+                                onClick={() => runUserAction(`/api/admin/users/${account.id}/unlock`)}
+                                className="action-btn small"
+                              >
+                                🔓 Unlock
+                              </button>
+                            ) : (
+                              <button 
+                                onClick={() => lockUser(account)}
+                                className="action-btn small"
+                              >
+                                🔒 Lock
+                              </button>
+                            ))}
+                            {canManageUsers && account.auth_provider === 'local' && (
+                              <button 
+                                onClick={() => resetUserPassword(account)}
+                                className="action-btn small"
+                              >
+                                🔑 Reset
+                              </button>
+                            )}
+                            {canManageUsers && (
+                              <>
+                                <button 
+                                  onClick={() => setUserPin(account)}
+                                  className="action-btn small"
+                                >
+                                  🔢 PIN
+                                </button>
+                                <button 
+                                  onClick={() => setUserActive(account, !account.active)}
+                                  className={`action-btn small ${account.active ? 'danger' : ''}`}
+                                >
+                                  {account.active ? '❌ Disable' : '✅ Enable'}
+                                </button>
+                                <button 
+                                  onClick={() => deleteUser(account)}
+                                  className="action-btn small danger"
+                                >
+                                  🗑 Delete
+                                </button>
+                              </>
+                            )}
+                          </div>
+                        </td>
+                      )}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
+        {activeTab === 'sessions' && (
+          <div className="sessions-management">
+            <div className="users-header">
+              <h3>Active Sessions</h3>
+              <button className="action-btn" onClick={loadSessions}>🔄 Refresh</button>
+            </div>
+
+            {sessions.length === 0 ? (
+              <div className="no-alerts">No active sessions</div>
+            ) : (
+              Object.entries(sessionsByUser).map(([userId, group]) => (
+                <div key={userId} className="users-table">
+                  <div className="users-header">
+                    <h4>
+                      {group.username}{' '}
+                      <span className={`role-badge ${group.role}`}>{group.role}</span>
+                    </h4>
+                    <button
+                      onClick={() => revokeUserSessions(userId, group.username)}
+                      className="action-btn small danger"
+                    >
+                      ❌ End All
+                    </button>
+                  </div>
+                  <table>
+                    <thead>
+                      <tr>
+                        <th>Started</th>
+                        <th>Last Activity</th>
+                        <th>IP Address</th>
+                        <th>Client</th>
+                        <th>Actions</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {group.sessions.map(session => (
+                        <tr key={session.id}>
+                          <td>{new Date(session.created_at).toLocaleString()}</td>
+                          <td>{new Date(session.last_activity).toLocaleString()}</td>
+                          <td>{session.ip_address || 'Local'}</td>
+                          <td>{session.user_agent || 'Hatch OS'}</td>
+                          <td>
+                            <button
+                              onClick={() => revokeSession(session.id)}
+                              className="action-btn small danger"
+                            >
+                              ⏏ End
+                            </button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              ))
+            )}
+          </div>
+        )}
+
+        {activeTab === 'institutions' && (
+          <div className="institutions-management">
+            <div className="users-header">
+              <h3>Institutions</h3>
+            </div>
+
+            <form onSubmit={createInstitution} className="custom-report-form">
+              <input
+                type="text"
+                placeholder="Institution name"
+                value={newInstitution}
+                onChange={(e) => setNewInstitution(e.target.value)}
+                required
+              />
+              <button type="submit" className="add-user-btn">➕ Add Institution</button>
+            </form>
+
+            <div className="users-table">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Name</th>
+                    <th>Users</th>
+                    <th>Status</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {institutionList.map(institution => (
+                    <tr key={institution.id}>
+                      <td>{institution.name}</td>
+                      <td>{institution.user_count}</td>
                       <td>
-                        <span className={`status-badge ${user.online ? 'online' : 'offline'}`}>
-                          {user.online ? 'Online' : 'Offline'}
+                        <span className={`status-badge ${institution.active ? 'online' : 'offline'}`}>
+                          {institution.active ? 'Active' : 'Deactivated'}
                         </span>
                       </td>
-                      <td>{user.lastLogin ? new Date(user.lastLogin).toLocaleString() : 'Never'}</td>
                       <td>
-                        <div className="user-actions">
-                          <button 
-                            onClick={() => handleUserAction(user.id, 'lock')}
-                            className="action-btn small"
-                          >
-                            🔒 Lock
-                          </button>
-                          <button 
-                            onClick={() => handleUserAction(user.id, 'reset-password')}
-                            className="action-btn small"
-                          >
-                            🔑 Reset
-                          </button>
-                          <button 
-                            onClick={() => handleUserAction(user.id, 'disable')}
+                        <button
+                          onClick={() => setInstitutionActive(institution, !institution.active)}
+                          className={`action-btn small ${institution.active ? 'danger' : ''}`}
+                        >
+                          {institution.active ? '⏸ Deactivate' : '▶ Activate'}
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
+        {activeTab === 'roles' && (
+          <div className="roles-management">
+            <div className="users-header">
+              <h3>Roles &amp; Permissions</h3>
+            </div>
+
+            <form onSubmit={createRole} className="custom-report-form">
+              <input
+                type="text"
+                placeholder="Role name (e.g. librarian)"
+                value={newRole.name}
+                onChange={(e) => setNewRole({ ...newRole, name: e.target.value })}
+                required
+              />
+              <input
+                type="text"
+                placeholder="Description"
+                value={newRole.description}
+                onChange={(e) => setNewRole({ ...newRole, description: e.target.value })}
+              />
+              <button type="submit" className="add-user-btn">➕ Add Role</button>
+            </form>
+
+            <div className="users-table">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Permission</th>
+                    {roles.map(role => (
+                      <th key={role.name}>
+                        <span className={`role-badge ${role.name}`}>{role.name}</span>
+                        {!role.builtin && (
+                          <button
+                            onClick={() => deleteRole(role.name)}
                             className="action-btn small danger"
                           >
-                            ❌ Disable
+                            ❌
                           </button>
-                        </div>
-                      </td>
+                        )}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {permissionCatalog.map(permission => (
+                    <tr key={permission.name}>
+                      <td title={permission.name}>{permission.description}</td>
+                      {roles.map(role => (
+                        <td key={role.name}>
+                          <input
+                            type="checkbox"
+                            checked={role.permissions.includes(permission.name)}
+                            disabled={LOCKED_ROLES.includes(role.name) || CROSS_TENANT_PERMISSIONS.includes(permission.name)}
+                            onChange={() => toggleRolePermission(role, permission.name)}
+                          />
+                        </td>
+                      ))}
                     </tr>
                   ))}
                 </tbody>
@@ -291,64 +991,84 @@ const AdminPanel = ({ user }) => {
 
         {activeTab === 'security' && (
           <div className="security-center">
-            <h3>Security Status</h3>
+            <div className="admin-subtabs">
+              <button
+                className={securityView === 'overview' ? 'active' : ''}
+                onClick={() => setSecurityView('overview')}
+              >
+                Overview
+              </button>
+              <button
+                className={securityView === 'policies' ? 'active' : ''}
+                onClick={() => setSecurityView('policies')}
+              >
+                Policies
+              </button>
+            </div>
+
+            {securityView === 'overview' && (
+              <>
+                <h3>Security Status</h3>
             
-            <div className="security-overview">
-              <div className="security-card">
-                <h4>🔐 Authentication</h4>
-                <div className="security-status good">Secure</div>
-                <ul>
-                  <li>✅ Multi-factor authentication enabled</li>
-                  <li>✅ Strong password policy</li>
-                  <li>✅ Session management active</li>
-                </ul>
-              </div>
+                <div className="security-overview">
+                  <div className="security-card">
+                    <h4>🔐 Authentication</h4>
+                    <div className="security-status good">Secure</div>
+                    <ul>
+                      <li>✅ Multi-factor authentication enabled</li>
+                      <li>✅ Strong password policy</li>
+                      <li>✅ Session management active</li>
+                    </ul>
+                  </div>
               
-              <div className="security-card">
-                <h4>🌐 Network Security</h4>
-                <div className="security-status good">Protected</div>
-                <ul>
-                  <li>✅ Firewall active</li>
-                  <li>✅ Intrusion detection enabled</li>
-                  <li>⚠️ 3 failed login attempts today</li>
-                </ul>
-              </div>
+                  <div className="security-card">
+                    <h4>🌐 Network Security</h4>
+                    <div className="security-status good">Protected</div>
+                    <ul>
+                      <li>✅ Firewall active</li>
+                      <li>✅ Intrusion detection enabled</li>
+                      <li>
+                        {adminData.failedLoginsToday > 0 ? '⚠️' : '✅'} {adminData.failedLoginsToday} failed login attempts today
+                      </li>
+                    </ul>
+                  </div>
               
-              <div className="security-card">
-                <h4>📊 System Integrity</h4>
-                <div className="security-status good">Healthy</div>
-                <ul>
-                  <li>✅ System files verified</li>
-                  <li>✅ No malware detected</li>
-                  <li>✅ Updates current</li>
-                </ul>
-              </div>
-            </div>
-            
-            <div className="security-alerts">
-              <h4>Recent Security Alerts</h4>
-              {adminData.securityAlerts.length === 0 ? (
-                <div className="no-alerts">✅ No security alerts</div>
-              ) : (
-                adminData.securityAlerts.map((alert, index) => (
-                  <div key={index} className={`alert-item ${alert.severity}`}>
-                    <div className="alert-icon">
-                      {alert.severity === 'high' && '🚨'}
-                      {alert.severity === 'medium' && '⚠️'}
-                      {alert.severity === 'low' && 'ℹ️'}
-                    </div>
-                    <div className="alert-content">
-                      <div className="alert-title">{alert.title}</div>
-                      <div className="alert-description">{alert.description}</div>
-                      <div className="alert-time">{new Date(alert.timestamp).toLocaleString()}</div>
-                    </div>
+                  <div className="security-card">
+                    <h4>📊 System Integrity</h4>
+                    <div className="security-status good">Healthy</div>
+                    <ul>
+                      <li>✅ System files verified</li>
+                      <li>✅ No malware detected</li>
+                      <li>✅ Updates current</li>
+                    </ul>
                   </div>
-                ))
-              )}
-            </div>
+                </div>
+            
+                <SecurityAlerts
+                  user={user}
+                  institutionId={institutionFilter}
+                  canManage={hasPermission(user, PERMISSIONS.SECURITY_ALERTS_MANAGE)}
+                />
+
+                {hasPermission(user, PERMISSIONS.SECURITY_QUARANTINE_MANAGE) && <MalwareQuarantine />}
+
+                {hasPermission(user, PERMISSIONS.SECURITY_POLICIES_EDIT) && (
+                  <SsoSettings institutionId={institutionFilter || user.institutionId} />
+                )}
+              </>
+            )}
+
+            {securityView === 'policies' && (
+              // Policies apply to every institution; see PUT /api/admin/security/policies
+              <SecurityPolicies
+                canEdit={hasPermission(user, PERMISSIONS.SECURITY_POLICIES_EDIT) && hasPermission(user, PERMISSIONS.INSTITUTIONS_ALL)}
+              />
+            )}
           </div>
         )}
 
+        {activeTab === 'audit' && <AuditLog institutionId={institutionFilter} />}
+
         {activeTab === 'reports' && (
           <div className="reports-section">
             <h3>Generate Reports</h3>
@@ -363,7 +1083,7 @@ const AdminPanel = ({ user }) => {
               <div className="report-card">
                 <h4>👥 User Report</h4>
                 <p>User accounts, roles, and login statistics</p>
-                <button onClick={() => exportReport('users')}>Generate Report</button>
+                <button onClick={() => exportRoster('csv')}>Generate Report</button>
               </div>
               
               <div className="report-card">
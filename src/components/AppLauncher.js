@@ -1,5 +1,6 @@
 import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
+import { PERMISSIONS, hasPermission } from '../shared/permissions';
 
 const AppLauncher = ({ user, isDistractionFree }) => {
   const navigate = useNavigate();
@@ -136,7 +137,7 @@ const AppLauncher = ({ user, isDistractionFree }) => {
                          app.description.toLowerCase().includes(searchTerm.toLowerCase());
     
     const isAccessible = !isDistractionFree || !app.isDistractingApp;
-    const hasDevAccess = !app.requiresDevMode || user.role === 'developer' || user.role === 'admin';
+    const hasDevAccess = !app.requiresDevMode || hasPermission(user, PERMISSIONS.APPS_LAUNCH_DEV);
     
     return matchesSearch && isAccessible && hasDevAccess;
   });
@@ -147,11 +148,17 @@ const AppLauncher = ({ user, isDistractionFree }) => {
       return;
     }
 
-    if (app.requiresDevMode && user.role !== 'developer' && user.role !== 'admin') {
+    if (app.requiresDevMode && !hasPermission(user, PERMISSIONS.APPS_LAUNCH_DEV)) {
       alert('Developer access required for this application.');
       return;
     }
 
+    // "View as" shows what the user can launch; nothing is started for them
+    if (user.impersonation) {
+      alert(`${app.name} is available to ${user.username}. Apps are not launched while viewing as another user.`);
+      return;
+    }
+
     console.log(`Launching ${app.name}...`);
     
     // Log app usage for monitoring
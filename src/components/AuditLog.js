@@ -0,0 +1,211 @@
+import React, { useState, useEffect } from 'react';
+import { apiFetch } from '../api';
+
+// Audit log viewer for the AdminPanel. Entries are newest first and load a
+// page at a time; "Verify Chain" re-checks every hash on the server.
+const PAGE_SIZE = 100;
+const EMPTY_FILTERS = { category: '', action: '', actor: '', from: '', to: '' };
+
+const formatValue = (value) => (value === null || value === undefined ? '—' : JSON.stringify(value));
+
+const AuditLog = ({ institutionId }) => {
+  const [entries, setEntries] = useState([]);
+  const [actions, setActions] = useState([]);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [hasMore, setHasMore] = useState(false);
+  const [verification, setVerification] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadActions();
+  }, []);
+
+  useEffect(() => {
+    loadEntries();
+  }, [institutionId]);
+
+  const loadActions = async () => {
+    try {
+      const response = await apiFetch('/api/admin/audit/actions');
+      const result = await response.json();
+      if (result.success) {
+        setActions(result.actions);
+      }
+    } catch (err) {
+      console.error('Failed to load audit actions:', err);
+    }
+  };
+
+  const loadEntries = async (beforeSeq = null) => {
+    setLoading(true);
+    setError('');
+
+    const query = new URLSearchParams({ limit: PAGE_SIZE });
+    Object.entries(filters).forEach(([name, value]) => {
+      if (!value) return;
+      // Date inputs give whole days; "to" includes the whole day
+      if (name === 'from') query.set(name, new Date(`${value}T00:00:00`).toISOString());
+      else if (name === 'to') query.set(name, new Date(`${value}T23:59:59.999`).toISOString());
+      else query.set(name, value);
+    });
+    if (institutionId) query.set('institutionId', institutionId);
+    if (beforeSeq) query.set('beforeSeq', beforeSeq);
+
+    try {
+      const response = await apiFetch(`/api/admin/audit?${query}`);
+      const result = await response.json();
+      if (!result.success) {
+        setError(result.message || 'Failed to load the audit log');
+        return;
+      }
+
+      setEntries(beforeSeq ? [...entries, ...result.entries] : result.entries);
+      setHasMore(result.entries.length === PAGE_SIZE);
+    } catch (err) {
+      setError('Failed to load the audit log');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const verifyChain = async () => {
+    setVerification({ checking: true });
+    try {
+      const response = await apiFetch('/api/admin/audit/verify');
+      const result = await response.json();
+      setVerification(result.success ? result : { error: result.message || 'Verification failed' });
+    } catch (err) {
+      setVerification({ error: 'Verification failed' });
+    }
+  };
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters({ ...filters, [name]: value });
+  };
+
+  const applyFilters = (e) => {
+    e.preventDefault();
+    loadEntries();
+  };
+
+  const categories = [...new Set(actions.map(entry => entry.category))];
+
+  return (
+    <div className="audit-log">
+      <div className="users-header">
+        <h3>Audit Log</h3>
+        <button className="action-btn" onClick={verifyChain} disabled={verification && verification.checking}>
+          {verification && verification.checking ? 'Verifying...' : '🔗 Verify Chain'}
+        </button>
+      </div>
+
+      {verification && !verification.checking && (
+        verification.error ? (
+          <div className="error-message">{verification.error}</div>
+        ) : verification.valid ? (
+          <div className="audit-verification valid">
+            ✅ Chain intact: {verification.entries} entries
+            {verification.head && <> · head #{verification.head.seq} <code>{verification.head.hash.slice(0, 16)}…</code></>}
+          </div>
+        ) : (
+          <div className="audit-verification broken">
+            🚨 Chain broken: {verification.problems.length} problem(s)
+            <ul>
+              {verification.problems.map((problem, index) => (
+                <li key={index}>#{problem.seq}: {problem.problem}</li>
+              ))}
+            </ul>
+          </div>
+        )
+      )}
+
+      <form className="activity-filters" onSubmit={applyFilters}>
+        <select name="category" value={filters.category} onChange={handleFilterChange}>
+          <option value="">All Categories</option>
+          {categories.map(category => (
+            <option key={category} value={category}>{category}</option>
+          ))}
+        </select>
+        <select name="action" value={filters.action} onChange={handleFilterChange}>
+          <option value="">All Actions</option>
+          {actions
+            .filter(entry => !filters.category || entry.category === filters.category)
+            .map(entry => (
+              <option key={`${entry.category}-${entry.action}`} value={entry.action}>{entry.action}</option>
+            ))}
+        </select>
+        <input type="text" name="actor" placeholder="Actor" value={filters.actor} onChange={handleFilterChange} />
+        <input type="date" name="from" value={filters.from} onChange={handleFilterChange} />
+        <input type="date" name="to" value={filters.to} onChange={handleFilterChange} />
+        <button type="submit" className="action-btn small">🔍 Filter</button>
+        <button
+          type="button"
+          className="action-btn small"
+          onClick={() => setFilters(EMPTY_FILTERS)}
+        >
+          Clear
+        </button>
+      </form>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {entries.length === 0 && !loading ? (
+        <div className="no-alerts">No audit entries match</div>
+      ) : (
+        <div className="users-table">
+          <table>
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>Time</th>
+                <th>Actor</th>
+                <th>Action</th>
+                <th>Target</th>
+                <th>Change</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map(entry => (
+                <tr key={entry.seq} title={entry.details ? JSON.stringify(entry.details, null, 2) : ''}>
+                  <td>{entry.seq}</td>
+                  <td>{new Date(entry.timestamp).toLocaleString()}</td>
+                  <td>
+                    {entry.actor_name || 'system'}
+                    {entry.ip_address && <div><small>{entry.ip_address}</small></div>}
+                  </td>
+                  <td>
+                    <span className="role-badge">{entry.category}</span> {entry.action}
+                  </td>
+                  <td>{entry.target_type ? `${entry.target_type} ${entry.target_id || ''}` : '—'}</td>
+                  <td className="audit-change">
+                    {entry.before_value === null && entry.after_value === null ? (
+                      (entry.details && (entry.details.description || entry.details.reason)) || '—'
+                    ) : (
+                      <>
+                        <code>{formatValue(entry.before_value)}</code> → <code>{formatValue(entry.after_value)}</code>
+                      </>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {hasMore && (
+        <button
+          className="action-btn"
+          disabled={loading}
+          onClick={() => loadEntries(entries[entries.length - 1].seq)}
+        >
+          {loading ? 'Loading...' : 'Load More'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default AuditLog;
@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
+import { PERMISSIONS, hasPermission } from '../shared/permissions';
 
 const Dashboard = ({ user, systemInfo, isDistractionFree, onToggleDistractionFree, onLogout }) => {
   const navigate = useNavigate();
@@ -83,7 +84,7 @@ const Dashboard = ({ user, systemInfo, isDistractionFree, onToggleDistractionFre
                 ⚙️ Settings
               </button>
             </li>
-            {user.role === 'admin' && (
+            {hasPermission(user, PERMISSIONS.ADMIN_PANEL) && (
               <li>
                 <button onClick={() => navigate('/admin')}>
                   👨‍💼 Admin Panel
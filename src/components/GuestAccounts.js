@@ -0,0 +1,190 @@
+import React, { useState, useEffect } from 'react';
+import { apiFetch } from '../api';
+
+// Guest and exam-candidate batches for the AdminPanel Users tab. A new batch
+// shows its one-time codes once, to be printed and handed out; the accounts
+// are wiped at logout or expiry.
+const EMPTY_BATCH = { count: 10, prefix: 'guest', label: '', role: 'guest', durationMinutes: 240 };
+
+const DURATIONS = [
+  { minutes: 60, label: '1 hour' },
+  { minutes: 120, label: '2 hours' },
+  { minutes: 240, label: '4 hours' },
+  { minutes: 480, label: 'School day (8 hours)' },
+  { minutes: 1440, label: '1 day' },
+  { minutes: 10080, label: '1 week' }
+];
+
+const GuestAccounts = ({ institutionId, onChanged, onClose }) => {
+  const [batches, setBatches] = useState([]);
+  const [newBatch, setNewBatch] = useState(EMPTY_BATCH);
+  const [created, setCreated] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadBatches();
+  }, [institutionId]);
+
+  const loadBatches = async () => {
+    try {
+      const query = institutionId ? `?institutionId=${institutionId}` : '';
+      const response = await apiFetch(`/api/admin/guests${query}`);
+      const result = await response.json();
+      if (result.success) {
+        setBatches(result.batches);
+      }
+    } catch (err) {
+      console.error('Failed to load guest batches:', err);
+    }
+  };
+
+  const handleInputChange = (e) => {
+    setNewBatch({ ...newBatch, [e.target.name]: e.target.value });
+  };
+
+  const createBatch = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await apiFetch('/api/admin/guests', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...newBatch, institutionId: institutionId || undefined })
+      });
+      const result = await response.json();
+
+      if (result.success) {
+        setCreated(result);
+        setNewBatch(EMPTY_BATCH);
+        loadBatches();
+        onChanged();
+      } else {
+        setError(result.message || 'Failed to create guest accounts');
+      }
+    } catch (err) {
+      setError('Failed to create guest accounts. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const wipeBatch = async (batch) => {
+    if (!window.confirm(`Wipe the ${batch.remaining} remaining account(s) of this batch now? Anyone signed in is signed out.`)) return;
+
+    try {
+      const response = await apiFetch(`/api/admin/guests/${batch.id}`, { method: 'DELETE' });
+      const result = await response.json();
+      if (!result.success) {
+        alert(result.message || 'Action failed');
+      }
+      loadBatches();
+      onChanged();
+    } catch (err) {
+      alert('Action failed. Please try again.');
+    }
+  };
+
+  const printCodes = () => {
+    document.body.classList.add('print-credentials');
+    window.print();
+    document.body.classList.remove('print-credentials');
+  };
+
+  if (created) {
+    const expires = new Date(created.batch.expiresAt).toLocaleString();
+    return (
+      <div className="roster-import">
+        <div className="users-header">
+          <h3>✅ {created.accounts.length} guest account(s) created</h3>
+          <div>
+            <button className="action-btn" onClick={printCodes}>🖨️ Print</button>
+            <button className="action-btn" onClick={() => setCreated(null)}>Done</button>
+          </div>
+        </div>
+        <p>These codes are shown only once. Each works for a single sign-in until {expires}.</p>
+
+        <div className="credentials-sheet">
+          {created.accounts.map(account => (
+            <div key={account.username} className="credential-card">
+              <strong>{account.username}</strong>
+              <div>{created.batch.label || created.batch.institution}</div>
+              <div>Code: <code>{account.code}</code></div>
+              <div><small>Sign in with "Guest code". Valid until {expires}.</small></div>
+            </div>
+          ))}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="roster-import">
+      <div className="users-header">
+        <h3>🎫 Guest Accounts</h3>
+        <button className="action-btn" onClick={onClose}>Close</button>
+      </div>
+      <p>
+        Temporary accounts for visitors and exam candidates. They sign in once with a printed
+        code and are wiped, with everything they saved, when they sign out or the batch expires.
+      </p>
+
+      <form onSubmit={createBatch} className="custom-report-form">
+        <input type="number" name="count" min="1" max="100" value={newBatch.count} onChange={handleInputChange} required />
+        <input type="text" name="prefix" placeholder="Prefix (e.g. exam)" value={newBatch.prefix} onChange={handleInputChange} required />
+        <input type="text" name="label" placeholder="Label (e.g. Maths mock exam)" value={newBatch.label} onChange={handleInputChange} />
+        <input type="text" name="role" placeholder="Role" value={newBatch.role} onChange={handleInputChange} required />
+        <select name="durationMinutes" value={newBatch.durationMinutes} onChange={handleInputChange}>
+          {DURATIONS.map(duration => (
+            <option key={duration.minutes} value={duration.minutes}>{duration.label}</option>
+          ))}
+        </select>
+        <button type="submit" disabled={loading}>{loading ? 'Creating...' : 'Create'}</button>
+      </form>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {batches.length === 0 ? (
+        <div className="no-alerts">No active guest batches</div>
+      ) : (
+        <div className="users-table">
+          <table>
+            <thead>
+              <tr>
+                <th>Batch</th>
+                <th>Role</th>
+                <th>Accounts Left</th>
+                <th>Signed In</th>
+                <th>Expires</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {batches.map(batch => (
+                <tr key={batch.id}>
+                  <td>
+                    {batch.label || `${batch.prefix}${batch.id}-*`}
+                    {!institutionId && <div><small>{batch.institution}</small></div>}
+                  </td>
+                  <td><span className={`role-badge ${batch.role}`}>{batch.role}</span></td>
+                  <td>{batch.remaining}</td>
+                  <td>{batch.signed_in}</td>
+                  <td>{new Date(batch.expires_at).toLocaleString()}</td>
+                  <td>
+                    <button className="action-btn small danger" onClick={() => wipeBatch(batch)}>
+                      🧹 Wipe Now
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GuestAccounts;
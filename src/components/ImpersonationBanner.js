@@ -0,0 +1,45 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+
+// Shown on every screen while viewing as another user. Ends the view when
+// the read-only token runs out, since every request would fail after that.
+const ImpersonationBanner = ({ user, onEnd }) => {
+  const navigate = useNavigate();
+  const { actorUsername, expiresAt } = user.impersonation;
+  const [remaining, setRemaining] = useState(expiresAt - Date.now());
+
+  const exitView = async () => {
+    await onEnd();
+    navigate('/admin');
+  };
+
+  useEffect(() => {
+    const timer = setInterval(() => {
+      const left = expiresAt - Date.now();
+      setRemaining(left);
+      if (left <= 0) {
+        clearInterval(timer);
+        exitView();
+      }
+    }, 1000);
+
+    return () => clearInterval(timer);
+  }, [expiresAt]);
+
+  const seconds = Math.max(Math.ceil(remaining / 1000), 0);
+  const countdown = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+
+  return (
+    <div className="impersonation-banner" role="status">
+      <span>
+        👁 Viewing as <strong>{user.username}</strong> ({user.role}), read-only. Signed in as {actorUsername}.
+        {' '}Ends in {countdown}.
+      </span>
+      <button className="action-btn small" onClick={exitView}>
+        Exit View
+      </button>
+    </div>
+  );
+};
+
+export default ImpersonationBanner;
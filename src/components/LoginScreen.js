@@ -1,15 +1,81 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
+import { io } from 'socket.io-client';
+import { apiFetch, setAuthTokens } from '../api';
+import { ssoSupported, authorizeWithProvider } from '../sso';
+
+// Which form collects each outstanding factor of the sign-in challenge
+const FACTOR_STEPS = { pin: 2, otp: 3 };
+
+// Ways to start a sign-in, offered below the current one
+const LOGIN_MODES = [
+  { mode: 'password', label: '🔑 Use username and password' },
+  { mode: 'badge', label: '🪪 Sign in with badge' },
+  { mode: 'guest', label: '🎫 Sign in with a guest code' }
+];
+
+const postJson = async (url, body) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return response.json();
+};
 
 const LoginScreen = ({ onLogin }) => {
   const [credentials, setCredentials] = useState({
     username: '',
     password: '',
     pin: '',
-    otp: ''
+    otp: '',
+    code: ''
   });
-  const [step, setStep] = useState(1); // Multi-step authentication
+  const [step, setStep] = useState(1); // 1 = identity, 2 = PIN, 3 = OTP, 4 = new password
+  const [challenge, setChallenge] = useState(null);
+  // Completed sign-in held back until an admin-set password has been replaced
+  const [pendingLogin, setPendingLogin] = useState(null);
+  const [passwordChange, setPasswordChange] = useState({ current: '', next: '', confirm: '' });
+  const [passwordPolicy, setPasswordPolicy] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [mode, setMode] = useState('password'); // 'password', 'badge' or 'guest'
+  const [ssoProviders, setSsoProviders] = useState([]);
+
+  useEffect(() => {
+    if (!ssoSupported()) return;
+
+    fetch('/api/auth/oidc/providers')
+      .then(response => response.json())
+      .then(result => {
+        if (result.success) setSsoProviders(result.providers);
+      })
+      .catch(() => {
+        // Password and badge sign-in still work without the list
+      });
+  }, []);
+
+  // Listen for badge taps from the local reader while waiting for one
+  useEffect(() => {
+    if (mode !== 'badge' || step !== 1) return;
+
+    const socket = io();
+    socket.emit('badge-reader-subscribe');
+    socket.on('badge-tap', (tap) => {
+      startBadgeLogin(tap.tapId);
+    });
+
+    return () => socket.disconnect();
+  }, [mode, step]);
+
+  const resetLogin = (nextMode = mode) => {
+    setMode(nextMode);
+    setStep(1);
+    setChallenge(null);
+    setPendingLogin(null);
+    setPasswordChange({ current: '', next: '', confirm: '' });
+    setAuthTokens();
+    setCredentials({ username: '', password: '', pin: '', otp: '', code: '' });
+  };
 
   const handleInputChange = (e) => {
     setCredentials({
@@ -18,31 +84,124 @@ const LoginScreen = ({ onLogin }) => {
     });
   };
 
+  const handleLoginResult = (result) => {
+    if (result.success && result.stage === 'challenge') {
+      setChallenge(result);
+      setStep(FACTOR_STEPS[result.requiredFactors[0]]);
+    } else if (result.success) {
+      const tokens = {
+        token: result.token,
+        refreshToken: result.refreshToken,
+        expiresIn: result.expiresIn
+      };
+
+      if (result.user.mustChangePassword) {
+        // The session is live but the server only allows the password change
+        setAuthTokens(tokens);
+        setPendingLogin({ user: result.user, tokens, twoFactorEnrollmentRequired: result.twoFactorEnrollmentRequired });
+        setStep(4);
+        loadPasswordPolicy();
+        return;
+      }
+
+      onLogin(result.user, tokens, result.twoFactorEnrollmentRequired);
+    } else if (result.challengeExpired) {
+      resetLogin();
+      setError(result.message);
+    } else if (result.locked) {
+      setError(`Too many failed attempts. Locked until ${new Date(result.lockedUntil).toLocaleTimeString()}.`);
+    } else {
+      setError(result.message || 'Authentication failed');
+    }
+  };
+
+  const runStep = async (request) => {
+    setLoading(true);
+    setError('');
+
+    try {
+      handleLoginResult(await request());
+    } catch (err) {
+      setError('Authentication error. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const handleStep1Submit = async (e) => {
     e.preventDefault();
     if (!credentials.username || !credentials.password) {
       setError('Please enter username and password');
       return;
     }
-    
-    setLoading(true);
-    setError('');
-    
+
+    const { username, password } = credentials;
+    await runStep(() => (
+      window.electronAPI
+        ? window.electronAPI.startLogin({ username, password })
+        : postJson('/api/auth/login/start', { username, password })
+    ));
+  };
+
+  // Guest and exam accounts: the printed one-time code replaces password and PIN
+  const handleGuestSubmit = async (e) => {
+    e.preventDefault();
+    const { username, code } = credentials;
+    await runStep(() => postJson('/api/auth/login/guest', { username, code }));
+  };
+
+  const startBadgeLogin = (tapId) => runStep(() => postJson('/api/auth/login/badge', { tapId }));
+
+  const startSsoLogin = (institutionId) => runStep(async () => {
+    const start = await postJson('/api/auth/oidc/start', { institutionId });
+    if (!start.success) return start;
+
+    const redirect = await authorizeWithProvider(start);
+    if (!redirect) return { success: false, message: 'Sign-in was cancelled' };
+
+    return postJson('/api/auth/oidc/complete', redirect);
+  });
+
+  const submitFactor = async (factor, value) => {
+    const payload = { challengeToken: challenge.challengeToken, factor, value };
+    await runStep(() => (
+      window.electronAPI
+        ? window.electronAPI.verifyLoginFactor(payload)
+        : postJson('/api/auth/login/verify', payload)
+    ));
+  };
+
+  const loadPasswordPolicy = async () => {
     try {
-      // Simulate API call for basic auth
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      setStep(2); // Move to PIN/OTP step
+      const response = await apiFetch('/api/auth/password-policy');
+      const result = await response.json();
+      if (result.success) setPasswordPolicy(result.policy);
     } catch (err) {
-      setError('Invalid credentials');
-    } finally {
-      setLoading(false);
+      // The server still enforces the policy; the hint is only a convenience
     }
   };
 
-  const handleFinalSubmit = async (e) => {
+  const handlePasswordChangeInput = (e) => {
+    setPasswordChange({
+      ...passwordChange,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  // End the half-open session rather than leaving it to expire
+  const cancelPasswordChange = async () => {
+    try {
+      await apiFetch('/api/auth/logout', { method: 'POST' });
+    } catch (err) {
+      // Nothing to do; the session times out on its own
+    }
+    resetLogin();
+  };
+
+  const handlePasswordChangeSubmit = async (e) => {
     e.preventDefault();
-    if (!credentials.pin) {
-      setError('Please enter your PIN');
+    if (passwordChange.next !== passwordChange.confirm) {
+      setError('New passwords do not match');
       return;
     }
 
@@ -50,35 +209,51 @@ const LoginScreen = ({ onLogin }) => {
     setError('');
 
     try {
-      // Authenticate with backend
-      let result;
-      if (window.electronAPI) {
-        result = await window.electronAPI.authenticateUser(credentials);
-      } else {
-        // Fallback for web testing
-        result = {
-          success: true,
-          user: {
-            id: '1',
-            username: credentials.username,
-            role: 'student',
-            institution: 'Demo School'
-          }
-        };
-      }
+      const response = await apiFetch('/api/auth/change-password', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          // Badge and single sign-on sign-ins never typed the temporary password, so ask for it
+          currentPassword: credentials.password || passwordChange.current,
+          newPassword: passwordChange.next
+        })
+      });
+      const result = await response.json();
 
       if (result.success) {
-        onLogin(result.user);
+        onLogin(
+          { ...pendingLogin.user, mustChangePassword: false },
+          pendingLogin.tokens,
+          pendingLogin.twoFactorEnrollmentRequired
+        );
       } else {
-        setError(result.message || 'Authentication failed');
+        setError(result.message || 'Failed to change password');
       }
     } catch (err) {
-      setError('Authentication error. Please try again.');
+      setError('Failed to change password. Please try again.');
     } finally {
       setLoading(false);
     }
   };
 
+  const handlePinSubmit = async (e) => {
+    e.preventDefault();
+    if (!credentials.pin) {
+      setError('Please enter your PIN');
+      return;
+    }
+    await submitFactor('pin', credentials.pin);
+  };
+
+  const handleOtpSubmit = async (e) => {
+    e.preventDefault();
+    if (!credentials.otp) {
+      setError('Please enter your authentication code');
+      return;
+    }
+    await submitFactor('otp', credentials.otp);
+  };
+
   return (
     <div className="login-screen">
       <div className="login-container">
@@ -86,7 +261,15 @@ const LoginScreen = ({ onLogin }) => {
         <h2>Hatch OS</h2>
         <p>Secure Educational Environment</p>
         
-        {step === 1 ? (
+        {step === 1 && mode === 'badge' && (
+          <div className="login-form">
+            <h3>🪪 Tap Your Badge</h3>
+            <p>{loading ? 'Reading badge...' : 'Hold your student or staff card against the reader.'}</p>
+            {error && <div className="error-message">{error}</div>}
+          </div>
+        )}
+        
+        {step === 1 && mode === 'password' && (
           <form onSubmit={handleStep1Submit} className="login-form">
             <h3>Step 1: Identity Verification</h3>
             
@@ -121,8 +304,51 @@ const LoginScreen = ({ onLogin }) => {
               {loading ? 'Verifying...' : 'Next →'}
             </button>
           </form>
-        ) : (
-          <form onSubmit={handleFinalSubmit} className="login-form">
+        )}
+        
+        {step === 1 && mode === 'guest' && (
+          <form onSubmit={handleGuestSubmit} className="login-form">
+            <h3>🎫 Guest Sign-in</h3>
+
+            <div className="form-group">
+              <label htmlFor="guest-username">Username</label>
+              <input
+                type="text"
+                id="guest-username"
+                name="username"
+                value={credentials.username}
+                onChange={handleInputChange}
+                required
+                autoFocus
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="guest-code">One-time Code</label>
+              <input
+                type="text"
+                id="guest-code"
+                name="code"
+                value={credentials.code}
+                onChange={handleInputChange}
+                placeholder="XXXX-XXXX"
+                autoComplete="off"
+                required
+              />
+            </div>
+
+            <p><small>The code works once. Signing out deletes the account and its data.</small></p>
+
+            {error && <div className="error-message">{error}</div>}
+
+            <button type="submit" className="login-btn" disabled={loading}>
+              {loading ? 'Verifying...' : 'Sign in'}
+            </button>
+          </form>
+        )}
+
+        {step === 2 && (
+          <form onSubmit={handlePinSubmit} className="login-form">
             <h3>Step 2: Security Verification</h3>
             
             <div className="form-group">
@@ -139,31 +365,145 @@ const LoginScreen = ({ onLogin }) => {
               />
             </div>
             
+            {error && <div className="error-message">{error}</div>}
+            
+            <div style={{ display: 'flex', gap: '1rem' }}>
+              <button type="button" onClick={() => resetLogin()} className="back-btn">
+                ← Back
+              </button>
+              <button type="submit" className="login-btn" disabled={loading}>
+                {loading ? 'Authenticating...' : 'Login'}
+              </button>
+            </div>
+          </form>
+        )}
+        
+        {step === 3 && (
+          <form onSubmit={handleOtpSubmit} className="login-form">
+            <h3>Step 3: Authenticator Code</h3>
+            
             <div className="form-group">
-              <label htmlFor="otp">OTP (Optional)</label>
+              <label htmlFor="otp">Authentication Code</label>
               <input
                 type="text"
                 id="otp"
                 name="otp"
                 value={credentials.otp}
                 onChange={handleInputChange}
-                maxLength={6}
-                placeholder="Leave blank if not using OTP"
+                maxLength={11}
+                autoComplete="one-time-code"
+                placeholder="6-digit code or recovery code"
+                required
+                autoFocus
               />
             </div>
             
             {error && <div className="error-message">{error}</div>}
             
             <div style={{ display: 'flex', gap: '1rem' }}>
-              <button type="button" onClick={() => setStep(1)} className="back-btn">
+              <button type="button" onClick={() => resetLogin()} className="back-btn">
                 ← Back
               </button>
               <button type="submit" className="login-btn" disabled={loading}>
-                {loading ? 'Authenticating...' : 'Login'}
+                {loading ? 'Verifying...' : 'Login'}
+              </button>
+            </div>
+          </form>
+        )}
+        
+        {step === 4 && (
+          <form onSubmit={handlePasswordChangeSubmit} className="login-form">
+            <h3>Choose a New Password</h3>
+            <p>Your password was set by an administrator. Choose your own to continue.</p>
+
+            {!credentials.password && (
+              <div className="form-group">
+                <label htmlFor="current">Temporary Password</label>
+                <input
+                  type="password"
+                  id="current"
+                  name="current"
+                  value={passwordChange.current}
+                  onChange={handlePasswordChangeInput}
+                  required
+                  autoFocus
+                />
+              </div>
+            )}
+
+            <div className="form-group">
+              <label htmlFor="next">New Password</label>
+              <input
+                type="password"
+                id="next"
+                name="next"
+                value={passwordChange.next}
+                onChange={handlePasswordChangeInput}
+                autoComplete="new-password"
+                required
+                autoFocus={!!credentials.password}
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="confirm">Confirm New Password</label>
+              <input
+                type="password"
+                id="confirm"
+                name="confirm"
+                value={passwordChange.confirm}
+                onChange={handlePasswordChangeInput}
+                autoComplete="new-password"
+                required
+              />
+            </div>
+
+            {passwordPolicy && (
+              <small>
+                At least {passwordPolicy.minLength} characters
+                {passwordPolicy.requireComplexity && ', mixing three of lowercase, uppercase, digits and symbols'}
+                {passwordPolicy.historyCount > 0 && `; not one of your last ${passwordPolicy.historyCount}`}.
+              </small>
+            )}
+
+            {error && <div className="error-message">{error}</div>}
+
+            <div style={{ display: 'flex', gap: '1rem' }}>
+              <button type="button" onClick={cancelPasswordChange} className="back-btn">
+                ← Cancel
+              </button>
+              <button type="submit" className="login-btn" disabled={loading}>
+                {loading ? 'Saving...' : 'Set Password'}
               </button>
             </div>
           </form>
         )}
+
+        {step === 1 && mode === 'password' && ssoProviders.map(provider => (
+          <button
+            key={provider.institutionId}
+            type="button"
+            className="back-btn"
+            disabled={loading}
+            onClick={() => startSsoLogin(provider.institutionId)}
+          >
+            🏫 Sign in with {provider.label}
+          </button>
+        ))}
+
+        {step === 1 && LOGIN_MODES.filter(option => option.mode !== mode).map(option => (
+          <button
+            key={option.mode}
+            type="button"
+            className="back-btn"
+            onClick={() => {
+              resetLogin(option.mode);
+              setError('');
+            }}
+          >
+            {option.label}
+          </button>
+        ))}
         
         <div className="login-footer">
           <small>Powered by Zylon Labs Security</small>
@@ -173,4 +513,4 @@ const LoginScreen = ({ onLogin }) => {
   );
 };
 
-export default LoginScreen;
\ No newline at end of file
+export default LoginScreen;
@@ -0,0 +1,156 @@
+import React, { useState, useEffect } from 'react';
+import { apiFetch } from '../api';
+
+// Malware scanner status and the quarantine, in the AdminPanel Security tab.
+// Restoring a file also stops files with the same hash being quarantined again.
+const formatSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const MalwareQuarantine = () => {
+  const [scanner, setScanner] = useState(null);
+  const [quarantine, setQuarantine] = useState([]);
+  const [scanning, setScanning] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadQuarantine();
+  }, []);
+
+  const loadQuarantine = async () => {
+    try {
+      const response = await apiFetch('/api/admin/malware');
+      const result = await response.json();
+      if (result.success) {
+        setScanner(result.scanner);
+        setQuarantine(result.quarantine);
+      } else {
+        setError(result.message || 'Failed to load the quarantine');
+      }
+    } catch (err) {
+      console.error('Failed to load quarantine:', err);
+    }
+  };
+
+  const runScan = async (full) => {
+    setScanning(true);
+    setError('');
+
+    try {
+      const response = await apiFetch('/api/admin/malware/scan', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ full })
+      });
+      const result = await response.json();
+      if (result.success) {
+        alert(result.result.message);
+      } else {
+        setError(result.message || 'Malware scan failed');
+      }
+      loadQuarantine();
+    } catch (err) {
+      setError('Malware scan failed. Please try again.');
+    } finally {
+      setScanning(false);
+    }
+  };
+
+  const resolveFile = async (file, action) => {
+    const question = action === 'restore'
+      ? `Restore ${file.original_path}? Only do this if "${file.signature}" is a false positive; files with the same content will no longer be quarantined.`
+      : `Permanently delete ${file.original_path}?`;
+    if (!window.confirm(question)) return;
+
+    try {
+      const response = action === 'restore'
+        ? await apiFetch(`/api/admin/malware/quarantine/${file.id}/restore`, { method: 'POST' })
+        : await apiFetch(`/api/admin/malware/quarantine/${file.id}`, { method: 'DELETE' });
+      const result = await response.json();
+      if (!result.success) {
+        alert(result.message || 'Action failed');
+      }
+      loadQuarantine();
+    } catch (err) {
+      alert('Action failed. Please try again.');
+    }
+  };
+
+  const lastScan = scanner && scanner.lastScan;
+
+  return (
+    <div className="malware-quarantine">
+      <div className="users-header">
+        <h4>🦠 Malware Scanner</h4>
+        <div>
+          <button className="action-btn" onClick={() => runScan(false)} disabled={scanning}>
+            {scanning ? 'Scanning...' : '🔍 Scan Now'}
+          </button>
+          <button className="action-btn" onClick={() => runScan(true)} disabled={scanning}>
+            Full Rescan
+          </button>
+        </div>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {scanner && (
+        <ul className="malware-status">
+          <li>
+            Signatures:{' '}
+            {scanner.signatures
+              ? `version ${scanner.signatures.version} (${scanner.signatures.rules} rules, ${scanner.signatures.hashes} hashes)`
+              : `unavailable: ${scanner.signatureError}`}
+          </li>
+          <li>Scanning: {scanner.scanPaths.join(', ')}</li>
+          <li>
+            Last scan:{' '}
+            {lastScan
+              ? `${new Date(lastScan.finishedAt).toLocaleString()}: ${lastScan.scanned} scanned, ${lastScan.skipped} unchanged, ${lastScan.detections.length} detected`
+              : 'not since the backend started'}
+          </li>
+        </ul>
+      )}
+
+      {quarantine.length === 0 ? (
+        <div className="no-alerts">✅ Quarantine is empty</div>
+      ) : (
+        <div className="users-table">
+          <table>
+            <thead>
+              <tr>
+                <th>File</th>
+                <th>Signature</th>
+                <th>Size</th>
+                <th>Detected</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {quarantine.map(file => (
+                <tr key={file.id}>
+                  <td><code>{file.original_path}</code></td>
+                  <td>{file.signature}</td>
+                  <td>{formatSize(file.size)}</td>
+                  <td>{new Date(file.detected_at).toLocaleString()}</td>
+                  <td>
+                    <button className="action-btn small" onClick={() => resolveFile(file, 'restore')}>
+                      ↩️ Restore
+                    </button>
+                    <button className="action-btn small danger" onClick={() => resolveFile(file, 'delete')}>
+                      🗑️ Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MalwareQuarantine;
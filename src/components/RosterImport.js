@@ -0,0 +1,148 @@
+import React, { useState } from 'react';
+import { apiFetch } from '../api';
+
+// Roster upload for the AdminPanel Users tab: preview (dry run), import, then
+// show the generated credentials once so they can be printed and handed out.
+const RosterImport = ({ onImported, onClose }) => {
+  const [file, setFile] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [credentials, setCredentials] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const submitRoster = async (dryRun) => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const content = await file.text();
+      const response = await apiFetch('/api/admin/users/import', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          format: file.name.toLowerCase().endsWith('.json') ? 'json' : 'csv',
+          content,
+          dryRun
+        })
+      });
+      const result = await response.json();
+
+      if (dryRun) {
+        setPreview(result);
+      } else if (result.success) {
+        setCredentials(result.credentials);
+        onImported();
+      } else {
+        setError((result.errors || []).join(' ') || result.message || 'Import failed');
+      }
+    } catch (err) {
+      setError('Failed to read or upload the roster. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const printCredentials = () => {
+    document.body.classList.add('print-credentials');
+    window.print();
+    document.body.classList.remove('print-credentials');
+  };
+
+  if (credentials) {
+    return (
+      <div className="roster-import">
+        <div className="users-header">
+          <h3>✅ {credentials.length} user(s) imported</h3>
+          <div>
+            <button className="action-btn" onClick={printCredentials}>🖨️ Print</button>
+            <button className="action-btn" onClick={onClose}>Done</button>
+          </div>
+        </div>
+        <p>These passwords are shown only once. Users must change them at first sign-in.</p>
+
+        <div className="credentials-sheet">
+          {credentials.map(entry => (
+            <div key={entry.username} className="credential-card">
+              <strong>{entry.username}</strong>
+              <div>{entry.institution}{entry.class ? ` · ${entry.class}` : ''}</div>
+              <div>Password: <code>{entry.password}</code></div>
+              <div>PIN: <code>{entry.pin}</code></div>
+            </div>
+          ))}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="roster-import">
+      <div className="users-header">
+        <h3>📥 Import Roster</h3>
+        <button className="action-btn" onClick={onClose}>Cancel</button>
+      </div>
+      <p>
+        CSV or JSON with the columns <code>username, role, institution, class, pin</code>.
+        Blank role means student, blank institution means yours, blank PIN is generated.
+      </p>
+
+      <div className="custom-report-form">
+        <input
+          type="file"
+          accept=".csv,.json,text/csv,application/json"
+          onChange={(e) => {
+            setFile(e.target.files[0] || null);
+            setPreview(null);
+          }}
+        />
+        <button disabled={!file || loading} onClick={() => submitRoster(true)}>
+          {loading && !preview ? 'Checking...' : 'Preview'}
+        </button>
+        <button disabled={!preview || !preview.valid || loading} onClick={() => submitRoster(false)}>
+          {loading && preview ? 'Importing...' : `Import ${preview && preview.valid ? preview.rows.length : ''} user(s)`}
+        </button>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {preview && (
+        <>
+          {preview.errors.map(message => (
+            <div key={message} className="error-message">{message}</div>
+          ))}
+          {preview.newInstitutions.length > 0 && (
+            <p>New institutions will be created: {preview.newInstitutions.join(', ')}</p>
+          )}
+
+          <div className="users-table">
+            <table>
+              <thead>
+                <tr>
+                  <th>Line</th>
+                  <th>Username</th>
+                  <th>Role</th>
+                  <th>Institution</th>
+                  <th>Class</th>
+                  <th>Problems</th>
+                </tr>
+              </thead>
+              <tbody>
+                {preview.rows.map(row => (
+                  <tr key={row.line} className={row.errors.length > 0 ? 'row-error' : ''}>
+                    <td>{row.line}</td>
+                    <td>{row.username}</td>
+                    <td>{row.role}</td>
+                    <td>{row.institution}</td>
+                    <td>{row.class}</td>
+                    <td>{row.errors.length > 0 ? row.errors.join('; ') : '✅'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default RosterImport;
@@ -0,0 +1,252 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { io } from 'socket.io-client';
+import { apiFetch, getAuthToken } from '../api';
+
+// Security alerts in the AdminPanel Security tab. Repeats of the same event
+// only raise an alert's count; the list reloads whenever the backend reports
+// a change over Socket.IO.
+const STATUS_FILTERS = [
+  { value: 'active', label: 'Open and acknowledged' },
+  { value: 'open', label: 'Open' },
+  { value: 'acknowledged', label: 'Acknowledged' },
+  { value: 'resolved', label: 'Resolved' },
+  { value: 'false_positive', label: 'False positive' },
+  { value: '', label: 'All' }
+];
+
+const STATUS_LABELS = {
+  open: 'Open',
+  acknowledged: 'Acknowledged',
+  resolved: 'Resolved',
+  false_positive: 'False positive'
+};
+
+const SecurityAlerts = ({ user, institutionId, canManage }) => {
+  const [alerts, setAlerts] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('active');
+  const [expanded, setExpanded] = useState(null);
+  const [note, setNote] = useState('');
+  const [error, setError] = useState('');
+  // Read by the socket listener, which outlives any one render
+  const expandedId = useRef(null);
+
+  useEffect(() => {
+    loadAlerts();
+  }, [statusFilter, institutionId]);
+
+  // Reload on every change; the list's filters decide what is shown
+  useEffect(() => {
+    const socket = io();
+    socket.emit('security-alerts-subscribe', getAuthToken());
+    socket.on('security-alert', ({ alert }) => {
+      loadAlerts();
+      if (expandedId.current === alert.id) {
+        loadAlert(alert.id);
+      }
+    });
+    // The server dropped the subscription because the access token expired;
+    // the reload refreshes it, unless the session itself has ended
+    socket.on('security-alerts-expired', async () => {
+      await loadAlerts();
+      socket.emit('security-alerts-subscribe', getAuthToken());
+    });
+
+    return () => socket.disconnect();
+  }, [statusFilter, institutionId]);
+
+  const loadAlerts = async () => {
+    const params = new URLSearchParams();
+    if (statusFilter) params.set('status', statusFilter);
+    if (institutionId) params.set('institutionId', institutionId);
+
+    try {
+      const response = await apiFetch(`/api/admin/security/alerts?${params}`);
+      const result = await response.json();
+      if (result.success) {
+        setAlerts(result.alerts);
+      } else {
+        setError(result.message || 'Failed to load security alerts');
+      }
+    } catch (err) {
+      console.error('Failed to load security alerts:', err);
+    }
+  };
+
+  const loadAlert = async (id) => {
+    try {
+      const response = await apiFetch(`/api/admin/security/alerts/${id}`);
+      const result = await response.json();
+      if (result.success && expandedId.current === id) {
+        setExpanded(result.alert);
+      }
+    } catch (err) {
+      console.error('Failed to load security alert:', err);
+    }
+  };
+
+  const toggleAlert = (item) => {
+    setNote('');
+    if (expandedId.current === item.id) {
+      expandedId.current = null;
+      setExpanded(null);
+    } else {
+      expandedId.current = item.id;
+      loadAlert(item.id);
+    }
+  };
+
+  const updateAlert = async (item, changes) => {
+    try {
+      const response = await apiFetch(`/api/admin/security/alerts/${item.id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes)
+      });
+      const result = await response.json();
+      if (!result.success) {
+        alert(result.message || 'Action failed');
+        return;
+      }
+
+      if (expandedId.current === item.id) {
+        setExpanded(result.alert);
+      }
+      if (changes.note) {
+        setNote('');
+      }
+      loadAlerts();
+    } catch (err) {
+      alert('Action failed. Please try again.');
+    }
+  };
+
+  const addNote = (e, item) => {
+    e.preventDefault();
+    if (note.trim()) {
+      updateAlert(item, { note });
+    }
+  };
+
+  const renderActions = (alert) => {
+    const closed = alert.status === 'resolved' || alert.status === 'false_positive';
+
+    return (
+      <div className="alert-actions">
+        {alert.status === 'open' && (
+          <button className="action-btn small" onClick={() => updateAlert(alert, { status: 'acknowledged' })}>
+            👀 Acknowledge
+          </button>
+        )}
+        {!closed && (
+          <>
+            <button className="action-btn small" onClick={() => updateAlert(alert, { status: 'resolved' })}>
+              ✅ Resolve
+            </button>
+            <button className="action-btn small" onClick={() => updateAlert(alert, { status: 'false_positive' })}>
+              🚫 False Positive
+            </button>
+          </>
+        )}
+        {closed && (
+          <button className="action-btn small" onClick={() => updateAlert(alert, { status: 'open' })}>
+            ↩️ Reopen
+          </button>
+        )}
+        {alert.assignee_id === user.id ? (
+          <button className="action-btn small" onClick={() => updateAlert(alert, { assigneeId: null })}>
+            Unassign
+          </button>
+        ) : (
+          <button className="action-btn small" onClick={() => updateAlert(alert, { assigneeId: user.id })}>
+            🙋 Assign to Me
+          </button>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="security-alerts">
+      <div className="users-header">
+        <h4>Security Alerts</h4>
+        <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)}>
+          {STATUS_FILTERS.map(filter => (
+            <option key={filter.value} value={filter.value}>{filter.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {alerts.length === 0 ? (
+        <div className="no-alerts">✅ No security alerts</div>
+      ) : (
+        alerts.map(alert => (
+          <div key={alert.id} className={`alert-item ${alert.severity} ${alert.status}`}>
+            <div className="alert-icon">
+              {alert.severity === 'critical' ? '🔥' : '🚨'}
+            </div>
+            <div className="alert-content">
+              <div className="alert-title" onClick={() => toggleAlert(alert)}>
+                {alert.title}
+                {alert.count > 1 && <span className="alert-count">×{alert.count}</span>}
+              </div>
+              <div className="alert-description">
+                <span className={`alert-status ${alert.status}`}>{STATUS_LABELS[alert.status]}</span>
+                {' '}{alert.event_type}
+                {alert.assignee_username && <> · assigned to {alert.assignee_username}</>}
+              </div>
+              <div className="alert-time">
+                {alert.count > 1
+                  ? `First ${new Date(alert.first_seen).toLocaleString()}, last ${new Date(alert.last_seen).toLocaleString()}`
+                  : new Date(alert.last_seen).toLocaleString()}
+              </div>
+
+              {canManage && renderActions(alert)}
+
+              {expanded && expanded.id === alert.id && (
+                <div className="alert-notes">
+                  {expanded.notifications.length > 0 && (
+                    <div className="alert-notifications">
+                      <small>
+                        Notifications:{' '}
+                        {expanded.notifications.map(entry => (
+                          entry.channel
+                            ? `${entry.channel} ${entry.status === 'sent' ? '✅' : `❌ (${entry.error})`}`
+                            : `not sent (${entry.error})`
+                        )).join(', ')}
+                      </small>
+                    </div>
+                  )}
+                  {expanded.notes.length === 0 && <small>No notes yet</small>}
+                  {expanded.notes.map(entry => (
+                    <div key={entry.id} className="alert-note">
+                      <strong>{entry.author_username}</strong>{' '}
+                      <small>{new Date(entry.created_at).toLocaleString()}</small>
+                      <div>{entry.note}</div>
+                    </div>
+                  ))}
+                  {canManage && (
+                    <form onSubmit={(e) => addNote(e, alert)}>
+                      <textarea
+                        value={note}
+                        maxLength={2000}
+                        placeholder="Add a note"
+                        onChange={(e) => setNote(e.target.value)}
+                      />
+                      <button type="submit" className="action-btn small" disabled={!note.trim()}>
+                        Add Note
+                      </button>
+                    </form>
+                  )}
+                </div>
+              )}
+            </div>
+          </div>
+        ))
+      )}
+    </div>
+  );
+};
+
+export default SecurityAlerts;
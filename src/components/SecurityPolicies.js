@@ -0,0 +1,143 @@
+import React, { useState, useEffect } from 'react';
+import { apiFetch } from '../api';
+
+// Security policy editor for the AdminPanel Security tab. The backend's
+// registry supplies each policy's type, range and description; only changed
+// values are sent, and nothing is saved unless all of them are valid.
+const toFormValue = (policy) => (policy.type === 'list' ? policy.value.join(', ') : policy.value);
+
+const SecurityPolicies = ({ canEdit }) => {
+  const [policies, setPolicies] = useState([]);
+  const [values, setValues] = useState({});
+  const [errors, setErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    loadPolicies();
+  }, []);
+
+  const showPolicies = (list) => {
+    setPolicies(list);
+    setValues(Object.fromEntries(list.map(policy => [policy.name, toFormValue(policy)])));
+  };
+
+  const loadPolicies = async () => {
+    try {
+      const response = await apiFetch('/api/admin/security/policies');
+      const result = await response.json();
+      if (result.success) {
+        showPolicies(result.policies);
+      }
+    } catch (err) {
+      console.error('Failed to load security policies:', err);
+    }
+  };
+
+  const changedPolicies = () => Object.fromEntries(
+    policies
+      .filter(policy => String(values[policy.name]) !== String(toFormValue(policy)))
+      .map(policy => [policy.name, values[policy.name]])
+  );
+
+  const savePolicies = async (e) => {
+    e.preventDefault();
+    const changes = changedPolicies();
+    if (Object.keys(changes).length === 0) return;
+
+    setSaving(true);
+    setErrors({});
+    setMessage('');
+
+    try {
+      const response = await apiFetch('/api/admin/security/policies', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ policies: changes })
+      });
+      const result = await response.json();
+
+      if (result.success) {
+        showPolicies(result.policies);
+        setMessage(`Saved ${result.changed.length} change(s). They apply from the next request.`);
+      } else {
+        setErrors(result.errors || {});
+        setMessage(result.message || 'Failed to save security policies');
+      }
+    } catch (err) {
+      setMessage('Failed to save security policies. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderInput = (policy) => {
+    const value = values[policy.name];
+    const onChange = (next) => setValues({ ...values, [policy.name]: next });
+
+    if (policy.type === 'boolean') {
+      return (
+        <input
+          type="checkbox"
+          checked={Boolean(value)}
+          disabled={!canEdit}
+          onChange={(e) => onChange(e.target.checked)}
+        />
+      );
+    }
+
+    if (policy.type === 'integer') {
+      return (
+        <input
+          type="number"
+          min={policy.min}
+          max={policy.max}
+          value={value}
+          disabled={!canEdit}
+          onChange={(e) => onChange(e.target.value)}
+        />
+      );
+    }
+
+    return <input type="text" value={value} disabled={!canEdit} onChange={(e) => onChange(e.target.value)} />;
+  };
+
+  const groups = [...new Set(policies.map(policy => policy.group))];
+  const pending = Object.keys(changedPolicies()).length;
+
+  return (
+    <form className="security-policies" onSubmit={savePolicies}>
+      {groups.map(group => (
+        <fieldset key={group}>
+          <legend>{group}</legend>
+          {policies.filter(policy => policy.group === group).map(policy => (
+            <div key={policy.name} className={`policy-row ${errors[policy.name] ? 'invalid' : ''}`}>
+              <label>
+                <strong>{policy.description}</strong>
+                <div>
+                  <code>{policy.name}</code>
+                  {policy.type === 'integer' && (
+                    <small> {policy.min}–{policy.max}{policy.unit ? ` ${policy.unit}` : ''}, default {policy.default}</small>
+                  )}
+                  {policy.type === 'list' && <small> comma-separated, default {policy.default.join(', ')}</small>}
+                </div>
+              </label>
+              {renderInput(policy)}
+              {errors[policy.name] && <div className="error-message">{errors[policy.name]}</div>}
+            </div>
+          ))}
+        </fieldset>
+      ))}
+
+      {message && <div className="policy-message">{message}</div>}
+
+      {canEdit && (
+        <button type="submit" className="action-btn" disabled={saving || pending === 0}>
+          {saving ? 'Saving...' : `Save Changes${pending > 0 ? ` (${pending})` : ''}`}
+        </button>
+      )}
+    </form>
+  );
+};
+
+export default SecurityPolicies;
@@ -1,5 +1,9 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
+import { apiFetch } from '../api';
+import { PERMISSIONS, hasPermission } from '../shared/permissions';
+import TwoFactorSetup from './TwoFactorSetup';
+import { ssoSupported, authorizeWithProvider } from '../sso';
 
 const Settings = ({ user, systemInfo }) => {
   const navigate = useNavigate();
@@ -16,12 +20,88 @@ const Settings = ({ user, systemInfo }) => {
     new: '',
     confirm: ''
   });
+  const [pinChange, setPinChange] = useState({
+    current: '',
+    new: '',
+    confirm: ''
+  });
+  const [passwordPolicy, setPasswordPolicy] = useState(null);
+  // Directory accounts start without a PIN and cannot change their password here
+  const [pinSet, setPinSet] = useState(user.pinSet !== false);
+  const directoryAccount = !!user.authProvider && user.authProvider !== 'local';
   const [loading, setLoading] = useState(false);
+  const [twoFactorEnabled, setTwoFactorEnabled] = useState(!!user.twoFactorEnabled);
+  const [showTwoFactorSetup, setShowTwoFactorSetup] = useState(false);
+  const [ssoStatus, setSsoStatus] = useState(null);
 
   useEffect(() => {
     loadUserSettings();
+    loadPasswordPolicy();
+    loadSsoStatus();
   }, []);
 
+  const loadSsoStatus = async () => {
+    try {
+      const response = await apiFetch('/api/auth/oidc/links');
+      const result = await response.json();
+      if (result.success) setSsoStatus(result);
+    } catch (error) {
+      // The section simply stays hidden
+    }
+  };
+
+  const linkSsoAccount = async () => {
+    setLoading(true);
+    try {
+      const startResponse = await apiFetch('/api/auth/oidc/link/start', { method: 'POST' });
+      const start = await startResponse.json();
+      if (!start.success) {
+        alert(start.message || 'Failed to start linking');
+        return;
+      }
+
+      const redirect = await authorizeWithProvider(start);
+      if (!redirect) return;
+
+      const response = await apiFetch('/api/auth/oidc/link/complete', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(redirect)
+      });
+      const result = await response.json();
+      alert(result.success ? 'School account linked. You can now sign in with it.' : result.message || 'Failed to link account');
+      loadSsoStatus();
+    } catch (error) {
+      console.error('SSO link error:', error);
+      alert('Failed to link account. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const unlinkSsoAccount = async () => {
+    if (!window.confirm('Unlink your school account? You will need your password to sign in.')) return;
+
+    try {
+      const response = await apiFetch('/api/auth/oidc/link', { method: 'DELETE' });
+      const result = await response.json();
+      if (!result.success) alert(result.message || 'Failed to unlink account');
+      loadSsoStatus();
+    } catch (error) {
+      alert('Failed to unlink account. Please try again.');
+    }
+  };
+
+  const loadPasswordPolicy = async () => {
+    try {
+      const response = await apiFetch('/api/auth/password-policy');
+      const result = await response.json();
+      if (result.success) setPasswordPolicy(result.policy);
+    } catch (error) {
+      console.error('Failed to load password policy:', error);
+    }
+  };
+
   const loadUserSettings = async () => {
     // Load user settings from backend or local storage
     const saved = localStorage.getItem(`hatch_settings_${user.id}`);
@@ -66,26 +146,20 @@ const Settings = ({ user, systemInfo }) => {
       return;
     }
     
-    if (passwordChange.new.length < 8) {
-      alert('New password must be at least 8 characters long');
-      return;
-    }
-    
     setLoading(true);
     try {
-      // This would integrate with the backend auth system
-      const result = await fetch('/api/auth/change-password', {
+      // Length, complexity and reuse rules are enforced by the server
+      const result = await apiFetch('/api/auth/change-password', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
-          userId: user.id,
           currentPassword: passwordChange.current,
           newPassword: passwordChange.new
         })
       });
       
       if (result.ok) {
-        alert('Password changed successfully!');
+        alert('Password changed successfully! Your other sessions have been signed out.');
         setPasswordChange({ current: '', new: '', confirm: '' });
       } else {
         const error = await result.json();
@@ -99,6 +173,41 @@ const Settings = ({ user, systemInfo }) => {
     }
   };
 
+  const handlePinChange = async (e) => {
+    e.preventDefault();
+
+    if (pinChange.new !== pinChange.confirm) {
+      alert('New PINs do not match');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const result = await apiFetch('/api/auth/change-pin', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          currentPin: pinChange.current,
+          newPin: pinChange.new
+        })
+      });
+
+      if (result.ok) {
+        alert('PIN changed successfully! Your other sessions have been signed out.');
+        setPinChange({ current: '', new: '', confirm: '' });
+        setPinSet(true);
+      } else {
+        const error = await result.json();
+        alert(error.message || 'Failed to change PIN');
+      }
+    } catch (error) {
+      console.error('PIN change error:', error);
+      alert('Failed to change PIN. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const resetToDefaults = () => {
     if (confirm('Reset all settings to defaults? This cannot be undone.')) {
       const defaultSettings = {
@@ -201,7 +310,7 @@ const Settings = ({ user, systemInfo }) => {
           </section>
 
           {/* Developer Settings */}
-          {(user.role === 'developer' || user.role === 'admin') && (
+          {hasPermission(user, PERMISSIONS.DEV_MODE) && (
             <section className="settings-section">
               <h2>💻 Developer</h2>
               <div className="setting-item">
@@ -251,51 +360,161 @@ const Settings = ({ user, systemInfo }) => {
                 </>
               )}
             </div>
+
+            {ssoStatus && (ssoStatus.available || ssoStatus.links.length > 0) && (
+              <div className="setting-item">
+                <h3>School Account (Single Sign-On)</h3>
+                {ssoStatus.links.length > 0 ? (
+                  <>
+                    <small>✅ Linked - you can sign in with {ssoStatus.providerName || 'your school account'}</small>
+                    {user.authProvider !== 'oidc' && (
+                      <button type="button" onClick={unlinkSsoAccount}>Unlink</button>
+                    )}
+                  </>
+                ) : ssoSupported() ? (
+                  <>
+                    <small>Sign in with {ssoStatus.providerName || 'your school account'} instead of your password and PIN</small>
+                    <button type="button" onClick={linkSsoAccount} disabled={loading}>
+                      Link School Account
+                    </button>
+                  </>
+                ) : (
+                  <small>Open Settings in the Hatch OS app to link your school account</small>
+                )}
+              </div>
+            )}
           </section>
 
           {/* Security */}
           <section className="settings-section">
             <h2>🔒 Security</h2>
             
-            <form onSubmit={handlePasswordChange} className="password-form">
-              <h3>Change Password</h3>
-              
-              <div className="form-group">
-                <label>Current Password</label>
-                <input
-                  type="password"
-                  value={passwordChange.current}
-                  onChange={(e) => setPasswordChange({...passwordChange, current: e.target.value})}
-                  required
-                />
+            {directoryAccount ? (
+              <div className="password-form">
+                <h3>Password</h3>
+                <p>You sign in with your school account, so your password is managed there.</p>
               </div>
-              
+            ) : (
+              <form onSubmit={handlePasswordChange} className="password-form">
+                <h3>Change Password</h3>
+                
+                <div className="form-group">
+                  <label>Current Password</label>
+                  <input
+                    type="password"
+                    value={passwordChange.current}
+                    onChange={(e) => setPasswordChange({...passwordChange, current: e.target.value})}
+                    required
+                  />
+                </div>
+                
+                <div className="form-group">
+                  <label>New Password</label>
+                  <input
+                    type="password"
+                    value={passwordChange.new}
+                    onChange={(e) => setPasswordChange({...passwordChange, new: e.target.value})}
+                    minLength={passwordPolicy ? passwordPolicy.minLength : undefined}
+                    required
+                  />
+                  {passwordPolicy && (
+                    <small>
+                      At least {passwordPolicy.minLength} characters
+                      {passwordPolicy.requireComplexity && ', mixing three of lowercase, uppercase, digits and symbols'}
+                      {passwordPolicy.historyCount > 0 && `; not one of your last ${passwordPolicy.historyCount}`}
+                    </small>
+                  )}
+                </div>
+                
+                <div className="form-group">
+                  <label>Confirm New Password</label>
+                  <input
+                    type="password"
+                    value={passwordChange.confirm}
+                    onChange={(e) => setPasswordChange({...passwordChange, confirm: e.target.value})}
+                    required
+                  />
+                </div>
+                
+                <button type="submit" disabled={loading}>
+                  {loading ? 'Changing...' : 'Change Password'}
+                </button>
+              </form>
+            )}
+
+            <form onSubmit={handlePinChange} className="password-form">
+              <h3>{pinSet ? 'Change PIN' : 'Set a PIN'}</h3>
+
+              {pinSet && (
+                <div className="form-group">
+                  <label>Current PIN</label>
+                  <input
+                    type="password"
+                    inputMode="numeric"
+                    value={pinChange.current}
+                    onChange={(e) => setPinChange({...pinChange, current: e.target.value})}
+                    maxLength={6}
+                    required
+                  />
+                </div>
+              )}
+
               <div className="form-group">
-                <label>New Password</label>
+                <label>New PIN</label>
                 <input
                   type="password"
-                  value={passwordChange.new}
-                  onChange={(e) => setPasswordChange({...passwordChange, new: e.target.value})}
-                  minLength="8"
+                  inputMode="numeric"
+                  value={pinChange.new}
+                  onChange={(e) => setPinChange({...pinChange, new: e.target.value})}
+                  minLength={passwordPolicy ? passwordPolicy.pinMinLength : undefined}
+                  maxLength={6}
                   required
                 />
+                {passwordPolicy && (
+                  <small>
+                    {passwordPolicy.pinMinLength} to {passwordPolicy.pinMaxLength} digits, not a repeated or sequential run
+                  </small>
+                )}
               </div>
-              
+
               <div className="form-group">
-                <label>Confirm New Password</label>
+                <label>Confirm New PIN</label>
                 <input
                   type="password"
-                  value={passwordChange.confirm}
-                  onChange={(e) => setPasswordChange({...passwordChange, confirm: e.target.value})}
-                  minLength="8"
+                  inputMode="numeric"
+                  value={pinChange.confirm}
+                  onChange={(e) => setPinChange({...pinChange, confirm: e.target.value})}
+                  maxLength={6}
                   required
                 />
               </div>
-              
+
               <button type="submit" disabled={loading}>
-                {loading ? 'Changing...' : 'Change Password'}
+                {loading ? 'Changing...' : pinSet ? 'Change PIN' : 'Set PIN'}
               </button>
             </form>
+
+            <div className="setting-item">
+              <h3>Two-Factor Authentication</h3>
+              {twoFactorEnabled ? (
+                <small>✅ Enabled - an authenticator code is required when you sign in</small>
+              ) : showTwoFactorSetup ? (
+                <TwoFactorSetup
+                  onComplete={() => {
+                    setTwoFactorEnabled(true);
+                    setShowTwoFactorSetup(false);
+                  }}
+                  onCancel={() => setShowTwoFactorSetup(false)}
+                />
+              ) : (
+                <>
+                  <small>Protect your account with a code from an authenticator app</small>
+                  <button type="button" onClick={() => setShowTwoFactorSetup(true)}>
+                    Set Up 2FA
+                  </button>
+                </>
+              )}
+            </div>
           </section>
         </div>
 
@@ -0,0 +1,197 @@
+import React, { useState } from 'react';
+
+// First-boot wizard shown while the backend reports it is unprovisioned.
+// Creates the first institution and its super-admin; there are no default
+// accounts to sign in with until this has been completed.
+const STEPS = ['Institution', 'Administrator', 'Network', 'Review'];
+
+const TIMEZONES = typeof Intl.supportedValuesOf === 'function'
+  ? Intl.supportedValuesOf('timeZone')
+  : null;
+
+const SetupWizard = ({ passwordPolicy, onComplete }) => {
+  const [step, setStep] = useState(0);
+  const [form, setForm] = useState({
+    institution: '',
+    timezone: Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC',
+    username: '',
+    password: '',
+    confirmPassword: '',
+    pin: '',
+    cloudEndpoint: '',
+    networkMode: 'dhcp',
+    address: '',
+    prefix: '24',
+    gateway: '',
+    dns: '',
+    proxy: ''
+  });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleInputChange = (e) => {
+    setForm({ ...form, [e.target.name]: e.target.value });
+  };
+
+  // Only the checks that need no server round trip; the rest happen on submit
+  const stepError = () => {
+    if (step === 0 && !form.institution.trim()) return 'Please enter the institution name';
+    if (step === 1 && form.password !== form.confirmPassword) return 'Passwords do not match';
+    if (step === 1 && !/^\d+$/.test(form.pin)) return 'PIN must be digits only';
+    if (step === 2 && form.networkMode === 'static' && (!form.address || !form.gateway || !form.dns)) {
+      return 'A static network needs an address, gateway and DNS server';
+    }
+    return '';
+  };
+
+  const handleNext = (e) => {
+    e.preventDefault();
+    const problem = stepError();
+    setError(problem);
+    if (!problem) setStep(step + 1);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await fetch('/api/setup', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          institution: form.institution,
+          timezone: form.timezone,
+          admin: { username: form.username, password: form.password, pin: form.pin },
+          cloudEndpoint: form.cloudEndpoint || null,
+          network: form.networkMode === 'static'
+            ? {
+                mode: 'static',
+                address: form.address,
+                prefix: form.prefix,
+                gateway: form.gateway,
+                dns: form.dns,
+                proxy: form.proxy || null
+              }
+            : { mode: 'dhcp', proxy: form.proxy || null }
+        })
+      });
+      const result = await response.json();
+
+      if (result.success || result.alreadyProvisioned) {
+        onComplete(result.username);
+      } else {
+        setError(result.message || 'Setup failed');
+      }
+    } catch (err) {
+      setError('Setup failed. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const field = (name, label, props = {}) => (
+    <div className="form-group">
+      <label htmlFor={name}>{label}</label>
+      <input id={name} name={name} value={form[name]} onChange={handleInputChange} {...props} />
+    </div>
+  );
+
+  return (
+    <div className="login-screen">
+      <div className="login-container">
+        <div className="hatch-logo">H</div>
+        <h2>Welcome to Hatch OS</h2>
+        <p>Step {step + 1} of {STEPS.length}: {STEPS[step]}</p>
+
+        <form onSubmit={step === STEPS.length - 1 ? handleSubmit : handleNext} className="login-form">
+          {step === 0 && (
+            <>
+              {field('institution', 'Institution Name', { type: 'text', required: true, autoFocus: true })}
+              <div className="form-group">
+                <label htmlFor="timezone">Timezone</label>
+                {TIMEZONES ? (
+                  <select id="timezone" name="timezone" value={form.timezone} onChange={handleInputChange}>
+                    {TIMEZONES.map(zone => <option key={zone} value={zone}>{zone}</option>)}
+                  </select>
+                ) : (
+                  <input id="timezone" name="timezone" value={form.timezone} onChange={handleInputChange} required />
+                )}
+              </div>
+            </>
+          )}
+
+          {step === 1 && (
+            <>
+              <p>This account can manage every institution on this device.</p>
+              {field('username', 'Administrator Username', { type: 'text', required: true, autoFocus: true })}
+              {field('password', 'Password', { type: 'password', autoComplete: 'new-password', required: true })}
+              {field('confirmPassword', 'Confirm Password', { type: 'password', autoComplete: 'new-password', required: true })}
+              {passwordPolicy && (
+                <small>
+                  At least {passwordPolicy.minLength} characters
+                  {passwordPolicy.requireComplexity && ', mixing three of lowercase, uppercase, digits and symbols'}.
+                </small>
+              )}
+              {field('pin', 'Security PIN', { type: 'password', inputMode: 'numeric', maxLength: 6, required: true })}
+            </>
+          )}
+
+          {step === 2 && (
+            <>
+              {field('cloudEndpoint', 'Cloud Sync Endpoint (optional)', {
+                type: 'url',
+                placeholder: 'https://api.zylonlabs.com'
+              })}
+              <div className="form-group">
+                <label htmlFor="networkMode">Network</label>
+                <select id="networkMode" name="networkMode" value={form.networkMode} onChange={handleInputChange}>
+                  <option value="dhcp">Automatic (DHCP)</option>
+                  <option value="static">Static address</option>
+                </select>
+              </div>
+              {form.networkMode === 'static' && (
+                <>
+                  {field('address', 'IPv4 Address', { type: 'text', placeholder: '192.168.1.20', required: true })}
+                  {field('prefix', 'Prefix Length', { type: 'number', min: 1, max: 32, required: true })}
+                  {field('gateway', 'Gateway', { type: 'text', placeholder: '192.168.1.1', required: true })}
+                  {field('dns', 'DNS Servers (comma-separated)', { type: 'text', placeholder: '1.1.1.1, 8.8.8.8', required: true })}
+                </>
+              )}
+              {field('proxy', 'HTTP Proxy (optional)', { type: 'text', placeholder: 'http://proxy.school.local:3128' })}
+            </>
+          )}
+
+          {step === 3 && (
+            <div className="setup-review">
+              <p><strong>Institution:</strong> {form.institution} ({form.timezone})</p>
+              <p><strong>Administrator:</strong> {form.username}</p>
+              <p><strong>Cloud sync:</strong> {form.cloudEndpoint || 'Default endpoint'}</p>
+              <p>
+                <strong>Network:</strong>{' '}
+                {form.networkMode === 'static' ? `${form.address}/${form.prefix} via ${form.gateway}` : 'DHCP'}
+                {form.proxy && `, proxy ${form.proxy}`}
+              </p>
+            </div>
+          )}
+
+          {error && <div className="error-message">{error}</div>}
+
+          <div style={{ display: 'flex', gap: '1rem' }}>
+            {step > 0 && (
+              <button type="button" onClick={() => { setError(''); setStep(step - 1); }} className="back-btn">
+                ← Back
+              </button>
+            )}
+            <button type="submit" className="login-btn" disabled={loading}>
+              {step < STEPS.length - 1 ? 'Next →' : loading ? 'Setting up...' : 'Finish Setup'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default SetupWizard;
@@ -0,0 +1,200 @@
+import React, { useState, useEffect } from 'react';
+import { apiFetch } from '../api';
+
+// Single sign-on (OpenID Connect) settings for one institution, shown in the
+// AdminPanel Security tab. Claims in roleClaim are matched against the mapping
+// in order; someone whose claims match no entry cannot sign in with SSO.
+const EMPTY_SETTINGS = {
+  displayName: '',
+  issuer: '',
+  clientId: '',
+  clientSecret: '',
+  redirectUri: '',
+  scopes: 'openid profile email',
+  usernameClaim: 'preferred_username',
+  roleClaim: 'groups',
+  roleMapping: [],
+  autoProvision: false,
+  enabled: true
+};
+
+const SsoSettings = ({ institutionId }) => {
+  const [settings, setSettings] = useState(EMPTY_SETTINGS);
+  const [configured, setConfigured] = useState(false);
+  const [hasClientSecret, setHasClientSecret] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (institutionId) loadSettings();
+  }, [institutionId]);
+
+  const loadSettings = async () => {
+    setError('');
+    try {
+      const response = await apiFetch(`/api/admin/institutions/${institutionId}/sso`);
+      const result = await response.json();
+      if (!result.success) {
+        setError(result.message || 'Failed to load single sign-on settings');
+        return;
+      }
+
+      if (result.provider) {
+        const { hasClientSecret: secretStored, ...provider } = result.provider;
+        setSettings({ ...EMPTY_SETTINGS, ...provider, displayName: provider.displayName || '', clientSecret: '' });
+        setHasClientSecret(secretStored);
+        setConfigured(true);
+      } else {
+        setSettings({ ...EMPTY_SETTINGS, redirectUri: result.defaultRedirectUri });
+        setHasClientSecret(false);
+        setConfigured(false);
+      }
+    } catch (err) {
+      setError('Failed to load single sign-on settings');
+    }
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setSettings({ ...settings, [name]: type === 'checkbox' ? checked : value });
+  };
+
+  const updateMapping = (index, field, value) => {
+    setSettings({
+      ...settings,
+      roleMapping: settings.roleMapping.map((entry, i) => (i === index ? { ...entry, [field]: value } : entry))
+    });
+  };
+
+  const saveSettings = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    // A blank secret field keeps the stored secret
+    const { clientSecret, ...rest } = settings;
+    const body = clientSecret ? settings : rest;
+
+    try {
+      const response = await apiFetch(`/api/admin/institutions/${institutionId}/sso`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      const result = await response.json();
+
+      if (result.success) {
+        alert('Single sign-on settings saved');
+        loadSettings();
+      } else {
+        setError(result.message || 'Failed to save settings');
+      }
+    } catch (err) {
+      setError('Failed to save settings. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const removeSettings = async () => {
+    if (!window.confirm('Remove single sign-on for this institution? Linked accounts stay linked but cannot use it.')) return;
+
+    try {
+      const response = await apiFetch(`/api/admin/institutions/${institutionId}/sso`, { method: 'DELETE' });
+      if (response.ok) {
+        loadSettings();
+      }
+    } catch (err) {
+      alert('Action failed. Please try again.');
+    }
+  };
+
+  const field = (name, label, props = {}) => (
+    <div className="form-group">
+      <label htmlFor={`sso-${name}`}>{label}</label>
+      <input id={`sso-${name}`} name={name} value={settings[name]} onChange={handleInputChange} {...props} />
+    </div>
+  );
+
+  return (
+    <form onSubmit={saveSettings} className="sso-settings">
+      <h4>🏫 Single Sign-On (OpenID Connect)</h4>
+
+      {field('displayName', 'Button Label', { type: 'text', placeholder: 'School account' })}
+      {field('issuer', 'Issuer URL', { type: 'url', placeholder: 'https://login.school.example', required: true })}
+      {field('clientId', 'Client ID', { type: 'text', required: true })}
+      {field('clientSecret', 'Client Secret (optional)', {
+        type: 'password',
+        autoComplete: 'off',
+        placeholder: hasClientSecret ? 'Stored; leave blank to keep' : 'Public client (PKCE only)'
+      })}
+      {field('redirectUri', 'Redirect URI (register this with the provider)', { type: 'text', required: true })}
+      {field('scopes', 'Scopes', { type: 'text' })}
+      {field('usernameClaim', 'Username Claim', { type: 'text' })}
+      {field('roleClaim', 'Role Claim', { type: 'text' })}
+
+      <div className="form-group">
+        <label>Claim Value → Role</label>
+        {settings.roleMapping.map((entry, index) => (
+          <div key={index} className="sso-mapping-row">
+            <input
+              type="text"
+              placeholder="e.g. teachers"
+              value={entry.value}
+              onChange={(e) => updateMapping(index, 'value', e.target.value)}
+              required
+            />
+            <input
+              type="text"
+              placeholder="teacher"
+              value={entry.role}
+              onChange={(e) => updateMapping(index, 'role', e.target.value)}
+              required
+            />
+            <button
+              type="button"
+              className="action-btn small danger"
+              onClick={() => setSettings({
+                ...settings,
+                roleMapping: settings.roleMapping.filter((_, i) => i !== index)
+              })}
+            >
+              ✕
+            </button>
+          </div>
+        ))}
+        <button
+          type="button"
+          className="action-btn small"
+          onClick={() => setSettings({ ...settings, roleMapping: [...settings.roleMapping, { value: '', role: '' }] })}
+        >
+          ➕ Add Mapping
+        </button>
+      </div>
+
+      <label>
+        <input type="checkbox" name="autoProvision" checked={settings.autoProvision} onChange={handleInputChange} />
+        {' '}Create accounts for unlinked users on first sign-in
+      </label>
+      <label>
+        <input type="checkbox" name="enabled" checked={settings.enabled} onChange={handleInputChange} />
+        {' '}Enabled
+      </label>
+
+      {error && <div className="error-message">{error}</div>}
+
+      <div className="user-actions">
+        <button type="submit" className="action-btn" disabled={loading}>
+          {loading ? 'Saving...' : '💾 Save'}
+        </button>
+        {configured && (
+          <button type="button" className="action-btn danger" onClick={removeSettings}>
+            🗑 Remove
+          </button>
+        )}
+      </div>
+    </form>
+  );
+};
+
+export default SsoSettings;
@@ -0,0 +1,132 @@
+import React, { useState, useEffect } from 'react';
+import { apiFetch } from '../api';
+
+const TwoFactorSetup = ({ required = false, onComplete, onCancel }) => {
+  const [enrollment, setEnrollment] = useState(null);
+  const [code, setCode] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    startEnrollment();
+  }, []);
+
+  const startEnrollment = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await apiFetch('/api/auth/2fa/enroll', { method: 'POST' });
+      const result = await response.json();
+
+      if (result.success) {
+        setEnrollment(result);
+      } else {
+        setError(result.message || 'Failed to start setup');
+      }
+    } catch (err) {
+      setError('Failed to start setup. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleConfirm = async (e) => {
+    e.preventDefault();
+    if (!code) {
+      setError('Please enter the code from your authenticator app');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await apiFetch('/api/auth/2fa/confirm', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ code })
+      });
+      const result = await response.json();
+
+      if (result.success) {
+        setRecoveryCodes(result.recoveryCodes);
+      } else {
+        setError(result.message || 'Invalid code');
+      }
+    } catch (err) {
+      setError('Verification failed. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (recoveryCodes) {
+    return (
+      <div className="two-factor-setup">
+        <h3>✅ Two-Factor Authentication Enabled</h3>
+        <p>
+          Save these recovery codes somewhere safe. Each one can be used once to sign in
+          if you lose access to your authenticator app. They will not be shown again.
+        </p>
+        <ul className="recovery-codes">
+          {recoveryCodes.map(recoveryCode => (
+            <li key={recoveryCode}><code>{recoveryCode}</code></li>
+          ))}
+        </ul>
+        <button type="button" className="login-btn" onClick={onComplete}>
+          I have saved my codes
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleConfirm} className="two-factor-setup login-form">
+      <h3>🔐 Set Up Two-Factor Authentication</h3>
+      {required && (
+        <p>Your institution requires two-factor authentication for your account.</p>
+      )}
+
+      {enrollment ? (
+        <>
+          <p>Scan this QR code with your authenticator app:</p>
+          <img src={enrollment.qrCode} alt="Authenticator QR code" className="otp-qr-code" />
+          <small>Or enter this key manually: <code>{enrollment.secret}</code></small>
+
+          <div className="form-group">
+            <label htmlFor="otp-confirm">Code from your app</label>
+            <input
+              type="text"
+              id="otp-confirm"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              maxLength={6}
+              autoComplete="one-time-code"
+              required
+              autoFocus
+            />
+          </div>
+        </>
+      ) : (
+        loading && <div className="loading-spinner">Preparing setup...</div>
+      )}
+
+      {error && <div className="error-message">{error}</div>}
+
+      <div style={{ display: 'flex', gap: '1rem' }}>
+        {onCancel && (
+          <button type="button" onClick={onCancel} className="back-btn">
+            {required ? 'Sign Out' : 'Cancel'}
+          </button>
+        )}
+        <button type="submit" className="login-btn" disabled={loading || !enrollment}>
+          {loading ? 'Verifying...' : 'Enable'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default TwoFactorSetup;
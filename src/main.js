@@ -87,6 +87,65 @@ ipcMain.handle('authenticate-user', async (event, credentials) => {
   return await auth.authenticateUser(credentials);
 });
 
+ipcMain.handle('login-start', async (event, credentials) => {
+  const auth = require('./backend/auth');
+  return await auth.startLogin(credentials);
+});
+
+ipcMain.handle('login-verify', async (event, { challengeToken, factor, value }) => {
+  const auth = require('./backend/auth');
+  return await auth.verifyLoginFactor(challengeToken, factor, value);
+});
+
+// Single sign-on: show the provider's page in a child window and hand the
+// redirect back to the renderer instead of loading it. Resolves to the
+// redirect URL, or null if the user closed the window.
+ipcMain.handle('oidc-authorize', async (event, { authorizationUrl, redirectUri }) => {
+  const target = new URL(authorizationUrl);
+  const loopback = ['localhost', '127.0.0.1'].includes(target.hostname);
+  if (target.protocol !== 'https:' && !(target.protocol === 'http:' && loopback)) {
+    throw new Error('Sign-in pages must be served over https');
+  }
+
+  return new Promise((resolve) => {
+    const authWindow = new BrowserWindow({
+      parent: mainWindow,
+      modal: true,
+      width: 520,
+      height: 720,
+      webPreferences: {
+        nodeIntegration: false,
+        contextIsolation: true,
+        // In-memory session per sign-in: the provider's cookies must not carry
+        // over to the next person at a shared machine
+        partition: `oidc-${Date.now()}`
+      }
+    });
+    authWindow.setMenuBarVisibility(false);
+
+    let settled = false;
+    const finish = (url) => {
+      if (settled) return;
+      settled = true;
+      resolve(url);
+      if (!authWindow.isDestroyed()) authWindow.close();
+    };
+
+    const intercept = (navigationEvent, url) => {
+      if (url.startsWith(redirectUri)) {
+        navigationEvent.preventDefault();
+        finish(url);
+      }
+    };
+
+    authWindow.webContents.on('will-redirect', intercept);
+    authWindow.webContents.on('will-navigate', intercept);
+    authWindow.on('closed', () => finish(null));
+    // Rejects with ERR_ABORTED once the redirect is intercepted
+    authWindow.loadURL(authorizationUrl).catch(() => {});
+  });
+});
+
 ipcMain.handle('sync-cloud-data', async (event, data) => {
   const cloudSync = require('./backend/cloudSync');
   return await cloudSync.syncData(data);
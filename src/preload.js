@@ -5,6 +5,9 @@ const { contextBridge, ipcRenderer } = require('electron');
 contextBridge.exposeInMainWorld('electronAPI', {
   getSystemInfo: () => ipcRenderer.invoke('get-system-info'),
   authenticateUser: (credentials) => ipcRenderer.invoke('authenticate-user', credentials),
+  startLogin: (credentials) => ipcRenderer.invoke('login-start', credentials),
+  verifyLoginFactor: (challenge) => ipcRenderer.invoke('login-verify', challenge),
+  oidcAuthorize: (request) => ipcRenderer.invoke('oidc-authorize', request),
   syncCloudData: (data) => ipcRenderer.invoke('sync-cloud-data', data),
   
   // System events
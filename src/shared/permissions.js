@@ -0,0 +1,119 @@
+// Permission catalogue shared by the backend (route guards) and the React UI.
+// Kept as CommonJS so both Node and the webpack build can load it.
+
+const PERMISSIONS = {
+  ADMIN_PANEL: 'admin.panel',
+  USERS_VIEW: 'users.view',
+  USERS_MANAGE: 'users.manage',
+  USERS_IMPERSONATE: 'users.impersonate',
+  ROLES_MANAGE: 'roles.manage',
+  SESSIONS_MANAGE: 'sessions.manage',
+  BADGES_MANAGE: 'badges.manage',
+  SECURITY_VIEW: 'security.view',
+  SECURITY_IPS_MANAGE: 'security.ips.manage',
+  SECURITY_POLICIES_EDIT: 'security.policies.edit',
+  SECURITY_QUARANTINE_MANAGE: 'security.quarantine.manage',
+  SECURITY_ALERTS_MANAGE: 'security.alerts.manage',
+  AUDIT_VIEW: 'audit.view',
+  REPORTS_EXPORT: 'reports.export',
+  APPS_LAUNCH: 'apps.launch',
+  APPS_LAUNCH_DEV: 'apps.launch.dev',
+  DEV_MODE: 'system.devmode',
+  INSTITUTIONS_MANAGE: 'institutions.manage',
+  INSTITUTIONS_ALL: 'institutions.all'
+};
+
+const PERMISSION_DESCRIPTIONS = {
+  [PERMISSIONS.ADMIN_PANEL]: 'Open the admin panel and its dashboard',
+  [PERMISSIONS.USERS_VIEW]: 'View user accounts',
+  [PERMISSIONS.USERS_MANAGE]: 'Create, edit, lock and delete user accounts',
+  [PERMISSIONS.USERS_IMPERSONATE]: 'View the system read-only as a user with fewer permissions',
+  [PERMISSIONS.ROLES_MANAGE]: 'Create and edit roles and their permissions',
+  [PERMISSIONS.SESSIONS_MANAGE]: 'List and end active sessions',
+  [PERMISSIONS.BADGES_MANAGE]: 'Enroll and revoke login badges',
+  [PERMISSIONS.SECURITY_VIEW]: 'View security alerts and events',
+  [PERMISSIONS.SECURITY_IPS_MANAGE]: 'Block and unblock IP addresses',
+  [PERMISSIONS.SECURITY_POLICIES_EDIT]: 'Change security policies',
+  [PERMISSIONS.SECURITY_QUARANTINE_MANAGE]: 'Run malware scans and restore or delete quarantined files',
+  [PERMISSIONS.SECURITY_ALERTS_MANAGE]: 'Acknowledge, assign and resolve security alerts',
+  [PERMISSIONS.AUDIT_VIEW]: 'View and verify the audit log',
+  [PERMISSIONS.REPORTS_EXPORT]: 'Export activity, user and security reports',
+  [PERMISSIONS.APPS_LAUNCH]: 'Launch standard applications',
+  [PERMISSIONS.APPS_LAUNCH_DEV]: 'Launch developer applications such as the terminal',
+  [PERMISSIONS.DEV_MODE]: 'Enable development mode in settings',
+  [PERMISSIONS.INSTITUTIONS_MANAGE]: 'Create, rename and deactivate institutions',
+  [PERMISSIONS.INSTITUTIONS_ALL]: 'See and manage data of every institution, not just your own'
+};
+
+// Permissions that reach across institutions; only super-admins hold these by
+// default. Quarantined files can come from any user's home directory, and
+// roles and IP blocks are shared by every institution. (Security policies are
+// too, but security.policies.edit also covers an institution's own single
+// sign-on settings, so the global policy routes check the scope instead.)
+const CROSS_TENANT_PERMISSIONS = [
+  PERMISSIONS.INSTITUTIONS_MANAGE,
+  PERMISSIONS.INSTITUTIONS_ALL,
+  PERMISSIONS.SECURITY_QUARANTINE_MANAGE,
+  PERMISSIONS.ROLES_MANAGE,
+  PERMISSIONS.SECURITY_IPS_MANAGE
+];
+
+// The most a role handed to guest and exam accounts may grant
+const GUEST_PERMISSIONS = [PERMISSIONS.APPS_LAUNCH];
+
+// Built-in roles. superadmin and admin are re-synced from here at every start;
+// the others are only seeded by migrations, so a change to them needs a new one.
+const BUILTIN_ROLES = {
+  superadmin: {
+    description: 'Operator of the whole installation, across all institutions',
+    permissions: Object.values(PERMISSIONS)
+  },
+  admin: {
+    description: 'Administrator of a single institution',
+    permissions: Object.values(PERMISSIONS).filter(permission => !CROSS_TENANT_PERMISSIONS.includes(permission))
+  },
+  teacher: {
+    description: 'Classroom staff with monitoring access',
+    permissions: [
+      PERMISSIONS.ADMIN_PANEL,
+      PERMISSIONS.USERS_VIEW,
+      PERMISSIONS.USERS_IMPERSONATE,
+      PERMISSIONS.SECURITY_VIEW,
+      PERMISSIONS.REPORTS_EXPORT,
+      PERMISSIONS.APPS_LAUNCH
+    ]
+  },
+  developer: {
+    description: 'Developer with access to development tools',
+    permissions: [
+      PERMISSIONS.APPS_LAUNCH,
+      PERMISSIONS.APPS_LAUNCH_DEV,
+      PERMISSIONS.DEV_MODE
+    ]
+  },
+  student: {
+    description: 'Standard student account',
+    permissions: [
+      PERMISSIONS.APPS_LAUNCH
+    ]
+  },
+  guest: {
+    description: 'Temporary visitor or exam candidate',
+    permissions: [
+      PERMISSIONS.APPS_LAUNCH
+    ]
+  }
+};
+
+function hasPermission(user, permission) {
+  return !!user && Array.isArray(user.permissions) && user.permissions.includes(permission);
+}
+
+module.exports = {
+  PERMISSIONS,
+  PERMISSION_DESCRIPTIONS,
+  BUILTIN_ROLES,
+  CROSS_TENANT_PERMISSIONS,
+  GUEST_PERMISSIONS,
+  hasPermission
+};
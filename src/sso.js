@@ -0,0 +1,17 @@
+// Single sign-on round trip through the Electron sign-in window (see
+// 'oidc-authorize' in main.js). Plain browsers have no window to intercept
+// the provider's redirect, so the option is only offered inside the app.
+
+export const ssoSupported = () => !!(window.electronAPI && window.electronAPI.oidcAuthorize);
+
+// Takes the response of an .../oidc/start call and resolves to the body for the
+// matching .../complete call, or null if the user closed the sign-in window
+export const authorizeWithProvider = async ({ authorizationUrl, redirectUri }) => {
+  const redirect = await window.electronAPI.oidcAuthorize({ authorizationUrl, redirectUri });
+  if (!redirect) {
+    return null;
+  }
+
+  const params = new URL(redirect).searchParams;
+  return { state: params.get('state'), code: params.get('code'), error: params.get('error') };
+};